@@ -5,10 +5,15 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "./interfaces/IRadiShield.sol";
 import "./interfaces/IWeatherOracle.sol";
+import "./libraries/WeatherUnits.sol";
 
 /**
  * @title RadiShield
  * @dev Parametric crop insurance contract using custom Weather Oracle for weather data
+ * With a dispute window set, triggered payouts are optimistic: they settle once the window
+ * passes unless the owner or the designated challenger disputes them with counter-data.
+ * Triggers come from owner-managed profiles per crop (and optionally region), snapshotted into
+ * each policy when it is created; crops without a profile use the default thresholds below
  */
 contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
     // Custom Errors for better error handling
@@ -26,6 +31,7 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
     error PayoutFailed(uint256 amount, address recipient);
     error OracleRequestFailed(bytes32 requestId);
     error UnauthorizedOracle(address caller);
+    error QuorumRequired();
 
     // Additional comprehensive error handling
     error InvalidCropType(string cropType);
@@ -42,13 +48,27 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
     error InvalidOracleAddress(address oracle);
     error InvalidTokenAddress(address token);
     error WeatherDataNotAvailable(uint256 policyId);
-    error InvalidWeatherData(uint256 rainfall30d, uint256 rainfall24h, uint256 temperature);
+    error InvalidWeatherData(uint256 rainfall30d, uint256 rainfall24h, int256 temperature);
     error PayoutAlreadyProcessed(uint256 policyId);
     error ContractPaused();
     error ContractNotPaused();
     error ZeroValue();
     error InvalidTimestamp(uint256 timestamp);
     error PolicyNotEligibleForPayout(uint256 policyId, string reason);
+    error InvalidWeatherPeriod(uint256 policyId, uint256 periodStart, uint256 periodEnd);
+    error InvalidDisputeWindow(uint256 window);
+    error UnauthorizedChallenger(address caller);
+    error NoPendingPayout(uint256 policyId);
+    error PayoutAlreadyDisputed(uint256 policyId);
+    error PayoutNotDisputed(uint256 policyId);
+    error DisputeWindowOpen(uint256 policyId, uint256 settlesAt);
+    error DisputeWindowClosed(uint256 policyId, uint256 settlesAt);
+    error ChallengeNotMaterial(uint256 policyId, uint256 counterPayout);
+    error InvalidTriggerProfile(string cropType, string region);
+    error TriggerProfileNotFound(string cropType, string region);
+    error InvalidRegion(string name);
+    error RegionNotFound(string name);
+    error TooManyRegions(uint256 maxRegions);
 
     // State variables for contract configuration
     IWeatherOracle public immutable weatherOracle;
@@ -57,18 +77,33 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
     uint256 private nextPolicyId = 1;
     mapping(uint256 => Policy) public policies;
     mapping(address => uint256[]) public farmerPolicies;
+    mapping(uint256 => PolicyWeather) private policyWeather;
+
+    // Optimistic payouts (a zero window pays out immediately)
+    uint256 public disputeWindow;
+    address public challenger;
+    mapping(uint256 => PendingPayout) private pendingPayouts;
+    mapping(uint256 => uint256) private rejectedWeatherTimestamp; // only newer weather can trigger again
+
+    // Trigger profiles, keyed by _getProfileKey(cropType, region); region "" applies everywhere
+    mapping(bytes32 => TriggerProfile) private triggerProfiles;
+    mapping(bytes32 => bool) private hasTriggerProfile;
+    Region[] private regions; // checked in order, the first match with a profile wins
+    mapping(bytes32 => string[]) private regionCrops; // crops with a profile, by region name hash
+    mapping(uint256 => TriggerProfile) private policyTriggers; // snapshot taken at createPolicy
 
     // Constants
     uint256 public constant BASE_PREMIUM_RATE = 700; // 7% in basis points (7% = 700/10000)
 
-    uint256 public constant DROUGHT_THRESHOLD = 10; // mm in 30 days
-    uint256 public constant FLOOD_THRESHOLD = 200; // mm in 24 hours
-    uint256 public constant HEATWAVE_THRESHOLD = 50; // Celsius
+    uint256 public constant DROUGHT_WINDOW = 30 days; // drought thresholds are per 30 days
     uint256 public constant HEATWAVE_PAYOUT_RATE = 75; // 75% payout
     uint256 public constant MIN_COVERAGE = 1 * 10 ** 18; // 1 POL minimum
     uint256 public constant MAX_COVERAGE = 10 * 10 ** 18; // 10 POL maximum
     uint256 public constant MIN_DURATION = 30 days; // Minimum 30 days
     uint256 public constant MAX_DURATION = 365 days; // Maximum 1 year
+    uint256 public constant MAX_DISPUTE_WINDOW = 30 days;
+    uint256 public constant MAX_REGIONS = 20; // bounds the lookup in createPolicy
+    uint256 public constant MAX_NAME_LENGTH = 50; // crop types and region names
 
     // Geographic restrictions for Africa
     int256 public constant AFRICA_MIN_LAT = -350000; // -35 degrees (South Africa)
@@ -87,7 +122,7 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
         uint256 indexed policyId,
         uint256 rainfall30d,
         uint256 rainfall24h,
-        uint256 temperature
+        int256 temperature
     );
     event PayoutTriggered(uint256 indexed policyId, string triggerType, uint256 payoutAmount);
 
@@ -111,8 +146,8 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
      * @param cropType Type of crop being insured (e.g., "maize", "coffee")
      * @param coverage Coverage amount in USDC (6 decimals)
      * @param duration Policy duration in seconds
-     * @param latitude GPS latitude (will be scaled by 10000 for Solidity compatibility)
-     * @param longitude GPS longitude (will be scaled by 10000 for Solidity compatibility)
+     * @param latitude GPS latitude scaled by 10000 (1e-4 degree precision)
+     * @param longitude GPS longitude scaled by 10000 (1e-4 degree precision)
      * @return policyId The unique ID of the created policy
      */
     function createPolicy(
@@ -126,7 +161,7 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
         if (bytes(cropType).length == 0) {
             revert InvalidCropType(cropType);
         }
-        if (bytes(cropType).length > 50) {
+        if (bytes(cropType).length > MAX_NAME_LENGTH) {
             revert InvalidCropType(cropType);
         }
 
@@ -146,34 +181,28 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
             revert InvalidDuration(duration);
         }
 
-        // Scale GPS coordinates by 10000 for Solidity compatibility
-        int256 scaledLatitude = latitude * 10000;
-        int256 scaledLongitude = longitude * 10000;
-
-        // Input validation for GPS coordinates (after scaling)
+        // Input validation for GPS coordinates (already scaled by 10000, the same
+        // encoding the oracle bot uses, so policies map to the oracle's location hash)
         // Valid latitude range: -90 to 90 degrees (scaled by 10000: -900000 to 900000)
         // Valid longitude range: -180 to 180 degrees (scaled by 10000: -1800000 to 1800000)
         if (
-            scaledLatitude < -900000 ||
-            scaledLatitude > 900000 ||
-            scaledLongitude < -1800000 ||
-            scaledLongitude > 1800000
+            latitude < -900000 || latitude > 900000 || longitude < -1800000 || longitude > 1800000
         ) {
-            revert InvalidLocation(scaledLatitude, scaledLongitude);
+            revert InvalidLocation(latitude, longitude);
         }
 
         // Restrict to African coordinates only
         if (
-            scaledLatitude < AFRICA_MIN_LAT ||
-            scaledLatitude > AFRICA_MAX_LAT ||
-            scaledLongitude < AFRICA_MIN_LON ||
-            scaledLongitude > AFRICA_MAX_LON
+            latitude < AFRICA_MIN_LAT ||
+            latitude > AFRICA_MAX_LAT ||
+            longitude < AFRICA_MIN_LON ||
+            longitude > AFRICA_MAX_LON
         ) {
-            revert InvalidLocation(scaledLatitude, scaledLongitude);
+            revert InvalidLocation(latitude, longitude);
         }
 
         // Calculate premium using the existing calculatePremium function
-        uint256 premium = this.calculatePremium(coverage, scaledLatitude, scaledLongitude);
+        uint256 premium = this.calculatePremium(coverage, latitude, longitude);
 
         // Check if farmer sent enough POL to cover premium
         if (msg.value < premium) {
@@ -203,8 +232,8 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
             cropType: cropType,
             coverage: coverage,
             premium: premium,
-            latitude: scaledLatitude,
-            longitude: scaledLongitude,
+            latitude: latitude,
+            longitude: longitude,
             startDate: startDate,
             endDate: endDate,
             isActive: true,
@@ -214,6 +243,9 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
         policies[policyId] = newPolicy;
         farmerPolicies[msg.sender].push(policyId);
 
+        // Later profile changes do not affect the policy
+        policyTriggers[policyId] = getTriggerProfile(cropType, latitude, longitude);
+
         // Emit PolicyCreated event with complete policy details
         emit PolicyCreated(policyId, msg.sender, coverage, cropType);
 
@@ -578,8 +610,11 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
     /**
      * @dev Process weather data for a specific policy from Weather Oracle
      * @param policyId The policy ID to process weather data for
+     * @return payoutAmount Amount paid to the farmer, 0 if no trigger was met
      */
-    function processWeatherData(uint256 policyId) external whenNotPaused {
+    function processWeatherData(
+        uint256 policyId
+    ) external whenNotPaused returns (uint256 payoutAmount) {
         // Input validation for policy ID
         if (policyId == 0) {
             revert ZeroValue();
@@ -612,79 +647,614 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
             revert WeatherDataNotAvailable(policyId);
         }
 
-        _processWeatherData(policyId, data);
+        return _processWeatherData(policyId, data);
     }
 
     /**
      * @dev Internal function to process weather data and check triggers
      * @param policyId The policy ID to process
      * @param data The weather data from the oracle
+     * @return payoutAmount Amount paid to the farmer, 0 if no trigger was met
      */
     function _processWeatherData(
         uint256 policyId,
         IWeatherOracle.WeatherData memory data
-    ) internal {
-        // Validate weather data ranges (basic sanity checks)
-        if (data.rainfall30d > 10000 || data.rainfall24h > 1000 || data.temperature > 10000) {
+    ) internal returns (uint256 payoutAmount) {
+        // Validate weather data ranges (same bounds as WeatherOracle)
+        if (
+            data.rainfall30d > WeatherUnits.MAX_RAINFALL_30D ||
+            data.rainfall24h > WeatherUnits.MAX_RAINFALL_24H ||
+            data.temperature < WeatherUnits.MIN_TEMPERATURE ||
+            data.temperature > WeatherUnits.MAX_TEMPERATURE
+        ) {
             revert InvalidWeatherData(data.rainfall30d, data.rainfall24h, data.temperature);
         }
 
         // Emit event for weather data received
         emit WeatherDataReceived(policyId, data.rainfall30d, data.rainfall24h, data.temperature);
 
+        // Only weather observed during coverage counts
+        uint256 startDate = policies[policyId].startDate;
+        if (data.timestamp < startDate) {
+            return 0;
+        }
+
         // Check weather triggers and process payout if conditions are met
-        _checkWeatherTriggersAndPayout(
+        // Values stay in fixed point so fractional readings are compared exactly.
+        // The rolling 30-day window only lies inside coverage once the policy
+        // has run for a full window
+        return
+            _checkWeatherTriggersAndPayout(
+                policyId,
+                data.rainfall30d,
+                data.timestamp >= startDate + DROUGHT_WINDOW,
+                data.rainfall24h,
+                data.temperature,
+                data.timestamp
+            );
+    }
+
+    /**
+     * @dev Submit weather observed over part of a policy's coverage and check its triggers.
+     * Unlike the shared per-cell data, the period is aligned to the policy (e.g. from its
+     * start date, or a crop stage), so weather from before the policy never counts.
+     * The data comes from a single oracle, so it is rejected while the oracle requires a quorum.
+     * @param policyId The policy ID the weather was computed for
+     * @param data Weather over the period, in WeatherUnits fixed point
+     * @return payoutAmount Amount paid (or pending, with a dispute window), 0 if no trigger was met
+     */
+    function submitPolicyWeather(
+        uint256 policyId,
+        PolicyWeather memory data
+    ) external override whenNotPaused returns (uint256 payoutAmount) {
+        if (!weatherOracle.isAuthorizedOracle(msg.sender)) {
+            revert UnauthorizedOracle(msg.sender);
+        }
+        if (weatherOracle.quorum() > 0) {
+            revert QuorumRequired();
+        }
+
+        if (policyId == 0) {
+            revert ZeroValue();
+        }
+
+        Policy memory policy = policies[policyId];
+        if (policy.id == 0) {
+            revert PolicyNotFound(policyId);
+        }
+        if (!policy.isActive) {
+            revert PolicyNotActive(policyId);
+        }
+        if (policy.claimed) {
+            revert PolicyAlreadyClaimed(policyId);
+        }
+
+        // The period must lie within coverage and be over
+        if (
+            data.periodStart < policy.startDate ||
+            data.periodEnd <= data.periodStart ||
+            data.periodEnd > policy.endDate ||
+            data.periodEnd > block.timestamp
+        ) {
+            revert InvalidWeatherPeriod(policyId, data.periodStart, data.periodEnd);
+        }
+
+        // No day can be wetter than the daily maximum, and no day wetter than the total
+        uint256 periodDays = (data.periodEnd - data.periodStart + 1 days - 1) / 1 days;
+        if (
+            data.maxRainfall24h > WeatherUnits.MAX_RAINFALL_24H ||
+            data.maxRainfall24h > data.totalRainfall ||
+            data.totalRainfall > WeatherUnits.MAX_RAINFALL_24H * periodDays ||
+            data.maxTemperature < WeatherUnits.MIN_TEMPERATURE ||
+            data.maxTemperature > WeatherUnits.MAX_TEMPERATURE
+        ) {
+            revert InvalidWeatherData(data.totalRainfall, data.maxRainfall24h, data.maxTemperature);
+        }
+
+        data.timestamp = block.timestamp;
+        policyWeather[policyId] = data;
+
+        emit PolicyWeatherSubmitted(
+            policyId,
+            data.periodStart,
+            data.periodEnd,
+            data.totalRainfall,
+            data.maxRainfall24h,
+            data.maxTemperature
+        );
+
+        // Drought thresholds are per 30 days, so longer periods are compared
+        // pro rata and shorter ones cannot show a drought yet. The weather was
+        // observed up to the period end, not when it was submitted
+        uint256 periodLength = data.periodEnd - data.periodStart;
+        return
+            _checkWeatherTriggersAndPayout(
+                policyId,
+                (data.totalRainfall * DROUGHT_WINDOW) / periodLength,
+                periodLength >= DROUGHT_WINDOW,
+                data.maxRainfall24h,
+                data.maxTemperature,
+                data.periodEnd
+            );
+    }
+
+    /**
+     * @dev Get the last weather submitted for a policy
+     * @param policyId The policy ID to look up
+     * @return The submitted weather (zero timestamp if none)
+     */
+    function getPolicyWeather(
+        uint256 policyId
+    ) external view override returns (PolicyWeather memory) {
+        if (policies[policyId].id == 0) {
+            revert PolicyNotFound(policyId);
+        }
+        return policyWeather[policyId];
+    }
+
+    /**
+     * @dev Set how long triggered payouts can be disputed before they settle
+     * @param window Dispute window in seconds (0 pays out immediately)
+     */
+    function setDisputeWindow(uint256 window) external onlyOwner {
+        if (window > MAX_DISPUTE_WINDOW) {
+            revert InvalidDisputeWindow(window);
+        }
+
+        emit DisputeWindowUpdated(disputeWindow, window);
+        disputeWindow = window;
+    }
+
+    /**
+     * @dev Designate the account that may dispute pending payouts besides the owner
+     * @param newChallenger Challenger address (zero leaves disputes to the owner)
+     */
+    function setChallenger(address newChallenger) external onlyOwner {
+        emit ChallengerUpdated(challenger, newChallenger);
+        challenger = newChallenger;
+    }
+
+    /**
+     * @dev Pay out a pending payout whose dispute window has passed undisputed
+     * @param policyId The policy ID to settle
+     */
+    function settlePayout(uint256 policyId) external override whenNotPaused {
+        PendingPayout storage pending = pendingPayouts[policyId];
+        if (pending.amount == 0) {
+            revert NoPendingPayout(policyId);
+        }
+        if (pending.disputed) {
+            revert PayoutAlreadyDisputed(policyId);
+        }
+        if (block.timestamp < pending.settlesAt) {
+            revert DisputeWindowOpen(policyId, pending.settlesAt);
+        }
+
+        uint256 amount = pending.amount;
+        delete pendingPayouts[policyId];
+        _processPayout(policyId, amount, policies[policyId].farmer);
+    }
+
+    /**
+     * @dev Dispute a pending payout with the weather the challenger observed instead.
+     * The counter-data must not support the same payout; the owner then resolves the dispute
+     * @param policyId The policy ID whose payout is disputed
+     * @param counterData Counter weather in WeatherUnits fixed point (timestamp is the observation time)
+     */
+    function challengePayout(uint256 policyId, WeatherData memory counterData) external override {
+        if (msg.sender != owner() && (challenger == address(0) || msg.sender != challenger)) {
+            revert UnauthorizedChallenger(msg.sender);
+        }
+
+        PendingPayout storage pending = pendingPayouts[policyId];
+        if (pending.amount == 0) {
+            revert NoPendingPayout(policyId);
+        }
+        if (pending.disputed) {
+            revert PayoutAlreadyDisputed(policyId);
+        }
+        if (block.timestamp >= pending.settlesAt) {
+            revert DisputeWindowClosed(policyId, pending.settlesAt);
+        }
+        if (
+            counterData.rainfall30d > WeatherUnits.MAX_RAINFALL_30D ||
+            counterData.rainfall24h > WeatherUnits.MAX_RAINFALL_24H ||
+            counterData.rainfall24h > counterData.rainfall30d ||
+            counterData.temperature < WeatherUnits.MIN_TEMPERATURE ||
+            counterData.temperature > WeatherUnits.MAX_TEMPERATURE
+        ) {
+            revert InvalidWeatherData(
+                counterData.rainfall30d,
+                counterData.rainfall24h,
+                counterData.temperature
+            );
+        }
+
+        // Drought counts only if the weather behind the trigger covered a full window
+        (uint256 counterPayout, ) = _evaluateTriggers(
             policyId,
-            data.rainfall30d / 1000, // Convert from bot format (scaled by 1000) to mm
-            data.rainfall24h / 1000, // Convert from bot format (scaled by 1000) to mm
-            data.temperature / 1000 // Convert from bot format (scaled by 1000) to Celsius
+            counterData.rainfall30d,
+            pending.weatherTimestamp >= policies[policyId].startDate + DROUGHT_WINDOW,
+            counterData.rainfall24h,
+            counterData.temperature
         );
+        if (counterPayout >= pending.amount) {
+            revert ChallengeNotMaterial(policyId, counterPayout);
+        }
+
+        counterData.isValid = true;
+        pending.disputed = true;
+        pending.challenger = msg.sender;
+        pending.counterData = counterData;
+
+        emit PayoutChallenged(
+            policyId,
+            msg.sender,
+            counterData.rainfall30d,
+            counterData.rainfall24h,
+            counterData.temperature
+        );
+    }
+
+    /**
+     * @dev Resolve a disputed payout. A rejected payout is dropped and the policy stays
+     * active, so weather observed after the rejected trigger can still trigger it
+     * @param policyId The policy ID whose dispute is resolved
+     * @param payoutStands True to pay out as triggered, false to uphold the challenge
+     */
+    function resolveDispute(uint256 policyId, bool payoutStands) external override onlyOwner {
+        PendingPayout storage pending = pendingPayouts[policyId];
+        if (!pending.disputed) {
+            revert PayoutNotDisputed(policyId);
+        }
+
+        uint256 amount = pending.amount;
+        if (!payoutStands) {
+            rejectedWeatherTimestamp[policyId] = pending.weatherTimestamp;
+        }
+        delete pendingPayouts[policyId];
+        emit DisputeResolved(policyId, payoutStands);
+
+        if (payoutStands) {
+            _processPayout(policyId, amount, policies[policyId].farmer);
+        }
+    }
+
+    /**
+     * @dev Get the payout a policy is waiting to settle
+     * @param policyId The policy ID to look up
+     * @return The pending payout (zero amount if none)
+     */
+    function getPendingPayout(
+        uint256 policyId
+    ) external view override returns (PendingPayout memory) {
+        if (policies[policyId].id == 0) {
+            revert PolicyNotFound(policyId);
+        }
+        return pendingPayouts[policyId];
     }
 
     /**
      * @dev Internal function to check weather triggers and process payout
      * @param policyId The policy ID to check triggers for
-     * @param rainfall30d Rainfall in the last 30 days (in mm)
-     * @param rainfall24h Rainfall in the last 24 hours (in mm)
-     * @param temperature Current temperature (in Celsius)
+     * @param rainfall30d Rainfall in the last 30 days (mm * WeatherUnits.RAINFALL_SCALE)
+     * @param droughtCovered Whether the drought window lies within coverage
+     * @param rainfall24h Rainfall in the last 24 hours (mm * WeatherUnits.RAINFALL_SCALE)
+     * @param temperature Current temperature, signed (Celsius * WeatherUnits.TEMPERATURE_SCALE)
+     * @param weatherTimestamp When the weather was observed (the period end for policy weather)
+     * @return payoutAmount Amount paid (or pending, with a dispute window), 0 if no trigger was met
      */
     function _checkWeatherTriggersAndPayout(
         uint256 policyId,
         uint256 rainfall30d,
+        bool droughtCovered,
         uint256 rainfall24h,
-        uint256 temperature
-    ) internal {
+        int256 temperature,
+        uint256 weatherTimestamp
+    ) internal returns (uint256 payoutAmount) {
         Policy storage policy = policies[policyId];
 
-        // Skip if policy is not active or already claimed
-        if (!policy.isActive || policy.claimed) {
-            return;
+        // Skip if policy is not active, already claimed or waiting on a triggered payout
+        if (!policy.isActive || policy.claimed || pendingPayouts[policyId].amount > 0) {
+            return 0;
+        }
+        // Weather a rejected dispute already ruled on cannot raise the same payout again
+        if (weatherTimestamp <= rejectedWeatherTimestamp[policyId]) {
+            return 0;
+        }
+
+        string memory triggerType;
+        (payoutAmount, triggerType) = _evaluateTriggers(
+            policyId,
+            rainfall30d,
+            droughtCovered,
+            rainfall24h,
+            temperature
+        );
+        if (payoutAmount == 0) {
+            return 0;
+        }
+
+        emit PayoutTriggered(policyId, triggerType, payoutAmount);
+
+        // Optimistic mode: hold the payout until the dispute window passes
+        if (disputeWindow > 0) {
+            PendingPayout storage pending = pendingPayouts[policyId];
+            pending.amount = payoutAmount;
+            pending.triggerType = triggerType;
+            pending.triggeredAt = block.timestamp;
+            pending.weatherTimestamp = weatherTimestamp;
+            pending.settlesAt = block.timestamp + disputeWindow;
+            emit PayoutPending(policyId, payoutAmount, pending.settlesAt);
+            return payoutAmount;
         }
 
-        uint256 payoutAmount = 0;
-        string memory triggerType = "";
+        _processPayout(policyId, payoutAmount, policy.farmer);
+    }
+
+    /**
+     * @dev Work out which of a policy's triggers, if any, weather meets
+     * @param policyId The policy ID whose snapshotted triggers apply
+     * @param rainfall30d Rainfall in the last 30 days (mm * WeatherUnits.RAINFALL_SCALE)
+     * @param droughtCovered Whether the drought window lies within coverage
+     * @param rainfall24h Rainfall in the last 24 hours (mm * WeatherUnits.RAINFALL_SCALE)
+     * @param temperature Current temperature, signed (Celsius * WeatherUnits.TEMPERATURE_SCALE)
+     * @return payoutAmount Payout for the trigger, 0 if none was met
+     * @return triggerType Name of the trigger met
+     */
+    function _evaluateTriggers(
+        uint256 policyId,
+        uint256 rainfall30d,
+        bool droughtCovered,
+        uint256 rainfall24h,
+        int256 temperature
+    ) internal view returns (uint256 payoutAmount, string memory triggerType) {
+        uint256 coverage = policies[policyId].coverage;
+        TriggerProfile storage triggers = policyTriggers[policyId];
 
-        // Check for severe drought: < 25mm in 30 days (100% payout)
-        if (rainfall30d < SEVERE_DROUGHT_THRESHOLD) {
-            payoutAmount = policy.coverage;
+        // Severe drought (100% payout)
+        if (
+            droughtCovered && rainfall30d < triggers.droughtThreshold * WeatherUnits.RAINFALL_SCALE
+        ) {
+            payoutAmount = coverage;
             triggerType = "severe_drought";
         }
-        // Check for severe flood: > 150mm in 24 hours (100% payout)
-        else if (rainfall24h > SEVERE_FLOOD_THRESHOLD) {
-            payoutAmount = policy.coverage;
+        // Severe flood (100% payout)
+        else if (rainfall24h > triggers.floodThreshold * WeatherUnits.RAINFALL_SCALE) {
+            payoutAmount = coverage;
             triggerType = "severe_flood";
         }
-        // Check for extreme heatwave: > 42°C (temperature is already converted to Celsius)
-        else if (temperature > EXTREME_HEATWAVE_THRESHOLD) {
-            payoutAmount = (policy.coverage * HEATWAVE_PAYOUT_RATE) / 100;
+        // Extreme heatwave (partial payout)
+        else if (temperature > triggers.heatwaveThreshold * WeatherUnits.TEMPERATURE_SCALE) {
+            payoutAmount = (coverage * triggers.heatwavePayoutRate) / 100;
             triggerType = "extreme_heatwave";
         }
+    }
+
+    /**
+     * @dev Set the triggers for a crop, everywhere or within one region
+     * @param cropType Crop the profile applies to, as passed to createPolicy (e.g. "maize")
+     * @param region Region name from setRegion, or "" for the crop's default
+     * @param profile Thresholds in whole mm and °C, heatwave payout in percent
+     */
+    function setTriggerProfile(
+        string memory cropType,
+        string memory region,
+        TriggerProfile memory profile
+    ) external onlyOwner {
+        if (
+            bytes(cropType).length == 0 ||
+            bytes(cropType).length > MAX_NAME_LENGTH ||
+            profile.floodThreshold == 0 ||
+            profile.floodThreshold > WeatherUnits.MAX_RAINFALL_24H / WeatherUnits.RAINFALL_SCALE ||
+            profile.droughtThreshold >
+                WeatherUnits.MAX_RAINFALL_30D / WeatherUnits.RAINFALL_SCALE ||
+            profile.heatwaveThreshold <
+                WeatherUnits.MIN_TEMPERATURE / WeatherUnits.TEMPERATURE_SCALE ||
+            profile.heatwaveThreshold >
+                WeatherUnits.MAX_TEMPERATURE / WeatherUnits.TEMPERATURE_SCALE ||
+            profile.heatwavePayoutRate == 0 ||
+            profile.heatwavePayoutRate > 100
+        ) {
+            revert InvalidTriggerProfile(cropType, region);
+        }
+        if (bytes(region).length > 0 && _findRegion(region) == type(uint256).max) {
+            revert RegionNotFound(region);
+        }
+
+        bytes32 key = _getProfileKey(cropType, region);
+        if (bytes(region).length > 0 && !hasTriggerProfile[key]) {
+            regionCrops[keccak256(bytes(region))].push(cropType);
+        }
+        triggerProfiles[key] = profile;
+        hasTriggerProfile[key] = true;
+        emit TriggerProfileSet(cropType, region, profile);
+    }
+
+    /**
+     * @dev Remove a trigger profile; policies already created keep their snapshot
+     * @param cropType Crop the profile applies to
+     * @param region Region name, or "" for the crop's default
+     */
+    function removeTriggerProfile(string memory cropType, string memory region) external onlyOwner {
+        bytes32 key = _getProfileKey(cropType, region);
+        if (!hasTriggerProfile[key]) {
+            revert TriggerProfileNotFound(cropType, region);
+        }
+
+        if (bytes(region).length > 0) {
+            string[] storage crops = regionCrops[keccak256(bytes(region))];
+            bytes32 cropHash = keccak256(bytes(cropType));
+            for (uint256 i = 0; i < crops.length; i++) {
+                if (keccak256(bytes(crops[i])) == cropHash) {
+                    crops[i] = crops[crops.length - 1];
+                    crops.pop();
+                    break;
+                }
+            }
+        }
+
+        delete triggerProfiles[key];
+        delete hasTriggerProfile[key];
+        emit TriggerProfileRemoved(cropType, region);
+    }
+
+    /**
+     * @dev Add a region, or move the bounds of an existing one
+     * @param region Region name and bounds (coordinates scaled by 10000, inclusive)
+     */
+    function setRegion(Region memory region) external onlyOwner {
+        if (
+            bytes(region.name).length == 0 ||
+            bytes(region.name).length > MAX_NAME_LENGTH ||
+            region.minLatitude > region.maxLatitude ||
+            region.minLongitude > region.maxLongitude ||
+            region.minLatitude < AFRICA_MIN_LAT ||
+            region.maxLatitude > AFRICA_MAX_LAT ||
+            region.minLongitude < AFRICA_MIN_LON ||
+            region.maxLongitude > AFRICA_MAX_LON
+        ) {
+            revert InvalidRegion(region.name);
+        }
 
-        // Process payout if trigger conditions are met
-        if (payoutAmount > 0) {
-            emit PayoutTriggered(policyId, triggerType, payoutAmount);
-            _processPayout(policyId, payoutAmount, policy.farmer);
+        uint256 index = _findRegion(region.name);
+        if (index != type(uint256).max) {
+            regions[index] = region;
+        } else {
+            if (regions.length >= MAX_REGIONS) {
+                revert TooManyRegions(MAX_REGIONS);
+            }
+            regions.push(region);
         }
+
+        emit RegionSet(
+            region.name,
+            region.minLatitude,
+            region.maxLatitude,
+            region.minLongitude,
+            region.maxLongitude
+        );
+    }
+
+    /**
+     * @dev Remove a region together with its profiles, so a region added later under the
+     * same name starts without any. Policies already created keep their snapshot
+     * @param name Region name
+     */
+    function removeRegion(string memory name) external onlyOwner {
+        uint256 index = _findRegion(name);
+        if (index == type(uint256).max) {
+            revert RegionNotFound(name);
+        }
+
+        // Keep the order regions are checked in
+        for (uint256 i = index; i + 1 < regions.length; i++) {
+            regions[i] = regions[i + 1];
+        }
+        regions.pop();
+
+        string[] storage crops = regionCrops[keccak256(bytes(name))];
+        for (uint256 i = 0; i < crops.length; i++) {
+            bytes32 key = _getProfileKey(crops[i], name);
+            delete triggerProfiles[key];
+            delete hasTriggerProfile[key];
+            emit TriggerProfileRemoved(crops[i], name);
+        }
+        delete regionCrops[keccak256(bytes(name))];
+
+        emit RegionRemoved(name);
+    }
+
+    /**
+     * @dev Get the triggers a new policy would get: the profile for the crop in the first
+     * matching region, else the crop's default profile, else the default thresholds
+     * @param cropType Crop type as passed to createPolicy
+     * @param latitude Latitude scaled by 10000
+     * @param longitude Longitude scaled by 10000
+     * @return profile Triggers in whole mm and °C, heatwave payout in percent
+     */
+    function getTriggerProfile(
+        string memory cropType,
+        int256 latitude,
+        int256 longitude
+    ) public view override returns (TriggerProfile memory profile) {
+        for (uint256 i = 0; i < regions.length; i++) {
+            Region storage region = regions[i];
+            if (
+                latitude >= region.minLatitude &&
+                latitude <= region.maxLatitude &&
+                longitude >= region.minLongitude &&
+                longitude <= region.maxLongitude
+            ) {
+                bytes32 regionKey = _getProfileKey(cropType, region.name);
+                if (hasTriggerProfile[regionKey]) {
+                    return triggerProfiles[regionKey];
+                }
+            }
+        }
+
+        bytes32 cropKey = _getProfileKey(cropType, "");
+        if (hasTriggerProfile[cropKey]) {
+            return triggerProfiles[cropKey];
+        }
+
+        return
+            TriggerProfile({
+                droughtThreshold: SEVERE_DROUGHT_THRESHOLD,
+                floodThreshold: SEVERE_FLOOD_THRESHOLD,
+                heatwaveThreshold: int256(EXTREME_HEATWAVE_THRESHOLD),
+                heatwavePayoutRate: HEATWAVE_PAYOUT_RATE
+            });
+    }
+
+    /**
+     * @dev Get the triggers a policy was created with
+     * @param policyId The policy ID to look up
+     * @return Triggers in whole mm and °C, heatwave payout in percent
+     */
+    function getPolicyTriggers(
+        uint256 policyId
+    ) external view override returns (TriggerProfile memory) {
+        if (policies[policyId].id == 0) {
+            revert PolicyNotFound(policyId);
+        }
+        return policyTriggers[policyId];
+    }
+
+    /**
+     * @dev Get all regions, in the order they are checked
+     * @return Regions with their bounds
+     */
+    function getRegions() external view override returns (Region[] memory) {
+        return regions;
+    }
+
+    /**
+     * @dev Find a region by name
+     * @param name Region name
+     * @return Index in regions, type(uint256).max if there is none
+     */
+    function _findRegion(string memory name) internal view returns (uint256) {
+        bytes32 nameHash = keccak256(bytes(name));
+        for (uint256 i = 0; i < regions.length; i++) {
+            if (keccak256(bytes(regions[i].name)) == nameHash) {
+                return i;
+            }
+        }
+        return type(uint256).max;
+    }
+
+    /**
+     * @dev Key of a trigger profile
+     * @param cropType Crop type
+     * @param region Region name, "" for the crop's default
+     * @return Key into triggerProfiles
+     */
+    function _getProfileKey(
+        string memory cropType,
+        string memory region
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(cropType, region));
     }
 
     // Contract pause state for emergency operations
@@ -932,9 +1502,11 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
                     policies[policyId].claimed = true;
                     policies[policyId].isActive = false;
 
-                    // Transfer payout
+                    // Transfer payout. A pending payout is only dropped once this one is paid,
+                    // so a failed transfer leaves it to settle or be disputed as before
                     (bool success, ) = payable(policies[policyId].farmer).call{value: amount}("");
                     if (success) {
+                        delete pendingPayouts[policyId];
                         emit ClaimPaid(policyId, policies[policyId].farmer, amount, reason);
                     } else {
                         // Revert policy status if transfer failed
@@ -986,6 +1558,23 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
         return weatherOracle.getWeatherData(policy.latitude, policy.longitude);
     }
 
+    /**
+     * @dev Get the weather grid cell a policy reads its data from
+     * @param policyId The policy ID to look up
+     * @return cellLatitude Latitude of the cell corner (scaled by 10000)
+     * @return cellLongitude Longitude of the cell corner (scaled by 10000)
+     */
+    function getPolicyWeatherCell(
+        uint256 policyId
+    ) external view returns (int256 cellLatitude, int256 cellLongitude) {
+        if (policies[policyId].id == 0) {
+            revert PolicyNotFound(policyId);
+        }
+
+        Policy memory policy = policies[policyId];
+        return weatherOracle.snapToGrid(policy.latitude, policy.longitude);
+    }
+
     /**
      * @dev Emergency payout function for admin use (e.g., oracle failures)
      * @param policyId The policy ID for emergency payout
@@ -1037,6 +1626,7 @@ contract RadiShield is IRadiShield, ReentrancyGuard, Ownable {
         // Update policy status before transfer (CEI pattern)
         policies[policyId].claimed = true;
         policies[policyId].isActive = false;
+        delete pendingPayouts[policyId];
 
         // Transfer payout to farmer
         (bool success, ) = payable(policies[policyId].farmer).call{value: amount}("");
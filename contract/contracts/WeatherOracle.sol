@@ -3,22 +3,38 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "./interfaces/IWeatherOracle.sol";
+import "./libraries/WeatherUnits.sol";
 
 /**
  * @title WeatherOracle
  * @dev Custom weather oracle contract that stores and provides weather data on-chain
  * Replaces Chainlink oracle dependency with a custom solution for RadiShield
+ * Authorized oracles either write data directly or sign EIP-712 attestations that
+ * anyone can relay, so the signing key does not need to hold gas
+ * In quorum mode single writes are disabled: every oracle submits its own observation for a
+ * cell's open round, and the median is stored once `quorum` of them agree within tolerance
  */
 contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
     // Custom Errors for better error handling
     error InvalidCoordinates(int256 lat, int256 lon);
-    error InvalidWeatherData(uint256 rainfall30d, uint256 rainfall24h, uint256 temperature);
+    error InvalidWeatherData(uint256 rainfall30d, uint256 rainfall24h, int256 temperature);
     error UnauthorizedOracle(address caller);
     error DataNotFound(bytes32 locationHash);
     error StaleData(uint256 timestamp, uint256 maxAge);
     error ZeroAddress();
     error InvalidTimestamp(uint256 timestamp);
+    error InvalidGridResolution(uint256 resolution);
+    error InvalidSignature();
+    error AttestationAlreadyUsed(bytes32 digest);
+    error OutdatedAttestation(uint256 observedAt, uint256 latestTimestamp);
+    error InvalidSource(string source);
+    error QuorumRequired();
+    error QuorumDisabled();
+    error InvalidQuorum(uint256 quorum, uint256 oracleCount);
+    error InvalidRound(uint256 roundId, uint256 currentRoundId);
+    error AlreadySubmitted(address oracle, uint256 roundId);
 
     // Using WeatherData struct from interface
 
@@ -26,13 +42,68 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
     mapping(bytes32 => WeatherData) private weatherDataByLocation;
     mapping(bytes32 => uint256) private lastUpdateTime;
     mapping(address => bool) public authorizedOracles;
+    mapping(bytes32 => Provenance) private provenanceByLocation;
+    mapping(bytes32 => bool) public usedAttestations;
+
+    // Quorum mode (0 = disabled, the latest single write wins)
+    uint256 public override quorum;
+    uint256 public quorumToleranceBps; // allowed distance from the median, in basis points
+    uint256 public oracleCount;
+    mapping(bytes32 => uint256) private openRoundIds; // cell => round currently collecting
+    mapping(bytes32 => uint256) private roundStartTimes; // cell => first submission of that round
+    mapping(bytes32 => QuorumObservation[]) private roundObservations; // round key => readings
+    mapping(bytes32 => mapping(address => bool)) private roundSubmitted; // round key => oracle
+
+    // Size of a weather grid cell in scaled coordinate units (1 = exact position, 1000 = 0.1°).
+    // Coordinates are snapped to the south-west corner of their cell before hashing,
+    // so one update covers every location in the cell.
+    uint256 public override gridResolution = 1;
 
     // Constants
     uint256 public constant DATA_FRESHNESS_THRESHOLD = 24 hours; // 24 hours in seconds
-    uint256 public constant MAX_RAINFALL_30D = 10000000; // mm * 1000 (scaled for bot format)
-    uint256 public constant MAX_RAINFALL_24H = 1000000; // mm * 1000 (scaled for bot format)
-    uint256 public constant MAX_TEMPERATURE = 100000; // 100°C * 1000 (for decimals, bot format)
-    uint256 public constant MIN_TEMPERATURE = 0; // -100°C * 1000 (stored as 0, actual -100)
+    uint256 public constant MAX_RAINFALL_30D = WeatherUnits.MAX_RAINFALL_30D; // 10000 mm, scaled
+    uint256 public constant MAX_RAINFALL_24H = WeatherUnits.MAX_RAINFALL_24H; // 1000 mm, scaled
+    int256 public constant MAX_TEMPERATURE = WeatherUnits.MAX_TEMPERATURE; // 100°C, scaled
+    int256 public constant MIN_TEMPERATURE = WeatherUnits.MIN_TEMPERATURE; // -100°C, scaled
+    uint256 public constant MAX_GRID_RESOLUTION = 10000; // 1° cells
+    uint256 public constant HISTORY_SIZE = 128; // readings kept per cell, oldest overwritten
+
+    // Past readings per cell, kept in a ring buffer so payouts can be audited after the
+    // next update. Packed into one slot; values fit since they pass _validateWeatherData.
+    struct HistoryEntry {
+        uint64 rainfall30d;
+        uint64 rainfall24h;
+        int64 temperature;
+        uint64 timestamp;
+    }
+    mapping(bytes32 => HistoryEntry[HISTORY_SIZE]) private historyByLocation;
+    mapping(bytes32 => uint256) private historyCount; // readings ever recorded per cell
+
+    // EIP-712 signed attestations. The domain is built here rather than with OpenZeppelin's
+    // EIP712 base, which needs a newer compiler than this project targets.
+    bytes32 public constant ATTESTATION_TYPEHASH = keccak256(
+        "WeatherAttestation(int256 latitude,int256 longitude,uint256 rainfall30d,uint256 rainfall24h,int256 temperature,uint256 observedAt,string source)"
+    );
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    string public constant EIP712_NAME = "RadiShield WeatherOracle";
+    string public constant EIP712_VERSION = "1";
+    uint256 public constant MAX_ATTESTATION_AGE = 6 hours; // oldest observation a relayer may submit
+    uint256 public constant MAX_CLOCK_SKEW = 5 minutes; // signer clock ahead of the chain
+    uint256 public constant MAX_SOURCE_LENGTH = 64;
+
+    // Quorum rounds. Readings always agree when this close, however small the median (same
+    // floors as the bot's WeatherAggregator)
+    uint256 public constant QUORUM_ROUND_TIMEOUT = 1 hours; // an unfinished round is abandoned
+    int256 public constant QUORUM_RAINFALL_30D_TOLERANCE = 5 * int256(WeatherUnits.RAINFALL_SCALE);
+    int256 public constant QUORUM_RAINFALL_24H_TOLERANCE = 2 * int256(WeatherUnits.RAINFALL_SCALE);
+    int256 public constant QUORUM_TEMPERATURE_TOLERANCE = 2 * WeatherUnits.TEMPERATURE_SCALE;
+
+    uint256 private immutable cachedChainId;
+    bytes32 private immutable cachedDomainSeparator;
+
+    event GridResolutionUpdated(uint256 oldResolution, uint256 newResolution);
 
     // Events are defined in the interface
 
@@ -42,7 +113,12 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
     constructor() Ownable(msg.sender) {
         // Owner is automatically authorized as oracle
         authorizedOracles[msg.sender] = true;
+        oracleCount = 1;
         emit OracleAuthorized(msg.sender);
+
+        quorumToleranceBps = 1000; // 10%
+        cachedChainId = block.chainid;
+        cachedDomainSeparator = _buildDomainSeparator();
     }
 
     /**
@@ -55,6 +131,16 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
         _;
     }
 
+    /**
+     * @dev Modifier for single-writer updates, which quorum mode replaces
+     */
+    modifier withoutQuorum() {
+        if (quorum > 0) {
+            revert QuorumRequired();
+        }
+        _;
+    }
+
     /**
      * @dev Update weather data for specific GPS coordinates
      * @param latitude GPS latitude (scaled by 10000)
@@ -65,28 +151,29 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
         int256 latitude,
         int256 longitude,
         WeatherData memory data
-    ) external override onlyAuthorizedOracle nonReentrant {
+    ) external override onlyAuthorizedOracle withoutQuorum nonReentrant {
         // Validate GPS coordinates
         _validateCoordinates(latitude, longitude);
 
         // Validate weather data
         _validateWeatherData(data);
 
-        // Generate location hash
-        bytes32 locationHash = _getLocationHash(latitude, longitude);
+        // Snap to the grid cell and generate its location hash
+        (int256 cellLatitude, int256 cellLongitude) = snapToGrid(latitude, longitude);
+        bytes32 locationHash = _getCellHash(cellLatitude, cellLongitude);
 
         // Update timestamp to current block timestamp
         data.timestamp = block.timestamp;
         data.isValid = true;
 
         // Store weather data
-        weatherDataByLocation[locationHash] = data;
-        lastUpdateTime[locationHash] = block.timestamp;
+        _storeWeatherData(locationHash, data);
+        delete provenanceByLocation[locationHash]; // written directly, not attested
 
         // Emit event
         emit WeatherDataUpdated(
-            latitude,
-            longitude,
+            cellLatitude,
+            cellLongitude,
             data.rainfall30d,
             data.rainfall24h,
             data.temperature,
@@ -94,6 +181,253 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
         );
     }
 
+    /**
+     * @dev Store an observation signed by an authorized oracle (EIP-712). Anyone may relay it.
+     * Each attestation is accepted once, must be recent, and cannot replace newer data.
+     * @param attestation Signed observation (coordinates scaled by 10000, weather in WeatherUnits)
+     * @param signature EIP-712 signature over the attestation by an authorized oracle
+     */
+    function submitSignedWeatherData(
+        WeatherAttestation calldata attestation,
+        bytes calldata signature
+    ) external override withoutQuorum nonReentrant {
+        bytes32 digest = getAttestationDigest(attestation);
+        if (usedAttestations[digest]) {
+            revert AttestationAlreadyUsed(digest);
+        }
+
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature);
+        if (error != ECDSA.RecoverError.NoError) {
+            revert InvalidSignature();
+        }
+        if (!authorizedOracles[signer]) {
+            revert UnauthorizedOracle(signer);
+        }
+
+        _validateCoordinates(attestation.latitude, attestation.longitude);
+        if (
+            attestation.observedAt > block.timestamp + MAX_CLOCK_SKEW ||
+            attestation.observedAt + MAX_ATTESTATION_AGE < block.timestamp
+        ) {
+            revert InvalidTimestamp(attestation.observedAt);
+        }
+        uint256 sourceLength = bytes(attestation.source).length;
+        if (sourceLength == 0 || sourceLength > MAX_SOURCE_LENGTH) {
+            revert InvalidSource(attestation.source);
+        }
+
+        // Data time is the observation time, capped so freshness checks never see the future
+        WeatherData memory data = WeatherData({
+            rainfall30d: attestation.rainfall30d,
+            rainfall24h: attestation.rainfall24h,
+            temperature: attestation.temperature,
+            timestamp: attestation.observedAt < block.timestamp
+                ? attestation.observedAt
+                : block.timestamp,
+            isValid: true
+        });
+        _validateWeatherData(data);
+
+        (int256 cellLatitude, int256 cellLongitude) = snapToGrid(
+            attestation.latitude,
+            attestation.longitude
+        );
+        bytes32 locationHash = _getCellHash(cellLatitude, cellLongitude);
+
+        WeatherData storage current = weatherDataByLocation[locationHash];
+        if (current.isValid && current.timestamp >= data.timestamp) {
+            revert OutdatedAttestation(attestation.observedAt, current.timestamp);
+        }
+
+        usedAttestations[digest] = true;
+        _storeWeatherData(locationHash, data);
+        provenanceByLocation[locationHash] = Provenance({
+            signer: signer,
+            observedAt: attestation.observedAt,
+            source: attestation.source
+        });
+
+        emit WeatherDataUpdated(
+            cellLatitude,
+            cellLongitude,
+            data.rainfall30d,
+            data.rainfall24h,
+            data.temperature,
+            data.timestamp
+        );
+        emit WeatherDataAttested(
+            cellLatitude,
+            cellLongitude,
+            signer,
+            msg.sender,
+            attestation.observedAt,
+            attestation.source
+        );
+    }
+
+    /**
+     * @dev EIP-712 digest an oracle signs for an attestation
+     * @param attestation Observation to sign
+     * @return Typed data hash
+     */
+    function getAttestationDigest(
+        WeatherAttestation calldata attestation
+    ) public view override returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                ATTESTATION_TYPEHASH,
+                attestation.latitude,
+                attestation.longitude,
+                attestation.rainfall30d,
+                attestation.rainfall24h,
+                attestation.temperature,
+                attestation.observedAt,
+                keccak256(bytes(attestation.source))
+            )
+        );
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+
+    /**
+     * @dev EIP-712 domain separator (rebuilt if the chain forks to a new chain ID)
+     * @return Domain separator for this contract and chain
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return block.chainid == cachedChainId ? cachedDomainSeparator : _buildDomainSeparator();
+    }
+
+    /**
+     * @dev Get who signed the current data of a grid cell
+     * @param latitude GPS latitude (scaled by 10000)
+     * @param longitude GPS longitude (scaled by 10000)
+     * @return Signer, observation time and source (empty if the data was written directly)
+     */
+    function getProvenance(
+        int256 latitude,
+        int256 longitude
+    ) external view override returns (Provenance memory) {
+        _validateCoordinates(latitude, longitude);
+        return provenanceByLocation[_getLocationHash(latitude, longitude)];
+    }
+
+    /**
+     * @dev Submit this oracle's observation for a cell's open quorum round. Once `quorum`
+     * observations agree with the median within tolerance, the median of those is stored
+     * @param latitude GPS latitude (scaled by 10000)
+     * @param longitude GPS longitude (scaled by 10000)
+     * @param roundId Round the observation was made for (see getQuorumRound)
+     * @param data Weather data struct containing rainfall and temperature
+     */
+    function submitObservation(
+        int256 latitude,
+        int256 longitude,
+        uint256 roundId,
+        WeatherData calldata data
+    ) external override onlyAuthorizedOracle nonReentrant {
+        if (quorum == 0) {
+            revert QuorumDisabled();
+        }
+        _validateCoordinates(latitude, longitude);
+        _validateWeatherData(data);
+
+        (int256 cellLatitude, int256 cellLongitude) = snapToGrid(latitude, longitude);
+        bytes32 cellHash = _getCellHash(cellLatitude, cellLongitude);
+
+        // An unfinished round expires, so a stuck disagreement cannot block the cell
+        uint256 currentRoundId = openRoundIds[cellHash];
+        if (_isRoundExpired(cellHash)) {
+            emit QuorumFailed(
+                cellLatitude,
+                cellLongitude,
+                currentRoundId,
+                roundObservations[_getRoundKey(cellHash, currentRoundId)].length
+            );
+            currentRoundId = _closeRound(cellHash);
+        }
+        if (roundId != currentRoundId) {
+            revert InvalidRound(roundId, currentRoundId);
+        }
+
+        bytes32 roundKey = _getRoundKey(cellHash, roundId);
+        if (roundSubmitted[roundKey][msg.sender]) {
+            revert AlreadySubmitted(msg.sender, roundId);
+        }
+        if (roundStartTimes[cellHash] == 0) {
+            roundStartTimes[cellHash] = block.timestamp;
+        }
+        roundSubmitted[roundKey][msg.sender] = true;
+        roundObservations[roundKey].push(
+            QuorumObservation({
+                oracle: msg.sender,
+                rainfall30d: data.rainfall30d,
+                rainfall24h: data.rainfall24h,
+                temperature: data.temperature
+            })
+        );
+        emit ObservationSubmitted(cellLatitude, cellLongitude, roundId, msg.sender);
+
+        if (roundObservations[roundKey].length >= quorum) {
+            _tryFinalizeRound(cellHash, cellLatitude, cellLongitude, roundId);
+        }
+    }
+
+    /**
+     * @dev Get the quorum round a cell is collecting observations for
+     * @param latitude GPS latitude (scaled by 10000)
+     * @param longitude GPS longitude (scaled by 10000)
+     * @return roundId Round to submit observations for
+     * @return startedAt Time of the round's first observation (0 if none yet)
+     * @return submissions Observations received so far
+     */
+    function getQuorumRound(
+        int256 latitude,
+        int256 longitude
+    ) external view override returns (uint256 roundId, uint256 startedAt, uint256 submissions) {
+        _validateCoordinates(latitude, longitude);
+        bytes32 cellHash = _getLocationHash(latitude, longitude);
+
+        roundId = openRoundIds[cellHash];
+        if (_isRoundExpired(cellHash)) {
+            return (roundId + 1, 0, 0); // opened by the next submission
+        }
+        startedAt = roundStartTimes[cellHash];
+        submissions = roundObservations[_getRoundKey(cellHash, roundId)].length;
+    }
+
+    /**
+     * @dev Get the observations submitted for a quorum round
+     * @param latitude GPS latitude (scaled by 10000)
+     * @param longitude GPS longitude (scaled by 10000)
+     * @param roundId Round to read
+     * @return Observations in submission order
+     */
+    function getRoundObservations(
+        int256 latitude,
+        int256 longitude,
+        uint256 roundId
+    ) external view override returns (QuorumObservation[] memory) {
+        _validateCoordinates(latitude, longitude);
+        return roundObservations[_getRoundKey(_getLocationHash(latitude, longitude), roundId)];
+    }
+
+    /**
+     * @dev Check whether an oracle already submitted an observation for a quorum round
+     * @param latitude GPS latitude (scaled by 10000)
+     * @param longitude GPS longitude (scaled by 10000)
+     * @param roundId Round to check
+     * @param oracle Oracle address
+     * @return True if the oracle has submitted for the round
+     */
+    function hasSubmittedObservation(
+        int256 latitude,
+        int256 longitude,
+        uint256 roundId,
+        address oracle
+    ) external view override returns (bool) {
+        _validateCoordinates(latitude, longitude);
+        return roundSubmitted[_getRoundKey(_getLocationHash(latitude, longitude), roundId)][oracle];
+    }
+
     /**
      * @dev Get weather data for specific GPS coordinates
      * @param latitude GPS latitude (scaled by 10000)
@@ -121,6 +455,60 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
         return weatherDataByLocation[locationHash];
     }
 
+    /**
+     * @dev Get how many past readings are kept for a location
+     * @param latitude GPS latitude (scaled by 10000)
+     * @param longitude GPS longitude (scaled by 10000)
+     * @return Number of readings available to getWeatherHistory (at most HISTORY_SIZE)
+     */
+    function getWeatherHistoryLength(
+        int256 latitude,
+        int256 longitude
+    ) public view override returns (uint256) {
+        _validateCoordinates(latitude, longitude);
+        uint256 count = historyCount[_getLocationHash(latitude, longitude)];
+        return count < HISTORY_SIZE ? count : HISTORY_SIZE;
+    }
+
+    /**
+     * @dev Page through the past readings of a location, newest first
+     * @param latitude GPS latitude (scaled by 10000)
+     * @param longitude GPS longitude (scaled by 10000)
+     * @param offset Readings to skip (0 starts at the current reading)
+     * @param limit Maximum number of readings to return
+     * @return readings Weather data as it was stored, newest first
+     */
+    function getWeatherHistory(
+        int256 latitude,
+        int256 longitude,
+        uint256 offset,
+        uint256 limit
+    ) external view override returns (WeatherData[] memory readings) {
+        uint256 available = getWeatherHistoryLength(latitude, longitude);
+        if (offset >= available) {
+            return new WeatherData[](0);
+        }
+        if (limit > available - offset) {
+            limit = available - offset;
+        }
+
+        bytes32 locationHash = _getLocationHash(latitude, longitude);
+        uint256 newest = historyCount[locationHash] - 1;
+        readings = new WeatherData[](limit);
+        for (uint256 i = 0; i < limit; i++) {
+            HistoryEntry storage entry = historyByLocation[locationHash][
+                (newest - offset - i) % HISTORY_SIZE
+            ];
+            readings[i] = WeatherData({
+                rainfall30d: entry.rainfall30d,
+                rainfall24h: entry.rainfall24h,
+                temperature: entry.temperature,
+                timestamp: entry.timestamp,
+                isValid: true
+            });
+        }
+    }
+
     /**
      * @dev Check if weather data is fresh (within freshness threshold)
      * @param latitude GPS latitude (scaled by 10000)
@@ -161,8 +549,55 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
         // Validate GPS coordinates
         _validateCoordinates(latitude, longitude);
 
-        // Emit request event for oracle bot
-        emit WeatherDataRequested(latitude, longitude, msg.sender);
+        // Emit request event for oracle bot with the grid cell it should update
+        (int256 cellLatitude, int256 cellLongitude) = snapToGrid(latitude, longitude);
+        emit WeatherDataRequested(cellLatitude, cellLongitude, msg.sender);
+    }
+
+    /**
+     * @dev Set the grid cell size used to key weather data
+     * Data stored under the previous resolution is no longer reachable and must be refreshed
+     * @param resolution Cell size in scaled coordinate units (1 = exact, 1000 = 0.1°)
+     */
+    function setGridResolution(uint256 resolution) external onlyOwner {
+        if (resolution == 0 || resolution > MAX_GRID_RESOLUTION) {
+            revert InvalidGridResolution(resolution);
+        }
+
+        uint256 oldResolution = gridResolution;
+        gridResolution = resolution;
+        emit GridResolutionUpdated(oldResolution, resolution);
+    }
+
+    /**
+     * @dev Turn quorum mode on or off
+     * @param newQuorum Agreeing observations needed to store data (0 = single writes)
+     * @param toleranceBps Allowed distance from the median in basis points, above the fixed floors
+     */
+    function setQuorum(uint256 newQuorum, uint256 toleranceBps) external onlyOwner {
+        if (newQuorum > oracleCount || toleranceBps > 10000) {
+            revert InvalidQuorum(newQuorum, oracleCount);
+        }
+
+        quorum = newQuorum;
+        quorumToleranceBps = toleranceBps;
+        emit QuorumUpdated(newQuorum, toleranceBps);
+    }
+
+    /**
+     * @dev Snap coordinates to the south-west corner of their grid cell
+     * @param latitude GPS latitude (scaled by 10000)
+     * @param longitude GPS longitude (scaled by 10000)
+     * @return cellLatitude Latitude of the cell corner (scaled by 10000)
+     * @return cellLongitude Longitude of the cell corner (scaled by 10000)
+     */
+    function snapToGrid(
+        int256 latitude,
+        int256 longitude
+    ) public view override returns (int256 cellLatitude, int256 cellLongitude) {
+        int256 resolution = int256(gridResolution);
+        cellLatitude = _floorToMultiple(latitude, resolution);
+        cellLongitude = _floorToMultiple(longitude, resolution);
     }
 
     /**
@@ -174,12 +609,16 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
             revert ZeroAddress();
         }
 
-        authorizedOracles[oracle] = true;
+        if (!authorizedOracles[oracle]) {
+            authorizedOracles[oracle] = true;
+            oracleCount++;
+        }
         emit OracleAuthorized(oracle);
     }
 
     /**
      * @dev Revoke oracle authorization
+     * Fewer oracles than the quorum could never finish a round, so lower the quorum first
      * @param oracle Address to revoke oracle authorization from
      */
     function revokeOracle(address oracle) external override onlyOwner {
@@ -187,7 +626,13 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
             revert ZeroAddress();
         }
 
-        authorizedOracles[oracle] = false;
+        if (authorizedOracles[oracle]) {
+            if (quorum > oracleCount - 1) {
+                revert InvalidQuorum(quorum, oracleCount - 1);
+            }
+            authorizedOracles[oracle] = false;
+            oracleCount--;
+        }
         emit OracleRevoked(oracle);
     }
 
@@ -219,6 +664,25 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
         return lastUpdateTime[locationHash];
     }
 
+    /**
+     * @dev Make data the current reading of a cell and append it to the cell's history
+     * @param locationHash Cell hash
+     * @param data Validated weather data
+     */
+    function _storeWeatherData(bytes32 locationHash, WeatherData memory data) internal {
+        weatherDataByLocation[locationHash] = data;
+        lastUpdateTime[locationHash] = block.timestamp;
+
+        uint256 count = historyCount[locationHash];
+        historyByLocation[locationHash][count % HISTORY_SIZE] = HistoryEntry({
+            rainfall30d: uint64(data.rainfall30d),
+            rainfall24h: uint64(data.rainfall24h),
+            temperature: int64(data.temperature),
+            timestamp: uint64(data.timestamp)
+        });
+        historyCount[locationHash] = count + 1;
+    }
+
     /**
      * @dev Internal function to validate GPS coordinates
      * @param latitude GPS latitude (scaled by 10000)
@@ -244,8 +708,8 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
             revert InvalidWeatherData(data.rainfall30d, data.rainfall24h, data.temperature);
         }
 
-        // Validate temperature range (0 to 100000 represents -100°C to 100°C, scaled by 1000)
-        if (data.temperature > MAX_TEMPERATURE) {
+        // Validate temperature range (-100°C to 100°C, scaled by WeatherUnits.TEMPERATURE_SCALE)
+        if (data.temperature < MIN_TEMPERATURE || data.temperature > MAX_TEMPERATURE) {
             revert InvalidWeatherData(data.rainfall30d, data.rainfall24h, data.temperature);
         }
 
@@ -255,27 +719,270 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
         }
     }
 
+    /**
+     * @dev Store the round's median once enough observations agree with it, or give up
+     * on the round when every oracle has answered without agreement
+     * @param cellHash Hash of the grid cell
+     * @param cellLatitude Latitude of the cell corner (scaled by 10000)
+     * @param cellLongitude Longitude of the cell corner (scaled by 10000)
+     * @param roundId Round to evaluate
+     */
+    function _tryFinalizeRound(
+        bytes32 cellHash,
+        int256 cellLatitude,
+        int256 cellLongitude,
+        uint256 roundId
+    ) internal {
+        QuorumObservation[] storage observations = roundObservations[
+            _getRoundKey(cellHash, roundId)
+        ];
+        uint256 submitted = observations.length;
+
+        // Readings from oracles revoked since they submitted are ignored
+        int256[] memory rainfall30d = new int256[](submitted);
+        int256[] memory rainfall24h = new int256[](submitted);
+        int256[] memory temperature = new int256[](submitted);
+        uint256 count;
+        for (uint256 i = 0; i < submitted; i++) {
+            QuorumObservation storage observation = observations[i];
+            if (!authorizedOracles[observation.oracle]) {
+                continue;
+            }
+            rainfall30d[count] = int256(observation.rainfall30d);
+            rainfall24h[count] = int256(observation.rainfall24h);
+            temperature[count] = observation.temperature;
+            count++;
+        }
+
+        uint256 agreeing = _keepAgreeing(rainfall30d, rainfall24h, temperature, count);
+        if (agreeing < quorum) {
+            if (count >= oracleCount) {
+                emit QuorumFailed(cellLatitude, cellLongitude, roundId, submitted);
+                _closeRound(cellHash);
+            }
+            return;
+        }
+
+        WeatherData memory data = WeatherData({
+            rainfall30d: uint256(_median(rainfall30d, agreeing)),
+            rainfall24h: uint256(_median(rainfall24h, agreeing)),
+            temperature: _median(temperature, agreeing),
+            timestamp: block.timestamp,
+            isValid: true
+        });
+        // Medians of consistent readings can still have 24h above 30d rainfall
+        if (data.rainfall24h > data.rainfall30d) {
+            data.rainfall24h = data.rainfall30d;
+        }
+
+        _storeWeatherData(cellHash, data);
+        delete provenanceByLocation[cellHash];
+        _closeRound(cellHash);
+
+        emit WeatherDataUpdated(
+            cellLatitude,
+            cellLongitude,
+            data.rainfall30d,
+            data.rainfall24h,
+            data.temperature,
+            data.timestamp
+        );
+        emit QuorumReached(cellLatitude, cellLongitude, roundId, agreeing, submitted);
+    }
+
+    /**
+     * @dev Move the readings that agree with the median on every field to the front of the
+     * arrays
+     * @param rainfall30d 30-day rainfall readings
+     * @param rainfall24h 24-hour rainfall readings
+     * @param temperature Temperature readings
+     * @param count Number of readings in the arrays
+     * @return agreeing Number of agreeing readings
+     */
+    function _keepAgreeing(
+        int256[] memory rainfall30d,
+        int256[] memory rainfall24h,
+        int256[] memory temperature,
+        uint256 count
+    ) internal view returns (uint256 agreeing) {
+        if (count == 0) {
+            return 0;
+        }
+        int256 median30d = _median(_copy(rainfall30d, count), count);
+        int256 median24h = _median(_copy(rainfall24h, count), count);
+        int256 medianTemperature = _median(_copy(temperature, count), count);
+
+        for (uint256 i = 0; i < count; i++) {
+            if (
+                _isWithinTolerance(rainfall30d[i], median30d, QUORUM_RAINFALL_30D_TOLERANCE) &&
+                _isWithinTolerance(rainfall24h[i], median24h, QUORUM_RAINFALL_24H_TOLERANCE) &&
+                _isWithinTolerance(temperature[i], medianTemperature, QUORUM_TEMPERATURE_TOLERANCE)
+            ) {
+                rainfall30d[agreeing] = rainfall30d[i];
+                rainfall24h[agreeing] = rainfall24h[i];
+                temperature[agreeing] = temperature[i];
+                agreeing++;
+            }
+        }
+    }
+
+    /**
+     * @dev Check whether a reading is close enough to the median
+     * @param value Reading
+     * @param center Median of the readings
+     * @param floor Smallest tolerance, for medians near zero
+     * @return True if the reading agrees
+     */
+    function _isWithinTolerance(
+        int256 value,
+        int256 center,
+        int256 floor
+    ) internal view returns (bool) {
+        int256 tolerance = ((center < 0 ? -center : center) * int256(quorumToleranceBps)) / 10000;
+        if (tolerance < floor) {
+            tolerance = floor;
+        }
+        int256 distance = value > center ? value - center : center - value;
+        return distance <= tolerance;
+    }
+
+    /**
+     * @dev Median of the first `count` values (sorts them in place)
+     * @param values Readings
+     * @param count Number of readings to use
+     * @return Median (mean of the middle pair, rounded towards zero, for an even count)
+     */
+    function _median(int256[] memory values, uint256 count) internal pure returns (int256) {
+        // Insertion sort: there is at most one reading per oracle
+        for (uint256 i = 1; i < count; i++) {
+            int256 value = values[i];
+            uint256 j = i;
+            while (j > 0 && values[j - 1] > value) {
+                values[j] = values[j - 1];
+                j--;
+            }
+            values[j] = value;
+        }
+
+        uint256 middle = count / 2;
+        if (count % 2 == 1) {
+            return values[middle];
+        }
+        return (values[middle - 1] + values[middle]) / 2;
+    }
+
+    /**
+     * @dev Copy the first `count` values
+     * @param values Source array
+     * @param count Number of values to copy
+     * @return copy New array
+     */
+    function _copy(
+        int256[] memory values,
+        uint256 count
+    ) internal pure returns (int256[] memory copy) {
+        copy = new int256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            copy[i] = values[i];
+        }
+    }
+
+    /**
+     * @dev Check whether a cell's open round has run out of time
+     * @param cellHash Hash of the grid cell
+     * @return True if the round started more than QUORUM_ROUND_TIMEOUT ago
+     */
+    function _isRoundExpired(bytes32 cellHash) internal view returns (bool) {
+        uint256 startedAt = roundStartTimes[cellHash];
+        return startedAt != 0 && block.timestamp > startedAt + QUORUM_ROUND_TIMEOUT;
+    }
+
+    /**
+     * @dev Close a cell's open round and open the next one
+     * @param cellHash Hash of the grid cell
+     * @return Next round ID
+     */
+    function _closeRound(bytes32 cellHash) internal returns (uint256) {
+        roundStartTimes[cellHash] = 0;
+        return ++openRoundIds[cellHash];
+    }
+
+    /**
+     * @dev Key of a cell's quorum round
+     * @param cellHash Hash of the grid cell
+     * @param roundId Round ID
+     * @return Round key
+     */
+    function _getRoundKey(bytes32 cellHash, uint256 roundId) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(cellHash, roundId));
+    }
+
+    /**
+     * @dev Build the EIP-712 domain separator for the current chain
+     * @return Domain separator
+     */
+    function _buildDomainSeparator() internal view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256(bytes(EIP712_NAME)),
+                    keccak256(bytes(EIP712_VERSION)),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    /**
+     * @dev Round down to a multiple of step (towards negative infinity)
+     * @param value Value to round
+     * @param step Positive step size
+     * @return Largest multiple of step that is <= value
+     */
+    function _floorToMultiple(int256 value, int256 step) internal pure returns (int256) {
+        int256 remainder = value % step;
+        if (remainder < 0) {
+            remainder += step;
+        }
+        return value - remainder;
+    }
+
     /**
      * @dev Internal function to generate location hash from coordinates
      * @param latitude GPS latitude (scaled by 10000)
      * @param longitude GPS longitude (scaled by 10000)
+     * @return Location hash for mapping key (of the grid cell containing the coordinates)
+     */
+    function _getLocationHash(int256 latitude, int256 longitude) internal view returns (bytes32) {
+        (int256 cellLatitude, int256 cellLongitude) = snapToGrid(latitude, longitude);
+        return _getCellHash(cellLatitude, cellLongitude);
+    }
+
+    /**
+     * @dev Internal function to hash coordinates that are already snapped to the grid
+     * @param cellLatitude Latitude of the cell corner (scaled by 10000)
+     * @param cellLongitude Longitude of the cell corner (scaled by 10000)
      * @return Location hash for mapping key
      */
-    function _getLocationHash(int256 latitude, int256 longitude) internal pure returns (bytes32) {
-        return keccak256(abi.encodePacked(latitude, longitude));
+    function _getCellHash(
+        int256 cellLatitude,
+        int256 cellLongitude
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(cellLatitude, cellLongitude));
     }
 
     /**
      * @dev Get location hash for external use (for debugging/testing)
      * @param latitude GPS latitude (scaled by 10000)
      * @param longitude GPS longitude (scaled by 10000)
-     * @return Location hash
+     * @return Location hash of the grid cell containing the coordinates
      */
     function getLocationHash(
         int256 latitude,
         int256 longitude
-    ) external pure override returns (bytes32) {
-        return keccak256(abi.encodePacked(latitude, longitude));
+    ) external view override returns (bytes32) {
+        return _getLocationHash(latitude, longitude);
     }
 
     /**
@@ -288,7 +995,7 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
         int256[] calldata latitudes,
         int256[] calldata longitudes,
         WeatherData[] calldata weatherDataArray
-    ) external override onlyAuthorizedOracle nonReentrant {
+    ) external override onlyAuthorizedOracle withoutQuorum nonReentrant {
         // Validate array lengths match
         require(
             latitudes.length == longitudes.length && longitudes.length == weatherDataArray.length,
@@ -303,21 +1010,22 @@ contract WeatherOracle is IWeatherOracle, Ownable, ReentrancyGuard {
             WeatherData memory data = weatherDataArray[i];
             _validateWeatherData(data);
 
-            // Generate location hash
-            bytes32 locationHash = _getLocationHash(latitudes[i], longitudes[i]);
+            // Snap to the grid cell and generate its location hash
+            (int256 cellLatitude, int256 cellLongitude) = snapToGrid(latitudes[i], longitudes[i]);
+            bytes32 locationHash = _getCellHash(cellLatitude, cellLongitude);
 
             // Update timestamp and validity
             data.timestamp = block.timestamp;
             data.isValid = true;
 
             // Store weather data
-            weatherDataByLocation[locationHash] = data;
-            lastUpdateTime[locationHash] = block.timestamp;
+            _storeWeatherData(locationHash, data);
+            delete provenanceByLocation[locationHash];
 
             // Emit event
             emit WeatherDataUpdated(
-                latitudes[i],
-                longitudes[i],
+                cellLatitude,
+                cellLongitude,
                 data.rainfall30d,
                 data.rainfall24h,
                 data.temperature,
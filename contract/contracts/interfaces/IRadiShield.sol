@@ -23,11 +23,51 @@ interface IRadiShield {
     struct WeatherData {
         uint256 rainfall30d;
         uint256 rainfall24h;
-        uint256 temperature;
+        int256 temperature;
         uint256 timestamp;
         bool isValid;
     }
 
+    // Weather observed at a policy's location over part of its coverage,
+    // submitted by an authorized oracle for that policy alone
+    struct PolicyWeather {
+        uint256 periodStart; // first second counted (>= policy start)
+        uint256 periodEnd; // end of the last day counted, exclusive
+        uint256 totalRainfall; // mm * WeatherUnits.RAINFALL_SCALE over the period
+        uint256 maxRainfall24h; // wettest day in the period
+        int256 maxTemperature; // highest daily maximum in the period
+        uint256 timestamp; // submission time
+    }
+
+    // Payout triggers of a crop, in whole mm and °C like the default constants
+    struct TriggerProfile {
+        uint256 droughtThreshold; // pays out below this rainfall in 30 days (mm)
+        uint256 floodThreshold; // pays out above this rainfall in 24 hours (mm)
+        int256 heatwaveThreshold; // pays out above this temperature (°C)
+        uint256 heatwavePayoutRate; // share of coverage a heatwave pays (%)
+    }
+
+    // Area whose crops can have their own trigger profiles (coordinates scaled by 10000)
+    struct Region {
+        string name; // e.g. "sahel"
+        int256 minLatitude;
+        int256 maxLatitude;
+        int256 minLongitude;
+        int256 maxLongitude;
+    }
+
+    // Triggered payout waiting out the dispute window (optimistic mode)
+    struct PendingPayout {
+        uint256 amount; // payout if it settles
+        string triggerType; // e.g. "severe_drought"
+        uint256 triggeredAt; // when the trigger was met
+        uint256 weatherTimestamp; // when the weather behind the trigger was observed (period end for policy weather)
+        uint256 settlesAt; // end of the dispute window
+        bool disputed; // challenged, waiting for the owner to resolve
+        address challenger; // who disputed it
+        WeatherData counterData; // weather the challenger says was observed instead
+    }
+
     event PolicyCreated(
         uint256 indexed policyId,
         address indexed farmer,
@@ -35,6 +75,35 @@ interface IRadiShield {
         string cropType
     );
     event WeatherDataRequested(uint256 indexed policyId, bytes32 indexed requestId);
+    event PolicyWeatherSubmitted(
+        uint256 indexed policyId,
+        uint256 periodStart,
+        uint256 periodEnd,
+        uint256 totalRainfall,
+        uint256 maxRainfall24h,
+        int256 maxTemperature
+    );
+    event TriggerProfileSet(string cropType, string region, TriggerProfile profile);
+    event TriggerProfileRemoved(string cropType, string region);
+    event RegionSet(
+        string name,
+        int256 minLatitude,
+        int256 maxLatitude,
+        int256 minLongitude,
+        int256 maxLongitude
+    );
+    event RegionRemoved(string name);
+    event PayoutPending(uint256 indexed policyId, uint256 amount, uint256 settlesAt);
+    event PayoutChallenged(
+        uint256 indexed policyId,
+        address indexed challenger,
+        uint256 rainfall30d,
+        uint256 rainfall24h,
+        int256 temperature
+    );
+    event DisputeResolved(uint256 indexed policyId, bool payoutStands);
+    event DisputeWindowUpdated(uint256 oldWindow, uint256 newWindow);
+    event ChallengerUpdated(address indexed oldChallenger, address indexed newChallenger);
     event ClaimPaid(
         uint256 indexed policyId,
         address indexed farmer,
@@ -60,6 +129,31 @@ interface IRadiShield {
 
     function getPoliciesByFarmer(address farmer) external view returns (uint256[] memory);
 
+    function submitPolicyWeather(
+        uint256 policyId,
+        PolicyWeather memory data
+    ) external returns (uint256 payoutAmount);
+
+    function getPolicyWeather(uint256 policyId) external view returns (PolicyWeather memory);
+
+    function getTriggerProfile(
+        string memory cropType,
+        int256 latitude,
+        int256 longitude
+    ) external view returns (TriggerProfile memory);
+
+    function getPolicyTriggers(uint256 policyId) external view returns (TriggerProfile memory);
+
+    function getRegions() external view returns (Region[] memory);
+
+    function settlePayout(uint256 policyId) external;
+
+    function challengePayout(uint256 policyId, WeatherData memory counterData) external;
+
+    function resolveDispute(uint256 policyId, bool payoutStands) external;
+
+    function getPendingPayout(uint256 policyId) external view returns (PendingPayout memory);
+
     function isPolicyActive(uint256 policyId) external view returns (bool);
 
     function isPolicyClaimed(uint256 policyId) external view returns (bool);
@@ -7,19 +7,45 @@ pragma solidity ^0.8.20;
  */
 interface IWeatherOracle {
     struct WeatherData {
-        uint256 rainfall30d; // Total rainfall in last 30 days (mm)
-        uint256 rainfall24h; // Total rainfall in last 24 hours (mm)
-        uint256 temperature; // Current temperature (Celsius * 1000 for decimals)
+        uint256 rainfall30d; // Total rainfall in last 30 days (mm * 1000, see WeatherUnits)
+        uint256 rainfall24h; // Total rainfall in last 24 hours (mm * 1000, see WeatherUnits)
+        int256 temperature; // Current temperature, signed (Celsius * 1000, see WeatherUnits)
         uint256 timestamp; // Unix timestamp of data collection
         bool isValid; // Data validation flag
     }
 
+    // Observation signed off-chain by an authorized oracle (EIP-712), relayed by anyone
+    struct WeatherAttestation {
+        int256 latitude; // GPS latitude (scaled by 10000)
+        int256 longitude; // GPS longitude (scaled by 10000)
+        uint256 rainfall30d; // mm * 1000, see WeatherUnits
+        uint256 rainfall24h; // mm * 1000, see WeatherUnits
+        int256 temperature; // Celsius * 1000, see WeatherUnits
+        uint256 observedAt; // Unix timestamp of the observation
+        string source; // Weather source, e.g. "open-meteo"
+    }
+
+    // Who vouched for the current data of a cell
+    struct Provenance {
+        address signer; // Oracle that signed the observation
+        uint256 observedAt; // Unix timestamp of the observation
+        string source; // Weather source named in the attestation
+    }
+
+    // One oracle's reading in a quorum round
+    struct QuorumObservation {
+        address oracle; // Oracle that submitted the reading
+        uint256 rainfall30d; // mm * 1000, see WeatherUnits
+        uint256 rainfall24h; // mm * 1000, see WeatherUnits
+        int256 temperature; // Celsius * 1000, see WeatherUnits
+    }
+
     event WeatherDataUpdated(
         int256 indexed latitude,
         int256 indexed longitude,
         uint256 rainfall30d,
         uint256 rainfall24h,
-        uint256 temperature,
+        int256 temperature,
         uint256 timestamp
     );
 
@@ -29,6 +55,39 @@ interface IWeatherOracle {
         address indexed requester
     );
 
+    event WeatherDataAttested(
+        int256 indexed latitude,
+        int256 indexed longitude,
+        address indexed signer,
+        address relayer,
+        uint256 observedAt,
+        string source
+    );
+
+    event ObservationSubmitted(
+        int256 indexed latitude,
+        int256 indexed longitude,
+        uint256 indexed roundId,
+        address oracle
+    );
+
+    event QuorumReached(
+        int256 indexed latitude,
+        int256 indexed longitude,
+        uint256 indexed roundId,
+        uint256 agreeing,
+        uint256 submitted
+    );
+
+    event QuorumFailed(
+        int256 indexed latitude,
+        int256 indexed longitude,
+        uint256 indexed roundId,
+        uint256 submitted
+    );
+
+    event QuorumUpdated(uint256 quorum, uint256 toleranceBps);
+
     event OracleAuthorized(address indexed oracle);
     event OracleRevoked(address indexed oracle);
 
@@ -39,6 +98,18 @@ interface IWeatherOracle {
         int256 longitude
     ) external view returns (WeatherData memory);
 
+    function getWeatherHistoryLength(
+        int256 latitude,
+        int256 longitude
+    ) external view returns (uint256);
+
+    function getWeatherHistory(
+        int256 latitude,
+        int256 longitude,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (WeatherData[] memory);
+
     function isDataFresh(
         int256 latitude,
         int256 longitude,
@@ -55,7 +126,55 @@ interface IWeatherOracle {
 
     function getLastUpdateTime(int256 latitude, int256 longitude) external view returns (uint256);
 
-    function getLocationHash(int256 latitude, int256 longitude) external pure returns (bytes32);
+    function getLocationHash(int256 latitude, int256 longitude) external view returns (bytes32);
+
+    function gridResolution() external view returns (uint256);
+
+    function snapToGrid(
+        int256 latitude,
+        int256 longitude
+    ) external view returns (int256 cellLatitude, int256 cellLongitude);
+
+    function submitSignedWeatherData(
+        WeatherAttestation calldata attestation,
+        bytes calldata signature
+    ) external;
+
+    function getAttestationDigest(
+        WeatherAttestation calldata attestation
+    ) external view returns (bytes32);
+
+    function getProvenance(
+        int256 latitude,
+        int256 longitude
+    ) external view returns (Provenance memory);
+
+    function submitObservation(
+        int256 latitude,
+        int256 longitude,
+        uint256 roundId,
+        WeatherData calldata data
+    ) external;
+
+    function getQuorumRound(
+        int256 latitude,
+        int256 longitude
+    ) external view returns (uint256 roundId, uint256 startedAt, uint256 submissions);
+
+    function getRoundObservations(
+        int256 latitude,
+        int256 longitude,
+        uint256 roundId
+    ) external view returns (QuorumObservation[] memory);
+
+    function hasSubmittedObservation(
+        int256 latitude,
+        int256 longitude,
+        uint256 roundId,
+        address oracle
+    ) external view returns (bool);
+
+    function quorum() external view returns (uint256);
 
     function batchUpdateWeatherData(
         int256[] calldata latitudes,
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title WeatherUnits
+ * @dev Fixed-point encoding of on-chain weather data
+ * Must match weather_bot/weatherEncoding.js
+ */
+library WeatherUnits {
+    uint256 internal constant RAINFALL_SCALE = 1000; // rainfall stored in 0.001 mm
+    int256 internal constant TEMPERATURE_SCALE = 1000; // temperature stored in signed 0.001 °C
+    int256 internal constant COORDINATE_SCALE = 10000; // coordinates stored in 0.0001 degrees
+
+    uint256 internal constant MAX_RAINFALL_30D = 10000 * RAINFALL_SCALE; // 10 meters in 30 days
+    uint256 internal constant MAX_RAINFALL_24H = 1000 * RAINFALL_SCALE; // 1 meter in 24 hours
+    int256 internal constant MAX_TEMPERATURE = 100 * TEMPERATURE_SCALE; // 100°C
+    int256 internal constant MIN_TEMPERATURE = -100 * TEMPERATURE_SCALE; // -100°C
+}
@@ -1,5 +1,5 @@
 const { network } = require("hardhat")
-const { developmentChains } = require("../helper-hardhat-config")
+const { networkConfig, developmentChains } = require("../helper-hardhat-config")
 
 module.exports = async ({ getNamedAccounts, deployments }) => {
     const { log, get } = deployments
@@ -22,6 +22,14 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     await tx.wait(1)
 
     log(`Oracle bot ${oracleBot} authorized successfully`)
+
+    // Share weather data between policies in the same grid cell
+    const gridResolution = networkConfig[network.config.chainId]?.gridResolution
+    if (gridResolution) {
+        log(`Setting weather grid resolution: ${gridResolution}`)
+        const gridTx = await weatherOracleContract.setGridResolution(gridResolution)
+        await gridTx.wait(1)
+    }
     log("----------------------------------------------------")
 }
 
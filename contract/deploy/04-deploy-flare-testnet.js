@@ -45,6 +45,14 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     await tx.wait(3)
     log(`Oracle bot ${deployer} authorized successfully`)
 
+    // Share weather data between policies in the same grid cell
+    const gridResolution = networkConfig[chainId].gridResolution
+    if (gridResolution) {
+        log(`Setting weather grid resolution: ${gridResolution}`)
+        const gridTx = await weatherOracleContract.setGridResolution(gridResolution)
+        await gridTx.wait(3)
+    }
+
     // Verify contracts on Flare explorer
     if (process.env.ETHERSCAN_API_KEY) {
         log("Verifying WeatherOracle...")
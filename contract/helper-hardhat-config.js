@@ -9,9 +9,11 @@ const networkConfig = {
     },
     114: {
         name: "flareTestnet",
+        gridResolution: 1000, // 0.1° weather cells
     },
     31337: {
         name: "hardhat",
+        gridResolution: 1000, // 0.1° weather cells
     },
 }
 
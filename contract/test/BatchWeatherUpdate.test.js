@@ -0,0 +1,84 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+
+describe("WeatherOracle batchUpdateWeatherData", function () {
+    let weatherOracle
+    let outsider
+
+    // Two farms near Nairobi, scaled by 10000
+    const NAIROBI = { latitude: -12921, longitude: 368219 }
+    const THIKA = { latitude: -10333, longitude: 370693 }
+
+    // Scaled by 1000, as the bot submits them
+    const reading = (rainfall30d) => ({
+        rainfall30d,
+        rainfall24h: 0,
+        temperature: 29200,
+        timestamp: 0,
+        isValid: false,
+    })
+
+    beforeEach(async function () {
+        ;[, outsider] = await ethers.getSigners()
+
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle")
+        weatherOracle = await WeatherOracle.deploy()
+    })
+
+    it("should write several locations in one transaction", async function () {
+        const tx = weatherOracle.batchUpdateWeatherData(
+            [NAIROBI.latitude, THIKA.latitude],
+            [NAIROBI.longitude, THIKA.longitude],
+            [reading(3400), reading(12500)],
+        )
+
+        await expect(tx)
+            .to.emit(weatherOracle, "WeatherDataUpdated")
+            .withArgs(NAIROBI.latitude, NAIROBI.longitude, 3400, 0, 29200, anyTimestamp)
+        await expect(tx)
+            .to.emit(weatherOracle, "WeatherDataUpdated")
+            .withArgs(THIKA.latitude, THIKA.longitude, 12500, 0, 29200, anyTimestamp)
+
+        const nairobi = await weatherOracle.getWeatherData(NAIROBI.latitude, NAIROBI.longitude)
+        const thika = await weatherOracle.getWeatherData(THIKA.latitude, THIKA.longitude)
+        expect(nairobi.rainfall30d).to.equal(3400)
+        expect(thika.rainfall30d).to.equal(12500)
+        expect(thika.isValid).to.equal(true)
+    })
+
+    it("should reject mismatched, invalid or unauthorized batches as a whole", async function () {
+        const { latitude, longitude } = NAIROBI
+
+        await expect(
+            weatherOracle.batchUpdateWeatherData(
+                [latitude, latitude],
+                [longitude],
+                [reading(3400), reading(3400)],
+            ),
+        ).to.be.revertedWith("Array length mismatch")
+
+        // One bad entry reverts the entries before it too
+        await expect(
+            weatherOracle.batchUpdateWeatherData(
+                [latitude, 900001],
+                [longitude, longitude],
+                [reading(3400), reading(3400)],
+            ),
+        )
+            .to.be.revertedWithCustomError(weatherOracle, "InvalidCoordinates")
+            .withArgs(900001, longitude)
+        expect(await weatherOracle.isDataFresh(latitude, longitude, 0)).to.equal(false)
+
+        await expect(
+            weatherOracle
+                .connect(outsider)
+                .batchUpdateWeatherData([latitude], [longitude], [reading(3400)]),
+        )
+            .to.be.revertedWithCustomError(weatherOracle, "UnauthorizedOracle")
+            .withArgs(outsider.address)
+    })
+})
+
+function anyTimestamp(value) {
+    return typeof value === "bigint" && value > 0n
+}
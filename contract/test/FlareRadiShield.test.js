@@ -185,8 +185,8 @@ describe("RadiShield on Flare Testnet", function () {
             const cropType = "maize"
             const coverage = ethers.parseUnits("5", 18) // 5 C2FLR
             const duration = 30 * 24 * 60 * 60 // 30 days in seconds
-            const latitude = -1 // -1 degree (will be scaled to -10000)
-            const longitude = 36 // 36 degrees (will be scaled to 360000)
+            const latitude = -12921 // Nairobi latitude scaled by 10000
+            const longitude = 368219 // Nairobi longitude scaled by 10000
 
             const expectedPremium = (coverage * BigInt(BASE_PREMIUM_RATE)) / BigInt(10000)
 
@@ -215,8 +215,8 @@ describe("RadiShield on Flare Testnet", function () {
             expect(policy.farmer).to.equal(farmer.address)
             expect(policy.cropType).to.equal(cropType)
             expect(policy.coverage).to.equal(coverage)
-            expect(policy.latitude).to.equal(-10000) // Scaled latitude
-            expect(policy.longitude).to.equal(360000) // Scaled longitude
+            expect(policy.latitude).to.equal(latitude) // Stored at full precision
+            expect(policy.longitude).to.equal(longitude)
             expect(policy.isActive).to.be.true
             expect(policy.claimed).to.be.false
 
@@ -285,7 +285,9 @@ describe("RadiShield on Flare Testnet", function () {
             try {
                 const tx = await radiShield
                     .connect(farmer)
-                    .createPolicy("wheat", coverage, 30 * 24 * 60 * 60, -1, 36, { value: premium })
+                    .createPolicy("wheat", coverage, 30 * 24 * 60 * 60, -10000, 360000, {
+                        value: premium,
+                    })
 
                 const receipt = await tx.wait()
 
@@ -141,8 +141,8 @@ describe("Working Insurance System on Flare Testnet", function () {
         const cropType = "maize"
         const coverage = ethers.parseEther("1") // 1 C2FLR coverage (minimum allowed)
         const duration = 30 * 24 * 60 * 60 // 30 days
-        const latitude = 7 // Lagos area (will be scaled to 70000)
-        const longitude = 3 // Lagos area (will be scaled to 30000)
+        const latitude = LAGOS_LAT
+        const longitude = LAGOS_LON
 
         // Calculate premium
         const premium = (coverage * 700n) / 10000n // 7% premium
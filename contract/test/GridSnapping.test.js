@@ -0,0 +1,175 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { time } = require("@nomicfoundation/hardhat-network-helpers")
+const {
+    encodeCoordinate,
+    snapCoordinate,
+    encodeWeatherData,
+} = require("../../weather_bot/weatherEncoding")
+
+describe("Weather grid cells (WeatherOracle + RadiShield + bot)", function () {
+    let weatherOracle
+    let radiShield
+    let deployer
+    let farmer
+
+    const COVERAGE = ethers.parseEther("1")
+    const PREMIUM = (COVERAGE * 700n) / 10000n
+    const DURATION = 30 * 24 * 60 * 60 // 30 days
+    const RESOLUTION = 1000 // 0.1° cells
+
+    // Two farms near Nairobi in the same 0.1° cell, and one in the next cell east
+    const FARM_A = { latitude: -1.2921, longitude: 36.8219 }
+    const FARM_B = { latitude: -1.2105, longitude: 36.8994 }
+    const FARM_C = { latitude: -1.2921, longitude: 36.9012 }
+
+    const reading = { rainfall30d: 3.4, rainfall24h: 0, temperature: 29.2 }
+
+    async function createPolicyAt(farm) {
+        await radiShield
+            .connect(farmer)
+            .createPolicy(
+                "maize",
+                COVERAGE,
+                DURATION,
+                encodeCoordinate(farm.latitude),
+                encodeCoordinate(farm.longitude),
+                { value: PREMIUM },
+            )
+        return radiShield.getTotalPolicies()
+    }
+
+    beforeEach(async function () {
+        ;[deployer, farmer] = await ethers.getSigners()
+
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle")
+        weatherOracle = await WeatherOracle.deploy()
+
+        const RadiShield = await ethers.getContractFactory("RadiShield")
+        radiShield = await RadiShield.deploy(await weatherOracle.getAddress())
+
+        await deployer.sendTransaction({
+            to: await radiShield.getAddress(),
+            value: ethers.parseEther("10"),
+        })
+    })
+
+    describe("setGridResolution", function () {
+        it("should default to exact coordinates", async function () {
+            expect(await weatherOracle.gridResolution()).to.equal(1)
+            expect(await weatherOracle.snapToGrid(-12921, 368219)).to.deep.equal([-12921n, 368219n])
+        })
+
+        it("should let the owner change the resolution", async function () {
+            await expect(weatherOracle.setGridResolution(RESOLUTION))
+                .to.emit(weatherOracle, "GridResolutionUpdated")
+                .withArgs(1, RESOLUTION)
+            expect(await weatherOracle.gridResolution()).to.equal(RESOLUTION)
+        })
+
+        it("should reject invalid resolutions and non-owners", async function () {
+            await expect(weatherOracle.setGridResolution(0))
+                .to.be.revertedWithCustomError(weatherOracle, "InvalidGridResolution")
+                .withArgs(0)
+            await expect(weatherOracle.setGridResolution(10001))
+                .to.be.revertedWithCustomError(weatherOracle, "InvalidGridResolution")
+                .withArgs(10001)
+            await expect(
+                weatherOracle.connect(farmer).setGridResolution(RESOLUTION),
+            ).to.be.revertedWithCustomError(weatherOracle, "OwnableUnauthorizedAccount")
+        })
+    })
+
+    describe("with 0.1° cells", function () {
+        beforeEach(async function () {
+            await weatherOracle.setGridResolution(RESOLUTION)
+        })
+
+        it("should snap like the bot encoder, including negative coordinates", async function () {
+            const coordinates = [-12921, 368219, -13000, -1, 0, 999, 1000, -350000, 519999]
+
+            for (const coordinate of coordinates) {
+                const [cellLatitude] = await weatherOracle.snapToGrid(coordinate, 0)
+                expect(cellLatitude).to.equal(snapCoordinate(coordinate, RESOLUTION))
+            }
+
+            // Floor, not truncation: -1.2921 belongs to the cell starting at -1.3
+            expect(snapCoordinate(encodeCoordinate(FARM_A.latitude), RESOLUTION)).to.equal(-13000)
+        })
+
+        it("should cover every policy in a cell with one update", async function () {
+            const policyA = await createPolicyAt(FARM_A)
+            const policyB = await createPolicyAt(FARM_B)
+            const policyC = await createPolicyAt(FARM_C)
+
+            expect(await radiShield.getPolicyWeatherCell(policyA)).to.deep.equal([-13000n, 368000n])
+            expect(await radiShield.getPolicyWeatherCell(policyB)).to.deep.equal([-13000n, 368000n])
+            expect(await radiShield.getPolicyWeatherCell(policyC)).to.deep.equal([-13000n, 369000n])
+
+            // Drought only counts once a full 30-day window lies within coverage
+            await time.increase(30 * 24 * 60 * 60)
+
+            // The bot writes once, at the cell corner
+            const cellLatitude = snapCoordinate(encodeCoordinate(FARM_A.latitude), RESOLUTION)
+            const cellLongitude = snapCoordinate(encodeCoordinate(FARM_A.longitude), RESOLUTION)
+            await expect(
+                weatherOracle.updateWeatherData(
+                    cellLatitude,
+                    cellLongitude,
+                    encodeWeatherData(reading),
+                ),
+            ).to.emit(weatherOracle, "WeatherDataUpdated")
+
+            await expect(radiShield.processWeatherData(policyA))
+                .to.emit(radiShield, "PayoutTriggered")
+                .withArgs(policyA, "severe_drought", COVERAGE)
+            await expect(radiShield.processWeatherData(policyB))
+                .to.emit(radiShield, "PayoutTriggered")
+                .withArgs(policyB, "severe_drought", COVERAGE)
+
+            // The neighbouring cell has no data yet
+            await expect(radiShield.processWeatherData(policyC)).to.be.revertedWithCustomError(
+                weatherOracle,
+                "DataNotFound",
+            )
+        })
+
+        it("should store data under the cell when written with farm coordinates", async function () {
+            await expect(
+                weatherOracle.updateWeatherData(
+                    encodeCoordinate(FARM_A.latitude),
+                    encodeCoordinate(FARM_A.longitude),
+                    encodeWeatherData(reading),
+                ),
+            )
+                .to.emit(weatherOracle, "WeatherDataUpdated")
+                .withArgs(-13000, 368000, 3400, 0, 29200, anyTimestamp)
+
+            expect(
+                await weatherOracle.getLocationHash(
+                    encodeCoordinate(FARM_B.latitude),
+                    encodeCoordinate(FARM_B.longitude),
+                ),
+            ).to.equal(await weatherOracle.getLocationHash(-13000, 368000))
+            expect(
+                await weatherOracle.isDataFresh(
+                    encodeCoordinate(FARM_B.latitude),
+                    encodeCoordinate(FARM_B.longitude),
+                    0,
+                ),
+            ).to.equal(true)
+        })
+
+        it("should request data for the cell", async function () {
+            const policyId = await createPolicyAt(FARM_B)
+
+            await expect(radiShield.requestWeatherData(policyId))
+                .to.emit(weatherOracle, "WeatherDataRequested")
+                .withArgs(-13000, 368000, await radiShield.getAddress())
+        })
+    })
+})
+
+function anyTimestamp(value) {
+    return typeof value === "bigint" && value > 0n
+}
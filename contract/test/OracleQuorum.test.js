@@ -0,0 +1,276 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { time } = require("@nomicfoundation/hardhat-network-helpers")
+const {
+    encodeCoordinate,
+    encodeWeatherData,
+    encodePolicyWeather,
+} = require("../../weather_bot/weatherEncoding")
+
+// Bot instances keep their state in memory only
+process.env.ENABLE_RAINFALL_STORE = "false"
+process.env.ENABLE_RESPONSE_CACHE = "false"
+const WeatherOracleBot = require("../../weather_bot/index")
+
+describe("Multi-oracle quorum (three bots -> WeatherOracle)", function () {
+    let weatherOracle
+    let deployer
+    let oracles
+
+    const RESOLUTION = 1000 // 0.1° cells
+    const FARM = { latitude: -1.2921, longitude: 36.8219 }
+    const CELL = { latitude: encodeCoordinate(-1.3), longitude: encodeCoordinate(36.8) }
+
+    async function submit(oracle, reading, roundId) {
+        if (roundId === undefined) {
+            ;[roundId] = await weatherOracle.getQuorumRound(CELL.latitude, CELL.longitude)
+        }
+        return weatherOracle
+            .connect(oracle)
+            .submitObservation(CELL.latitude, CELL.longitude, roundId, encodeWeatherData(reading))
+    }
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners()
+        deployer = signers[0]
+        oracles = signers.slice(1, 4)
+
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle")
+        weatherOracle = await WeatherOracle.deploy()
+        await weatherOracle.setGridResolution(RESOLUTION)
+        for (const oracle of oracles) {
+            await weatherOracle.authorizeOracle(oracle.address)
+        }
+        // The deployer starts as an oracle; leave quorum to the dedicated ones
+        await weatherOracle.revokeOracle(deployer.address)
+        await weatherOracle.setQuorum(2, 1000)
+    })
+
+    describe("three bot instances", function () {
+        let bots
+
+        // Each bot reads its own weather source; the third one is broken
+        const readings = [
+            { rainfall30d: 42.1, rainfall24h: 1.2, temperature: 27.4, source: "open-meteo" },
+            { rainfall30d: 43.3, rainfall24h: 1.6, temperature: 27.9, source: "nasa-power" },
+            { rainfall30d: 212.8, rainfall24h: 40.5, temperature: 19.6, source: "weatherapi" },
+        ]
+
+        beforeEach(async function () {
+            bots = []
+            for (const [index, reading] of readings.entries()) {
+                // Bots sign with their own key, as separate deployments would
+                const wallet = ethers.Wallet.createRandom()
+                await weatherOracle.authorizeOracle(wallet.address)
+                await deployer.sendTransaction({
+                    to: wallet.address,
+                    value: ethers.parseEther("1"),
+                })
+
+                const bot = new WeatherOracleBot({
+                    web3: {
+                        provider: ethers.provider,
+                        privateKey: wallet.privateKey,
+                        weatherOracleAddress: await weatherOracle.getAddress(),
+                        quorumParticipant: true,
+                    },
+                })
+                bot.fetchWeatherData = async () => ({ ...reading, timestamp: Date.now() })
+                await bot.web3Client.initialize()
+                bots[index] = bot
+            }
+        })
+
+        it("should store the median once two of three bots agree", async function () {
+            const first = await bots[0].updateWeatherOnChain(FARM.latitude, FARM.longitude)
+            expect(first.success).to.equal(true)
+            expect(first.updated).to.equal(false)
+            expect(first.reason).to.equal("Waiting for quorum")
+
+            // The outlier alone does not agree with the first reading
+            const outlier = await bots[2].updateWeatherOnChain(FARM.latitude, FARM.longitude)
+            expect(outlier.updated).to.equal(false)
+            expect(await weatherOracle.isDataFresh(CELL.latitude, CELL.longitude, 3600)).to.equal(
+                false,
+            )
+
+            const second = await bots[1].updateWeatherOnChain(FARM.latitude, FARM.longitude)
+            expect(second.updated).to.equal(true)
+            expect(second.blockchain).to.include({
+                finalized: true,
+                roundId: 0,
+                agreeing: 2,
+                submitted: 3,
+            })
+
+            const stored = await weatherOracle.getWeatherData(CELL.latitude, CELL.longitude)
+            expect(stored.rainfall30d).to.equal(42700n) // median of 42.1 and 43.3 mm
+            expect(stored.rainfall24h).to.equal(1400n)
+            expect(stored.temperature).to.equal(27650n)
+
+            // The next round starts empty and fresh data is not resubmitted
+            expect(await weatherOracle.getQuorumRound(CELL.latitude, CELL.longitude)).to.deep.equal(
+                [1n, 0n, 0n],
+            )
+            const again = await bots[0].updateWeatherOnChain(FARM.latitude, FARM.longitude)
+            expect(again.updated).to.equal(false)
+            expect(again.reason).to.equal("Data already fresh")
+        })
+
+        it("should submit once per round", async function () {
+            await bots[0].updateWeatherOnChain(FARM.latitude, FARM.longitude)
+            const repeat = await bots[0].updateWeatherOnChain(FARM.latitude, FARM.longitude)
+            expect(repeat.blockchain).to.include({ submitted: false, roundId: 0 })
+
+            const [, , submissions] = await weatherOracle.getQuorumRound(
+                CELL.latitude,
+                CELL.longitude,
+            )
+            expect(submissions).to.equal(1n)
+        })
+    })
+
+    describe("rounds", function () {
+        const wet = { rainfall30d: 80, rainfall24h: 10, temperature: 24 }
+        const dry = { rainfall30d: 2, rainfall24h: 0, temperature: 35 }
+
+        it("should disable single writes in quorum mode", async function () {
+            await expect(
+                weatherOracle
+                    .connect(oracles[0])
+                    .updateWeatherData(CELL.latitude, CELL.longitude, encodeWeatherData(wet)),
+            ).to.be.revertedWithCustomError(weatherOracle, "QuorumRequired")
+
+            await weatherOracle.setQuorum(0, 1000)
+            await expect(submit(oracles[0], wet)).to.be.revertedWithCustomError(
+                weatherOracle,
+                "QuorumDisabled",
+            )
+        })
+
+        it("should reject duplicate, stale-round and unauthorized submissions", async function () {
+            await submit(oracles[0], wet)
+            await expect(submit(oracles[0], wet))
+                .to.be.revertedWithCustomError(weatherOracle, "AlreadySubmitted")
+                .withArgs(oracles[0].address, 0)
+            await expect(submit(oracles[1], wet, 1))
+                .to.be.revertedWithCustomError(weatherOracle, "InvalidRound")
+                .withArgs(1, 0)
+            await expect(submit(deployer, wet))
+                .to.be.revertedWithCustomError(weatherOracle, "UnauthorizedOracle")
+                .withArgs(deployer.address)
+        })
+
+        it("should fail the round when every oracle disagrees", async function () {
+            await submit(oracles[0], wet)
+            await submit(oracles[1], dry)
+            await expect(submit(oracles[2], { rainfall30d: 400, rainfall24h: 90, temperature: 12 }))
+                .to.emit(weatherOracle, "QuorumFailed")
+                .withArgs(CELL.latitude, CELL.longitude, 0, 3)
+
+            expect(await weatherOracle.isDataFresh(CELL.latitude, CELL.longitude, 0)).to.equal(
+                false,
+            )
+            const [roundId] = await weatherOracle.getQuorumRound(CELL.latitude, CELL.longitude)
+            expect(roundId).to.equal(1n)
+        })
+
+        it("should abandon a round that does not finish in time", async function () {
+            await submit(oracles[0], dry)
+            await time.increase(Number(await weatherOracle.QUORUM_ROUND_TIMEOUT()) + 1)
+
+            // The late observation for the old round is rejected, the next round starts over
+            await expect(submit(oracles[1], dry, 0)).to.be.revertedWithCustomError(
+                weatherOracle,
+                "InvalidRound",
+            )
+            expect(await weatherOracle.getQuorumRound(CELL.latitude, CELL.longitude)).to.deep.equal(
+                [1n, 0n, 0n],
+            )
+            await expect(submit(oracles[1], wet))
+                .to.emit(weatherOracle, "QuorumFailed")
+                .withArgs(CELL.latitude, CELL.longitude, 0, 1)
+            await expect(submit(oracles[2], wet))
+                .to.emit(weatherOracle, "QuorumReached")
+                .withArgs(CELL.latitude, CELL.longitude, 1, 2, 2)
+        })
+
+        it("should ignore observations from revoked oracles", async function () {
+            await submit(oracles[0], dry)
+            await weatherOracle.revokeOracle(oracles[0].address)
+
+            await expect(submit(oracles[1], dry)).not.to.emit(weatherOracle, "QuorumReached")
+            await expect(submit(oracles[2], dry)).to.emit(weatherOracle, "QuorumReached")
+
+            const observations = await weatherOracle.getRoundObservations(
+                CELL.latitude,
+                CELL.longitude,
+                0,
+            )
+            expect(observations.map((observation) => observation.oracle)).to.deep.equal(
+                oracles.map((oracle) => oracle.address),
+            )
+        })
+
+        it("should not let a single oracle pay out policy weather", async function () {
+            const [, , , , farmer] = await ethers.getSigners()
+            const RadiShield = await ethers.getContractFactory("RadiShield")
+            const radiShield = await RadiShield.deploy(await weatherOracle.getAddress())
+            await deployer.sendTransaction({
+                to: await radiShield.getAddress(),
+                value: ethers.parseEther("5"),
+            })
+
+            const coverage = ethers.parseEther("1")
+            await radiShield
+                .connect(farmer)
+                .createPolicy("maize", coverage, 90 * 24 * 3600, CELL.latitude, CELL.longitude, {
+                    value: (coverage * 700n) / 10000n,
+                })
+            const { startDate } = await radiShield.getPolicy(1)
+            await time.increase(45 * 24 * 3600)
+            const drought = encodePolicyWeather({
+                periodStart: Number(startDate),
+                periodEnd: Number(startDate) + 40 * 24 * 3600,
+                totalRainfall: 0,
+                maxRainfall24h: 0,
+                maxTemperature: 30,
+            })
+
+            await expect(
+                radiShield.connect(oracles[0]).submitPolicyWeather(1, drought),
+            ).to.be.revertedWithCustomError(radiShield, "QuorumRequired")
+
+            await weatherOracle.setQuorum(0, 1000)
+            await expect(radiShield.connect(oracles[0]).submitPolicyWeather(1, drought))
+                .to.emit(radiShield, "PayoutTriggered")
+                .withArgs(1, "severe_drought", coverage)
+        })
+
+        it("should not revoke oracles below the quorum", async function () {
+            await weatherOracle.setQuorum(3, 1000)
+            await expect(weatherOracle.revokeOracle(oracles[0].address))
+                .to.be.revertedWithCustomError(weatherOracle, "InvalidQuorum")
+                .withArgs(3, 2)
+
+            await weatherOracle.setQuorum(2, 1000)
+            await expect(weatherOracle.revokeOracle(oracles[0].address)).to.emit(
+                weatherOracle,
+                "OracleRevoked",
+            )
+            expect(await weatherOracle.oracleCount()).to.equal(2n)
+        })
+
+        it("should only let the owner set a reachable quorum", async function () {
+            await expect(weatherOracle.setQuorum(4, 1000))
+                .to.be.revertedWithCustomError(weatherOracle, "InvalidQuorum")
+                .withArgs(4, 3)
+            await expect(
+                weatherOracle.connect(oracles[0]).setQuorum(1, 1000),
+            ).to.be.revertedWithCustomError(weatherOracle, "OwnableUnauthorizedAccount")
+            await expect(weatherOracle.setQuorum(3, 500))
+                .to.emit(weatherOracle, "QuorumUpdated")
+                .withArgs(3, 500)
+        })
+    })
+})
@@ -0,0 +1,367 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { time } = require("@nomicfoundation/hardhat-network-helpers")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const {
+    encodeCoordinate,
+    encodeWeatherData,
+    encodePolicyWeather,
+} = require("../../weather_bot/weatherEncoding")
+
+// Bot instances keep their state in memory only
+process.env.ENABLE_RAINFALL_STORE = "false"
+process.env.ENABLE_RESPONSE_CACHE = "false"
+const WeatherOracleBot = require("../../weather_bot/index")
+const PayoutWatcher = require("../../weather_bot/payoutWatcher")
+
+describe("Optimistic payouts (dispute window)", function () {
+    let weatherOracle
+    let radiShield
+    let owner
+    let farmer
+    let challenger
+    let stranger
+
+    const DAY = 24 * 60 * 60
+    const WINDOW = 2 * DAY
+    const COVERAGE = ethers.parseEther("1")
+    const PREMIUM = (COVERAGE * 700n) / 10000n
+    const LATITUDE = encodeCoordinate(-1.2921)
+    const LONGITUDE = encodeCoordinate(36.8219)
+
+    const flood = { rainfall30d: 260, rainfall24h: 240, temperature: 25 }
+    const normal = { rainfall30d: 80, rainfall24h: 4, temperature: 24 }
+
+    // Buys a policy and lets the oracle post a flood reading for it
+    async function triggerFlood() {
+        await radiShield
+            .connect(farmer)
+            .createPolicy("maize", COVERAGE, 90 * DAY, LATITUDE, LONGITUDE, { value: PREMIUM })
+        const policyId = await radiShield.getTotalPolicies()
+
+        await time.increase(60)
+        await weatherOracle.updateWeatherData(LATITUDE, LONGITUDE, encodeWeatherData(flood))
+        return policyId
+    }
+
+    beforeEach(async function () {
+        ;[owner, farmer, challenger, stranger] = await ethers.getSigners()
+
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle")
+        weatherOracle = await WeatherOracle.deploy()
+
+        const RadiShield = await ethers.getContractFactory("RadiShield")
+        radiShield = await RadiShield.deploy(await weatherOracle.getAddress())
+        await owner.sendTransaction({
+            to: await radiShield.getAddress(),
+            value: ethers.parseEther("20"),
+        })
+
+        await radiShield.setDisputeWindow(WINDOW)
+        await radiShield.setChallenger(challenger.address)
+    })
+
+    it("should pay out immediately without a dispute window", async function () {
+        await radiShield.setDisputeWindow(0)
+        const policyId = await triggerFlood()
+
+        await expect(radiShield.processWeatherData(policyId))
+            .to.emit(radiShield, "ClaimPaid")
+            .withArgs(policyId, farmer.address, COVERAGE, "Weather trigger")
+            .and.not.to.emit(radiShield, "PayoutPending")
+    })
+
+    it("should hold a triggered payout until the window passes", async function () {
+        const policyId = await triggerFlood()
+
+        await expect(radiShield.processWeatherData(policyId))
+            .to.emit(radiShield, "PayoutTriggered")
+            .withArgs(policyId, "severe_flood", COVERAGE)
+            .and.to.emit(radiShield, "PayoutPending")
+            .and.not.to.emit(radiShield, "ClaimPaid")
+
+        const pending = await radiShield.getPendingPayout(policyId)
+        expect(pending.amount).to.equal(COVERAGE)
+        expect(pending.triggerType).to.equal("severe_flood")
+        expect(pending.settlesAt - pending.triggeredAt).to.equal(BigInt(WINDOW))
+        const { timestamp } = await weatherOracle.getWeatherData(LATITUDE, LONGITUDE)
+        expect(pending.weatherTimestamp).to.equal(timestamp)
+        expect((await radiShield.getPolicy(policyId)).isActive).to.equal(true)
+
+        // Re-processing does not stack a second payout
+        await expect(radiShield.processWeatherData(policyId)).not.to.emit(
+            radiShield,
+            "PayoutTriggered",
+        )
+        await expect(radiShield.connect(stranger).settlePayout(policyId))
+            .to.be.revertedWithCustomError(radiShield, "DisputeWindowOpen")
+            .withArgs(policyId, pending.settlesAt)
+
+        await time.increaseTo(pending.settlesAt)
+        await expect(radiShield.connect(stranger).settlePayout(policyId)).to.changeEtherBalance(
+            farmer,
+            COVERAGE,
+        )
+        expect((await radiShield.getPolicy(policyId)).claimed).to.equal(true)
+        expect((await radiShield.getPendingPayout(policyId)).amount).to.equal(0n)
+    })
+
+    it("should let only the owner or the challenger dispute with material counter-data", async function () {
+        const policyId = await triggerFlood()
+        await radiShield.processWeatherData(policyId)
+
+        await expect(
+            radiShield.connect(stranger).challengePayout(policyId, encodeWeatherData(normal)),
+        )
+            .to.be.revertedWithCustomError(radiShield, "UnauthorizedChallenger")
+            .withArgs(stranger.address)
+
+        // Counter-data that still floods does not dispute anything
+        await expect(
+            radiShield.connect(challenger).challengePayout(policyId, encodeWeatherData(flood)),
+        )
+            .to.be.revertedWithCustomError(radiShield, "ChallengeNotMaterial")
+            .withArgs(policyId, COVERAGE)
+
+        await expect(
+            radiShield.connect(challenger).challengePayout(policyId, encodeWeatherData(normal)),
+        )
+            .to.emit(radiShield, "PayoutChallenged")
+            .withArgs(policyId, challenger.address, 80000, 4000, 24000)
+
+        const pending = await radiShield.getPendingPayout(policyId)
+        expect(pending.disputed).to.equal(true)
+        expect(pending.challenger).to.equal(challenger.address)
+        expect(pending.counterData.rainfall24h).to.equal(4000n)
+
+        await expect(
+            radiShield.challengePayout(policyId, encodeWeatherData(normal)),
+        ).to.be.revertedWithCustomError(radiShield, "PayoutAlreadyDisputed")
+
+        // A disputed payout does not settle on its own
+        await time.increaseTo(pending.settlesAt)
+        await expect(radiShield.settlePayout(policyId)).to.be.revertedWithCustomError(
+            radiShield,
+            "PayoutAlreadyDisputed",
+        )
+    })
+
+    it("should not count drought in counter-data before the drought window", async function () {
+        const policyId = await triggerFlood()
+        await radiShield.processWeatherData(policyId)
+
+        // A dry reading would pay out in full, but the policy has not run for 30 days yet
+        const dry = { rainfall30d: 1, rainfall24h: 0, temperature: 24 }
+        await expect(
+            radiShield.connect(challenger).challengePayout(policyId, encodeWeatherData(dry)),
+        ).to.emit(radiShield, "PayoutChallenged")
+    })
+
+    it("should reject challenges after the window closes", async function () {
+        const policyId = await triggerFlood()
+        await radiShield.processWeatherData(policyId)
+        const { settlesAt } = await radiShield.getPendingPayout(policyId)
+
+        await time.increaseTo(settlesAt)
+        await expect(
+            radiShield.connect(challenger).challengePayout(policyId, encodeWeatherData(normal)),
+        )
+            .to.be.revertedWithCustomError(radiShield, "DisputeWindowClosed")
+            .withArgs(policyId, settlesAt)
+    })
+
+    it("should keep the policy active when a challenge is upheld", async function () {
+        const policyId = await triggerFlood()
+        await radiShield.processWeatherData(policyId)
+        await radiShield.connect(challenger).challengePayout(policyId, encodeWeatherData(normal))
+
+        await expect(
+            radiShield.connect(challenger).resolveDispute(policyId, false),
+        ).to.be.revertedWithCustomError(radiShield, "OwnableUnauthorizedAccount")
+        await expect(radiShield.resolveDispute(policyId, false))
+            .to.emit(radiShield, "DisputeResolved")
+            .withArgs(policyId, false)
+            .and.not.to.emit(radiShield, "ClaimPaid")
+
+        const policy = await radiShield.getPolicy(policyId)
+        expect(policy.isActive).to.equal(true)
+        expect(policy.claimed).to.equal(false)
+        expect((await radiShield.getPendingPayout(policyId)).amount).to.equal(0n)
+
+        // The reading behind the rejected trigger cannot raise it again
+        expect(await radiShield.processWeatherData.staticCall(policyId)).to.equal(0n)
+        await expect(radiShield.connect(stranger).processWeatherData(policyId)).not.to.emit(
+            radiShield,
+            "PayoutTriggered",
+        )
+        expect((await radiShield.getPendingPayout(policyId)).amount).to.equal(0n)
+
+        // Newer data can trigger the policy again
+        await time.increase(60)
+        await weatherOracle.updateWeatherData(LATITUDE, LONGITUDE, encodeWeatherData(flood))
+        await expect(radiShield.processWeatherData(policyId)).to.emit(radiShield, "PayoutPending")
+    })
+
+    it("should not let resubmitted policy weather raise a rejected payout again", async function () {
+        await radiShield
+            .connect(farmer)
+            .createPolicy("maize", COVERAGE, 90 * DAY, LATITUDE, LONGITUDE, { value: PREMIUM })
+        const policyId = await radiShield.getTotalPolicies()
+        const startDate = Number((await radiShield.getPolicy(policyId)).startDate)
+        await time.increase(11 * DAY)
+
+        const floodUntil = (days) =>
+            encodePolicyWeather({
+                periodStart: startDate,
+                periodEnd: startDate + days * DAY,
+                totalRainfall: 260,
+                maxRainfall24h: 240,
+                maxTemperature: 25,
+            })
+        await expect(radiShield.submitPolicyWeather(policyId, floodUntil(10))).to.emit(
+            radiShield,
+            "PayoutPending",
+        )
+        expect((await radiShield.getPendingPayout(policyId)).weatherTimestamp).to.equal(
+            startDate + 10 * DAY,
+        )
+        await radiShield.connect(challenger).challengePayout(policyId, encodeWeatherData(normal))
+        await radiShield.resolveDispute(policyId, false)
+
+        // The same period is stamped with its end, not the time it is resubmitted
+        await time.increase(60)
+        await expect(radiShield.submitPolicyWeather(policyId, floodUntil(10))).not.to.emit(
+            radiShield,
+            "PayoutTriggered",
+        )
+        expect((await radiShield.getPendingPayout(policyId)).amount).to.equal(0n)
+
+        // A period running past the rejected one can trigger the policy again
+        await expect(radiShield.submitPolicyWeather(policyId, floodUntil(11))).to.emit(
+            radiShield,
+            "PayoutPending",
+        )
+    })
+
+    it("should pay out when the owner rejects a challenge", async function () {
+        const policyId = await triggerFlood()
+        await radiShield.processWeatherData(policyId)
+        await radiShield.challengePayout(policyId, encodeWeatherData(normal))
+
+        await expect(radiShield.resolveDispute(policyId, true)).to.changeEtherBalance(
+            farmer,
+            COVERAGE,
+        )
+        expect((await radiShield.getPolicy(policyId)).claimed).to.equal(true)
+        await expect(radiShield.resolveDispute(policyId, true))
+            .to.be.revertedWithCustomError(radiShield, "PayoutNotDisputed")
+            .withArgs(policyId)
+    })
+
+    it("should clear a pending payout on emergency payout", async function () {
+        const policyId = await triggerFlood()
+        await radiShield.processWeatherData(policyId)
+
+        await radiShield.emergencyPayout(policyId, COVERAGE, "manual review")
+        expect((await radiShield.getPendingPayout(policyId)).amount).to.equal(0n)
+        await expect(radiShield.settlePayout(policyId))
+            .to.be.revertedWithCustomError(radiShield, "NoPendingPayout")
+            .withArgs(policyId)
+    })
+
+    it("should keep a pending payout when a batch emergency payout fails", async function () {
+        const policyId = await triggerFlood()
+        await radiShield.processWeatherData(policyId)
+
+        // The farmer's address now rejects transfers
+        await ethers.provider.send("hardhat_setCode", [farmer.address, "0x60006000fd"])
+        await expect(
+            radiShield.batchEmergencyPayout([policyId], [COVERAGE], "manual review"),
+        ).not.to.emit(radiShield, "ClaimPaid")
+
+        expect((await radiShield.getPendingPayout(policyId)).amount).to.equal(COVERAGE)
+        expect(await radiShield.isPolicyActive(policyId)).to.equal(true)
+        await radiShield.connect(challenger).challengePayout(policyId, encodeWeatherData(normal))
+
+        await ethers.provider.send("hardhat_setCode", [farmer.address, "0x"])
+    })
+
+    describe("bot payout watcher", function () {
+        let watcher
+
+        // Starts a watcher whose providers all report the given weather at the trigger time
+        async function startWatcher(reading) {
+            const wallet = ethers.Wallet.createRandom()
+            await weatherOracle.authorizeOracle(wallet.address)
+            await radiShield.setChallenger(wallet.address)
+            await owner.sendTransaction({ to: wallet.address, value: ethers.parseEther("1") })
+
+            const bot = new WeatherOracleBot({
+                web3: {
+                    provider: ethers.provider,
+                    privateKey: wallet.privateKey,
+                    weatherOracleAddress: await weatherOracle.getAddress(),
+                    radiShieldAddress: await radiShield.getAddress(),
+                },
+            })
+            bot.aggregator.aggregate = async (lat, lon, providers, timestamp) => ({
+                ...reading,
+                timestamp: timestamp * 1000,
+            })
+
+            watcher = new PayoutWatcher(bot, {
+                stateFile: path.join(os.tmpdir(), `watcher-${wallet.address}.json`),
+                pollInterval: 60000,
+            })
+            await watcher.start()
+            return wallet
+        }
+
+        afterEach(function () {
+            watcher.stop()
+            fs.rmSync(watcher.stateFile, { force: true })
+        })
+
+        it("should challenge a flood payout its providers do not see", async function () {
+            const wallet = await startWatcher(normal)
+            const policyId = await triggerFlood()
+            await radiShield.processWeatherData(policyId)
+
+            await watcher.poll()
+            expect(watcher.getStatus()).to.include({ triggersSeen: 1, challenged: 1 })
+
+            const pending = await radiShield.getPendingPayout(policyId)
+            expect(pending.disputed).to.equal(true)
+            expect(pending.challenger).to.equal(wallet.address)
+            expect(pending.counterData.rainfall24h).to.equal(4000n)
+        })
+
+        it("should leave a payout its providers confirm", async function () {
+            await startWatcher({ rainfall30d: 250, rainfall24h: 230, temperature: 25 })
+            const policyId = await triggerFlood()
+            await radiShield.processWeatherData(policyId)
+
+            await watcher.poll()
+            expect(watcher.getStatus()).to.include({ confirmed: 1, challenged: 0 })
+            expect((await radiShield.getPendingPayout(policyId)).disputed).to.equal(false)
+        })
+    })
+
+    it("should only let the owner configure disputes", async function () {
+        const max = await radiShield.MAX_DISPUTE_WINDOW()
+        await expect(radiShield.setDisputeWindow(max + 1n))
+            .to.be.revertedWithCustomError(radiShield, "InvalidDisputeWindow")
+            .withArgs(max + 1n)
+        await expect(radiShield.setDisputeWindow(DAY))
+            .to.emit(radiShield, "DisputeWindowUpdated")
+            .withArgs(WINDOW, DAY)
+        await expect(
+            radiShield.connect(stranger).setChallenger(stranger.address),
+        ).to.be.revertedWithCustomError(radiShield, "OwnableUnauthorizedAccount")
+        await expect(radiShield.setChallenger(ethers.ZeroAddress))
+            .to.emit(radiShield, "ChallengerUpdated")
+            .withArgs(challenger.address, ethers.ZeroAddress)
+    })
+})
@@ -0,0 +1,248 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { time } = require("@nomicfoundation/hardhat-network-helpers")
+const {
+    encodeCoordinate,
+    encodeWeatherData,
+    encodePolicyWeather,
+    decodePolicyWeather,
+} = require("../../weather_bot/weatherEncoding")
+
+describe("Policy-aligned weather (bot -> RadiShield)", function () {
+    let weatherOracle
+    let radiShield
+    let oracle
+    let farmer
+    let stranger
+
+    const DAY = 24 * 60 * 60
+    const COVERAGE = ethers.parseEther("1")
+    const PREMIUM = (COVERAGE * 700n) / 10000n
+    const DURATION = 90 * DAY
+
+    // Nairobi, one policy per test
+    let nextLatitude = -1.2921
+    const LONGITUDE = 36.8219
+
+    async function createPolicy() {
+        const latitude = nextLatitude
+        nextLatitude += 0.5
+
+        await radiShield
+            .connect(farmer)
+            .createPolicy(
+                "maize",
+                COVERAGE,
+                DURATION,
+                encodeCoordinate(latitude),
+                encodeCoordinate(LONGITUDE),
+                { value: PREMIUM },
+            )
+        const policyId = await radiShield.getTotalPolicies()
+        const policy = await radiShield.getPolicy(policyId)
+        return { policyId, latitude, startDate: Number(policy.startDate) }
+    }
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners()
+        ;[, farmer, oracle, stranger] = signers
+
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle")
+        weatherOracle = await WeatherOracle.deploy()
+        await weatherOracle.authorizeOracle(oracle.address)
+
+        const RadiShield = await ethers.getContractFactory("RadiShield")
+        radiShield = await RadiShield.deploy(await weatherOracle.getAddress())
+
+        await signers[0].sendTransaction({
+            to: await radiShield.getAddress(),
+            value: ethers.parseEther("20"),
+        })
+    })
+
+    describe("shared cell data", function () {
+        it("should not count a 30-day drought window that started before coverage", async function () {
+            const { policyId, latitude } = await createPolicy()
+
+            await weatherOracle.updateWeatherData(
+                encodeCoordinate(latitude),
+                encodeCoordinate(LONGITUDE),
+                encodeWeatherData({ rainfall30d: 1.2, rainfall24h: 0, temperature: 33 }),
+            )
+
+            expect(await radiShield.processWeatherData.staticCall(policyId)).to.equal(0n)
+            await expect(radiShield.processWeatherData(policyId)).to.not.emit(
+                radiShield,
+                "PayoutTriggered",
+            )
+        })
+
+        it("should ignore readings taken before the policy started", async function () {
+            const latitude = nextLatitude
+
+            // A flood reading written just before the policy is bought
+            await weatherOracle.updateWeatherData(
+                encodeCoordinate(latitude),
+                encodeCoordinate(LONGITUDE),
+                encodeWeatherData({ rainfall30d: 260, rainfall24h: 240, temperature: 25 }),
+            )
+            const { policyId } = await createPolicy()
+
+            await expect(radiShield.processWeatherData(policyId)).to.not.emit(
+                radiShield,
+                "PayoutTriggered",
+            )
+        })
+    })
+
+    describe("submitPolicyWeather", function () {
+        it("should pay a drought measured from the policy start date", async function () {
+            const { policyId, startDate } = await createPolicy()
+            await time.increase(45 * DAY)
+
+            // 6mm in 45 days is 4mm per 30 days, below the 5mm threshold
+            const weather = {
+                periodStart: startDate,
+                periodEnd: startDate + 45 * DAY,
+                totalRainfall: 6,
+                maxRainfall24h: 2.5,
+                maxTemperature: 34.2,
+            }
+            const encoded = encodePolicyWeather(weather)
+
+            expect(
+                await radiShield.connect(oracle).submitPolicyWeather.staticCall(policyId, encoded),
+            ).to.equal(COVERAGE)
+
+            const tx = radiShield.connect(oracle).submitPolicyWeather(policyId, encoded)
+            await expect(tx)
+                .to.emit(radiShield, "PolicyWeatherSubmitted")
+                .withArgs(policyId, weather.periodStart, weather.periodEnd, 6000, 2500, 34200)
+            await expect(tx)
+                .to.emit(radiShield, "PayoutTriggered")
+                .withArgs(policyId, "severe_drought", COVERAGE)
+            await expect(tx).to.changeEtherBalance(farmer, COVERAGE)
+
+            const stored = decodePolicyWeather(await radiShield.getPolicyWeather(policyId))
+            expect(stored).to.include(weather)
+            expect(stored.timestamp).to.be.greaterThan(weather.periodEnd)
+        })
+
+        it("should compare longer periods to the drought threshold pro rata", async function () {
+            const { policyId, startDate } = await createPolicy()
+            await time.increase(45 * DAY)
+
+            // 9mm in 45 days is 6mm per 30 days
+            const encoded = encodePolicyWeather({
+                periodStart: startDate,
+                periodEnd: startDate + 45 * DAY,
+                totalRainfall: 9,
+                maxRainfall24h: 3,
+                maxTemperature: 30,
+            })
+
+            await expect(
+                radiShield.connect(oracle).submitPolicyWeather(policyId, encoded),
+            ).to.not.emit(radiShield, "PayoutTriggered")
+            expect(await radiShield.isPolicyActive(policyId)).to.equal(true)
+        })
+
+        it("should not report a drought before a full window of coverage", async function () {
+            const { policyId, startDate } = await createPolicy()
+            await time.increase(10 * DAY)
+
+            const dryWeek = encodePolicyWeather({
+                periodStart: startDate,
+                periodEnd: startDate + 10 * DAY,
+                totalRainfall: 0,
+                maxRainfall24h: 0,
+                maxTemperature: 31,
+            })
+            await expect(
+                radiShield.connect(oracle).submitPolicyWeather(policyId, dryWeek),
+            ).to.not.emit(radiShield, "PayoutTriggered")
+
+            // Floods and heatwaves count from the first day
+            const flood = encodePolicyWeather({
+                periodStart: startDate,
+                periodEnd: startDate + 10 * DAY,
+                totalRainfall: 230,
+                maxRainfall24h: 210.5,
+                maxTemperature: 27,
+            })
+            await expect(radiShield.connect(oracle).submitPolicyWeather(policyId, flood))
+                .to.emit(radiShield, "PayoutTriggered")
+                .withArgs(policyId, "severe_flood", COVERAGE)
+        })
+
+        it("should reject periods outside coverage", async function () {
+            const { policyId, startDate } = await createPolicy()
+            await time.increase(40 * DAY)
+            const now = await time.latest()
+
+            const periods = [
+                [startDate - DAY, startDate + 35 * DAY], // starts before the policy
+                [startDate, now + DAY], // not over yet
+                [startDate + 5 * DAY, startDate + 5 * DAY], // empty
+            ]
+            for (const [periodStart, periodEnd] of periods) {
+                const encoded = encodePolicyWeather({
+                    periodStart,
+                    periodEnd,
+                    totalRainfall: 1,
+                    maxRainfall24h: 1,
+                    maxTemperature: 30,
+                })
+                await expect(radiShield.connect(oracle).submitPolicyWeather(policyId, encoded))
+                    .to.be.revertedWithCustomError(radiShield, "InvalidWeatherPeriod")
+                    .withArgs(policyId, periodStart, periodEnd)
+            }
+
+            // Ends after the policy does
+            await time.increase(60 * DAY)
+            const late = encodePolicyWeather({
+                periodStart: startDate,
+                periodEnd: startDate + DURATION + DAY,
+                totalRainfall: 1,
+                maxRainfall24h: 1,
+                maxTemperature: 30,
+            })
+            await expect(
+                radiShield.connect(oracle).submitPolicyWeather(policyId, late),
+            ).to.be.revertedWithCustomError(radiShield, "InvalidWeatherPeriod")
+        })
+
+        it("should reject inconsistent weather", async function () {
+            const { policyId, startDate } = await createPolicy()
+            await time.increase(5 * DAY)
+
+            // Wettest day cannot exceed the period total
+            const encoded = encodePolicyWeather({
+                periodStart: startDate,
+                periodEnd: startDate + 5 * DAY,
+                totalRainfall: 10,
+                maxRainfall24h: 12,
+                maxTemperature: 30,
+            })
+            await expect(
+                radiShield.connect(oracle).submitPolicyWeather(policyId, encoded),
+            ).to.be.revertedWithCustomError(radiShield, "InvalidWeatherData")
+        })
+
+        it("should only accept submissions from authorized oracles", async function () {
+            const { policyId, startDate } = await createPolicy()
+            await time.increase(DAY)
+
+            const encoded = encodePolicyWeather({
+                periodStart: startDate,
+                periodEnd: startDate + DAY,
+                totalRainfall: 1,
+                maxRainfall24h: 1,
+                maxTemperature: 30,
+            })
+            await expect(radiShield.connect(stranger).submitPolicyWeather(policyId, encoded))
+                .to.be.revertedWithCustomError(radiShield, "UnauthorizedOracle")
+                .withArgs(stranger.address)
+        })
+    })
+})
@@ -0,0 +1,162 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { time } = require("@nomicfoundation/hardhat-network-helpers")
+const {
+    WEATHER_ATTESTATION_TYPES,
+    encodeCoordinate,
+    encodeWeatherAttestation,
+    getAttestationDomain,
+    decodeWeatherData,
+} = require("../../weather_bot/weatherEncoding")
+
+describe("Signed weather attestations (EIP-712)", function () {
+    let weatherOracle
+    let domain
+    let oracleSigner // authorized, never sends a transaction
+    let relayer // pays gas, not an oracle
+    let stranger
+
+    const LATITUDE = encodeCoordinate(-1.2921)
+    const LONGITUDE = encodeCoordinate(36.8219)
+    const reading = { rainfall30d: 42.5, rainfall24h: 1.2, temperature: 27.3, source: "open-meteo" }
+
+    async function attest(overrides = {}, signer = oracleSigner) {
+        const observedAt = (await time.latest()) * 1000
+        const attestation = {
+            ...encodeWeatherAttestation(LATITUDE, LONGITUDE, {
+                ...reading,
+                timestamp: observedAt,
+            }),
+            ...overrides,
+        }
+        const signature = await signer.signTypedData(domain, WEATHER_ATTESTATION_TYPES, attestation)
+        return { attestation, signature }
+    }
+
+    beforeEach(async function () {
+        const signers = await ethers.getSigners()
+        relayer = signers[1]
+        stranger = signers[2]
+        oracleSigner = ethers.Wallet.createRandom()
+
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle")
+        weatherOracle = await WeatherOracle.deploy()
+        await weatherOracle.authorizeOracle(oracleSigner.address)
+
+        const { chainId } = await ethers.provider.getNetwork()
+        domain = getAttestationDomain(chainId, await weatherOracle.getAddress())
+    })
+
+    it("Should compute the same digest as the bot", async function () {
+        const { attestation } = await attest()
+        expect(await weatherOracle.getAttestationDigest(attestation)).to.equal(
+            ethers.TypedDataEncoder.hash(domain, WEATHER_ATTESTATION_TYPES, attestation),
+        )
+    })
+
+    it("Should accept an attestation relayed by any account", async function () {
+        const { attestation, signature } = await attest()
+
+        await expect(weatherOracle.connect(relayer).submitSignedWeatherData(attestation, signature))
+            .to.emit(weatherOracle, "WeatherDataAttested")
+            .withArgs(
+                LATITUDE,
+                LONGITUDE,
+                oracleSigner.address,
+                relayer.address,
+                attestation.observedAt,
+                "open-meteo",
+            )
+
+        const stored = await weatherOracle.getWeatherData(LATITUDE, LONGITUDE)
+        expect(decodeWeatherData(stored)).to.include({
+            rainfall30d: 42.5,
+            rainfall24h: 1.2,
+            temperature: 27.3,
+            timestamp: attestation.observedAt,
+        })
+
+        const provenance = await weatherOracle.getProvenance(LATITUDE, LONGITUDE)
+        expect(provenance.signer).to.equal(oracleSigner.address)
+        expect(provenance.observedAt).to.equal(attestation.observedAt)
+        expect(provenance.source).to.equal("open-meteo")
+    })
+
+    it("Should reject signatures from unauthorized accounts", async function () {
+        const { attestation, signature } = await attest({}, stranger)
+        await expect(weatherOracle.connect(relayer).submitSignedWeatherData(attestation, signature))
+            .to.be.revertedWithCustomError(weatherOracle, "UnauthorizedOracle")
+            .withArgs(stranger.address)
+    })
+
+    it("Should reject tampered values", async function () {
+        const { attestation, signature } = await attest()
+        const tampered = { ...attestation, rainfall30d: 1000 }
+
+        // The signature recovers to some other address, which is not an oracle
+        await expect(
+            weatherOracle.connect(relayer).submitSignedWeatherData(tampered, signature),
+        ).to.be.revertedWithCustomError(weatherOracle, "UnauthorizedOracle")
+        await expect(
+            weatherOracle.connect(relayer).submitSignedWeatherData(attestation, "0x1234"),
+        ).to.be.revertedWithCustomError(weatherOracle, "InvalidSignature")
+    })
+
+    it("Should not accept the same attestation twice", async function () {
+        const { attestation, signature } = await attest()
+        await weatherOracle.connect(relayer).submitSignedWeatherData(attestation, signature)
+
+        await expect(
+            weatherOracle.connect(stranger).submitSignedWeatherData(attestation, signature),
+        ).to.be.revertedWithCustomError(weatherOracle, "AttestationAlreadyUsed")
+    })
+
+    it("Should reject observations that are too old or in the future", async function () {
+        const now = await time.latest()
+        const maxAge = Number(await weatherOracle.MAX_ATTESTATION_AGE())
+        const maxSkew = Number(await weatherOracle.MAX_CLOCK_SKEW())
+
+        const old = await attest({ observedAt: now - maxAge - 60 })
+        await expect(weatherOracle.submitSignedWeatherData(old.attestation, old.signature))
+            .to.be.revertedWithCustomError(weatherOracle, "InvalidTimestamp")
+            .withArgs(now - maxAge - 60)
+
+        const future = await attest({ observedAt: now + maxSkew + 60 })
+        await expect(
+            weatherOracle.submitSignedWeatherData(future.attestation, future.signature),
+        ).to.be.revertedWithCustomError(weatherOracle, "InvalidTimestamp")
+
+        // Small clock skew is tolerated, but stored as the block time
+        const ahead = await attest({ observedAt: now + 60 })
+        await weatherOracle.submitSignedWeatherData(ahead.attestation, ahead.signature)
+        const stored = await weatherOracle.getWeatherData(LATITUDE, LONGITUDE)
+        expect(stored.timestamp).to.be.lessThanOrEqual(BigInt(await time.latest()))
+    })
+
+    it("Should not replace newer data with an older observation", async function () {
+        const older = await attest()
+        await time.increase(600)
+        const newer = await attest()
+
+        await weatherOracle.submitSignedWeatherData(newer.attestation, newer.signature)
+        await expect(weatherOracle.submitSignedWeatherData(older.attestation, older.signature))
+            .to.be.revertedWithCustomError(weatherOracle, "OutdatedAttestation")
+            .withArgs(older.attestation.observedAt, newer.attestation.observedAt)
+    })
+
+    it("Should clear provenance when an oracle writes data directly", async function () {
+        const { attestation, signature } = await attest()
+        await weatherOracle.submitSignedWeatherData(attestation, signature)
+
+        await weatherOracle.updateWeatherData(LATITUDE, LONGITUDE, {
+            rainfall30d: 50000,
+            rainfall24h: 0,
+            temperature: 25000,
+            timestamp: 0,
+            isValid: true,
+        })
+        const provenance = await weatherOracle.getProvenance(LATITUDE, LONGITUDE)
+        expect(provenance.signer).to.equal(ethers.ZeroAddress)
+        expect(provenance.source).to.equal("")
+    })
+})
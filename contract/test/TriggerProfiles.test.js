@@ -0,0 +1,255 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { time } = require("@nomicfoundation/hardhat-network-helpers")
+const { encodeCoordinate, encodeWeatherData } = require("../../weather_bot/weatherEncoding")
+
+describe("Trigger profiles per crop and region", function () {
+    let weatherOracle
+    let radiShield
+    let owner
+    let farmer
+
+    const DAY = 24 * 60 * 60
+    const COVERAGE = ethers.parseEther("1")
+    const PREMIUM = (COVERAGE * 700n) / 10000n
+
+    // Nairobi, and a farm in northern Nigeria inside the Sahel region
+    const KENYA = { latitude: encodeCoordinate(-1.2921), longitude: encodeCoordinate(36.8219) }
+    const NIGERIA = { latitude: encodeCoordinate(12.0), longitude: encodeCoordinate(8.5) }
+    const SAHEL = {
+        name: "sahel",
+        minLatitude: encodeCoordinate(10),
+        maxLatitude: encodeCoordinate(20),
+        minLongitude: encodeCoordinate(-17),
+        maxLongitude: encodeCoordinate(40),
+    }
+
+    const DEFAULTS = [5n, 200n, 55n, 75n]
+    const COFFEE = {
+        droughtThreshold: 40,
+        floodThreshold: 100,
+        heatwaveThreshold: 35,
+        heatwavePayoutRate: 50,
+    }
+    const SAHEL_COFFEE = {
+        droughtThreshold: 10,
+        floodThreshold: 120,
+        heatwaveThreshold: 45,
+        heatwavePayoutRate: 60,
+    }
+    const asTuple = (profile) => [
+        BigInt(profile.droughtThreshold),
+        BigInt(profile.floodThreshold),
+        BigInt(profile.heatwaveThreshold),
+        BigInt(profile.heatwavePayoutRate),
+    ]
+
+    async function triggers(cropType, location) {
+        return [
+            ...(await radiShield.getTriggerProfile(
+                cropType,
+                location.latitude,
+                location.longitude,
+            )),
+        ]
+    }
+
+    async function buy(cropType, location = KENYA) {
+        await radiShield
+            .connect(farmer)
+            .createPolicy(cropType, COVERAGE, 90 * DAY, location.latitude, location.longitude, {
+                value: PREMIUM,
+            })
+        return radiShield.getTotalPolicies()
+    }
+
+    beforeEach(async function () {
+        ;[owner, farmer] = await ethers.getSigners()
+
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle")
+        weatherOracle = await WeatherOracle.deploy()
+
+        const RadiShield = await ethers.getContractFactory("RadiShield")
+        radiShield = await RadiShield.deploy(await weatherOracle.getAddress())
+        await owner.sendTransaction({
+            to: await radiShield.getAddress(),
+            value: ethers.parseEther("20"),
+        })
+    })
+
+    it("should use the default thresholds for crops without a profile", async function () {
+        expect(await triggers("maize", KENYA)).to.deep.equal(DEFAULTS)
+
+        const policyId = await buy("maize")
+        expect([...(await radiShield.getPolicyTriggers(policyId))]).to.deep.equal(DEFAULTS)
+        await expect(radiShield.getPolicyTriggers(99))
+            .to.be.revertedWithCustomError(radiShield, "PolicyNotFound")
+            .withArgs(99)
+    })
+
+    it("should prefer a matching region's profile over the crop's default", async function () {
+        await expect(radiShield.setTriggerProfile("coffee", "", COFFEE))
+            .to.emit(radiShield, "TriggerProfileSet")
+            .withArgs("coffee", "", asTuple(COFFEE))
+        await expect(radiShield.setRegion(SAHEL))
+            .to.emit(radiShield, "RegionSet")
+            .withArgs(
+                "sahel",
+                SAHEL.minLatitude,
+                SAHEL.maxLatitude,
+                SAHEL.minLongitude,
+                SAHEL.maxLongitude,
+            )
+        await radiShield.setTriggerProfile("coffee", "sahel", SAHEL_COFFEE)
+
+        expect(await triggers("coffee", NIGERIA)).to.deep.equal(asTuple(SAHEL_COFFEE))
+        expect(await triggers("coffee", KENYA)).to.deep.equal(asTuple(COFFEE))
+        // Crop keys are matched exactly
+        expect(await triggers("maize", NIGERIA)).to.deep.equal(DEFAULTS)
+        expect(await triggers("Coffee", KENYA)).to.deep.equal(DEFAULTS)
+
+        await radiShield.removeRegion("sahel")
+        expect(await radiShield.getRegions()).to.deep.equal([])
+        expect(await triggers("coffee", NIGERIA)).to.deep.equal(asTuple(COFFEE))
+    })
+
+    it("should drop a region's profiles with the region", async function () {
+        await radiShield.setRegion(SAHEL)
+        await radiShield.setTriggerProfile("coffee", "sahel", SAHEL_COFFEE)
+        await radiShield.setTriggerProfile("maize", "sahel", COFFEE)
+        await radiShield.setTriggerProfile("tea", "sahel", COFFEE)
+        await radiShield.removeTriggerProfile("tea", "sahel")
+
+        await expect(radiShield.removeRegion("sahel"))
+            .to.emit(radiShield, "TriggerProfileRemoved")
+            .withArgs("coffee", "sahel")
+            .and.to.emit(radiShield, "TriggerProfileRemoved")
+            .withArgs("maize", "sahel")
+            .and.to.emit(radiShield, "RegionRemoved")
+            .withArgs("sahel")
+
+        // A region added again under the same name starts without profiles
+        await radiShield.setRegion(SAHEL)
+        expect(await triggers("coffee", NIGERIA)).to.deep.equal(DEFAULTS)
+        expect(await triggers("maize", NIGERIA)).to.deep.equal(DEFAULTS)
+        await expect(radiShield.removeTriggerProfile("coffee", "sahel"))
+            .to.be.revertedWithCustomError(radiShield, "TriggerProfileNotFound")
+            .withArgs("coffee", "sahel")
+    })
+
+    it("should keep a policy's triggers when the profile changes", async function () {
+        await radiShield.setTriggerProfile("coffee", "", COFFEE)
+        const policyId = await buy("coffee")
+
+        await radiShield.setTriggerProfile("coffee", "", SAHEL_COFFEE)
+        expect([...(await radiShield.getPolicyTriggers(policyId))]).to.deep.equal(asTuple(COFFEE))
+
+        await expect(radiShield.removeTriggerProfile("coffee", ""))
+            .to.emit(radiShield, "TriggerProfileRemoved")
+            .withArgs("coffee", "")
+        expect(await triggers("coffee", KENYA)).to.deep.equal(DEFAULTS)
+        expect([...(await radiShield.getPolicyTriggers(policyId))]).to.deep.equal(asTuple(COFFEE))
+    })
+
+    it("should pay out on the policy's own triggers", async function () {
+        await radiShield.setTriggerProfile("coffee", "", COFFEE)
+        const coffeePolicy = await buy("coffee")
+        const maizePolicy = await buy("maize")
+
+        // 150 mm in a day floods coffee (100 mm) but not maize (200 mm)
+        await time.increase(60)
+        await weatherOracle.updateWeatherData(
+            KENYA.latitude,
+            KENYA.longitude,
+            encodeWeatherData({ rainfall30d: 180, rainfall24h: 150, temperature: 30 }),
+        )
+
+        await expect(radiShield.processWeatherData(maizePolicy)).not.to.emit(
+            radiShield,
+            "PayoutTriggered",
+        )
+        await expect(radiShield.processWeatherData(coffeePolicy))
+            .to.emit(radiShield, "PayoutTriggered")
+            .withArgs(coffeePolicy, "severe_flood", COVERAGE)
+    })
+
+    it("should pay the profile's heatwave share", async function () {
+        await radiShield.setTriggerProfile("coffee", "", COFFEE)
+        const policyId = await buy("coffee")
+
+        await time.increase(60)
+        await weatherOracle.updateWeatherData(
+            KENYA.latitude,
+            KENYA.longitude,
+            encodeWeatherData({ rainfall30d: 80, rainfall24h: 4, temperature: 38 }),
+        )
+
+        await expect(radiShield.processWeatherData(policyId))
+            .to.emit(radiShield, "PayoutTriggered")
+            .withArgs(policyId, "extreme_heatwave", COVERAGE / 2n)
+    })
+
+    it("should validate profiles and regions", async function () {
+        for (const profile of [
+            { ...COFFEE, floodThreshold: 0 },
+            { ...COFFEE, floodThreshold: 1001 },
+            { ...COFFEE, droughtThreshold: 10001 },
+            { ...COFFEE, heatwaveThreshold: 101 },
+            { ...COFFEE, heatwavePayoutRate: 0 },
+            { ...COFFEE, heatwavePayoutRate: 101 },
+        ]) {
+            await expect(radiShield.setTriggerProfile("coffee", "", profile))
+                .to.be.revertedWithCustomError(radiShield, "InvalidTriggerProfile")
+                .withArgs("coffee", "")
+        }
+        await expect(radiShield.setTriggerProfile("", "", COFFEE)).to.be.revertedWithCustomError(
+            radiShield,
+            "InvalidTriggerProfile",
+        )
+        await expect(radiShield.setTriggerProfile("coffee", "sahel", COFFEE))
+            .to.be.revertedWithCustomError(radiShield, "RegionNotFound")
+            .withArgs("sahel")
+        await expect(radiShield.removeTriggerProfile("coffee", ""))
+            .to.be.revertedWithCustomError(radiShield, "TriggerProfileNotFound")
+            .withArgs("coffee", "")
+
+        // Regions must lie within Africa
+        await expect(radiShield.setRegion({ ...SAHEL, maxLongitude: encodeCoordinate(60) }))
+            .to.be.revertedWithCustomError(radiShield, "InvalidRegion")
+            .withArgs("sahel")
+        await expect(radiShield.removeRegion("sahel"))
+            .to.be.revertedWithCustomError(radiShield, "RegionNotFound")
+            .withArgs("sahel")
+
+        // Setting a region again moves its bounds
+        await radiShield.setRegion(SAHEL)
+        await radiShield.setRegion({ ...SAHEL, maxLatitude: encodeCoordinate(18) })
+        const regions = await radiShield.getRegions()
+        expect(regions).to.have.length(1)
+        expect(regions[0].maxLatitude).to.equal(BigInt(encodeCoordinate(18)))
+    })
+
+    it("should cap the number of regions", async function () {
+        const max = Number(await radiShield.MAX_REGIONS())
+        for (let index = 0; index < max; index++) {
+            await radiShield.setRegion({ ...SAHEL, name: `region-${index}` })
+        }
+        await expect(radiShield.setRegion({ ...SAHEL, name: "one-too-many" }))
+            .to.be.revertedWithCustomError(radiShield, "TooManyRegions")
+            .withArgs(max)
+    })
+
+    it("should only let the owner manage profiles and regions", async function () {
+        for (const call of [
+            radiShield.connect(farmer).setTriggerProfile("coffee", "", COFFEE),
+            radiShield.connect(farmer).removeTriggerProfile("coffee", ""),
+            radiShield.connect(farmer).setRegion(SAHEL),
+            radiShield.connect(farmer).removeRegion("sahel"),
+        ]) {
+            await expect(call).to.be.revertedWithCustomError(
+                radiShield,
+                "OwnableUnauthorizedAccount",
+            )
+        }
+    })
+})
@@ -0,0 +1,230 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { time } = require("@nomicfoundation/hardhat-network-helpers")
+const {
+    RAINFALL_SCALE,
+    TEMPERATURE_SCALE,
+    encodeCoordinate,
+    encodeWeatherData,
+    decodeWeatherData,
+} = require("../../weather_bot/weatherEncoding")
+
+describe("Weather data encoding (bot -> WeatherOracle -> RadiShield)", function () {
+    let weatherOracle
+    let radiShield
+    let farmer
+
+    const COVERAGE = ethers.parseEther("1")
+    const DURATION = 60 * 24 * 60 * 60 // 60 days
+    const DROUGHT_WINDOW = 30 * 24 * 60 * 60 // 30 days
+
+    // Readings as produced by OpenMeteoClient.processWeatherData (mm and °C, 2 decimals)
+    const scenarios = [
+        {
+            name: "normal season",
+            reading: { rainfall30d: 87.4, rainfall24h: 3.2, temperature: 31.6 },
+            trigger: null,
+        },
+        {
+            name: "severe drought",
+            reading: { rainfall30d: 4.87, rainfall24h: 0, temperature: 34.1 },
+            trigger: "severe_drought",
+            payout: COVERAGE,
+        },
+        {
+            name: "drought threshold exactly",
+            reading: { rainfall30d: 5, rainfall24h: 0.4, temperature: 33.2 },
+            trigger: null,
+        },
+        {
+            name: "severe flood with fractional rainfall",
+            reading: { rainfall30d: 245.3, rainfall24h: 200.4, temperature: 26.8 },
+            trigger: "severe_flood",
+            payout: COVERAGE,
+        },
+        {
+            name: "flood threshold exactly",
+            reading: { rainfall30d: 231.9, rainfall24h: 200, temperature: 27.5 },
+            trigger: null,
+        },
+        {
+            name: "extreme heatwave",
+            reading: { rainfall30d: 12.6, rainfall24h: 0.2, temperature: 55.21 },
+            trigger: "extreme_heatwave",
+            payout: (COVERAGE * 75n) / 100n,
+        },
+        {
+            name: "heatwave threshold exactly",
+            reading: { rainfall30d: 12.6, rainfall24h: 0.2, temperature: 55 },
+            trigger: null,
+        },
+    ]
+
+    before(async function () {
+        const signers = await ethers.getSigners()
+        farmer = signers[1]
+
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle")
+        weatherOracle = await WeatherOracle.deploy()
+
+        const RadiShield = await ethers.getContractFactory("RadiShield")
+        radiShield = await RadiShield.deploy(await weatherOracle.getAddress())
+
+        // Fund the contract so payouts can be made
+        await signers[0].sendTransaction({
+            to: await radiShield.getAddress(),
+            value: ethers.parseEther("20"),
+        })
+    })
+
+    it("Should match the Solidity fixed-point constants", async function () {
+        expect(await weatherOracle.MAX_RAINFALL_30D()).to.equal(10000n * BigInt(RAINFALL_SCALE))
+        expect(await weatherOracle.MAX_RAINFALL_24H()).to.equal(1000n * BigInt(RAINFALL_SCALE))
+        expect(await weatherOracle.MAX_TEMPERATURE()).to.equal(100n * BigInt(TEMPERATURE_SCALE))
+        expect(await weatherOracle.MIN_TEMPERATURE()).to.equal(-100n * BigInt(TEMPERATURE_SCALE))
+    })
+
+    it("Should encode Open-Meteo readings without losing precision", async function () {
+        const encoded = encodeWeatherData({
+            rainfall30d: 4.87,
+            rainfall24h: 0.35,
+            temperature: 55.21,
+        })
+
+        expect(encoded.rainfall30d).to.equal(4870)
+        expect(encoded.rainfall24h).to.equal(350)
+        expect(encoded.temperature).to.equal(55210)
+    })
+
+    scenarios.forEach((scenario, index) => {
+        it(`Should ${scenario.trigger ? "trigger" : "not trigger"} a payout for ${scenario.name}`, async function () {
+            // One location per scenario, at sub-degree precision
+            const latitude = 5.1234 + index
+            const longitude = 3.3792
+
+            await radiShield
+                .connect(farmer)
+                .createPolicy(
+                    "maize",
+                    COVERAGE,
+                    DURATION,
+                    encodeCoordinate(latitude),
+                    encodeCoordinate(longitude),
+                    { value: (COVERAGE * 700n) / 10000n },
+                )
+            const policyId = await radiShield.getTotalPolicies()
+
+            // Readings from after a full 30-day window of coverage
+            await time.increase(DROUGHT_WINDOW)
+
+            const encoded = encodeWeatherData(scenario.reading)
+            await weatherOracle.updateWeatherData(
+                encodeCoordinate(latitude),
+                encodeCoordinate(longitude),
+                encoded,
+            )
+
+            // What the bot reads back must be what it wrote
+            const stored = await weatherOracle.getWeatherData(
+                encodeCoordinate(latitude),
+                encodeCoordinate(longitude),
+            )
+            expect(decodeWeatherData(stored)).to.include(scenario.reading)
+
+            // A dry run reports the payout a keeper would trigger
+            expect(await radiShield.processWeatherData.staticCall(policyId)).to.equal(
+                scenario.payout || 0n,
+            )
+
+            const tx = radiShield.processWeatherData(policyId)
+
+            await expect(tx)
+                .to.emit(radiShield, "WeatherDataReceived")
+                .withArgs(policyId, encoded.rainfall30d, encoded.rainfall24h, encoded.temperature)
+
+            if (scenario.trigger) {
+                await expect(tx)
+                    .to.emit(radiShield, "PayoutTriggered")
+                    .withArgs(policyId, scenario.trigger, scenario.payout)
+                await expect(tx).to.changeEtherBalance(farmer, scenario.payout)
+                expect(await radiShield.isPolicyClaimed(policyId)).to.equal(true)
+            } else {
+                await expect(tx).to.not.emit(radiShield, "PayoutTriggered")
+                expect(await radiShield.isPolicyActive(policyId)).to.equal(true)
+            }
+        })
+    })
+
+    it("Should store and process sub-zero highland readings", async function () {
+        // Lesotho highlands during a cold snap
+        const latitude = -29.3151
+        const longitude = 27.4869
+        const reading = { rainfall30d: 18.3, rainfall24h: 1.1, temperature: -7.35 }
+
+        await radiShield
+            .connect(farmer)
+            .createPolicy(
+                "wheat",
+                COVERAGE,
+                DURATION,
+                encodeCoordinate(latitude),
+                encodeCoordinate(longitude),
+                { value: (COVERAGE * 700n) / 10000n },
+            )
+        const policyId = await radiShield.getTotalPolicies()
+
+        // The policy keeps the precise position the bot writes weather data for
+        const policy = await radiShield.getPolicy(policyId)
+        expect(policy.latitude).to.equal(-293151)
+        expect(policy.longitude).to.equal(274869)
+
+        const encoded = encodeWeatherData(reading)
+        expect(encoded.temperature).to.equal(-7350)
+
+        await expect(
+            weatherOracle.updateWeatherData(
+                encodeCoordinate(latitude),
+                encodeCoordinate(longitude),
+                encoded,
+            ),
+        ).to.emit(weatherOracle, "WeatherDataUpdated")
+
+        const stored = await weatherOracle.getWeatherData(
+            encodeCoordinate(latitude),
+            encodeCoordinate(longitude),
+        )
+        expect(stored.temperature).to.equal(-7350n)
+        expect(decodeWeatherData(stored)).to.include(reading)
+
+        const tx = radiShield.processWeatherData(policyId)
+        await expect(tx)
+            .to.emit(radiShield, "WeatherDataReceived")
+            .withArgs(policyId, encoded.rainfall30d, encoded.rainfall24h, -7350)
+        await expect(tx).to.not.emit(radiShield, "PayoutTriggered")
+    })
+
+    it("Should reject temperatures below -100°C on chain", async function () {
+        const data = {
+            ...encodeWeatherData({ rainfall30d: 10, rainfall24h: 0, temperature: -100 }),
+            temperature: -100001,
+        }
+
+        await expect(
+            weatherOracle.updateWeatherData(encodeCoordinate(-29), encodeCoordinate(28), data),
+        )
+            .to.be.revertedWithCustomError(weatherOracle, "InvalidWeatherData")
+            .withArgs(10000, 0, -100001)
+    })
+
+    it("Should reject readings outside the encodable range", async function () {
+        expect(() =>
+            encodeWeatherData({ rainfall30d: 10000.5, rainfall24h: 0, temperature: 20 }),
+        ).to.throw("30-day rainfall")
+        expect(() =>
+            encodeWeatherData({ rainfall30d: 10, rainfall24h: 0, temperature: 100.01 }),
+        ).to.throw("Temperature")
+        expect(() =>
+            encodeWeatherData({ rainfall30d: 10, rainfall24h: 0, temperature: -100.01 }),
+        ).to.throw("Temperature")
+    })
+})
@@ -0,0 +1,177 @@
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const { time } = require("@nomicfoundation/hardhat-network-helpers")
+const {
+    encodeCoordinate,
+    encodeWeatherData,
+    decodeWeatherData,
+} = require("../../weather_bot/weatherEncoding")
+const Web3Client = require("../../weather_bot/web3Client")
+
+describe("Weather history ring buffer", function () {
+    let weatherOracle
+    let historySize
+
+    const RESOLUTION = 1000 // 0.1° cells
+    const FARM = { latitude: -1.2921, longitude: 36.8219 }
+    const LATITUDE = encodeCoordinate(FARM.latitude)
+    const LONGITUDE = encodeCoordinate(FARM.longitude)
+
+    // Distinct readings, told apart by their 30-day rainfall
+    const reading = (index) =>
+        encodeWeatherData({ rainfall30d: index, rainfall24h: 0, temperature: 25 })
+
+    async function update(index, latitude = LATITUDE, longitude = LONGITUDE) {
+        await weatherOracle.updateWeatherData(latitude, longitude, reading(index))
+    }
+
+    async function history(offset, limit) {
+        const readings = await weatherOracle.getWeatherHistory(LATITUDE, LONGITUDE, offset, limit)
+        return readings.map((entry) => decodeWeatherData(entry).rainfall30d)
+    }
+
+    beforeEach(async function () {
+        const WeatherOracle = await ethers.getContractFactory("WeatherOracle")
+        weatherOracle = await WeatherOracle.deploy()
+        await weatherOracle.setGridResolution(RESOLUTION)
+        historySize = Number(await weatherOracle.HISTORY_SIZE())
+    })
+
+    it("should keep every reading of a cell, newest first", async function () {
+        expect(await weatherOracle.getWeatherHistoryLength(LATITUDE, LONGITUDE)).to.equal(0n)
+        expect(await history(0, 10)).to.deep.equal([])
+
+        for (let index = 1; index <= 3; index++) {
+            await update(index)
+            await time.increase(3600)
+        }
+        // Another location in the same 0.1° cell shares its history
+        await update(4, encodeCoordinate(-1.25), encodeCoordinate(36.85))
+
+        expect(await weatherOracle.getWeatherHistoryLength(LATITUDE, LONGITUDE)).to.equal(4n)
+        expect(await history(0, 10)).to.deep.equal([4, 3, 2, 1])
+
+        const [latest] = await weatherOracle.getWeatherHistory(LATITUDE, LONGITUDE, 0, 1)
+        const current = await weatherOracle.getWeatherData(LATITUDE, LONGITUDE)
+        expect(latest).to.deep.equal(current)
+    })
+
+    it("should page with an offset and a limit", async function () {
+        for (let index = 1; index <= 5; index++) {
+            await update(index)
+        }
+
+        expect(await history(0, 2)).to.deep.equal([5, 4])
+        expect(await history(2, 2)).to.deep.equal([3, 2])
+        expect(await history(4, 2)).to.deep.equal([1])
+        expect(await history(5, 2)).to.deep.equal([])
+    })
+
+    it("should overwrite the oldest readings once full", async function () {
+        const total = historySize + 3
+        const latitudes = Array(total).fill(LATITUDE)
+        const longitudes = Array(total).fill(LONGITUDE)
+        const readings = Array.from({ length: total }, (_, index) => reading(index + 1))
+        await weatherOracle.batchUpdateWeatherData(latitudes, longitudes, readings)
+
+        expect(await weatherOracle.getWeatherHistoryLength(LATITUDE, LONGITUDE)).to.equal(
+            BigInt(historySize),
+        )
+        const all = await history(0, total)
+        expect(all).to.have.length(historySize)
+        expect(all[0]).to.equal(total)
+        expect(all[historySize - 1]).to.equal(4) // readings 1-3 were overwritten
+    })
+
+    it("should record readings from every write path", async function () {
+        const [, oracle] = await ethers.getSigners()
+        await weatherOracle.authorizeOracle(oracle.address)
+
+        await update(1)
+        await weatherOracle
+            .connect(oracle)
+            .batchUpdateWeatherData([LATITUDE], [LONGITUDE], [reading(2)])
+
+        // Quorum rounds store the median once enough oracles agree
+        await weatherOracle.setQuorum(2, 1000)
+        await weatherOracle.submitObservation(LATITUDE, LONGITUDE, 0, reading(3))
+        await weatherOracle.connect(oracle).submitObservation(LATITUDE, LONGITUDE, 0, reading(3))
+
+        expect(await history(0, 10)).to.deep.equal([3, 2, 1])
+    })
+
+    describe("Web3Client", function () {
+        let web3Client
+
+        beforeEach(async function () {
+            // Only reads, so the wallet needs no funds
+            const wallet = ethers.Wallet.createRandom()
+            await weatherOracle.authorizeOracle(wallet.address)
+            web3Client = new Web3Client({
+                provider: ethers.provider,
+                privateKey: wallet.privateKey,
+                weatherOracleAddress: await weatherOracle.getAddress(),
+            })
+            await web3Client.initialize()
+        })
+
+        it("should decode a page of history", async function () {
+            await update(1)
+            await update(2)
+
+            const page = await web3Client.getWeatherHistory(FARM.latitude, FARM.longitude, {
+                limit: 1,
+            })
+            expect(page.length).to.equal(2)
+            expect(page.readings).to.have.length(1)
+            expect(page.readings[0]).to.include({ rainfall30d: 2, rainfall24h: 0, temperature: 25 })
+        })
+
+        it("should collect the readings within a time range across pages", async function () {
+            const timestamps = []
+            for (let index = 1; index <= 40; index++) {
+                await update(index)
+                timestamps.push(await time.latest())
+                await time.increase(3600)
+            }
+
+            const readings = await web3Client.getWeatherHistoryBetween(
+                FARM.latitude,
+                FARM.longitude,
+                timestamps[2],
+                timestamps[36],
+            )
+            expect(readings.map((entry) => entry.rainfall30d)).to.deep.equal(
+                Array.from({ length: 35 }, (_, index) => 37 - index),
+            )
+        })
+
+        it("should not skip or repeat readings written while paging", async function () {
+            for (let index = 1; index <= 40; index++) {
+                await update(index)
+            }
+
+            // A new reading lands right after the first page is read
+            const getPage = web3Client.getWeatherHistory.bind(web3Client)
+            let pages = 0
+            web3Client.getWeatherHistory = async (...args) => {
+                const page = await getPage(...args)
+                if (++pages === 1) {
+                    await update(41)
+                }
+                return page
+            }
+
+            const readings = await web3Client.getWeatherHistoryBetween(
+                FARM.latitude,
+                FARM.longitude,
+                0,
+                (await time.latest()) + 3600,
+            )
+            expect(pages).to.equal(2)
+            expect(readings.map((entry) => entry.rainfall30d)).to.deep.equal(
+                Array.from({ length: 40 }, (_, index) => 40 - index),
+            )
+        })
+    })
+})
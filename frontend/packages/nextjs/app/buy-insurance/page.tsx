@@ -30,6 +30,18 @@ const BuyInsurance: NextPage = () => {
   const { writeContractAsync: createPolicy, isPending: isCreatingPolicy } = useScaffoldWriteContract("RadiShield");
   const [isCalculatingPremium, setIsCalculatingPremium] = useState(false);
 
+  // Triggers the policy would be created with; they depend on the crop and, for
+  // regional profiles, on the farm location (scaled by 10000 like createPolicy)
+  const toScaledCoordinate = (value: string) => {
+    const degrees = parseFloat(value);
+    return Number.isFinite(degrees) ? BigInt(Math.round(degrees * 10000)) : 0n;
+  };
+  const { data: triggers } = useScaffoldReadContract({
+    contractName: "RadiShield",
+    functionName: "getTriggerProfile",
+    args: [cropType, toScaledCoordinate(latitude), toScaledCoordinate(longitude)],
+  });
+
   // Calculate premium using read contract
   const handleCalculatePremium = async () => {
     if (!coverage || !latitude || !longitude) return;
@@ -66,16 +78,13 @@ const BuyInsurance: NextPage = () => {
     try {
       const coverageWei = parseEther(coverage);
       const durationSeconds = BigInt(parseInt(duration) * 24 * 60 * 60);
-      // Contract scales coordinates by 10000 internally, so send the raw integer part
-      // Example: -1.292 latitude becomes -1, 36.822 longitude becomes 37
-      const latScaled = BigInt(Math.round(parseFloat(latitude)));
-      const lonScaled = BigInt(Math.round(parseFloat(longitude)));
+      // Contract expects coordinates scaled by 10000 (1e-4 degree, ~11 m precision),
+      // the same encoding the oracle bot uses for weather data
+      // Example: -1.292 latitude becomes -12920, 36.822 longitude becomes 368220
+      const latScaled = BigInt(Math.round(lat * 10000));
+      const lonScaled = BigInt(Math.round(lon * 10000));
 
       console.log("Sending coordinates:", { latScaled, lonScaled, latitude, longitude });
-      console.log("After contract scaling (×10000):", {
-        scaledLat: Number(latScaled) * 10000,
-        scaledLon: Number(lonScaled) * 10000,
-      });
 
       await createPolicy({
         functionName: "createPolicy",
@@ -365,27 +374,42 @@ const BuyInsurance: NextPage = () => {
           </h3>
           <div className="grid md:grid-cols-2 gap-6">
             <div>
-              <h4 className="font-semibold text-gray-800 mb-2">Weather Triggers</h4>
-              <ul className="space-y-2 text-sm text-gray-700">
-                <li className="flex items-start gap-2">
-                  <span className="text-primary font-bold">•</span>
-                  <span>
-                    <strong>Severe Drought:</strong> &lt;5mm rainfall in 30 days (100% payout)
-                  </span>
-                </li>
-                <li className="flex items-start gap-2">
-                  <span className="text-primary font-bold">•</span>
-                  <span>
-                    <strong>Severe Flood:</strong> &gt;200mm rainfall in 24 hours (100% payout)
-                  </span>
-                </li>
-                <li className="flex items-start gap-2">
-                  <span className="text-primary font-bold">•</span>
-                  <span>
-                    <strong>Extreme Heatwave:</strong> &gt;55°C temperature (75% payout)
-                  </span>
-                </li>
-              </ul>
+              <h4 className="font-semibold text-gray-800 mb-2">
+                Weather Triggers
+                <span className="text-gray-500 font-normal ml-2">
+                  {cropType ? `(${cropType}${latitude && longitude ? " at your farm" : ""})` : "(select a crop)"}
+                </span>
+              </h4>
+              {triggers ? (
+                <ul className="space-y-2 text-sm text-gray-700">
+                  <li className="flex items-start gap-2">
+                    <span className="text-primary font-bold">•</span>
+                    <span>
+                      <strong>Severe Drought:</strong> &lt;{triggers.droughtThreshold.toString()}mm rainfall in 30 days
+                      (100% payout)
+                    </span>
+                  </li>
+                  <li className="flex items-start gap-2">
+                    <span className="text-primary font-bold">•</span>
+                    <span>
+                      <strong>Severe Flood:</strong> &gt;{triggers.floodThreshold.toString()}mm rainfall in 24 hours
+                      (100% payout)
+                    </span>
+                  </li>
+                  <li className="flex items-start gap-2">
+                    <span className="text-primary font-bold">•</span>
+                    <span>
+                      <strong>Extreme Heatwave:</strong> &gt;{triggers.heatwaveThreshold.toString()}°C temperature (
+                      {triggers.heatwavePayoutRate.toString()}% payout)
+                    </span>
+                  </li>
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">Loading triggers...</p>
+              )}
+              <p className="text-xs text-gray-500 mt-2">
+                Triggers are fixed when the policy is created and do not change afterwards
+              </p>
             </div>
             <div>
               <h4 className="font-semibold text-gray-800 mb-2">Key Features</h4>
@@ -9,6 +9,9 @@ import Link from "next/link";
 import { Address } from "~~/components/scaffold-eth";
 import { useScaffoldReadContract, useScaffoldWriteContract } from "~~/hooks/scaffold-eth";
 
+// Readings per page of the on-chain weather history
+const HISTORY_PAGE_SIZE = 10;
+
 interface Policy {
   id: bigint;
   farmer: string;
@@ -43,11 +46,6 @@ const MyPolicies: NextPage = () => {
     return new Date(Number(timestamp) * 1000).toLocaleDateString();
   };
 
-  // Format coordinates
-  const formatCoordinate = (coord: bigint) => {
-    return (Number(coord) / 10000).toFixed(6);
-  };
-
   // Calculate days remaining
   const getDaysRemaining = (endDate: bigint) => {
     const now = Math.floor(Date.now() / 1000);
@@ -142,6 +140,8 @@ const MyPolicies: NextPage = () => {
               onProcessWeather={handleProcessWeatherData}
               isRequestingWeather={isRequestingWeather}
               isProcessingWeather={isProcessingWeather}
+              showHistory={selectedPolicy === Number(policyId)}
+              onToggleHistory={id => setSelectedPolicy(selectedPolicy === id ? null : id)}
             />
           ))}
         </div>
@@ -156,13 +156,17 @@ const PolicyCard = ({
   onRequestWeather, 
   onProcessWeather,
   isRequestingWeather,
-  isProcessingWeather 
+  isProcessingWeather,
+  showHistory,
+  onToggleHistory
 }: { 
   policyId: number;
   onRequestWeather: (id: number) => void;
   onProcessWeather: (id: number) => void;
   isRequestingWeather: boolean;
   isProcessingWeather: boolean;
+  showHistory: boolean;
+  onToggleHistory: (id: number) => void;
 }) => {
   const { data: policy } = useScaffoldReadContract({
     contractName: "RadiShield",
@@ -260,6 +264,83 @@ const PolicyCard = ({
           <span className="font-medium">Claim Paid</span>
         </div>
       )}
+
+      <button className="btn btn-ghost btn-sm mt-4" onClick={() => onToggleHistory(policyId)}>
+        {showHistory ? "Hide Weather History" : "Show Weather History"}
+      </button>
+      {showHistory && <WeatherHistory policy={policyData} />}
+    </div>
+  );
+};
+
+// Weather History Component: the readings WeatherOracle kept for the policy's grid cell
+const WeatherHistory = ({ policy }: { policy: Policy }) => {
+  const [page, setPage] = useState(0);
+
+  const { data: historyLength } = useScaffoldReadContract({
+    contractName: "WeatherOracle",
+    functionName: "getWeatherHistoryLength",
+    args: [policy.latitude, policy.longitude],
+  });
+  const { data: readings, isLoading } = useScaffoldReadContract({
+    contractName: "WeatherOracle",
+    functionName: "getWeatherHistory",
+    args: [policy.latitude, policy.longitude, BigInt(page * HISTORY_PAGE_SIZE), BigInt(HISTORY_PAGE_SIZE)],
+  });
+
+  const total = Number(historyLength ?? 0n);
+  const pageCount = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+
+  if (isLoading) {
+    return <div className="text-sm text-base-content/70 mt-2">Loading weather history...</div>;
+  }
+
+  if (!readings || readings.length === 0) {
+    return <div className="text-sm text-base-content/70 mt-2">No weather readings recorded for this location yet.</div>;
+  }
+
+  return (
+    <div className="mt-2">
+      <p className="text-sm text-base-content/70 mb-2">
+        Newest first. Readings outside the coverage period are dimmed; the oracle keeps the latest {total} for this
+        location.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="table table-sm">
+          <thead>
+            <tr>
+              <th>Recorded</th>
+              <th>Rainfall (30 days)</th>
+              <th>Rainfall (24 hours)</th>
+              <th>Temperature</th>
+            </tr>
+          </thead>
+          <tbody>
+            {readings.map((reading, index) => {
+              const covered = reading.timestamp >= policy.startDate && reading.timestamp <= policy.endDate;
+              return (
+                <tr key={index} className={covered ? "" : "opacity-50"}>
+                  <td>{formatDateTime(reading.timestamp)}</td>
+                  <td>{formatRainfall(reading.rainfall30d)}</td>
+                  <td>{formatRainfall(reading.rainfall24h)}</td>
+                  <td>{formatTemperature(reading.temperature)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex items-center gap-2 mt-2">
+        <button className="btn btn-xs" onClick={() => setPage(page - 1)} disabled={page === 0}>
+          Newer
+        </button>
+        <span className="text-sm">
+          Page {page + 1} of {pageCount}
+        </span>
+        <button className="btn btn-xs" onClick={() => setPage(page + 1)} disabled={page + 1 >= pageCount}>
+          Older
+        </button>
+      </div>
     </div>
   );
 };
@@ -287,9 +368,25 @@ const formatDate = (timestamp: bigint) => {
   return new Date(Number(timestamp) * 1000).toLocaleDateString();
 };
 
+// Helper function to format a reading time
+const formatDateTime = (timestamp: bigint) => {
+  return new Date(Number(timestamp) * 1000).toLocaleString();
+};
+
+// Helper function to format rainfall (stored in 0.001 mm)
+const formatRainfall = (rainfall: bigint) => {
+  return `${(Number(rainfall) / 1000).toFixed(1)} mm`;
+};
+
+// Helper function to format temperature (stored in signed 0.001 °C)
+const formatTemperature = (temperature: bigint) => {
+  return `${(Number(temperature) / 1000).toFixed(1)} °C`;
+};
+
 // Helper function to format coordinates
 const formatCoordinate = (coord: bigint) => {
-  return (Number(coord) / 10000).toFixed(6);
+  // Coordinates are stored scaled by 10000 (4 decimal places)
+  return (Number(coord) / 10000).toFixed(4);
 };
 
 export default MyPolicies;
\ No newline at end of file
@@ -36,6 +36,22 @@ const deployedContracts = {
           name: "ArrayLengthMismatch",
           type: "error",
         },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "counterPayout",
+              type: "uint256",
+            },
+          ],
+          name: "ChallengeNotMaterial",
+          type: "error",
+        },
         {
           inputs: [],
           name: "ContractNotPaused",
@@ -46,6 +62,38 @@ const deployedContracts = {
           name: "ContractPaused",
           type: "error",
         },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "settlesAt",
+              type: "uint256",
+            },
+          ],
+          name: "DisputeWindowClosed",
+          type: "error",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "settlesAt",
+              type: "uint256",
+            },
+          ],
+          name: "DisputeWindowOpen",
+          type: "error",
+        },
         {
           inputs: [],
           name: "EmptyArray",
@@ -175,6 +223,17 @@ const deployedContracts = {
           name: "InvalidCropType",
           type: "error",
         },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "window",
+              type: "uint256",
+            },
+          ],
+          name: "InvalidDisputeWindow",
+          type: "error",
+        },
         {
           inputs: [
             {
@@ -235,6 +294,17 @@ const deployedContracts = {
           name: "InvalidRecipient",
           type: "error",
         },
+        {
+          inputs: [
+            {
+              internalType: "string",
+              name: "name",
+              type: "string",
+            },
+          ],
+          name: "InvalidRegion",
+          type: "error",
+        },
         {
           inputs: [
             {
@@ -257,6 +327,22 @@ const deployedContracts = {
           name: "InvalidTokenAddress",
           type: "error",
         },
+        {
+          inputs: [
+            {
+              internalType: "string",
+              name: "cropType",
+              type: "string",
+            },
+            {
+              internalType: "string",
+              name: "region",
+              type: "string",
+            },
+          ],
+          name: "InvalidTriggerProfile",
+          type: "error",
+        },
         {
           inputs: [
             {
@@ -270,14 +356,46 @@ const deployedContracts = {
               type: "uint256",
             },
             {
-              internalType: "uint256",
+              internalType: "int256",
               name: "temperature",
-              type: "uint256",
+              type: "int256",
             },
           ],
           name: "InvalidWeatherData",
           type: "error",
         },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "periodStart",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "periodEnd",
+              type: "uint256",
+            },
+          ],
+          name: "InvalidWeatherPeriod",
+          type: "error",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+          ],
+          name: "NoPendingPayout",
+          type: "error",
+        },
         {
           inputs: [
             {
@@ -327,6 +445,17 @@ const deployedContracts = {
           name: "OwnableUnauthorizedAccount",
           type: "error",
         },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+          ],
+          name: "PayoutAlreadyDisputed",
+          type: "error",
+        },
         {
           inputs: [
             {
@@ -354,6 +483,17 @@ const deployedContracts = {
           name: "PayoutFailed",
           type: "error",
         },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+          ],
+          name: "PayoutNotDisputed",
+          type: "error",
+        },
         {
           inputs: [
             {
@@ -414,16 +554,70 @@ const deployedContracts = {
           name: "PolicyNotFound",
           type: "error",
         },
+        {
+          inputs: [],
+          name: "QuorumRequired",
+          type: "error",
+        },
         {
           inputs: [],
           name: "ReentrancyGuardReentrantCall",
           type: "error",
         },
+        {
+          inputs: [
+            {
+              internalType: "string",
+              name: "name",
+              type: "string",
+            },
+          ],
+          name: "RegionNotFound",
+          type: "error",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "maxRegions",
+              type: "uint256",
+            },
+          ],
+          name: "TooManyRegions",
+          type: "error",
+        },
         {
           inputs: [],
           name: "TransferFailed",
           type: "error",
         },
+        {
+          inputs: [
+            {
+              internalType: "string",
+              name: "cropType",
+              type: "string",
+            },
+            {
+              internalType: "string",
+              name: "region",
+              type: "string",
+            },
+          ],
+          name: "TriggerProfileNotFound",
+          type: "error",
+        },
+        {
+          inputs: [
+            {
+              internalType: "address",
+              name: "caller",
+              type: "address",
+            },
+          ],
+          name: "UnauthorizedChallenger",
+          type: "error",
+        },
         {
           inputs: [
             {
@@ -451,6 +645,25 @@ const deployedContracts = {
           name: "ZeroValue",
           type: "error",
         },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: true,
+              internalType: "address",
+              name: "oldChallenger",
+              type: "address",
+            },
+            {
+              indexed: true,
+              internalType: "address",
+              name: "newChallenger",
+              type: "address",
+            },
+          ],
+          name: "ChallengerUpdated",
+          type: "event",
+        },
         {
           anonymous: false,
           inputs: [
@@ -482,6 +695,44 @@ const deployedContracts = {
           name: "ClaimPaid",
           type: "event",
         },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: true,
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "bool",
+              name: "payoutStands",
+              type: "bool",
+            },
+          ],
+          name: "DisputeResolved",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "oldWindow",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "newWindow",
+              type: "uint256",
+            },
+          ],
+          name: "DisputeWindowUpdated",
+          type: "event",
+        },
         {
           anonymous: false,
           inputs: [
@@ -523,20 +774,32 @@ const deployedContracts = {
               name: "policyId",
               type: "uint256",
             },
+            {
+              indexed: true,
+              internalType: "address",
+              name: "challenger",
+              type: "address",
+            },
             {
               indexed: false,
-              internalType: "string",
-              name: "triggerType",
-              type: "string",
+              internalType: "uint256",
+              name: "rainfall30d",
+              type: "uint256",
             },
             {
               indexed: false,
               internalType: "uint256",
-              name: "payoutAmount",
+              name: "rainfall24h",
               type: "uint256",
             },
+            {
+              indexed: false,
+              internalType: "int256",
+              name: "temperature",
+              type: "int256",
+            },
           ],
-          name: "PayoutTriggered",
+          name: "PayoutChallenged",
           type: "event",
         },
         {
@@ -548,33 +811,126 @@ const deployedContracts = {
               name: "policyId",
               type: "uint256",
             },
-            {
-              indexed: true,
-              internalType: "address",
-              name: "farmer",
-              type: "address",
-            },
             {
               indexed: false,
               internalType: "uint256",
-              name: "coverage",
+              name: "amount",
               type: "uint256",
             },
             {
               indexed: false,
-              internalType: "string",
-              name: "cropType",
-              type: "string",
+              internalType: "uint256",
+              name: "settlesAt",
+              type: "uint256",
             },
           ],
-          name: "PolicyCreated",
+          name: "PayoutPending",
           type: "event",
         },
         {
           anonymous: false,
           inputs: [
             {
-              indexed: false,
+              indexed: true,
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "string",
+              name: "triggerType",
+              type: "string",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "payoutAmount",
+              type: "uint256",
+            },
+          ],
+          name: "PayoutTriggered",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: true,
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+            {
+              indexed: true,
+              internalType: "address",
+              name: "farmer",
+              type: "address",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "coverage",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "string",
+              name: "cropType",
+              type: "string",
+            },
+          ],
+          name: "PolicyCreated",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: true,
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "periodStart",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "periodEnd",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "totalRainfall",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "maxRainfall24h",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "int256",
+              name: "maxTemperature",
+              type: "int256",
+            },
+          ],
+          name: "PolicyWeatherSubmitted",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: false,
               internalType: "uint256",
               name: "coverage",
               type: "uint256",
@@ -601,6 +957,122 @@ const deployedContracts = {
           name: "PremiumCalculated",
           type: "event",
         },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: false,
+              internalType: "string",
+              name: "name",
+              type: "string",
+            },
+          ],
+          name: "RegionRemoved",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: false,
+              internalType: "string",
+              name: "name",
+              type: "string",
+            },
+            {
+              indexed: false,
+              internalType: "int256",
+              name: "minLatitude",
+              type: "int256",
+            },
+            {
+              indexed: false,
+              internalType: "int256",
+              name: "maxLatitude",
+              type: "int256",
+            },
+            {
+              indexed: false,
+              internalType: "int256",
+              name: "minLongitude",
+              type: "int256",
+            },
+            {
+              indexed: false,
+              internalType: "int256",
+              name: "maxLongitude",
+              type: "int256",
+            },
+          ],
+          name: "RegionSet",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: false,
+              internalType: "string",
+              name: "cropType",
+              type: "string",
+            },
+            {
+              indexed: false,
+              internalType: "string",
+              name: "region",
+              type: "string",
+            },
+          ],
+          name: "TriggerProfileRemoved",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: false,
+              internalType: "string",
+              name: "cropType",
+              type: "string",
+            },
+            {
+              indexed: false,
+              internalType: "string",
+              name: "region",
+              type: "string",
+            },
+            {
+              components: [
+                {
+                  internalType: "uint256",
+                  name: "droughtThreshold",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "floodThreshold",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "heatwaveThreshold",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "heatwavePayoutRate",
+                  type: "uint256",
+                },
+              ],
+              indexed: false,
+              internalType: "struct IRadiShield.TriggerProfile",
+              name: "profile",
+              type: "tuple",
+            },
+          ],
+          name: "TriggerProfileSet",
+          type: "event",
+        },
         {
           anonymous: false,
           inputs: [
@@ -637,9 +1109,9 @@ const deployedContracts = {
             },
             {
               indexed: false,
-              internalType: "uint256",
+              internalType: "int256",
               name: "temperature",
-              type: "uint256",
+              type: "int256",
             },
           ],
           name: "WeatherDataReceived",
@@ -735,7 +1207,7 @@ const deployedContracts = {
         },
         {
           inputs: [],
-          name: "DROUGHT_THRESHOLD",
+          name: "DROUGHT_WINDOW",
           outputs: [
             {
               internalType: "uint256",
@@ -761,7 +1233,7 @@ const deployedContracts = {
         },
         {
           inputs: [],
-          name: "FLOOD_THRESHOLD",
+          name: "HEATWAVE_PAYOUT_RATE",
           outputs: [
             {
               internalType: "uint256",
@@ -774,7 +1246,7 @@ const deployedContracts = {
         },
         {
           inputs: [],
-          name: "HEATWAVE_PAYOUT_RATE",
+          name: "MAX_COVERAGE",
           outputs: [
             {
               internalType: "uint256",
@@ -787,7 +1259,7 @@ const deployedContracts = {
         },
         {
           inputs: [],
-          name: "HEATWAVE_THRESHOLD",
+          name: "MAX_DISPUTE_WINDOW",
           outputs: [
             {
               internalType: "uint256",
@@ -800,7 +1272,7 @@ const deployedContracts = {
         },
         {
           inputs: [],
-          name: "MAX_COVERAGE",
+          name: "MAX_DURATION",
           outputs: [
             {
               internalType: "uint256",
@@ -813,7 +1285,20 @@ const deployedContracts = {
         },
         {
           inputs: [],
-          name: "MAX_DURATION",
+          name: "MAX_NAME_LENGTH",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "MAX_REGIONS",
           outputs: [
             {
               internalType: "uint256",
@@ -954,25 +1439,83 @@ const deployedContracts = {
         },
         {
           inputs: [
-            {
-              internalType: "string",
-              name: "cropType",
-              type: "string",
-            },
             {
               internalType: "uint256",
-              name: "coverage",
+              name: "policyId",
               type: "uint256",
             },
             {
-              internalType: "uint256",
-              name: "duration",
-              type: "uint256",
+              components: [
+                {
+                  internalType: "uint256",
+                  name: "rainfall30d",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "rainfall24h",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "temperature",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "timestamp",
+                  type: "uint256",
+                },
+                {
+                  internalType: "bool",
+                  name: "isValid",
+                  type: "bool",
+                },
+              ],
+              internalType: "struct IRadiShield.WeatherData",
+              name: "counterData",
+              type: "tuple",
             },
-            {
-              internalType: "int256",
-              name: "latitude",
-              type: "int256",
+          ],
+          name: "challengePayout",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "challenger",
+          outputs: [
+            {
+              internalType: "address",
+              name: "",
+              type: "address",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "string",
+              name: "cropType",
+              type: "string",
+            },
+            {
+              internalType: "uint256",
+              name: "coverage",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "duration",
+              type: "uint256",
+            },
+            {
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
             },
             {
               internalType: "int256",
@@ -1015,6 +1558,19 @@ const deployedContracts = {
           stateMutability: "pure",
           type: "function",
         },
+        {
+          inputs: [],
+          name: "disputeWindow",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
         {
           inputs: [
             {
@@ -1157,6 +1713,94 @@ const deployedContracts = {
           stateMutability: "view",
           type: "function",
         },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+          ],
+          name: "getPendingPayout",
+          outputs: [
+            {
+              components: [
+                {
+                  internalType: "uint256",
+                  name: "amount",
+                  type: "uint256",
+                },
+                {
+                  internalType: "string",
+                  name: "triggerType",
+                  type: "string",
+                },
+                {
+                  internalType: "uint256",
+                  name: "triggeredAt",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "weatherTimestamp",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "settlesAt",
+                  type: "uint256",
+                },
+                {
+                  internalType: "bool",
+                  name: "disputed",
+                  type: "bool",
+                },
+                {
+                  internalType: "address",
+                  name: "challenger",
+                  type: "address",
+                },
+                {
+                  components: [
+                    {
+                      internalType: "uint256",
+                      name: "rainfall30d",
+                      type: "uint256",
+                    },
+                    {
+                      internalType: "uint256",
+                      name: "rainfall24h",
+                      type: "uint256",
+                    },
+                    {
+                      internalType: "int256",
+                      name: "temperature",
+                      type: "int256",
+                    },
+                    {
+                      internalType: "uint256",
+                      name: "timestamp",
+                      type: "uint256",
+                    },
+                    {
+                      internalType: "bool",
+                      name: "isValid",
+                      type: "bool",
+                    },
+                  ],
+                  internalType: "struct IRadiShield.WeatherData",
+                  name: "counterData",
+                  type: "tuple",
+                },
+              ],
+              internalType: "struct IRadiShield.PendingPayout",
+              name: "",
+              type: "tuple",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
         {
           inputs: [
             {
@@ -1279,51 +1923,34 @@ const deployedContracts = {
               type: "uint256",
             },
           ],
-          name: "getRemainingDays",
-          outputs: [
-            {
-              internalType: "uint256",
-              name: "",
-              type: "uint256",
-            },
-          ],
-          stateMutability: "view",
-          type: "function",
-        },
-        {
-          inputs: [],
-          name: "getTotalCoverage",
-          outputs: [
-            {
-              internalType: "uint256",
-              name: "",
-              type: "uint256",
-            },
-          ],
-          stateMutability: "view",
-          type: "function",
-        },
-        {
-          inputs: [],
-          name: "getTotalPolicies",
-          outputs: [
-            {
-              internalType: "uint256",
-              name: "",
-              type: "uint256",
-            },
-          ],
-          stateMutability: "view",
-          type: "function",
-        },
-        {
-          inputs: [],
-          name: "getTotalPremiums",
+          name: "getPolicyTriggers",
           outputs: [
             {
-              internalType: "uint256",
+              components: [
+                {
+                  internalType: "uint256",
+                  name: "droughtThreshold",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "floodThreshold",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "heatwaveThreshold",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "heatwavePayoutRate",
+                  type: "uint256",
+                },
+              ],
+              internalType: "struct IRadiShield.TriggerProfile",
               name: "",
-              type: "uint256",
+              type: "tuple",
             },
           ],
           stateMutability: "view",
@@ -1337,37 +1964,42 @@ const deployedContracts = {
               type: "uint256",
             },
           ],
-          name: "getWeatherData",
+          name: "getPolicyWeather",
           outputs: [
             {
               components: [
                 {
                   internalType: "uint256",
-                  name: "rainfall30d",
+                  name: "periodStart",
                   type: "uint256",
                 },
                 {
                   internalType: "uint256",
-                  name: "rainfall24h",
+                  name: "periodEnd",
                   type: "uint256",
                 },
                 {
                   internalType: "uint256",
-                  name: "temperature",
+                  name: "totalRainfall",
                   type: "uint256",
                 },
                 {
                   internalType: "uint256",
-                  name: "timestamp",
+                  name: "maxRainfall24h",
                   type: "uint256",
                 },
                 {
-                  internalType: "bool",
-                  name: "isValid",
-                  type: "bool",
+                  internalType: "int256",
+                  name: "maxTemperature",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "timestamp",
+                  type: "uint256",
                 },
               ],
-              internalType: "struct IWeatherOracle.WeatherData",
+              internalType: "struct IRadiShield.PolicyWeather",
               name: "",
               type: "tuple",
             },
@@ -1382,39 +2014,61 @@ const deployedContracts = {
               name: "policyId",
               type: "uint256",
             },
-            {
-              internalType: "string",
-              name: "reason",
-              type: "string",
-            },
           ],
-          name: "handleOracleTimeout",
-          outputs: [],
-          stateMutability: "nonpayable",
-          type: "function",
-        },
-        {
-          inputs: [
+          name: "getPolicyWeatherCell",
+          outputs: [
             {
               internalType: "int256",
-              name: "latitude",
+              name: "cellLatitude",
               type: "int256",
             },
             {
               internalType: "int256",
-              name: "longitude",
+              name: "cellLongitude",
               type: "int256",
             },
           ],
-          name: "isLocationInAfrica",
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "getRegions",
           outputs: [
             {
-              internalType: "bool",
+              components: [
+                {
+                  internalType: "string",
+                  name: "name",
+                  type: "string",
+                },
+                {
+                  internalType: "int256",
+                  name: "minLatitude",
+                  type: "int256",
+                },
+                {
+                  internalType: "int256",
+                  name: "maxLatitude",
+                  type: "int256",
+                },
+                {
+                  internalType: "int256",
+                  name: "minLongitude",
+                  type: "int256",
+                },
+                {
+                  internalType: "int256",
+                  name: "maxLongitude",
+                  type: "int256",
+                },
+              ],
+              internalType: "struct IRadiShield.Region[]",
               name: "",
-              type: "bool",
+              type: "tuple[]",
             },
           ],
-          stateMutability: "pure",
+          stateMutability: "view",
           type: "function",
         },
         {
@@ -1425,47 +2079,244 @@ const deployedContracts = {
               type: "uint256",
             },
           ],
-          name: "isPolicyActive",
+          name: "getRemainingDays",
           outputs: [
             {
-              internalType: "bool",
+              internalType: "uint256",
               name: "",
-              type: "bool",
+              type: "uint256",
             },
           ],
           stateMutability: "view",
           type: "function",
         },
         {
-          inputs: [
+          inputs: [],
+          name: "getTotalCoverage",
+          outputs: [
             {
               internalType: "uint256",
-              name: "policyId",
+              name: "",
               type: "uint256",
             },
           ],
-          name: "isPolicyClaimed",
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "getTotalPolicies",
           outputs: [
             {
-              internalType: "bool",
+              internalType: "uint256",
               name: "",
-              type: "bool",
+              type: "uint256",
             },
           ],
           stateMutability: "view",
           type: "function",
         },
         {
-          inputs: [
+          inputs: [],
+          name: "getTotalPremiums",
+          outputs: [
             {
               internalType: "uint256",
-              name: "policyId",
+              name: "",
               type: "uint256",
             },
           ],
-          name: "isPolicyExpired",
-          outputs: [
-            {
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "string",
+              name: "cropType",
+              type: "string",
+            },
+            {
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+          ],
+          name: "getTriggerProfile",
+          outputs: [
+            {
+              components: [
+                {
+                  internalType: "uint256",
+                  name: "droughtThreshold",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "floodThreshold",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "heatwaveThreshold",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "heatwavePayoutRate",
+                  type: "uint256",
+                },
+              ],
+              internalType: "struct IRadiShield.TriggerProfile",
+              name: "profile",
+              type: "tuple",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+          ],
+          name: "getWeatherData",
+          outputs: [
+            {
+              components: [
+                {
+                  internalType: "uint256",
+                  name: "rainfall30d",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "rainfall24h",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "temperature",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "timestamp",
+                  type: "uint256",
+                },
+                {
+                  internalType: "bool",
+                  name: "isValid",
+                  type: "bool",
+                },
+              ],
+              internalType: "struct IWeatherOracle.WeatherData",
+              name: "",
+              type: "tuple",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+            {
+              internalType: "string",
+              name: "reason",
+              type: "string",
+            },
+          ],
+          name: "handleOracleTimeout",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+          ],
+          name: "isLocationInAfrica",
+          outputs: [
+            {
+              internalType: "bool",
+              name: "",
+              type: "bool",
+            },
+          ],
+          stateMutability: "pure",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+          ],
+          name: "isPolicyActive",
+          outputs: [
+            {
+              internalType: "bool",
+              name: "",
+              type: "bool",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+          ],
+          name: "isPolicyClaimed",
+          outputs: [
+            {
+              internalType: "bool",
+              name: "",
+              type: "bool",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+          ],
+          name: "isPolicyExpired",
+          outputs: [
+            {
               internalType: "bool",
               name: "",
               type: "bool",
@@ -1609,6 +2460,43 @@ const deployedContracts = {
             },
           ],
           name: "processWeatherData",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "payoutAmount",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "string",
+              name: "name",
+              type: "string",
+            },
+          ],
+          name: "removeRegion",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "string",
+              name: "cropType",
+              type: "string",
+            },
+            {
+              internalType: "string",
+              name: "region",
+              type: "string",
+            },
+          ],
+          name: "removeTriggerProfile",
           outputs: [],
           stateMutability: "nonpayable",
           type: "function",
@@ -1639,6 +2527,24 @@ const deployedContracts = {
           stateMutability: "nonpayable",
           type: "function",
         },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+            {
+              internalType: "bool",
+              name: "payoutStands",
+              type: "bool",
+            },
+          ],
+          name: "resolveDispute",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
         {
           inputs: [
             {
@@ -1672,18 +2578,24 @@ const deployedContracts = {
           inputs: [
             {
               internalType: "address",
-              name: "newOwner",
+              name: "newChallenger",
               type: "address",
             },
           ],
-          name: "transferOwnership",
+          name: "setChallenger",
           outputs: [],
           stateMutability: "nonpayable",
           type: "function",
         },
         {
-          inputs: [],
-          name: "unpause",
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "window",
+              type: "uint256",
+            },
+          ],
+          name: "setDisputeWindow",
           outputs: [],
           stateMutability: "nonpayable",
           type: "function",
@@ -1691,19 +2603,193 @@ const deployedContracts = {
         {
           inputs: [
             {
-              internalType: "int256",
-              name: "scaledLatitude",
-              type: "int256",
-            },
-            {
-              internalType: "int256",
-              name: "scaledLongitude",
-              type: "int256",
-            },
-          ],
-          name: "unscaleCoordinates",
-          outputs: [
-            {
+              components: [
+                {
+                  internalType: "string",
+                  name: "name",
+                  type: "string",
+                },
+                {
+                  internalType: "int256",
+                  name: "minLatitude",
+                  type: "int256",
+                },
+                {
+                  internalType: "int256",
+                  name: "maxLatitude",
+                  type: "int256",
+                },
+                {
+                  internalType: "int256",
+                  name: "minLongitude",
+                  type: "int256",
+                },
+                {
+                  internalType: "int256",
+                  name: "maxLongitude",
+                  type: "int256",
+                },
+              ],
+              internalType: "struct IRadiShield.Region",
+              name: "region",
+              type: "tuple",
+            },
+          ],
+          name: "setRegion",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "string",
+              name: "cropType",
+              type: "string",
+            },
+            {
+              internalType: "string",
+              name: "region",
+              type: "string",
+            },
+            {
+              components: [
+                {
+                  internalType: "uint256",
+                  name: "droughtThreshold",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "floodThreshold",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "heatwaveThreshold",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "heatwavePayoutRate",
+                  type: "uint256",
+                },
+              ],
+              internalType: "struct IRadiShield.TriggerProfile",
+              name: "profile",
+              type: "tuple",
+            },
+          ],
+          name: "setTriggerProfile",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+          ],
+          name: "settlePayout",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "policyId",
+              type: "uint256",
+            },
+            {
+              components: [
+                {
+                  internalType: "uint256",
+                  name: "periodStart",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "periodEnd",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "totalRainfall",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "maxRainfall24h",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "maxTemperature",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "timestamp",
+                  type: "uint256",
+                },
+              ],
+              internalType: "struct IRadiShield.PolicyWeather",
+              name: "data",
+              type: "tuple",
+            },
+          ],
+          name: "submitPolicyWeather",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "payoutAmount",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "address",
+              name: "newOwner",
+              type: "address",
+            },
+          ],
+          name: "transferOwnership",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "unpause",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "int256",
+              name: "scaledLatitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "scaledLongitude",
+              type: "int256",
+            },
+          ],
+          name: "unscaleCoordinates",
+          outputs: [
+            {
               internalType: "int256",
               name: "lat",
               type: "int256",
@@ -1768,6 +2854,33 @@ const deployedContracts = {
           stateMutability: "nonpayable",
           type: "constructor",
         },
+        {
+          inputs: [
+            {
+              internalType: "address",
+              name: "oracle",
+              type: "address",
+            },
+            {
+              internalType: "uint256",
+              name: "roundId",
+              type: "uint256",
+            },
+          ],
+          name: "AlreadySubmitted",
+          type: "error",
+        },
+        {
+          inputs: [
+            {
+              internalType: "bytes32",
+              name: "digest",
+              type: "bytes32",
+            },
+          ],
+          name: "AttestationAlreadyUsed",
+          type: "error",
+        },
         {
           inputs: [
             {
@@ -1799,104 +2912,239 @@ const deployedContracts = {
           inputs: [
             {
               internalType: "uint256",
-              name: "timestamp",
+              name: "resolution",
               type: "uint256",
             },
           ],
-          name: "InvalidTimestamp",
+          name: "InvalidGridResolution",
           type: "error",
         },
         {
           inputs: [
             {
               internalType: "uint256",
-              name: "rainfall30d",
+              name: "quorum",
               type: "uint256",
             },
             {
               internalType: "uint256",
-              name: "rainfall24h",
+              name: "oracleCount",
+              type: "uint256",
+            },
+          ],
+          name: "InvalidQuorum",
+          type: "error",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "roundId",
               type: "uint256",
             },
             {
               internalType: "uint256",
-              name: "temperature",
+              name: "currentRoundId",
               type: "uint256",
             },
           ],
-          name: "InvalidWeatherData",
+          name: "InvalidRound",
+          type: "error",
+        },
+        {
+          inputs: [],
+          name: "InvalidSignature",
           type: "error",
         },
         {
           inputs: [
             {
-              internalType: "address",
-              name: "owner",
-              type: "address",
+              internalType: "string",
+              name: "source",
+              type: "string",
             },
           ],
-          name: "OwnableInvalidOwner",
+          name: "InvalidSource",
           type: "error",
         },
         {
           inputs: [
             {
-              internalType: "address",
-              name: "account",
-              type: "address",
+              internalType: "uint256",
+              name: "timestamp",
+              type: "uint256",
             },
           ],
-          name: "OwnableUnauthorizedAccount",
+          name: "InvalidTimestamp",
           type: "error",
         },
         {
-          inputs: [],
-          name: "ReentrancyGuardReentrantCall",
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "rainfall30d",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "rainfall24h",
+              type: "uint256",
+            },
+            {
+              internalType: "int256",
+              name: "temperature",
+              type: "int256",
+            },
+          ],
+          name: "InvalidWeatherData",
           type: "error",
         },
         {
           inputs: [
             {
               internalType: "uint256",
-              name: "timestamp",
+              name: "observedAt",
               type: "uint256",
             },
             {
               internalType: "uint256",
-              name: "maxAge",
+              name: "latestTimestamp",
               type: "uint256",
             },
           ],
-          name: "StaleData",
+          name: "OutdatedAttestation",
           type: "error",
         },
         {
           inputs: [
             {
               internalType: "address",
-              name: "caller",
+              name: "owner",
               type: "address",
             },
           ],
-          name: "UnauthorizedOracle",
-          type: "error",
-        },
-        {
-          inputs: [],
-          name: "ZeroAddress",
+          name: "OwnableInvalidOwner",
           type: "error",
         },
         {
-          anonymous: false,
           inputs: [
             {
-              indexed: true,
               internalType: "address",
-              name: "oracle",
+              name: "account",
               type: "address",
             },
           ],
-          name: "OracleAuthorized",
+          name: "OwnableUnauthorizedAccount",
+          type: "error",
+        },
+        {
+          inputs: [],
+          name: "QuorumDisabled",
+          type: "error",
+        },
+        {
+          inputs: [],
+          name: "QuorumRequired",
+          type: "error",
+        },
+        {
+          inputs: [],
+          name: "ReentrancyGuardReentrantCall",
+          type: "error",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "timestamp",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "maxAge",
+              type: "uint256",
+            },
+          ],
+          name: "StaleData",
+          type: "error",
+        },
+        {
+          inputs: [
+            {
+              internalType: "address",
+              name: "caller",
+              type: "address",
+            },
+          ],
+          name: "UnauthorizedOracle",
+          type: "error",
+        },
+        {
+          inputs: [],
+          name: "ZeroAddress",
+          type: "error",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "oldResolution",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "newResolution",
+              type: "uint256",
+            },
+          ],
+          name: "GridResolutionUpdated",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: true,
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              indexed: true,
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+            {
+              indexed: true,
+              internalType: "uint256",
+              name: "roundId",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "address",
+              name: "oracle",
+              type: "address",
+            },
+          ],
+          name: "ObservationSubmitted",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: true,
+              internalType: "address",
+              name: "oracle",
+              type: "address",
+            },
+          ],
+          name: "OracleAuthorized",
           type: "event",
         },
         {
@@ -1931,6 +3179,136 @@ const deployedContracts = {
           name: "OwnershipTransferred",
           type: "event",
         },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: true,
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              indexed: true,
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+            {
+              indexed: true,
+              internalType: "uint256",
+              name: "roundId",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "submitted",
+              type: "uint256",
+            },
+          ],
+          name: "QuorumFailed",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: true,
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              indexed: true,
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+            {
+              indexed: true,
+              internalType: "uint256",
+              name: "roundId",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "agreeing",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "submitted",
+              type: "uint256",
+            },
+          ],
+          name: "QuorumReached",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "quorum",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "toleranceBps",
+              type: "uint256",
+            },
+          ],
+          name: "QuorumUpdated",
+          type: "event",
+        },
+        {
+          anonymous: false,
+          inputs: [
+            {
+              indexed: true,
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              indexed: true,
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+            {
+              indexed: true,
+              internalType: "address",
+              name: "signer",
+              type: "address",
+            },
+            {
+              indexed: false,
+              internalType: "address",
+              name: "relayer",
+              type: "address",
+            },
+            {
+              indexed: false,
+              internalType: "uint256",
+              name: "observedAt",
+              type: "uint256",
+            },
+            {
+              indexed: false,
+              internalType: "string",
+              name: "source",
+              type: "string",
+            },
+          ],
+          name: "WeatherDataAttested",
+          type: "event",
+        },
         {
           anonymous: false,
           inputs: [
@@ -1985,9 +3363,9 @@ const deployedContracts = {
             },
             {
               indexed: false,
-              internalType: "uint256",
+              internalType: "int256",
               name: "temperature",
-              type: "uint256",
+              type: "int256",
             },
             {
               indexed: false,
@@ -1999,6 +3377,19 @@ const deployedContracts = {
           name: "WeatherDataUpdated",
           type: "event",
         },
+        {
+          inputs: [],
+          name: "ATTESTATION_TYPEHASH",
+          outputs: [
+            {
+              internalType: "bytes32",
+              name: "",
+              type: "bytes32",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
         {
           inputs: [],
           name: "DATA_FRESHNESS_THRESHOLD",
@@ -2014,12 +3405,12 @@ const deployedContracts = {
         },
         {
           inputs: [],
-          name: "MAX_RAINFALL_24H",
+          name: "DOMAIN_SEPARATOR",
           outputs: [
             {
-              internalType: "uint256",
+              internalType: "bytes32",
               name: "",
-              type: "uint256",
+              type: "bytes32",
             },
           ],
           stateMutability: "view",
@@ -2027,12 +3418,12 @@ const deployedContracts = {
         },
         {
           inputs: [],
-          name: "MAX_RAINFALL_30D",
+          name: "EIP712_NAME",
           outputs: [
             {
-              internalType: "uint256",
+              internalType: "string",
               name: "",
-              type: "uint256",
+              type: "string",
             },
           ],
           stateMutability: "view",
@@ -2040,12 +3431,12 @@ const deployedContracts = {
         },
         {
           inputs: [],
-          name: "MAX_TEMPERATURE",
+          name: "EIP712_VERSION",
           outputs: [
             {
-              internalType: "uint256",
+              internalType: "string",
               name: "",
-              type: "uint256",
+              type: "string",
             },
           ],
           stateMutability: "view",
@@ -2053,7 +3444,7 @@ const deployedContracts = {
         },
         {
           inputs: [],
-          name: "MIN_TEMPERATURE",
+          name: "HISTORY_SIZE",
           outputs: [
             {
               internalType: "uint256",
@@ -2065,10 +3456,166 @@ const deployedContracts = {
           type: "function",
         },
         {
-          inputs: [
+          inputs: [],
+          name: "MAX_ATTESTATION_AGE",
+          outputs: [
             {
-              internalType: "address",
-              name: "oracle",
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "MAX_CLOCK_SKEW",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "MAX_GRID_RESOLUTION",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "MAX_RAINFALL_24H",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "MAX_RAINFALL_30D",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "MAX_SOURCE_LENGTH",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "MAX_TEMPERATURE",
+          outputs: [
+            {
+              internalType: "int256",
+              name: "",
+              type: "int256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "MIN_TEMPERATURE",
+          outputs: [
+            {
+              internalType: "int256",
+              name: "",
+              type: "int256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "QUORUM_RAINFALL_24H_TOLERANCE",
+          outputs: [
+            {
+              internalType: "int256",
+              name: "",
+              type: "int256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "QUORUM_RAINFALL_30D_TOLERANCE",
+          outputs: [
+            {
+              internalType: "int256",
+              name: "",
+              type: "int256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "QUORUM_ROUND_TIMEOUT",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "QUORUM_TEMPERATURE_TOLERANCE",
+          outputs: [
+            {
+              internalType: "int256",
+              name: "",
+              type: "int256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "address",
+              name: "oracle",
               type: "address",
             },
           ],
@@ -2121,9 +3668,9 @@ const deployedContracts = {
                   type: "uint256",
                 },
                 {
-                  internalType: "uint256",
+                  internalType: "int256",
                   name: "temperature",
-                  type: "uint256",
+                  type: "int256",
                 },
                 {
                   internalType: "uint256",
@@ -2146,6 +3693,62 @@ const deployedContracts = {
           stateMutability: "nonpayable",
           type: "function",
         },
+        {
+          inputs: [
+            {
+              components: [
+                {
+                  internalType: "int256",
+                  name: "latitude",
+                  type: "int256",
+                },
+                {
+                  internalType: "int256",
+                  name: "longitude",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "rainfall30d",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "rainfall24h",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "temperature",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "observedAt",
+                  type: "uint256",
+                },
+                {
+                  internalType: "string",
+                  name: "source",
+                  type: "string",
+                },
+              ],
+              internalType: "struct IWeatherOracle.WeatherAttestation",
+              name: "attestation",
+              type: "tuple",
+            },
+          ],
+          name: "getAttestationDigest",
+          outputs: [
+            {
+              internalType: "bytes32",
+              name: "",
+              type: "bytes32",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
         {
           inputs: [
             {
@@ -2188,10 +3791,285 @@ const deployedContracts = {
             {
               internalType: "bytes32",
               name: "",
-              type: "bytes32",
+              type: "bytes32",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+          ],
+          name: "getProvenance",
+          outputs: [
+            {
+              components: [
+                {
+                  internalType: "address",
+                  name: "signer",
+                  type: "address",
+                },
+                {
+                  internalType: "uint256",
+                  name: "observedAt",
+                  type: "uint256",
+                },
+                {
+                  internalType: "string",
+                  name: "source",
+                  type: "string",
+                },
+              ],
+              internalType: "struct IWeatherOracle.Provenance",
+              name: "",
+              type: "tuple",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+          ],
+          name: "getQuorumRound",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "roundId",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "startedAt",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "submissions",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+            {
+              internalType: "uint256",
+              name: "roundId",
+              type: "uint256",
+            },
+          ],
+          name: "getRoundObservations",
+          outputs: [
+            {
+              components: [
+                {
+                  internalType: "address",
+                  name: "oracle",
+                  type: "address",
+                },
+                {
+                  internalType: "uint256",
+                  name: "rainfall30d",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "rainfall24h",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "temperature",
+                  type: "int256",
+                },
+              ],
+              internalType: "struct IWeatherOracle.QuorumObservation[]",
+              name: "",
+              type: "tuple[]",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+          ],
+          name: "getWeatherData",
+          outputs: [
+            {
+              components: [
+                {
+                  internalType: "uint256",
+                  name: "rainfall30d",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "rainfall24h",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "temperature",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "timestamp",
+                  type: "uint256",
+                },
+                {
+                  internalType: "bool",
+                  name: "isValid",
+                  type: "bool",
+                },
+              ],
+              internalType: "struct IWeatherOracle.WeatherData",
+              name: "",
+              type: "tuple",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+            {
+              internalType: "uint256",
+              name: "offset",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "limit",
+              type: "uint256",
+            },
+          ],
+          name: "getWeatherHistory",
+          outputs: [
+            {
+              components: [
+                {
+                  internalType: "uint256",
+                  name: "rainfall30d",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "rainfall24h",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "temperature",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "timestamp",
+                  type: "uint256",
+                },
+                {
+                  internalType: "bool",
+                  name: "isValid",
+                  type: "bool",
+                },
+              ],
+              internalType: "struct IWeatherOracle.WeatherData[]",
+              name: "readings",
+              type: "tuple[]",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+          ],
+          name: "getWeatherHistoryLength",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "gridResolution",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
             },
           ],
-          stateMutability: "pure",
+          stateMutability: "view",
           type: "function",
         },
         {
@@ -2206,40 +4084,23 @@ const deployedContracts = {
               name: "longitude",
               type: "int256",
             },
+            {
+              internalType: "uint256",
+              name: "roundId",
+              type: "uint256",
+            },
+            {
+              internalType: "address",
+              name: "oracle",
+              type: "address",
+            },
           ],
-          name: "getWeatherData",
+          name: "hasSubmittedObservation",
           outputs: [
             {
-              components: [
-                {
-                  internalType: "uint256",
-                  name: "rainfall30d",
-                  type: "uint256",
-                },
-                {
-                  internalType: "uint256",
-                  name: "rainfall24h",
-                  type: "uint256",
-                },
-                {
-                  internalType: "uint256",
-                  name: "temperature",
-                  type: "uint256",
-                },
-                {
-                  internalType: "uint256",
-                  name: "timestamp",
-                  type: "uint256",
-                },
-                {
-                  internalType: "bool",
-                  name: "isValid",
-                  type: "bool",
-                },
-              ],
-              internalType: "struct IWeatherOracle.WeatherData",
+              internalType: "bool",
               name: "",
-              type: "tuple",
+              type: "bool",
             },
           ],
           stateMutability: "view",
@@ -2293,6 +4154,19 @@ const deployedContracts = {
           stateMutability: "view",
           type: "function",
         },
+        {
+          inputs: [],
+          name: "oracleCount",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
         {
           inputs: [],
           name: "owner",
@@ -2306,6 +4180,32 @@ const deployedContracts = {
           stateMutability: "view",
           type: "function",
         },
+        {
+          inputs: [],
+          name: "quorum",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [],
+          name: "quorumToleranceBps",
+          outputs: [
+            {
+              internalType: "uint256",
+              name: "",
+              type: "uint256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
         {
           inputs: [],
           name: "renounceOwnership",
@@ -2344,6 +4244,176 @@ const deployedContracts = {
           stateMutability: "nonpayable",
           type: "function",
         },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "resolution",
+              type: "uint256",
+            },
+          ],
+          name: "setGridResolution",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "uint256",
+              name: "newQuorum",
+              type: "uint256",
+            },
+            {
+              internalType: "uint256",
+              name: "toleranceBps",
+              type: "uint256",
+            },
+          ],
+          name: "setQuorum",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+          ],
+          name: "snapToGrid",
+          outputs: [
+            {
+              internalType: "int256",
+              name: "cellLatitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "cellLongitude",
+              type: "int256",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              internalType: "int256",
+              name: "latitude",
+              type: "int256",
+            },
+            {
+              internalType: "int256",
+              name: "longitude",
+              type: "int256",
+            },
+            {
+              internalType: "uint256",
+              name: "roundId",
+              type: "uint256",
+            },
+            {
+              components: [
+                {
+                  internalType: "uint256",
+                  name: "rainfall30d",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "rainfall24h",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "temperature",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "timestamp",
+                  type: "uint256",
+                },
+                {
+                  internalType: "bool",
+                  name: "isValid",
+                  type: "bool",
+                },
+              ],
+              internalType: "struct IWeatherOracle.WeatherData",
+              name: "data",
+              type: "tuple",
+            },
+          ],
+          name: "submitObservation",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
+        {
+          inputs: [
+            {
+              components: [
+                {
+                  internalType: "int256",
+                  name: "latitude",
+                  type: "int256",
+                },
+                {
+                  internalType: "int256",
+                  name: "longitude",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "rainfall30d",
+                  type: "uint256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "rainfall24h",
+                  type: "uint256",
+                },
+                {
+                  internalType: "int256",
+                  name: "temperature",
+                  type: "int256",
+                },
+                {
+                  internalType: "uint256",
+                  name: "observedAt",
+                  type: "uint256",
+                },
+                {
+                  internalType: "string",
+                  name: "source",
+                  type: "string",
+                },
+              ],
+              internalType: "struct IWeatherOracle.WeatherAttestation",
+              name: "attestation",
+              type: "tuple",
+            },
+            {
+              internalType: "bytes",
+              name: "signature",
+              type: "bytes",
+            },
+          ],
+          name: "submitSignedWeatherData",
+          outputs: [],
+          stateMutability: "nonpayable",
+          type: "function",
+        },
         {
           inputs: [
             {
@@ -2382,9 +4452,9 @@ const deployedContracts = {
                   type: "uint256",
                 },
                 {
-                  internalType: "uint256",
+                  internalType: "int256",
                   name: "temperature",
-                  type: "uint256",
+                  type: "int256",
                 },
                 {
                   internalType: "uint256",
@@ -2407,6 +4477,25 @@ const deployedContracts = {
           stateMutability: "nonpayable",
           type: "function",
         },
+        {
+          inputs: [
+            {
+              internalType: "bytes32",
+              name: "",
+              type: "bytes32",
+            },
+          ],
+          name: "usedAttestations",
+          outputs: [
+            {
+              internalType: "bool",
+              name: "",
+              type: "bool",
+            },
+          ],
+          stateMutability: "view",
+          type: "function",
+        },
       ],
     },
   },
@@ -0,0 +1,109 @@
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Format unix seconds as a UTC day (YYYY-MM-DD)
+ * @param {number} seconds - Unix timestamp in seconds
+ * @returns {string} Day
+ */
+function toDay(seconds) {
+  return new Date(seconds * 1000).toISOString().split("T")[0];
+}
+
+class AccumulationCalculator {
+  /**
+   * Computes the weather a policy has seen during its coverage from daily
+   * history, for RadiShield.submitPolicyWeather
+   * @param {ProviderRegistry} providers - Registry with a daily-series provider
+   * @param {Object} options - Calculator overrides (e.g. a fixed `now` for tests)
+   */
+  constructor(providers, options = {}) {
+    this.providers = providers;
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Total rainfall, wettest day and hottest day over whole UTC days of
+   * coverage, from the policy start (or a crop-stage window) up to the latest
+   * published day
+   * @param {Object} policy - Policy from Web3Client.getPolicy (unix seconds)
+   * @param {Object} location - latitude and longitude to fetch weather for
+   * @param {Object} window - Optional crop stage: startDay and endDay, in days after the policy start
+   * @returns {Object} Period (unix seconds) and weather in mm and °C
+   */
+  async calculate(policy, location, window = {}) {
+    const provider = this.providers.getDailySeriesProvider();
+    if (!provider) {
+      throw new Error("No weather provider with daily history configured");
+    }
+
+    // Whole days only: from the first midnight at or after the window start...
+    const windowStart = policy.startDate + (window.startDay || 0) * DAY_SECONDS;
+    const firstDay = Math.ceil(windowStart / DAY_SECONDS) * DAY_SECONDS;
+
+    // ...to the last day that ended before now and before coverage ends
+    const windowEnd = Math.min(
+      Math.floor(this.now().getTime() / 1000),
+      policy.endDate,
+      window.endDay !== undefined
+        ? policy.startDate + window.endDay * DAY_SECONDS
+        : Infinity
+    );
+    const lastDay =
+      Math.floor(windowEnd / DAY_SECONDS) * DAY_SECONDS - DAY_SECONDS;
+
+    if (lastDay < firstDay) {
+      throw new Error(
+        `Policy ${policy.id} has no complete day of coverage in the window yet`
+      );
+    }
+
+    const series = await provider.getDailySeries(
+      location.latitude,
+      location.longitude,
+      toDay(firstDay),
+      toDay(lastDay)
+    );
+
+    // Count days up to the first one that is not published, so a gap is
+    // never mistaken for a dry day
+    const byDate = new Map(series.map((day) => [day.date, day]));
+    const days = [];
+    for (let time = firstDay; time <= lastDay; time += DAY_SECONDS) {
+      const day = byDate.get(toDay(time));
+      if (!day || day.rainfall === null) {
+        break;
+      }
+      days.push(day);
+    }
+
+    if (days.length === 0) {
+      throw new Error(
+        `No published weather for policy ${policy.id} since ${toDay(firstDay)}`
+      );
+    }
+
+    const temperatures = days
+      .map((day) => day.temperatureMax)
+      .filter((value) => value !== null && value !== undefined);
+    if (temperatures.length === 0) {
+      throw new Error(`No temperature data for policy ${policy.id}`);
+    }
+
+    const round = (value) => Math.round(value * 100) / 100; // 2 decimals, like the providers
+
+    return {
+      policyId: policy.id,
+      source: provider.name,
+      periodStart: firstDay,
+      periodEnd: firstDay + days.length * DAY_SECONDS,
+      firstDay: days[0].date,
+      lastDay: days[days.length - 1].date,
+      days: days.length,
+      totalRainfall: round(days.reduce((sum, day) => sum + day.rainfall, 0)),
+      maxRainfall24h: round(Math.max(...days.map((day) => day.rainfall))),
+      maxTemperature: round(Math.max(...temperatures)),
+    };
+  }
+}
+
+module.exports = AccumulationCalculator;
@@ -0,0 +1,168 @@
+class BatchUpdater {
+  /**
+   * Collects weather updates and submits them through batchUpdateWeatherData
+   * @param {Web3Client} web3Client - Client used to submit transactions
+   * @param {Object} options - Batching configuration overrides
+   */
+  constructor(web3Client, options = {}) {
+    this.web3Client = web3Client;
+
+    this.windowMs =
+      options.windowMs || parseInt(process.env.BATCH_WINDOW_MS) || 5000; // 5 seconds
+    this.maxSize =
+      options.maxSize || parseInt(process.env.BATCH_MAX_SIZE) || 20;
+
+    this.pending = new Map(); // "lat,lon" -> { latitude, longitude, weatherData, waiters }
+    this.timer = null;
+    this.stats = {
+      batchesSent: 0,
+      locationsBatched: 0,
+      singleUpdates: 0,
+      fallbacks: 0,
+      lastBatchAt: null,
+      lastError: null,
+    };
+  }
+
+  /**
+   * Queue a location update for the next batch
+   * @param {number} latitude - GPS latitude
+   * @param {number} longitude - GPS longitude
+   * @param {Object} weatherData - Validated weather data
+   * @param {Object} options - Optional hooks (onSubmitted called with the batch transaction)
+   * @returns {Object} Per-location update result once the batch is mined
+   */
+  submit(latitude, longitude, weatherData, options = {}) {
+    return new Promise((resolve, reject) => {
+      const key = `${latitude},${longitude}`;
+      const waiter = { resolve, reject, onSubmitted: options.onSubmitted };
+      const existing = this.pending.get(key);
+
+      if (existing) {
+        // Newer data for the same location replaces the queued values
+        existing.weatherData = weatherData;
+        existing.waiters.push(waiter);
+      } else {
+        this.pending.set(key, {
+          latitude,
+          longitude,
+          weatherData,
+          waiters: [waiter],
+        });
+      }
+
+      if (this.pending.size >= this.maxSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.windowMs);
+      }
+    });
+  }
+
+  /**
+   * Submit everything collected so far
+   */
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const entries = Array.from(this.pending.values());
+    this.pending.clear();
+    if (entries.length === 0) {
+      return;
+    }
+
+    if (entries.length === 1) {
+      await this.submitSingle(entries[0]);
+      return;
+    }
+
+    try {
+      const result = await this.web3Client.batchUpdateWeatherData(
+        entries.map(({ latitude, longitude, weatherData }) => ({
+          latitude,
+          longitude,
+          weatherData,
+        })),
+        {
+          onSubmitted: (tx) =>
+            entries.forEach((entry) => this.notifySubmitted(entry, tx)),
+        }
+      );
+
+      this.stats.batchesSent++;
+      this.stats.locationsBatched += entries.length;
+      this.stats.lastBatchAt = new Date().toISOString();
+      this.stats.lastError = null;
+
+      entries.forEach((entry, index) => {
+        const locationResult = {
+          ...result.results[index],
+          batchSize: entries.length,
+        };
+        entry.waiters.forEach((waiter) => waiter.resolve(locationResult));
+      });
+    } catch (error) {
+      // The whole batch reverts if any single location is rejected, so fall
+      // back to individual updates to isolate the failing location
+      console.warn(
+        `⚠️  Batch of ${entries.length} updates failed (${error.message}), submitting individually...`
+      );
+      this.stats.fallbacks++;
+      this.stats.lastError = error.message;
+
+      await Promise.all(entries.map((entry) => this.submitSingle(entry)));
+    }
+  }
+
+  /**
+   * Submit one location through the single-update path
+   * @param {Object} entry - Pending batch entry
+   */
+  async submitSingle(entry) {
+    try {
+      const result = await this.web3Client.updateWeatherData(
+        entry.latitude,
+        entry.longitude,
+        entry.weatherData,
+        { onSubmitted: (tx) => this.notifySubmitted(entry, tx) }
+      );
+      this.stats.singleUpdates++;
+      entry.waiters.forEach((waiter) =>
+        waiter.resolve({ ...result, batchSize: 1 })
+      );
+    } catch (error) {
+      entry.waiters.forEach((waiter) => waiter.reject(error));
+    }
+  }
+
+  /**
+   * Pass a broadcast transaction to every caller waiting on an entry
+   * @param {Object} entry - Pending batch entry
+   * @param {Object} tx - Sent transaction
+   */
+  notifySubmitted(entry, tx) {
+    for (const waiter of entry.waiters) {
+      if (waiter.onSubmitted) {
+        waiter.onSubmitted(tx);
+      }
+    }
+  }
+
+  /**
+   * Get batching status for monitoring endpoints
+   * @returns {Object} Batcher status
+   */
+  getStatus() {
+    return {
+      pending: this.pending.size,
+      windowMs: this.windowMs,
+      maxSize: this.maxSize,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = BatchUpdater;
@@ -0,0 +1,196 @@
+const axios = require("axios");
+const WeatherProvider = require("./weatherProvider");
+
+// ClimateSERV dataset and operation codes
+const CHIRPS_DATATYPE = 0; // CHIRPS daily precipitation
+const OPERATION_AVERAGE = 5;
+const INTERVAL_DAILY = 0;
+
+class ChirpsClient extends WeatherProvider {
+  /**
+   * CHIRPS satellite rainfall through the ClimateSERV API (free, no API key).
+   * CHIRPS has no temperature, so readings only contribute rainfall to
+   * multi-source aggregation.
+   * @param {Object} options - Provider settings from the registry
+   */
+  constructor(options = {}) {
+    super(
+      "chirps",
+      // Preliminary CHIRPS is published within a few days; each reading
+      // polls ClimateSERV, so the quota allows a poll every second
+      {
+        maxHistoryDays: null,
+        maxLagDays: 5,
+        requiresApiKey: false,
+        requestsPerMinute: 60,
+      },
+      options
+    );
+    this.baseUrl =
+      options.baseUrl || "https://climateserv.servirglobal.net/api";
+    this.datatype =
+      options.datatype !== undefined ? options.datatype : CHIRPS_DATATYPE;
+    // Half-width of the polygon averaged around the point (CHIRPS is 0.05°)
+    this.cellSize = options.cellSize || 0.05;
+    this.pollInterval = options.pollInterval || 2000; // 2 seconds
+    this.maxPolls = options.maxPolls || 30;
+    this.httpClient = options.httpClient || axios;
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Fetch daily CHIRPS rainfall for the area around a point
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Object} Weather data with rainfall30d and rainfall24h (temperature null)
+   */
+  async getWeatherData(lat, lon) {
+    try {
+      const endDate = this.now();
+      const startDate = new Date(endDate);
+      startDate.setUTCDate(
+        startDate.getUTCDate() - (30 + this.capabilities.maxLagDays)
+      );
+
+      console.log(`Fetching rainfall data from CHIRPS: ${lat}, ${lon}`);
+
+      // ClimateSERV processes requests asynchronously: submit, wait, download
+      const requestId = await this.submitRequest(lat, lon, startDate, endDate);
+      await this.waitForRequest(requestId);
+
+      const response = await this.httpGet(
+        `${this.baseUrl}/getDataFromRequest/?id=${requestId}`,
+        { timeout: 15000 }
+      );
+
+      if (!response.data || !Array.isArray(response.data.data)) {
+        throw new Error("Invalid response from ClimateSERV API");
+      }
+
+      return this.processWeatherData(response.data);
+    } catch (error) {
+      console.error("CHIRPS API Error:", error.message);
+      throw new Error(`CHIRPS API failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Submit an area-average request for the date range
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Date} startDate - First day
+   * @param {Date} endDate - Last day
+   * @returns {string} ClimateSERV request ID
+   */
+  async submitRequest(lat, lon, startDate, endDate) {
+    const size = this.cellSize;
+    const geometry = {
+      type: "Polygon",
+      coordinates: [
+        [
+          [lon - size, lat + size],
+          [lon + size, lat + size],
+          [lon + size, lat - size],
+          [lon - size, lat - size],
+          [lon - size, lat + size],
+        ],
+      ],
+    };
+
+    const url =
+      `${this.baseUrl}/submitDataRequest/?` +
+      `datatype=${this.datatype}&` +
+      `begintime=${this.formatDate(startDate)}&` +
+      `endtime=${this.formatDate(endDate)}&` +
+      `intervaltype=${INTERVAL_DAILY}&` +
+      `operationtype=${OPERATION_AVERAGE}&` +
+      `geometry=${encodeURIComponent(JSON.stringify(geometry))}`;
+
+    const response = await this.httpGet(url, { timeout: 15000 });
+    const requestId = Array.isArray(response.data)
+      ? response.data[0]
+      : response.data;
+
+    if (!requestId || typeof requestId !== "string") {
+      throw new Error("ClimateSERV did not return a request ID");
+    }
+    return requestId;
+  }
+
+  /**
+   * Poll until ClimateSERV has finished processing a request
+   * @param {string} requestId - ClimateSERV request ID
+   */
+  async waitForRequest(requestId) {
+    for (let poll = 0; poll < this.maxPolls; poll++) {
+      const response = await this.httpGet(
+        `${this.baseUrl}/getDataRequestProgress/?id=${requestId}`,
+        { timeout: 10000 }
+      );
+      const progress = Array.isArray(response.data)
+        ? response.data[0]
+        : response.data;
+
+      if (progress === -1) {
+        throw new Error(`ClimateSERV request ${requestId} failed`);
+      }
+      if (progress >= 100) {
+        return;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+    }
+
+    throw new Error(
+      `ClimateSERV request ${requestId} not ready after ${this.maxPolls} polls`
+    );
+  }
+
+  /**
+   * Process a ClimateSERV response into the provider format
+   * @param {Object} data - Raw API response
+   * @returns {Object} Processed weather data
+   */
+  processWeatherData(data) {
+    const days = data.data.map((entry) => {
+      const [month, day, year] = entry.date.split("/");
+      const value = entry.value ? entry.value.avg : null;
+      return {
+        date: `${year}-${month}-${day}`,
+        // ClimateSERV reports missing days as negative fill values
+        value: typeof value === "number" && value >= 0 ? value : null,
+      };
+    });
+
+    const rainfall = this.summarizeDailyRainfall(days, this.now());
+
+    const weatherData = this.createReading(
+      {
+        rainfall30d: rainfall.rainfall30d,
+        rainfall24h: rainfall.rainfall24h,
+        temperature: null,
+      },
+      {
+        incompleteFields: [...rainfall.incompleteFields, "temperature"],
+        periodStart: rainfall.periodStart,
+        periodEnd: rainfall.periodEnd,
+        coverageDays: rainfall.coverageDays,
+      }
+    );
+
+    console.log("Processed CHIRPS data:", weatherData);
+    return weatherData;
+  }
+
+  /**
+   * Format a date as ClimateSERV expects (MM/DD/YYYY)
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    const [year, month, day] = date.toISOString().split("T")[0].split("-");
+    return `${month}/${day}/${year}`;
+  }
+}
+
+module.exports = ChirpsClient;
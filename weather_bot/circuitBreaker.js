@@ -0,0 +1,144 @@
+const STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+};
+
+class CircuitBreaker {
+  /**
+   * Stops requests to an upstream service after repeated failures, then lets
+   * a single probe through once the reset timeout has passed
+   * @param {Object} options - Breaker configuration overrides
+   */
+  constructor(options = {}) {
+    this.failureThreshold =
+      options.failureThreshold ||
+      parseInt(process.env.PROVIDER_BREAKER_THRESHOLD) ||
+      5;
+    this.resetTimeout =
+      options.resetTimeout ||
+      parseInt(process.env.PROVIDER_BREAKER_RESET_MS) ||
+      60 * 1000; // 1 minute
+    this.now = options.now || (() => Date.now());
+
+    this.state = STATES.CLOSED;
+    this.failures = 0; // consecutive
+    this.openedAt = null;
+    this.openUntil = null;
+    this.probing = false;
+    this.lastError = null;
+    this.stats = { opened: 0, rejected: 0 };
+  }
+
+  /**
+   * Check whether a request could go through now, without claiming the
+   * half-open probe
+   * @returns {boolean} True if closed, or open long enough to probe
+   */
+  isAvailable() {
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+    if (this.state === STATES.OPEN) {
+      return this.now() >= this.openUntil;
+    }
+    return !this.probing;
+  }
+
+  /**
+   * Claim permission for a request. Once the reset timeout has passed the
+   * breaker turns half-open and lets exactly one probe through.
+   * @returns {boolean} True if the request may be sent
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN && this.now() >= this.openUntil) {
+      this.state = STATES.HALF_OPEN;
+      this.probing = false;
+    }
+
+    if (
+      this.state === STATES.CLOSED ||
+      (this.state === STATES.HALF_OPEN && !this.probing)
+    ) {
+      if (this.state === STATES.HALF_OPEN) {
+        this.probing = true;
+      }
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  /**
+   * Record a request that reached a healthy service
+   */
+  recordSuccess() {
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.openUntil = null;
+    this.probing = false;
+  }
+
+  /**
+   * Record a failed request; opens the breaker at the threshold, or again
+   * straight away when a half-open probe fails
+   * @param {Error} error - Failure
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error ? error.message : null;
+
+    if (
+      this.state === STATES.HALF_OPEN ||
+      this.failures >= this.failureThreshold
+    ) {
+      this.open(this.resetTimeout);
+    }
+  }
+
+  /**
+   * Open the breaker immediately (e.g. invalid API key or exhausted quota)
+   * @param {number} duration - How long to stay open (milliseconds)
+   * @param {Error} error - Reason
+   */
+  trip(duration, error) {
+    this.lastError = error ? error.message : this.lastError;
+    this.open(duration || this.resetTimeout);
+  }
+
+  /**
+   * Switch to open until the given duration has passed
+   * @param {number} duration - Milliseconds
+   */
+  open(duration) {
+    if (this.state !== STATES.OPEN) {
+      this.stats.opened++;
+    }
+    this.state = STATES.OPEN;
+    this.openedAt = this.now();
+    this.openUntil = this.openedAt + duration;
+    this.probing = false;
+  }
+
+  /**
+   * Get breaker status for monitoring endpoints
+   * @returns {Object} Breaker status
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      resetTimeout: this.resetTimeout,
+      openUntil: this.openUntil ? new Date(this.openUntil).toISOString() : null,
+      lastError: this.lastError,
+      ...this.stats,
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -1,19 +1,46 @@
 require("dotenv").config();
-const OpenMeteoClient = require("./openMeteoClient");
-const WeatherApiClient = require("./weatherApiClient");
+const ProviderRegistry = require("./providerRegistry");
 const WeatherValidator = require("./weatherValidator");
 const Web3Client = require("./web3Client");
+const JobQueue = require("./jobQueue");
+const BatchUpdater = require("./batchUpdater");
+const PolicyIndex = require("./policyIndex");
+const WeatherAggregator = require("./weatherAggregator");
+const RainfallStore = require("./rainfallStore");
+const AccumulationCalculator = require("./accumulationCalculator");
+const ResponseCache = require("./responseCache");
 
 class WeatherOracleBot {
-  constructor() {
-    this.openMeteoClient = new OpenMeteoClient();
-    this.weatherApiClient = new WeatherApiClient();
+  /**
+   * @param {Object} options - Component overrides (web3: Web3Client options)
+   */
+  constructor(options = {}) {
+    this.rainfallStore =
+      process.env.ENABLE_RAINFALL_STORE !== "false"
+        ? new RainfallStore()
+        : null;
+    this.responseCache =
+      process.env.ENABLE_RESPONSE_CACHE !== "false"
+        ? new ResponseCache()
+        : null;
+    this.providers = new ProviderRegistry({
+      store: this.rainfallStore,
+      cache: this.responseCache,
+    });
     this.validator = new WeatherValidator();
-    this.web3Client = new Web3Client();
+    this.web3Client = new Web3Client(options.web3);
+    this.jobQueue = new JobQueue();
+    this.batchUpdater = new BatchUpdater(this.web3Client);
+    this.batchingEnabled = process.env.ENABLE_BATCHING !== "false";
+    this.policyIndex = new PolicyIndex(this.web3Client);
+    this.aggregator = new WeatherAggregator();
+    this.aggregationEnabled = process.env.ENABLE_AGGREGATION === "true";
+    this.accumulation = new AccumulationCalculator(this.providers);
   }
 
   /**
-   * Fetch weather data for given coordinates with fallback and validation
+   * Fetch weather data for given coordinates (with fallback, or aggregated
+   * across all sources) and validate it
    * @param {number} lat - Latitude
    * @param {number} lon - Longitude
    * @returns {Object} Validated weather data
@@ -33,28 +60,22 @@ class WeatherOracleBot {
     let weatherData = null;
     let dataSource = null;
 
-    try {
-      // Try Open-Meteo first (primary source)
-      console.log("📡 Trying Open-Meteo API (primary)...");
-      weatherData = await this.openMeteoClient.getWeatherData(lat, lon);
-      dataSource = "open-meteo";
-      console.log("✅ Open-Meteo data fetched successfully");
-    } catch (openMeteoError) {
-      console.log("⚠️  Open-Meteo failed, trying WeatherAPI fallback...");
-      console.log(`Open-Meteo error: ${openMeteoError.message}`);
-
-      try {
-        // Fallback to WeatherAPI
-        weatherData = await this.weatherApiClient.getWeatherData(lat, lon);
-        dataSource = "weatherapi";
-        console.log("✅ WeatherAPI fallback data fetched successfully");
-      } catch (weatherApiError) {
-        console.error("❌ Both APIs failed");
-        console.error(`WeatherAPI error: ${weatherApiError.message}`);
-        throw new Error(
-          `All weather APIs failed. Open-Meteo: ${openMeteoError.message}, WeatherAPI: ${weatherApiError.message}`
-        );
-      }
+    if (this.aggregationEnabled) {
+      // Query every provider and use the consensus, so one bad value cannot
+      // reach the chain on its own
+      console.log("📡 Querying all weather sources for consensus...");
+      weatherData = await this.aggregator.aggregate(
+        lat,
+        lon,
+        this.providers.getProviders()
+      );
+      dataSource = `aggregate of ${weatherData.sources.join(", ")}`;
+      console.log(
+        `✅ Aggregated weather data (agreement ${weatherData.agreementScore})`
+      );
+    } else {
+      weatherData = await this.fetchWithFallback(lat, lon);
+      dataSource = weatherData.source;
     }
 
     // Validate the fetched weather data
@@ -79,13 +100,142 @@ class WeatherOracleBot {
     return validation.weatherData;
   }
 
+  /**
+   * Fetch weather data from each provider in priority order until one succeeds
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Object} Unvalidated weather data
+   */
+  async fetchWithFallback(lat, lon) {
+    const providers = this.providers.getProviders();
+    if (providers.length === 0) {
+      throw new Error("No weather providers configured");
+    }
+
+    const errors = [];
+    for (const [index, provider] of providers.entries()) {
+      // Skip a dead or throttled API instead of waiting on it
+      if (!provider.isAvailable()) {
+        console.log(
+          `⏭️  Skipping ${provider.name}: circuit open or rate limited`
+        );
+        errors.push(`${provider.name}: unavailable`);
+        continue;
+      }
+
+      try {
+        console.log(
+          `📡 Trying ${provider.name} (${
+            index === 0 ? "primary" : "fallback"
+          })...`
+        );
+        const weatherData = await provider.getWeatherData(lat, lon);
+        console.log(`✅ ${provider.name} data fetched successfully`);
+        return weatherData;
+      } catch (error) {
+        console.log(`⚠️  ${provider.name} failed: ${error.message}`);
+        errors.push(`${provider.name}: ${error.message}`);
+      }
+    }
+
+    console.error("❌ All weather providers failed");
+    throw new Error(`All weather APIs failed. ${errors.join(", ")}`);
+  }
+
+  /**
+   * Look up stored daily rainfall for the grid cell containing a location
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Object} query - Either `date`, or `startDate` and `endDate` (YYYY-MM-DD)
+   * @returns {Object} Per-source rainfall for the day or period
+   */
+  getStoredRainfall(lat, lon, query = {}) {
+    if (!this.rainfallStore) {
+      throw new Error("Rainfall store is disabled");
+    }
+
+    // Providers are queried for the middle of the cell
+    const cell = this.web3Client.getGridCell(lat, lon);
+    const { centerLatitude, centerLongitude } = cell;
+
+    if (query.date) {
+      return {
+        cell,
+        date: query.date,
+        sources: this.rainfallStore.getRainfallOn(
+          centerLatitude,
+          centerLongitude,
+          query.date
+        ),
+      };
+    }
+
+    const sources = {};
+    for (const source of this.rainfallStore.getSources()) {
+      sources[source] = this.rainfallStore.getRainfallBetween(
+        source,
+        centerLatitude,
+        centerLongitude,
+        query.startDate,
+        query.endDate
+      );
+    }
+    return { cell, sources };
+  }
+
+  /**
+   * Calculate the weather a policy has seen since its coverage started, from
+   * daily history for the middle of its grid cell
+   * @param {number} policyId - Policy ID
+   * @param {Object} window - Optional crop stage: startDay and endDay, in days after the policy start
+   * @returns {Object} Period and weather, as AccumulationCalculator.calculate
+   */
+  async calculatePolicyWeather(policyId, window = {}) {
+    if (!this.web3Client.initialized) {
+      await this.web3Client.initialize();
+    }
+
+    const policy = await this.web3Client.getPolicy(policyId);
+    if (!(await this.web3Client.isPolicyActive(policyId))) {
+      throw new Error(`Policy ${policyId} is not active`);
+    }
+
+    // Same location the shared cell readings are fetched for
+    const cell = this.web3Client.getGridCell(policy.latitude, policy.longitude);
+    return this.accumulation.calculate(
+      policy,
+      { latitude: cell.centerLatitude, longitude: cell.centerLongitude },
+      window
+    );
+  }
+
+  /**
+   * Submit the weather a policy has seen since its coverage started, so
+   * RadiShield judges drought over the policy's own days instead of the
+   * trailing 30 days of the shared grid cell reading
+   * @param {number} policyId - Policy ID
+   * @param {Object} window - Optional crop stage: startDay and endDay, in days after the policy start
+   * @returns {Object} Transaction result with the submitted period and weather
+   */
+  async submitPolicyWeather(policyId, window = {}) {
+    const weather = await this.calculatePolicyWeather(policyId, window);
+
+    console.log(
+      `🌾 Policy ${policyId}: ${weather.totalRainfall}mm over ${weather.days} days (${weather.firstDay} to ${weather.lastDay}, ${weather.source})`
+    );
+
+    const result = await this.web3Client.submitPolicyWeather(policyId, weather);
+    return { ...result, weather };
+  }
+
   /**
    * Update weather data on blockchain for given coordinates
    * @param {number} lat - Latitude
    * @param {number} lon - Longitude
+   * @param {Object} options - Options passed through to the batcher or Web3Client.updateWeatherData
    * @returns {Object} Update result
    */
-  async updateWeatherOnChain(lat, lon) {
+  async updateWeatherOnChain(lat, lon, options = {}) {
     try {
       console.log(`\n=== Updating Weather Data on Blockchain ===`);
       console.log(`Coordinates: ${lat}, ${lon}`);
@@ -95,11 +245,25 @@ class WeatherOracleBot {
         await this.web3Client.initialize();
       }
 
-      // Check if data is already fresh on blockchain
-      const isFresh = await this.web3Client.isDataFresh(lat, lon, 3600); // 1 hour freshness
+      // Weather data is stored per grid cell, so every location in a cell
+      // shares one update
+      const cell = this.web3Client.getGridCell(lat, lon);
+      if (cell.latitude !== lat || cell.longitude !== lon) {
+        console.log(`Grid cell: ${cell.latitude}, ${cell.longitude}`);
+      }
+
+      // Check if data is already fresh on blockchain (1 hour freshness)
+      const isFresh = await this.web3Client.isDataFresh(
+        cell.latitude,
+        cell.longitude,
+        3600
+      );
       if (isFresh) {
         console.log("✅ Weather data is already fresh on blockchain");
-        const existingData = await this.web3Client.getWeatherData(lat, lon);
+        const existingData = await this.web3Client.getWeatherData(
+          cell.latitude,
+          cell.longitude
+        );
         return {
           success: true,
           updated: false,
@@ -108,16 +272,61 @@ class WeatherOracleBot {
         };
       }
 
-      // Fetch fresh weather data from APIs
-      const weatherData = await this.fetchWeatherData(lat, lon);
-
-      // Update blockchain with fresh data
-      const updateResult = await this.web3Client.updateWeatherData(
-        lat,
-        lon,
-        weatherData
+      // Fetch fresh weather data from APIs for the middle of the cell
+      const weatherData = await this.fetchWeatherData(
+        cell.centerLatitude,
+        cell.centerLongitude
       );
 
+      // Update blockchain with fresh data: as this oracle's quorum observation,
+      // as a signed attestation, or batched with other pending locations
+      let updateResult;
+      if (this.web3Client.quorumParticipant) {
+        updateResult = await this.web3Client.submitQuorumObservation(
+          cell.latitude,
+          cell.longitude,
+          weatherData,
+          options
+        );
+        if (!updateResult.finalized) {
+          return {
+            success: true,
+            updated: false,
+            reason: updateResult.failed
+              ? "Quorum round failed: oracles disagree"
+              : "Waiting for quorum",
+            blockchain: updateResult,
+            weatherData: weatherData,
+          };
+        }
+      } else if (this.web3Client.signedUpdates) {
+        const { attestation, signature } =
+          await this.web3Client.signWeatherAttestation(
+            cell.latitude,
+            cell.longitude,
+            weatherData
+          );
+        updateResult = await this.web3Client.submitSignedWeatherData(
+          attestation,
+          signature,
+          options
+        );
+      } else {
+        updateResult = this.batchingEnabled
+          ? await this.batchUpdater.submit(
+              cell.latitude,
+              cell.longitude,
+              weatherData,
+              options
+            )
+          : await this.web3Client.updateWeatherData(
+              cell.latitude,
+              cell.longitude,
+              weatherData,
+              options
+            );
+      }
+
       console.log("✅ Weather data successfully updated on blockchain");
       return {
         success: true,
@@ -137,6 +346,86 @@ class WeatherOracleBot {
     }
   }
 
+  /**
+   * Queue a durable weather update for given coordinates
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Object} metadata - Extra job details (e.g. request source)
+   * @returns {Object} Queued job
+   */
+  enqueueWeatherUpdate(lat, lon, metadata = {}) {
+    // Queue per grid cell so farms in the same cell share one job
+    if (this.web3Client.initialized) {
+      const cell = this.web3Client.getGridCell(lat, lon);
+      return this.jobQueue.enqueue(cell.latitude, cell.longitude, metadata);
+    }
+    return this.jobQueue.enqueue(lat, lon, metadata);
+  }
+
+  /**
+   * Start processing queued weather update jobs
+   */
+  startJobQueue() {
+    this.jobQueue.start((job, queue) => this.processWeatherJob(job, queue));
+  }
+
+  /**
+   * Process a single queued weather update job
+   * @param {Object} job - Job to process
+   * @param {JobQueue} queue - Queue that owns the job
+   */
+  async processWeatherJob(job, queue) {
+    // A job submitted before a restart is resolved against the chain first
+    if (job.state === JobQueue.STATES.SUBMITTED && job.txHash) {
+      const tx = await this.web3Client.getTransactionStatus(job.txHash);
+
+      if (tx.status === "confirmed") {
+        queue.markConfirmed(job, {
+          txHash: job.txHash,
+          blockNumber: tx.blockNumber,
+        });
+        return;
+      }
+      if (tx.status === "pending") {
+        queue.deferCheck(job);
+        return;
+      }
+
+      throw new Error(`Transaction ${job.txHash} was ${tx.status}`);
+    }
+
+    queue.markFetching(job);
+
+    const result = await this.updateWeatherOnChain(
+      job.latitude,
+      job.longitude,
+      {
+        onSubmitted: (tx) => queue.markSubmitted(job, tx.hash),
+      }
+    );
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    queue.markConfirmed(job, {
+      updated: result.updated,
+      reason: result.reason || null,
+      txHash: result.blockchain ? result.blockchain.txHash : null,
+      originalTxHash: result.blockchain
+        ? result.blockchain.originalTxHash
+        : null,
+      replacements: result.blockchain ? result.blockchain.replacements : 0,
+      blockNumber: result.blockchain ? result.blockchain.blockNumber : null,
+      sources: result.weatherData
+        ? result.weatherData.sources || [result.weatherData.source]
+        : null,
+      agreementScore: result.weatherData
+        ? result.weatherData.agreementScore
+        : null,
+    });
+  }
+
   /**
    * Test the bot functionality with APIs, validation, and blockchain integration
    */
@@ -165,25 +454,10 @@ class WeatherOracleBot {
         return;
       }
 
-      // Test Open-Meteo connection
-      console.log("\n📡 Testing Open-Meteo API...");
-      const openMeteoConnected = await this.openMeteoClient.testConnection();
-      console.log(
-        openMeteoConnected
-          ? "✅ Open-Meteo API connected"
-          : "❌ Open-Meteo API failed"
-      );
-
-      // Test WeatherAPI connection
-      console.log("\n📡 Testing WeatherAPI fallback...");
-      const weatherApiConnected = await this.weatherApiClient.testConnection();
-      console.log(
-        weatherApiConnected
-          ? "✅ WeatherAPI connected"
-          : "⚠️  WeatherAPI not configured or failed"
-      );
+      // Test every configured weather provider
+      const providerResults = await this.providers.testConnections();
 
-      if (!openMeteoConnected && !weatherApiConnected) {
+      if (!Object.values(providerResults).some(Boolean)) {
         console.log("❌ No weather APIs available");
         return;
       }
@@ -0,0 +1,429 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const JOB_STATES = {
+  PENDING: "pending",
+  FETCHING: "fetching",
+  SUBMITTED: "submitted",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+};
+
+// States in which a job still owns its location
+const ACTIVE_STATES = [
+  JOB_STATES.PENDING,
+  JOB_STATES.FETCHING,
+  JOB_STATES.SUBMITTED,
+];
+
+class JobQueue {
+  /**
+   * File-backed queue of per-location weather update jobs
+   * @param {Object} options - Queue configuration overrides
+   */
+  constructor(options = {}) {
+    this.storeFile =
+      options.storeFile ||
+      process.env.JOB_QUEUE_FILE ||
+      path.join(__dirname, "data", "job-queue.json");
+    this.maxAttempts =
+      options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+    this.baseRetryDelay =
+      options.baseRetryDelay ||
+      parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) ||
+      30000; // 30 seconds
+    this.maxRetryDelay =
+      options.maxRetryDelay ||
+      parseInt(process.env.JOB_RETRY_MAX_DELAY_MS) ||
+      30 * 60 * 1000; // 30 minutes
+    this.pollInterval =
+      options.pollInterval ||
+      parseInt(process.env.JOB_POLL_INTERVAL_MS) ||
+      5000; // 5 seconds
+    // Jobs processed at once, so concurrent updates can share a batch transaction
+    this.concurrency =
+      options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 10;
+    // Completed and dead-lettered jobs kept for inspection, newest first
+    this.historyLimit = options.historyLimit || 50;
+
+    this.jobs = [];
+    this.deadLetter = [];
+    this.completed = [];
+    this.stats = { enqueued: 0, confirmed: 0, retried: 0, deadLettered: 0 };
+
+    this.running = false;
+    this.working = false;
+    this.timer = null;
+
+    this.load();
+  }
+
+  /**
+   * Add an update job for a location, reusing an active job if one exists
+   * @param {number} latitude - GPS latitude
+   * @param {number} longitude - GPS longitude
+   * @param {Object} metadata - Extra job details (e.g. request source)
+   * @returns {Object} Queued job
+   */
+  enqueue(latitude, longitude, metadata = {}) {
+    const existing = this.findActiveJob(latitude, longitude);
+    if (existing) {
+      console.log(
+        `📋 Update for ${latitude}, ${longitude} already queued (job ${existing.id}, ${existing.state})`
+      );
+      return existing;
+    }
+
+    const now = Date.now();
+    // Metadata goes first so it cannot overwrite the job's own fields
+    const job = {
+      ...metadata,
+      id: crypto.randomUUID(),
+      latitude,
+      longitude,
+      state: JOB_STATES.PENDING,
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+      txHash: null,
+      lastError: null,
+      result: null,
+    };
+
+    this.jobs.push(job);
+    this.stats.enqueued++;
+    this.save();
+
+    console.log(
+      `📋 Queued weather update job ${job.id} for ${latitude}, ${longitude}`
+    );
+    return job;
+  }
+
+  /**
+   * Find the active job for a location
+   * @param {number} latitude - GPS latitude
+   * @param {number} longitude - GPS longitude
+   * @returns {Object|undefined} Active job, if any
+   */
+  findActiveJob(latitude, longitude) {
+    return this.jobs.find(
+      (job) =>
+        job.latitude === latitude &&
+        job.longitude === longitude &&
+        ACTIVE_STATES.includes(job.state)
+    );
+  }
+
+  /**
+   * Get the oldest jobs that are due to run
+   * @param {number} limit - Maximum number of jobs to return
+   * @returns {Array} Next jobs to process
+   */
+  getDueJobs(limit = 1) {
+    const now = Date.now();
+    return this.jobs
+      .filter(
+        (job) => ACTIVE_STATES.includes(job.state) && job.nextAttemptAt <= now
+      )
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Move a job to a new state and persist it
+   * @param {Object} job - Job to update
+   * @param {string} state - New job state
+   * @param {Object} fields - Additional fields to set on the job
+   * @returns {Object} Updated job
+   */
+  transition(job, state, fields = {}) {
+    Object.assign(job, fields, { state, updatedAt: Date.now() });
+    this.save();
+    return job;
+  }
+
+  /**
+   * Mark a job as fetching weather data
+   * @param {Object} job - Job being processed
+   */
+  markFetching(job) {
+    return this.transition(job, JOB_STATES.FETCHING, {
+      attempts: job.attempts + 1,
+    });
+  }
+
+  /**
+   * Mark a job as submitted to the blockchain
+   * @param {Object} job - Job being processed
+   * @param {string} txHash - Hash of the submitted transaction
+   */
+  markSubmitted(job, txHash) {
+    return this.transition(job, JOB_STATES.SUBMITTED, { txHash });
+  }
+
+  /**
+   * Mark a job as confirmed and move it to the completed history
+   * @param {Object} job - Job being processed
+   * @param {Object} result - Update result
+   */
+  markConfirmed(job, result = null) {
+    this.transition(job, JOB_STATES.CONFIRMED, {
+      result,
+      lastError: null,
+      completedAt: Date.now(),
+    });
+    this.jobs = this.jobs.filter((queued) => queued.id !== job.id);
+    this.completed = [job, ...this.completed].slice(0, this.historyLimit);
+    this.stats.confirmed++;
+    this.save();
+
+    console.log(`✅ Weather update job ${job.id} confirmed`);
+    return job;
+  }
+
+  /**
+   * Record a failed attempt, scheduling a retry or dead-lettering the job
+   * @param {Object} job - Job being processed
+   * @param {Error} error - Failure cause
+   */
+  markFailed(job, error) {
+    const message = error && error.message ? error.message : String(error);
+
+    if (job.attempts >= this.maxAttempts) {
+      this.transition(job, JOB_STATES.FAILED, {
+        lastError: message,
+        failedAt: Date.now(),
+      });
+      this.jobs = this.jobs.filter((queued) => queued.id !== job.id);
+      this.deadLetter = [job, ...this.deadLetter].slice(0, this.historyLimit);
+      this.stats.deadLettered++;
+      this.save();
+
+      console.error(
+        `💀 Weather update job ${job.id} failed after ${job.attempts} attempts: ${message}`
+      );
+      return job;
+    }
+
+    const delay = this.getRetryDelay(job.attempts);
+    this.transition(job, JOB_STATES.PENDING, {
+      lastError: message,
+      txHash: null,
+      nextAttemptAt: Date.now() + delay,
+    });
+    this.stats.retried++;
+
+    console.warn(
+      `🔁 Weather update job ${job.id} failed (attempt ${job.attempts}/${
+        this.maxAttempts
+      }), retrying in ${Math.round(delay / 1000)}s: ${message}`
+    );
+    return job;
+  }
+
+  /**
+   * Check a submitted job again later without counting an attempt
+   * @param {Object} job - Submitted job
+   * @param {number} delay - Delay in milliseconds
+   */
+  deferCheck(job, delay = this.pollInterval) {
+    return this.transition(job, job.state, {
+      nextAttemptAt: Date.now() + delay,
+    });
+  }
+
+  /**
+   * Exponential backoff delay for the given attempt number
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(
+      this.baseRetryDelay * 2 ** Math.max(0, attempts - 1),
+      this.maxRetryDelay
+    );
+  }
+
+  /**
+   * Move a dead-lettered job back into the queue
+   * @param {string} jobId - Dead-lettered job ID
+   * @returns {Object|null} Requeued job, or null if not found
+   */
+  retryDeadLetter(jobId) {
+    const job = this.deadLetter.find((failed) => failed.id === jobId);
+    if (!job) {
+      return null;
+    }
+
+    this.deadLetter = this.deadLetter.filter((failed) => failed.id !== jobId);
+    const active = this.findActiveJob(job.latitude, job.longitude);
+    if (active) {
+      this.save();
+      return active;
+    }
+
+    this.jobs.push(job);
+    return this.transition(job, JOB_STATES.PENDING, {
+      attempts: 0,
+      txHash: null,
+      nextAttemptAt: Date.now(),
+    });
+  }
+
+  /**
+   * Start processing due jobs, up to `concurrency` at a time
+   * @param {Function} handler - Async function that processes a job
+   */
+  start(handler) {
+    if (this.running) {
+      return;
+    }
+
+    this.handler = handler;
+    this.running = true;
+    console.log(
+      `🗂️  Job queue started (${this.jobs.length} queued, ${this.deadLetter.length} dead-lettered)`
+    );
+    this.scheduleNextRun(0);
+  }
+
+  /**
+   * Stop processing jobs (queued jobs stay on disk)
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Schedule the next worker run while the queue is running
+   * @param {number} delay - Delay in milliseconds
+   */
+  scheduleNextRun(delay = this.pollInterval) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      await this.runDueJobs();
+      this.scheduleNextRun();
+    }, delay);
+  }
+
+  /**
+   * Process every job that is currently due
+   */
+  async runDueJobs() {
+    if (this.working) {
+      return;
+    }
+
+    this.working = true;
+    try {
+      let jobs = this.getDueJobs(this.concurrency);
+      while (this.running && jobs.length > 0) {
+        await Promise.all(jobs.map((job) => this.runJob(job)));
+        jobs = this.getDueJobs(this.concurrency);
+      }
+    } finally {
+      this.working = false;
+    }
+  }
+
+  /**
+   * Run the handler for a single job, recording failures
+   * @param {Object} job - Job to process
+   */
+  async runJob(job) {
+    try {
+      await this.handler(job, this);
+    } catch (error) {
+      this.markFailed(job, error);
+    }
+  }
+
+  /**
+   * Load queued jobs from disk, recovering jobs interrupted by a restart
+   */
+  load() {
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(this.storeFile, "utf8"));
+    } catch (error) {
+      return;
+    }
+
+    this.jobs = stored.jobs || [];
+    this.deadLetter = (stored.deadLetter || []).slice(0, this.historyLimit);
+    this.completed = (stored.completed || []).slice(0, this.historyLimit);
+    this.stats = { ...this.stats, ...stored.stats };
+
+    // A fetch interrupted by a restart never reached the chain, so run it again.
+    // Submitted jobs keep their txHash and are checked against the chain.
+    for (const job of this.jobs) {
+      if (job.state === JOB_STATES.FETCHING) {
+        job.state = JOB_STATES.PENDING;
+      }
+    }
+
+    console.log(
+      `🗂️  Loaded ${this.jobs.length} queued weather update jobs from ${this.storeFile}`
+    );
+  }
+
+  /**
+   * Persist the queue to disk atomically
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.storeFile), { recursive: true });
+      const tempFile = `${this.storeFile}.tmp`;
+      fs.writeFileSync(
+        tempFile,
+        JSON.stringify(
+          {
+            jobs: this.jobs,
+            deadLetter: this.deadLetter,
+            completed: this.completed,
+            stats: this.stats,
+          },
+          null,
+          2
+        )
+      );
+      fs.renameSync(tempFile, this.storeFile);
+    } catch (error) {
+      console.error("⚠️  Failed to save job queue:", error.message);
+    }
+  }
+
+  /**
+   * Get queue status for monitoring endpoints
+   * @returns {Object} Queue status
+   */
+  getStatus() {
+    const byState = {};
+    for (const state of ACTIVE_STATES) {
+      byState[state] = this.jobs.filter((job) => job.state === state).length;
+    }
+
+    return {
+      running: this.running,
+      concurrency: this.concurrency,
+      queued: this.jobs.length,
+      deadLetter: this.deadLetter.length,
+      byState,
+      ...this.stats,
+    };
+  }
+}
+
+JobQueue.STATES = JOB_STATES;
+
+module.exports = JobQueue;
@@ -0,0 +1,230 @@
+/**
+ * Base class for workers that follow contract events block by block.
+ *
+ * The poller scans every block since the last processed one in ranges the RPC
+ * accepts and persists its position, so a restart backfills whatever was
+ * emitted while the bot was offline. Subclasses implement fetchLogs and
+ * handleLogs; a range is only marked processed once handleLogs returns.
+ */
+const fs = require("fs");
+const path = require("path");
+
+class LogPoller {
+  /**
+   * @param {Web3Client} web3Client - Client used to read blocks and events
+   * @param {Object} settings - Worker identity
+   * @param {string} settings.name - Name used in logs, e.g. "Oracle listener"
+   * @param {string} settings.icon - Emoji logged when the worker starts
+   * @param {string} settings.envPrefix - Prefix of the worker's environment variables, e.g. "LISTENER"
+   * @param {Object} options - Configuration overrides (stateFile, pollInterval, maxBlockRange, startBlock)
+   */
+  constructor(web3Client, settings, options = {}) {
+    this.web3Client = web3Client;
+    this.name = settings.name;
+    this.icon = settings.icon;
+    this.stateName = settings.envPrefix.toLowerCase();
+
+    const env = (key) => process.env[`${settings.envPrefix}_${key}`];
+    this.stateFile =
+      options.stateFile ||
+      env("STATE_FILE") ||
+      path.join(__dirname, "data", `${this.stateName}-state.json`);
+    this.pollInterval =
+      options.pollInterval || parseInt(env("POLL_INTERVAL_MS")) || 15000; // 15 seconds
+    // Coston2 public RPC limits eth_getLogs to 30 blocks per call
+    this.maxBlockRange =
+      options.maxBlockRange || parseInt(env("MAX_BLOCK_RANGE")) || 30;
+    this.startBlock =
+      options.startBlock !== undefined
+        ? options.startBlock
+        : env("START_BLOCK") !== undefined
+        ? parseInt(env("START_BLOCK"))
+        : null;
+
+    this.lastProcessedBlock = null;
+    this.running = false;
+    this.polling = false;
+    this.timer = null;
+    this.stats = {
+      lastPollAt: null,
+      lastError: null,
+    };
+  }
+
+  /**
+   * Fetch the events this worker follows
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @returns {Array} Decoded events
+   */
+  async fetchLogs(fromBlock, toBlock) {
+    throw new Error(`${this.name} does not implement fetchLogs`);
+  }
+
+  /**
+   * Act on the events of one block range. Throwing leaves the range
+   * unprocessed so the next poll retries it
+   * @param {Array} logs - Events returned by fetchLogs
+   */
+  async handleLogs(logs) {
+    throw new Error(`${this.name} does not implement handleLogs`);
+  }
+
+  /**
+   * Check preconditions before the first poll (no-op by default)
+   */
+  async prepare() {}
+
+  /**
+   * Catch up on events since the last processed block and start polling
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    if (!this.web3Client.initialized) {
+      await this.web3Client.initialize();
+    }
+    await this.prepare();
+
+    this.lastProcessedBlock = this.loadState();
+
+    if (this.lastProcessedBlock === null) {
+      // First run: start from the configured block or the current head
+      const latestBlock = await this.web3Client.getBlockNumber();
+      this.lastProcessedBlock =
+        this.startBlock !== null && !isNaN(this.startBlock)
+          ? this.startBlock - 1
+          : latestBlock;
+      this.saveState();
+    }
+
+    this.running = true;
+    console.log(
+      `${this.icon} ${this.name} started from block ${
+        this.lastProcessedBlock + 1
+      }`
+    );
+
+    // Backfill anything emitted while the bot was offline, then keep polling
+    await this.poll();
+    this.scheduleNextPoll();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    console.log(`🛑 ${this.name} stopped`);
+  }
+
+  /**
+   * Schedule the next poll while the worker is running
+   */
+  scheduleNextPoll() {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      await this.poll();
+      this.scheduleNextPoll();
+    }, this.pollInterval);
+  }
+
+  /**
+   * Scan all blocks since the last processed block
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      const latestBlock = await this.web3Client.getBlockNumber();
+
+      while (this.running && this.lastProcessedBlock < latestBlock) {
+        const fromBlock = this.lastProcessedBlock + 1;
+        const toBlock = Math.min(
+          fromBlock + this.maxBlockRange - 1,
+          latestBlock
+        );
+
+        await this.handleLogs(await this.fetchLogs(fromBlock, toBlock));
+
+        this.lastProcessedBlock = toBlock;
+        this.saveState();
+      }
+
+      this.stats.lastPollAt = new Date().toISOString();
+      this.stats.lastError = null;
+    } catch (error) {
+      console.error(`❌ ${this.name} poll failed:`, error.message);
+      this.stats.lastError = error.message;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Load the last processed block from disk
+   * @returns {number|null} Last processed block, or null on first run
+   */
+  loadState() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+      return Number.isInteger(state.lastProcessedBlock)
+        ? state.lastProcessedBlock
+        : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Persist the last processed block to disk
+   */
+  saveState() {
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      fs.writeFileSync(
+        this.stateFile,
+        JSON.stringify(
+          {
+            lastProcessedBlock: this.lastProcessedBlock,
+            updatedAt: new Date().toISOString(),
+          },
+          null,
+          2
+        )
+      );
+    } catch (error) {
+      console.error(
+        `⚠️  Failed to save ${this.stateName} state:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Get worker status for monitoring endpoints
+   * @returns {Object} Worker status
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      lastProcessedBlock: this.lastProcessedBlock,
+      pollInterval: this.pollInterval,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = LogPoller;
@@ -0,0 +1,138 @@
+const axios = require("axios");
+const WeatherProvider = require("./weatherProvider");
+
+class NasaPowerClient extends WeatherProvider {
+  /**
+   * NASA POWER daily point data (MERRA-2 reanalysis, free, no API key)
+   * @param {Object} options - Provider settings from the registry
+   */
+  constructor(options = {}) {
+    super(
+      "nasa-power",
+      // Daily values are published with a few days' delay
+      {
+        maxHistoryDays: null,
+        maxLagDays: 7,
+        requiresApiKey: false,
+        requestsPerMinute: 30,
+      },
+      options
+    );
+    this.baseUrl =
+      options.baseUrl || "https://power.larc.nasa.gov/api/temporal/daily/point";
+    this.httpClient = options.httpClient || axios;
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Fetch daily precipitation and maximum temperature from NASA POWER
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Object} Weather data with rainfall30d, rainfall24h, temperature
+   */
+  async getWeatherData(lat, lon) {
+    try {
+      // Ask for enough days to cover 30 full days behind the publication delay
+      const endDate = this.now();
+      const startDate = new Date(endDate);
+      startDate.setUTCDate(
+        startDate.getUTCDate() - (30 + this.capabilities.maxLagDays)
+      );
+
+      const url =
+        `${this.baseUrl}?` +
+        `parameters=PRECTOTCORR,T2M_MAX&` +
+        `community=AG&` +
+        `latitude=${lat}&` +
+        `longitude=${lon}&` +
+        `start=${this.formatDate(startDate)}&` +
+        `end=${this.formatDate(endDate)}&` +
+        `format=JSON`;
+
+      console.log(`Fetching weather data from NASA POWER: ${lat}, ${lon}`);
+
+      const response = await this.httpGet(url, {
+        timeout: 20000, // POWER responses are slower than Open-Meteo
+      });
+
+      if (
+        !response.data ||
+        !response.data.properties ||
+        !response.data.properties.parameter
+      ) {
+        throw new Error("Invalid response from NASA POWER API");
+      }
+
+      return this.processWeatherData(response.data);
+    } catch (error) {
+      console.error("NASA POWER API Error:", error.message);
+      throw new Error(`NASA POWER API failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Process a POWER daily response into the provider format
+   * @param {Object} data - Raw API response
+   * @returns {Object} Processed weather data
+   */
+  processWeatherData(data) {
+    const { PRECTOTCORR: precipitation, T2M_MAX: temperatureMax } =
+      data.properties.parameter;
+
+    if (!precipitation || !temperatureMax) {
+      throw new Error("Missing precipitation or temperature data");
+    }
+
+    const fillValue =
+      data.header && data.header.fill_value !== undefined
+        ? data.header.fill_value
+        : -999;
+    const toDays = (series) =>
+      Object.entries(series).map(([date, value]) => ({
+        date: `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`,
+        value: value === fillValue || value === null ? null : value,
+      }));
+
+    const rainfall = this.summarizeDailyRainfall(
+      toDays(precipitation),
+      this.now()
+    );
+
+    // Latest published daily maximum
+    const temperatures = toDays(temperatureMax).filter(
+      (day) => day.value !== null
+    );
+    if (temperatures.length === 0) {
+      throw new Error("No temperature data available");
+    }
+    const temperature = temperatures[temperatures.length - 1].value;
+
+    const weatherData = this.createReading(
+      {
+        rainfall30d: rainfall.rainfall30d,
+        rainfall24h: rainfall.rainfall24h,
+        temperature,
+      },
+      {
+        incompleteFields: rainfall.incompleteFields,
+        periodStart: rainfall.periodStart,
+        periodEnd: rainfall.periodEnd,
+        coverageDays: rainfall.coverageDays,
+      }
+    );
+
+    console.log("Processed NASA POWER data:", weatherData);
+    return weatherData;
+  }
+
+  /**
+   * Format a date as POWER expects (YYYYMMDD)
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    return date.toISOString().split("T")[0].replace(/-/g, "");
+  }
+}
+
+module.exports = NasaPowerClient;
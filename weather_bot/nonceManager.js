@@ -0,0 +1,151 @@
+class NonceManager {
+  /**
+   * Hands out nonces for a single wallet so concurrent sends never collide
+   * @param {Object} provider - ethers provider
+   * @param {string} address - Wallet address
+   */
+  constructor(provider, address) {
+    this.provider = provider;
+    this.address = address;
+    this.nextNonce = null;
+    this.inFlight = new Map(); // nonce -> { hashes, sentAt }
+    this.lockChain = Promise.resolve();
+  }
+
+  /**
+   * Recover the next nonce from the provider's pending transaction count
+   * @returns {number} Next nonce to use
+   */
+  async sync() {
+    const [pendingCount, minedCount] = await Promise.all([
+      this.provider.getTransactionCount(this.address, "pending"),
+      this.provider.getTransactionCount(this.address, "latest"),
+    ]);
+    this.nextNonce = pendingCount;
+
+    // Nonces below the mined count can no longer be in flight
+    for (const nonce of this.inFlight.keys()) {
+      if (nonce < minedCount) {
+        this.inFlight.delete(nonce);
+      }
+    }
+
+    console.log(`🔢 Nonce synced for ${this.address}: ${this.nextNonce}`);
+    return this.nextNonce;
+  }
+
+  /**
+   * Acquire the send lock
+   * @returns {Function} Function that releases the lock
+   */
+  async lock() {
+    let release;
+    const released = new Promise((resolve) => {
+      release = resolve;
+    });
+    const previous = this.lockChain;
+    this.lockChain = previous.then(() => released);
+    await previous;
+    return release;
+  }
+
+  /**
+   * Broadcast a transaction with the next nonce. Sends are serialized, but the
+   * lock is released as soon as the transaction is broadcast so confirmations
+   * can be awaited in parallel.
+   * @param {Function} sendFn - Async function that broadcasts a transaction for a given nonce
+   * @returns {Object} Sent transaction response
+   */
+  async send(sendFn) {
+    const release = await this.lock();
+    try {
+      if (this.nextNonce === null) {
+        await this.sync();
+      }
+
+      try {
+        return await this.broadcast(sendFn);
+      } catch (error) {
+        // Our view of the nonce is stale (e.g. another process used the wallet)
+        if (!this.isNonceError(error)) {
+          await this.sync();
+          throw error;
+        }
+
+        console.warn(`⚠️  Nonce conflict (${error.message}), resyncing...`);
+        await this.sync();
+        return await this.broadcast(sendFn);
+      }
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Broadcast with the current nonce and record it as in flight
+   * @param {Function} sendFn - Async function that broadcasts a transaction for a given nonce
+   * @returns {Object} Sent transaction response
+   */
+  async broadcast(sendFn) {
+    const nonce = this.nextNonce;
+    const tx = await sendFn(nonce);
+
+    this.nextNonce = nonce + 1;
+    this.inFlight.set(nonce, { hashes: [tx.hash], sentAt: Date.now() });
+    return tx;
+  }
+
+  /**
+   * Record a replacement broadcast for an in-flight nonce
+   * @param {number} nonce - Transaction nonce
+   * @param {string} hash - Hash of the replacement transaction
+   */
+  track(nonce, hash) {
+    const entry = this.inFlight.get(nonce);
+    if (entry) {
+      entry.hashes.push(hash);
+    } else {
+      this.inFlight.set(nonce, { hashes: [hash], sentAt: Date.now() });
+    }
+  }
+
+  /**
+   * Stop tracking a transaction once it is mined or abandoned
+   * @param {number} nonce - Transaction nonce
+   */
+  complete(nonce) {
+    this.inFlight.delete(nonce);
+  }
+
+  /**
+   * Check whether an error was caused by a nonce conflict
+   * @param {Error} error - Send error
+   * @returns {boolean} True for nonce errors
+   */
+  isNonceError(error) {
+    const message = (error.message || "").toLowerCase();
+    return (
+      error.code === "NONCE_EXPIRED" ||
+      message.includes("nonce too low") ||
+      message.includes("nonce has already been used") ||
+      message.includes("invalid nonce")
+    );
+  }
+
+  /**
+   * Get nonce manager status for monitoring endpoints
+   * @returns {Object} Next nonce and in-flight transactions
+   */
+  getStatus() {
+    return {
+      address: this.address,
+      nextNonce: this.nextNonce,
+      inFlight: Array.from(this.inFlight.entries()).map(([nonce, tx]) => ({
+        nonce,
+        ...tx,
+      })),
+    };
+  }
+}
+
+module.exports = NonceManager;
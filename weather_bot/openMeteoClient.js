@@ -1,8 +1,31 @@
 const axios = require("axios");
+const WeatherProvider = require("./weatherProvider");
 
-class OpenMeteoClient {
-  constructor() {
-    this.baseUrl = "https://archive-api.open-meteo.com/v1/archive";
+class OpenMeteoClient extends WeatherProvider {
+  /**
+   * Open-Meteo historical archive (free, no API key required)
+   * @param {Object} options - Provider settings from the registry
+   */
+  constructor(options = {}) {
+    super(
+      "open-meteo",
+      // Archive back to 1940; reanalysis is published about 5 days late
+      {
+        maxHistoryDays: null,
+        maxLagDays: 7,
+        requiresApiKey: false,
+        dailySeries: true,
+        // Free tier allows 600 calls a minute
+        requestsPerMinute: 600,
+      },
+      options
+    );
+    this.baseUrl =
+      options.baseUrl || "https://archive-api.open-meteo.com/v1/archive";
+    // Optional RainfallStore, so only days not seen before are fetched
+    this.store = options.store || null;
+    this.httpClient = options.httpClient || axios;
+    this.now = options.now || (() => new Date());
   }
 
   /**
@@ -13,35 +36,19 @@ class OpenMeteoClient {
    */
   async getWeatherData(lat, lon) {
     try {
-      // Calculate date range for last 30 days
-      const endDate = new Date();
+      // 30 days behind the publication delay
+      const endDate = this.now();
       const startDate = new Date(endDate);
-      startDate.setDate(startDate.getDate() - 30);
+      startDate.setUTCDate(
+        startDate.getUTCDate() - (30 + this.capabilities.maxLagDays)
+      );
 
       const startDateStr = startDate.toISOString().split("T")[0];
       const endDateStr = endDate.toISOString().split("T")[0];
 
-      // Build API URL
-      const url =
-        `${this.baseUrl}?` +
-        `latitude=${lat}&` +
-        `longitude=${lon}&` +
-        `start_date=${startDateStr}&` +
-        `end_date=${endDateStr}&` +
-        `daily=precipitation_sum,temperature_2m_max&` +
-        `timezone=UTC`;
-
-      console.log(`Fetching weather data from Open-Meteo: ${lat}, ${lon}`);
-
-      const response = await axios.get(url, {
-        timeout: 10000, // 10 second timeout
-      });
-
-      if (!response.data || !response.data.daily) {
-        throw new Error("Invalid response from Open-Meteo API");
-      }
-
-      return this.processWeatherData(response.data);
+      return this.processWeatherData(
+        await this.getDailySeries(lat, lon, startDateStr, endDateStr)
+      );
     } catch (error) {
       console.error("Open-Meteo API Error:", error.message);
       throw new Error(`Open-Meteo API failed: ${error.message}`);
@@ -49,55 +56,139 @@ class OpenMeteoClient {
   }
 
   /**
-   * Process raw API response into required format
-   * @param {Object} data - Raw API response
-   * @returns {Object} Processed weather data
+   * Get daily values for a date range, from the store where possible
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} startDateStr - First day (YYYY-MM-DD)
+   * @param {string} endDateStr - Last day (YYYY-MM-DD)
+   * @returns {Array} Published days as { date, rainfall, temperatureMax }, oldest first
    */
-  processWeatherData(data) {
-    const { daily } = data;
+  async getDailySeries(lat, lon, startDateStr, endDateStr) {
+    if (!this.store) {
+      const days = await this.fetchDays(lat, lon, startDateStr, endDateStr);
+      return days.filter((day) => day.rainfall !== null);
+    }
 
-    if (!daily.precipitation_sum || !daily.temperature_2m_max) {
-      throw new Error("Missing precipitation or temperature data");
+    // Only the days the store does not have yet (usually the last few,
+    // which were not published at the previous refresh)
+    const missing = this.store.getMissingDates(
+      this.name,
+      lat,
+      lon,
+      startDateStr,
+      endDateStr
+    );
+    if (missing.length > 0) {
+      const days = await this.fetchDays(
+        lat,
+        lon,
+        missing[0],
+        missing[missing.length - 1]
+      );
+      this.store.putDays(this.name, lat, lon, days);
     }
 
-    // Calculate 30-day rainfall total
-    const rainfall30d = daily.precipitation_sum
-      .filter((val) => val !== null)
-      .reduce((sum, val) => sum + val, 0);
+    return this.store.getDays(this.name, lat, lon, startDateStr, endDateStr);
+  }
 
-    // Calculate 24-hour rainfall (yesterday's data)
-    const rainfall24h =
-      daily.precipitation_sum[daily.precipitation_sum.length - 2] || 0;
+  /**
+   * Fetch daily precipitation and maximum temperature for a date range
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} startDateStr - First day (YYYY-MM-DD)
+   * @param {string} endDateStr - Last day (YYYY-MM-DD)
+   * @returns {Array} Daily values as { date, rainfall, temperatureMax }
+   */
+  async fetchDays(lat, lon, startDateStr, endDateStr) {
+    // Ranges ending within the publication delay may still gain days
+    const type = this.cache
+      ? this.cache.dataTypeFor(endDateStr, this.capabilities.maxLagDays)
+      : null;
+    return this.cached([lat, lon, startDateStr, endDateStr], type, () =>
+      this.requestDays(lat, lon, startDateStr, endDateStr)
+    );
+  }
 
-    // Get latest temperature
-    const temperature =
-      daily.temperature_2m_max.filter((val) => val !== null).pop() || 0;
+  /**
+   * Request daily values for a date range from the archive API
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} startDateStr - First day (YYYY-MM-DD)
+   * @param {string} endDateStr - Last day (YYYY-MM-DD)
+   * @returns {Array} Daily values as { date, rainfall, temperatureMax }
+   */
+  async requestDays(lat, lon, startDateStr, endDateStr) {
+    // Build API URL
+    const url =
+      `${this.baseUrl}?` +
+      `latitude=${lat}&` +
+      `longitude=${lon}&` +
+      `start_date=${startDateStr}&` +
+      `end_date=${endDateStr}&` +
+      `daily=precipitation_sum,temperature_2m_max&` +
+      `timezone=UTC`;
+
+    console.log(
+      `Fetching weather data from Open-Meteo: ${lat}, ${lon} (${startDateStr} to ${endDateStr})`
+    );
+
+    const response = await this.httpGet(url, {
+      timeout: 10000, // 10 second timeout
+    });
+
+    if (!response.data || !response.data.daily) {
+      throw new Error("Invalid response from Open-Meteo API");
+    }
 
-    const weatherData = {
-      rainfall30d: Math.round(rainfall30d * 100) / 100, // Round to 2 decimals
-      rainfall24h: Math.round(rainfall24h * 100) / 100,
-      temperature: Math.round(temperature * 100) / 100,
-      timestamp: Date.now(),
-      source: "open-meteo",
-    };
+    const { daily } = response.data;
+    if (!daily.time || !daily.precipitation_sum || !daily.temperature_2m_max) {
+      throw new Error("Missing precipitation or temperature data");
+    }
 
-    console.log("Processed weather data:", weatherData);
-    return weatherData;
+    return daily.time.map((date, index) => ({
+      date,
+      rainfall: daily.precipitation_sum[index],
+      temperatureMax: daily.temperature_2m_max[index],
+    }));
   }
 
   /**
-   * Test API connectivity
-   * @returns {boolean} True if API is accessible
+   * Process daily values into required format
+   * @param {Array} days - Daily values as { date, rainfall, temperatureMax }
+   * @returns {Object} Processed weather data
    */
-  async testConnection() {
-    try {
-      // Test with London coordinates
-      await this.getWeatherData(51.5074, -0.1278);
-      return true;
-    } catch (error) {
-      console.error("Open-Meteo connection test failed:", error.message);
-      return false;
+  processWeatherData(days) {
+    // 30 days ending at the latest published day, and that day's total
+    const rainfall = this.summarizeDailyRainfall(
+      days.map((day) => ({ date: day.date, value: day.rainfall })),
+      this.now()
+    );
+
+    // Get latest temperature
+    const temperatures = days.filter(
+      (day) => day.temperatureMax !== null && day.temperatureMax !== undefined
+    );
+    if (temperatures.length === 0) {
+      throw new Error("No temperature data available");
     }
+    const temperature = temperatures[temperatures.length - 1].temperatureMax;
+
+    const weatherData = this.createReading(
+      {
+        rainfall30d: rainfall.rainfall30d,
+        rainfall24h: rainfall.rainfall24h,
+        temperature,
+      },
+      {
+        incompleteFields: rainfall.incompleteFields,
+        periodStart: rainfall.periodStart,
+        periodEnd: rainfall.periodEnd,
+        coverageDays: rainfall.coverageDays,
+      }
+    );
+
+    console.log("Processed weather data:", weatherData);
+    return weatherData;
   }
 }
 
@@ -0,0 +1,78 @@
+const LogPoller = require("./logPoller");
+
+class OracleListener extends LogPoller {
+  /**
+   * Listens for WeatherDataRequested events and feeds them into the bot
+   * @param {WeatherOracleBot} bot - Bot used to update weather data on chain
+   * @param {Object} options - Listener configuration overrides
+   */
+  constructor(bot, options = {}) {
+    super(
+      bot.web3Client,
+      { name: "Oracle listener", icon: "👂", envPrefix: "LISTENER" },
+      options
+    );
+    this.bot = bot;
+
+    Object.assign(this.stats, {
+      requestsSeen: 0,
+      requestsQueued: 0,
+      lastRequestAt: null,
+    });
+  }
+
+  /**
+   * Fetch weather requests in a block range
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @returns {Array} WeatherDataRequested events
+   */
+  async fetchLogs(fromBlock, toBlock) {
+    return this.web3Client.getWeatherRequests(fromBlock, toBlock);
+  }
+
+  /**
+   * Queue one update per requested location
+   * @param {Array} requests - WeatherDataRequested events
+   */
+  async handleLogs(requests) {
+    this.stats.requestsSeen += requests.length;
+    for (const request of this.deduplicate(requests)) {
+      await this.handleRequest(request);
+    }
+  }
+
+  /**
+   * Collapse repeated requests for the same location within one block range
+   * @param {Array} requests - Weather requests from the chain
+   * @returns {Array} One request per location
+   */
+  deduplicate(requests) {
+    const byLocation = new Map();
+    for (const request of requests) {
+      byLocation.set(`${request.latitude},${request.longitude}`, request);
+    }
+    return Array.from(byLocation.values());
+  }
+
+  /**
+   * Queue a weather update for a single request
+   * @param {Object} request - Weather request event data
+   */
+  async handleRequest(request) {
+    console.log(
+      `📨 Weather data requested for ${request.latitude}, ${request.longitude} by ${request.requester} (block ${request.blockNumber})`
+    );
+    this.stats.lastRequestAt = new Date().toISOString();
+
+    // The job queue persists the request, so advancing past this block is safe
+    this.bot.enqueueWeatherUpdate(request.latitude, request.longitude, {
+      source: "event",
+      requester: request.requester,
+      requestTxHash: request.transactionHash,
+    });
+    this.stats.requestsQueued++;
+  }
+}
+
+module.exports = OracleListener;
@@ -0,0 +1,237 @@
+const LogPoller = require("./logPoller");
+
+// How far our own reading may sit on the wrong side of a threshold before it
+// counts as contradicting a trigger (same as the aggregator's tolerances)
+const MARGINS = {
+  rainfall30d: 5, // mm
+  rainfall24h: 2, // mm
+  temperature: 2, // °C
+};
+
+// RadiShield only counts drought once a policy has run for a full 30-day window
+const DROUGHT_WINDOW = 30 * 24 * 60 * 60; // seconds
+
+class PayoutWatcher extends LogPoller {
+  /**
+   * Cross-checks PayoutTriggered events against the bot's own aggregated
+   * weather and disputes pending payouts the providers do not support
+   * @param {WeatherOracleBot} bot - Bot whose Web3Client, providers and aggregator are used
+   * @param {Object} options - Watcher configuration overrides
+   */
+  constructor(bot, options = {}) {
+    super(
+      bot.web3Client,
+      { name: "Payout watcher", icon: "🔍", envPrefix: "WATCHER" },
+      options
+    );
+    this.bot = bot;
+
+    this.canChallenge = false;
+    Object.assign(this.stats, {
+      triggersSeen: 0,
+      confirmed: 0,
+      challenged: 0,
+      skipped: 0,
+      lastChallengeAt: null,
+    });
+  }
+
+  /**
+   * Require RadiShield and find out whether this wallet may dispute payouts
+   */
+  async prepare() {
+    if (!this.web3Client.radiShieldContract) {
+      throw new Error(
+        "Missing required environment variable: RADISHIELD_ADDRESS"
+      );
+    }
+
+    this.canChallenge = await this.web3Client.canChallengePayouts();
+    if (!this.canChallenge) {
+      console.warn(
+        `⚠️  ${this.web3Client.getWalletAddress()} is neither the RadiShield owner nor its challenger: disputed payouts will only be logged`
+      );
+    }
+  }
+
+  /**
+   * Fetch payout triggers in a block range
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @returns {Array} PayoutTriggered events
+   */
+  async fetchLogs(fromBlock, toBlock) {
+    return this.web3Client.getPayoutTriggers(fromBlock, toBlock);
+  }
+
+  /**
+   * Cross-check every triggered payout
+   * @param {Array} triggers - PayoutTriggered events
+   */
+  async handleLogs(triggers) {
+    this.stats.triggersSeen += triggers.length;
+    for (const trigger of triggers) {
+      await this.handleTrigger(trigger);
+    }
+  }
+
+  /**
+   * Check one triggered payout and dispute it if our providers contradict it
+   * @param {Object} trigger - PayoutTriggered event data
+   */
+  async handleTrigger(trigger) {
+    const pending = await this.web3Client.getPendingPayout(trigger.policyId);
+
+    // Without a dispute window the payout was made in the same transaction
+    if (!pending || pending.disputed) {
+      this.stats.skipped++;
+      return;
+    }
+    if (pending.settlesAt <= Math.floor(Date.now() / 1000)) {
+      console.warn(
+        `⚠️  Dispute window for policy ${trigger.policyId} already closed, not checking`
+      );
+      this.stats.skipped++;
+      return;
+    }
+
+    // Policy weather is judged over the policy's own period, which a rolling
+    // reading cannot contradict
+    const policyWeather = await this.web3Client.getPolicyWeather(
+      trigger.policyId
+    );
+    if (policyWeather && policyWeather.periodEnd === pending.weatherTimestamp) {
+      console.warn(
+        `⚠️  Payout for policy ${trigger.policyId} was raised by policy weather, not checking`
+      );
+      this.stats.skipped++;
+      return;
+    }
+
+    const policy = await this.web3Client.getPolicy(trigger.policyId);
+    const triggers = await this.web3Client.getPolicyTriggers(trigger.policyId);
+    let weatherData;
+    try {
+      weatherData = await this.fetchWeatherAt(policy, pending.weatherTimestamp);
+    } catch (error) {
+      // No consensus is not evidence against the trigger
+      console.warn(
+        `⚠️  Could not cross-check policy ${trigger.policyId}: ${error.message}`
+      );
+      this.stats.lastError = error.message;
+      this.stats.skipped++;
+      return;
+    }
+
+    const supported = this.supportedPayout(
+      weatherData,
+      triggers,
+      policy,
+      pending.weatherTimestamp
+    );
+    if (supported >= pending.amount) {
+      console.log(
+        `✅ Payout for policy ${trigger.policyId} (${trigger.triggerType}) matches our providers`
+      );
+      this.stats.confirmed++;
+      return;
+    }
+
+    console.warn(
+      `🚩 Providers contradict ${trigger.triggerType} for policy ${trigger.policyId}: ${weatherData.rainfall30d}mm/30d, ${weatherData.rainfall24h}mm/24h, ${weatherData.temperature}°C`
+    );
+    if (!this.canChallenge) {
+      this.stats.skipped++;
+      return;
+    }
+
+    try {
+      const result = await this.web3Client.challengePayout(
+        trigger.policyId,
+        weatherData
+      );
+      this.stats.challenged++;
+      this.stats.lastChallengeAt = new Date().toISOString();
+      console.log(
+        `⚖️  Challenged payout for policy ${trigger.policyId} in ${result.txHash}`
+      );
+    } catch (error) {
+      console.error(
+        `❌ Failed to challenge payout for policy ${trigger.policyId}:`,
+        error.message
+      );
+      this.stats.lastError = error.message;
+    }
+  }
+
+  /**
+   * Aggregate what every provider with daily history would have reported for
+   * the middle of the policy's grid cell when the triggering weather was observed
+   * @param {Object} policy - Policy with unscaled coordinates
+   * @param {number} timestamp - When the triggering weather was observed (unix seconds)
+   * @returns {Object} Consensus weather data as of `timestamp`
+   */
+  async fetchWeatherAt(policy, timestamp) {
+    const providers = this.bot.providers
+      .getProviders()
+      .filter((provider) => provider.capabilities.dailySeries);
+    if (providers.length === 0) {
+      throw new Error("No weather provider with daily history configured");
+    }
+
+    const cell = this.web3Client.getGridCell(policy.latitude, policy.longitude);
+    return this.bot.aggregator.aggregate(
+      cell.centerLatitude,
+      cell.centerLongitude,
+      providers,
+      timestamp
+    );
+  }
+
+  /**
+   * Largest payout our reading could support, giving every threshold the
+   * benefit of the margin. Mirrors RadiShield's trigger order and its drought
+   * window: drought only counts if the weather behind the trigger was
+   * observed a full window after the policy started
+   * @param {Object} weatherData - Weather in mm and °C
+   * @param {Object} triggers - The policy's triggers (Web3Client.getPolicyTriggers)
+   * @param {Object} policy - Policy with its coverage in wei and startDate in unix seconds
+   * @param {number} weatherTimestamp - When the triggering weather was observed (unix seconds)
+   * @returns {bigint} Payout in wei
+   */
+  supportedPayout(weatherData, triggers, policy, weatherTimestamp) {
+    const { coverage } = policy;
+    if (
+      weatherTimestamp >= policy.startDate + DROUGHT_WINDOW &&
+      weatherData.rainfall30d - MARGINS.rainfall30d < triggers.droughtThreshold
+    ) {
+      return coverage;
+    }
+    if (
+      weatherData.rainfall24h + MARGINS.rainfall24h >
+      triggers.floodThreshold
+    ) {
+      return coverage;
+    }
+    if (
+      weatherData.temperature + MARGINS.temperature >
+      triggers.heatwaveThreshold
+    ) {
+      return (coverage * BigInt(triggers.heatwavePayoutRate)) / 100n;
+    }
+    return 0n;
+  }
+
+  /**
+   * Get watcher status for monitoring endpoints
+   * @returns {Object} Watcher status
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      canChallenge: this.canChallenge,
+    };
+  }
+}
+
+module.exports = PayoutWatcher;
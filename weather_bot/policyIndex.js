@@ -0,0 +1,164 @@
+class PolicyIndex {
+  /**
+   * In-memory view of the RadiShield policies that can still pay out
+   * @param {Web3Client} web3Client - Client used to read policies
+   */
+  constructor(web3Client) {
+    this.web3Client = web3Client;
+
+    this.policies = new Map(); // policyId -> policy (active policies only)
+    // Policies whose payout waits on RadiShield's dispute window. They are not
+    // evaluated again, but a rejected dispute makes them payable once more.
+    this.pending = new Set();
+    this.lastPolicyId = 0;
+    this.syncing = null;
+    this.stats = {
+      retired: 0,
+      lastSyncAt: null,
+    };
+  }
+
+  /**
+   * Load new policies and drop the ones that can no longer pay out.
+   * Concurrent callers share one sync.
+   */
+  async sync() {
+    if (!this.syncing) {
+      this.syncing = this.load().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * Read policies created since the last sync and recheck known ones
+   */
+  async load() {
+    const total = await this.web3Client.getTotalPolicies();
+
+    // Policy coordinates never change, so each policy is read once
+    for (let policyId = this.lastPolicyId + 1; policyId <= total; policyId++) {
+      const policy = await this.web3Client.getPolicy(policyId);
+      if (policy.isActive && !policy.claimed) {
+        this.policies.set(policyId, policy);
+        if (await this.web3Client.getPendingPayout(policyId)) {
+          this.pending.add(policyId);
+        }
+      }
+      this.lastPolicyId = policyId;
+    }
+
+    // Claimed, deactivated and expired policies never become active again
+    for (const policyId of Array.from(this.policies.keys())) {
+      if (!(await this.web3Client.isPolicyActive(policyId))) {
+        this.remove(policyId);
+      } else if (
+        this.pending.has(policyId) &&
+        !(await this.web3Client.getPendingPayout(policyId))
+      ) {
+        // Still active without a pending payout: a dispute rejected it
+        this.pending.delete(policyId);
+        console.log(
+          `↩️  Payout for policy ${policyId} was rejected, evaluating it again`
+        );
+      }
+    }
+
+    this.stats.lastSyncAt = new Date().toISOString();
+  }
+
+  /**
+   * Stop tracking a policy (e.g. once it has paid out)
+   * @param {number} policyId - Policy ID
+   */
+  remove(policyId) {
+    this.pending.delete(policyId);
+    if (this.policies.delete(policyId)) {
+      this.stats.retired++;
+    }
+  }
+
+  /**
+   * Retire a policy that was paid, or hold one whose payout is pending until
+   * a sync finds it settled or rejected
+   * @param {number} policyId - Policy ID
+   * @param {Object} payout - Payout parsed from the transaction (Web3Client.parsePayout)
+   */
+  recordPayout(policyId, payout) {
+    if (payout.pending) {
+      this.pending.add(policyId);
+    } else {
+      this.remove(policyId);
+    }
+  }
+
+  /**
+   * Check whether a policy is waiting on a pending payout
+   * @param {number} policyId - Policy ID
+   * @returns {boolean} True while the payout is in its dispute window
+   */
+  isPending(policyId) {
+    return this.pending.has(policyId);
+  }
+
+  /**
+   * Collapse active policies into the oracle grid cells they read from,
+   * leaving out policies with a pending payout
+   * @returns {Array} Cells as { latitude, longitude, policyIds }
+   */
+  getCells() {
+    const cells = new Map();
+
+    for (const policy of this.policies.values()) {
+      if (this.pending.has(policy.id)) {
+        continue;
+      }
+      const cell = this.web3Client.getGridCell(
+        policy.latitude,
+        policy.longitude
+      );
+      const key = `${cell.latitude},${cell.longitude}`;
+
+      if (!cells.has(key)) {
+        cells.set(key, {
+          latitude: cell.latitude,
+          longitude: cell.longitude,
+          policyIds: [],
+        });
+      }
+      cells.get(key).policyIds.push(policy.id);
+    }
+
+    return Array.from(cells.values());
+  }
+
+  /**
+   * Get the active policies that read weather from a grid cell
+   * @param {number} latitude - Cell corner latitude
+   * @param {number} longitude - Cell corner longitude
+   * @returns {Array} Policy IDs in the cell
+   */
+  getPoliciesInCell(latitude, longitude) {
+    const cell = this.getCells().find(
+      (candidate) =>
+        candidate.latitude === latitude && candidate.longitude === longitude
+    );
+    return cell ? cell.policyIds : [];
+  }
+
+  /**
+   * Get index status for monitoring endpoints
+   * @returns {Object} Index status
+   */
+  getStatus() {
+    return {
+      activePolicies: this.policies.size,
+      pendingPayouts: this.pending.size,
+      lastPolicyId: this.lastPolicyId,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = PolicyIndex;
@@ -0,0 +1,140 @@
+const LogPoller = require("./logPoller");
+
+class PolicyKeeper extends LogPoller {
+  /**
+   * Watches WeatherDataUpdated events and settles policies whose triggers are met
+   * @param {WeatherOracleBot} bot - Bot whose Web3Client and policy index are used
+   * @param {Object} options - Keeper configuration overrides
+   */
+  constructor(bot, options = {}) {
+    super(
+      bot.web3Client,
+      { name: "Policy keeper", icon: "🤖", envPrefix: "KEEPER" },
+      options
+    );
+    this.policyIndex = bot.policyIndex;
+
+    Object.assign(this.stats, {
+      updatesSeen: 0,
+      simulations: 0,
+      payoutsSubmitted: 0,
+      lastPayoutAt: null,
+    });
+  }
+
+  /**
+   * Require RadiShield, which the keeper settles policies on
+   */
+  async prepare() {
+    if (!this.web3Client.radiShieldContract) {
+      throw new Error(
+        "Missing required environment variable: RADISHIELD_ADDRESS"
+      );
+    }
+  }
+
+  /**
+   * Fetch weather updates in a block range
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @returns {Array} WeatherDataUpdated events
+   */
+  async fetchLogs(fromBlock, toBlock) {
+    return this.web3Client.getWeatherUpdates(fromBlock, toBlock);
+  }
+
+  /**
+   * Check the policies of every updated cell
+   * @param {Array} updates - WeatherDataUpdated events
+   */
+  async handleLogs(updates) {
+    this.stats.updatesSeen += updates.length;
+    if (updates.length > 0) {
+      // Pick up policies created since the last update
+      await this.policyIndex.sync();
+      for (const update of this.deduplicate(updates)) {
+        await this.handleUpdate(update);
+      }
+    }
+  }
+
+  /**
+   * Keep only the latest update per grid cell within one block range
+   * @param {Array} updates - WeatherDataUpdated events from the chain
+   * @returns {Array} One update per cell
+   */
+  deduplicate(updates) {
+    const byCell = new Map();
+    for (const update of updates) {
+      byCell.set(`${update.latitude},${update.longitude}`, update);
+    }
+    return Array.from(byCell.values());
+  }
+
+  /**
+   * Settle every active policy in an updated cell whose trigger is now met
+   * @param {Object} update - WeatherDataUpdated event data
+   */
+  async handleUpdate(update) {
+    const policyIds = this.policyIndex.getPoliciesInCell(
+      update.latitude,
+      update.longitude
+    );
+    if (policyIds.length === 0) {
+      return;
+    }
+
+    console.log(
+      `🌦️  Weather updated for ${update.latitude}, ${update.longitude} (block ${update.blockNumber}), checking ${policyIds.length} policies`
+    );
+
+    for (const policyId of policyIds) {
+      await this.settle(policyId);
+    }
+  }
+
+  /**
+   * Submit processWeatherData for a policy only if the dry run pays out
+   * @param {number} policyId - Policy ID
+   */
+  async settle(policyId) {
+    let payoutAmount;
+    try {
+      this.stats.simulations++;
+      payoutAmount = await this.web3Client.simulateProcessWeatherData(policyId);
+    } catch (error) {
+      // Reverts here mean the policy cannot be processed right now (claimed,
+      // inactive, paused), so there is nothing to submit
+      console.warn(
+        `⚠️  Simulation for policy ${policyId} reverted: ${error.message}`
+      );
+      return;
+    }
+
+    if (payoutAmount === 0n) {
+      return;
+    }
+
+    try {
+      const result = await this.web3Client.processWeatherData(policyId);
+      if (result.payout) {
+        this.policyIndex.recordPayout(policyId, result.payout);
+      }
+      this.stats.payoutsSubmitted++;
+      this.stats.lastPayoutAt = new Date().toISOString();
+
+      console.log(
+        `💸 Policy ${policyId} settled: ${
+          result.payout
+            ? `${result.payout.amount} (${result.payout.triggerType})`
+            : "no payout emitted"
+        } in ${result.txHash}`
+      );
+    } catch (error) {
+      console.error(`❌ Failed to settle policy ${policyId}:`, error.message);
+      this.stats.lastError = error.message;
+    }
+  }
+}
+
+module.exports = PolicyKeeper;
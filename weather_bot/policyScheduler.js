@@ -0,0 +1,292 @@
+class PolicyScheduler {
+  /**
+   * Keeps weather data fresh for every location covered by an active policy
+   * @param {WeatherOracleBot} bot - Bot used to queue weather updates
+   * @param {Object} options - Scheduler configuration overrides
+   */
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.web3Client = bot.web3Client;
+    this.policyIndex = bot.policyIndex;
+
+    this.interval =
+      options.interval ||
+      parseInt(process.env.SCHEDULER_INTERVAL_MS) ||
+      15 * 60 * 1000; // 15 minutes
+    // RadiShield treats data younger than 24 hours as fresh
+    this.maxDataAge =
+      options.maxDataAge ||
+      parseInt(process.env.SCHEDULER_MAX_DATA_AGE) ||
+      86400; // 24 hours
+    // Refresh this long before the data would go stale
+    this.refreshMargin =
+      options.refreshMargin ||
+      parseInt(process.env.SCHEDULER_REFRESH_MARGIN) ||
+      3 * 3600; // 3 hours
+    this.autoProcess =
+      options.autoProcess !== undefined
+        ? options.autoProcess
+        : process.env.SCHEDULER_AUTO_PROCESS === "true";
+    this.policyWeather =
+      options.policyWeather !== undefined
+        ? options.policyWeather
+        : process.env.SCHEDULER_POLICY_WEATHER === "true";
+
+    this.processedAt = new Map(); // policyId -> weather timestamp last processed
+    this.submittedDay = new Map(); // policyId -> last day of policy weather submitted
+    this.cells = [];
+
+    this.running = false;
+    this.ticking = false;
+    this.timer = null;
+    this.stats = {
+      runs: 0,
+      refreshesQueued: 0,
+      policiesProcessed: 0,
+      payoutsTriggered: 0,
+      policyWeatherSubmitted: 0,
+      lastRunAt: null,
+      lastError: null,
+    };
+  }
+
+  /**
+   * Run a first pass and schedule the following ones
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    if (!this.web3Client.initialized) {
+      await this.web3Client.initialize();
+    }
+    if (!this.web3Client.radiShieldContract) {
+      throw new Error(
+        "Missing required environment variable: RADISHIELD_ADDRESS"
+      );
+    }
+
+    this.running = true;
+    console.log(
+      `⏰ Policy scheduler started (every ${Math.round(
+        this.interval / 1000
+      )}s, auto-process ${this.autoProcess ? "on" : "off"}, policy weather ${
+        this.policyWeather ? "on" : "off"
+      })`
+    );
+
+    await this.tick();
+    this.scheduleNextTick();
+  }
+
+  /**
+   * Stop scheduling refreshes
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    console.log("🛑 Policy scheduler stopped");
+  }
+
+  /**
+   * Schedule the next run on the next interval boundary, cron style
+   */
+  scheduleNextTick() {
+    if (!this.running) {
+      return;
+    }
+
+    const delay = this.interval - (Date.now() % this.interval);
+    this.timer = setTimeout(async () => {
+      await this.tick();
+      this.scheduleNextTick();
+    }, delay);
+  }
+
+  /**
+   * Refresh every active policy location that is about to go stale
+   */
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      await this.policyIndex.sync();
+      this.cells = this.policyIndex.getCells();
+      for (const policyId of Array.from(this.processedAt.keys())) {
+        if (!this.policyIndex.policies.has(policyId)) {
+          this.processedAt.delete(policyId);
+        }
+      }
+      for (const policyId of Array.from(this.submittedDay.keys())) {
+        if (!this.policyIndex.policies.has(policyId)) {
+          this.submittedDay.delete(policyId);
+        }
+      }
+
+      // Refresh early enough that the queue has time to land the update.
+      // The oracle reads a max age of 0 as its 24 hour default, so never go below 1.
+      const refreshAge = Math.max(this.maxDataAge - this.refreshMargin, 1);
+
+      for (const cell of this.cells) {
+        const isFresh = await this.web3Client.isDataFresh(
+          cell.latitude,
+          cell.longitude,
+          refreshAge
+        );
+
+        if (!isFresh) {
+          this.bot.enqueueWeatherUpdate(cell.latitude, cell.longitude, {
+            source: "scheduler",
+            policyIds: cell.policyIds,
+          });
+          this.stats.refreshesQueued++;
+        }
+
+        if (this.autoProcess) {
+          await this.processCell(cell);
+        }
+      }
+
+      if (this.policyWeather) {
+        await this.submitPolicyWeather();
+      }
+
+      this.stats.runs++;
+      this.stats.lastRunAt = new Date().toISOString();
+      this.stats.lastError = null;
+      console.log(
+        `⏰ Scheduler run: ${this.policyIndex.policies.size} active policies in ${this.cells.length} grid cells`
+      );
+    } catch (error) {
+      console.error("❌ Policy scheduler run failed:", error.message);
+      this.stats.lastError = error.message;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Evaluate every policy in a cell once per new weather reading
+   * @param {Object} cell - Grid cell with its policy IDs
+   */
+  async processCell(cell) {
+    if (
+      !(await this.web3Client.isDataFresh(
+        cell.latitude,
+        cell.longitude,
+        this.maxDataAge
+      ))
+    ) {
+      return;
+    }
+
+    const weather = await this.web3Client.getWeatherData(
+      cell.latitude,
+      cell.longitude
+    );
+
+    for (const policyId of cell.policyIds) {
+      if (this.processedAt.get(policyId) === weather.timestamp) {
+        continue;
+      }
+
+      try {
+        const result = await this.web3Client.processWeatherData(policyId);
+        this.processedAt.set(policyId, weather.timestamp);
+        this.stats.policiesProcessed++;
+
+        if (result.payout) {
+          console.log(
+            `💸 Policy ${policyId} ${
+              result.payout.pending
+                ? "triggered a pending payout of"
+                : "paid out"
+            } ${result.payout.amount} (${result.payout.triggerType})`
+          );
+          this.stats.payoutsTriggered++;
+          this.policyIndex.recordPayout(policyId, result.payout);
+        } else {
+          console.log(`✅ Policy ${policyId} processed, no trigger met`);
+        }
+      } catch (error) {
+        console.error(
+          `❌ Failed to process policy ${policyId}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Submit each policy's own coverage-period weather once a new day of
+   * history is published for it
+   */
+  async submitPolicyWeather() {
+    for (const policyId of Array.from(this.policyIndex.policies.keys())) {
+      if (this.policyIndex.isPending(policyId)) {
+        continue;
+      }
+
+      try {
+        const weather = await this.bot.calculatePolicyWeather(policyId);
+        if (this.submittedDay.get(policyId) === weather.lastDay) {
+          continue;
+        }
+
+        const result = await this.web3Client.submitPolicyWeather(
+          policyId,
+          weather
+        );
+        this.submittedDay.set(policyId, weather.lastDay);
+        this.stats.policyWeatherSubmitted++;
+
+        if (result.payout) {
+          console.log(
+            `💸 Policy ${policyId} ${
+              result.payout.pending
+                ? "triggered a pending payout of"
+                : "paid out"
+            } ${result.payout.amount} (${result.payout.triggerType})`
+          );
+          this.stats.payoutsTriggered++;
+          this.policyIndex.recordPayout(policyId, result.payout);
+        } else {
+          console.log(
+            `✅ Policy ${policyId} weather submitted through ${weather.lastDay}, no trigger met`
+          );
+        }
+      } catch (error) {
+        console.error(
+          `❌ Failed to submit weather for policy ${policyId}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Get scheduler status for monitoring endpoints
+   * @returns {Object} Scheduler status
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      interval: this.interval,
+      maxDataAge: this.maxDataAge,
+      refreshMargin: this.refreshMargin,
+      autoProcess: this.autoProcess,
+      policyWeather: this.policyWeather,
+      cells: this.cells,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = PolicyScheduler;
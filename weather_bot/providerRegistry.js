@@ -0,0 +1,191 @@
+const fs = require("fs");
+const path = require("path");
+const WeatherProvider = require("./weatherProvider");
+const OpenMeteoClient = require("./openMeteoClient");
+const WeatherApiClient = require("./weatherApiClient");
+const NasaPowerClient = require("./nasaPowerClient");
+const ChirpsClient = require("./chirpsClient");
+
+// Providers that can be enabled by name alone
+const BUILT_IN_PROVIDERS = {
+  "open-meteo": OpenMeteoClient,
+  weatherapi: WeatherApiClient,
+  "nasa-power": NasaPowerClient,
+  chirps: ChirpsClient,
+};
+
+// Open-Meteo first, WeatherAPI as fallback
+const DEFAULT_PROVIDERS = ["open-meteo", "weatherapi"];
+
+class ProviderRegistry {
+  /**
+   * Builds the weather providers the bot queries, in priority order.
+   *
+   * Configuration comes from `options.providers`, WEATHER_PROVIDERS (a comma
+   * separated list of names or a JSON array) or WEATHER_PROVIDERS_FILE (a JSON
+   * array). Entries look like:
+   *   { "name": "kmd", "priority": 3, "module": "./providers/kmd.js", "options": {} }
+   * Lower priorities are tried first; `module` loads a provider that is not
+   * built in, resolved from the working directory.
+   * @param {Object} options - Registry configuration overrides
+   * @param {RainfallStore} options.store - Daily series store shared with the providers
+   * @param {ResponseCache} options.cache - Response cache shared with the providers
+   */
+  constructor(options = {}) {
+    this.providerClasses = { ...BUILT_IN_PROVIDERS };
+    this.entries = [];
+    this.store = options.store || null;
+    this.cache = options.cache || null;
+
+    this.load(options.providers || this.readConfig());
+  }
+
+  /**
+   * Read the provider list from the environment
+   * @returns {Array} Provider entries (strings or objects)
+   */
+  readConfig() {
+    if (process.env.WEATHER_PROVIDERS_FILE) {
+      return JSON.parse(
+        fs.readFileSync(process.env.WEATHER_PROVIDERS_FILE, "utf8")
+      );
+    }
+
+    const configured = (process.env.WEATHER_PROVIDERS || "").trim();
+    if (!configured) {
+      return DEFAULT_PROVIDERS;
+    }
+    if (configured.startsWith("[")) {
+      return JSON.parse(configured);
+    }
+    return configured
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Make a provider class available by name
+   * @param {string} name - Provider name
+   * @param {Function} ProviderClass - Class extending WeatherProvider
+   */
+  register(name, ProviderClass) {
+    this.providerClasses[name] = ProviderClass;
+  }
+
+  /**
+   * Instantiate the configured providers
+   * @param {Array} config - Provider entries (names or objects)
+   */
+  load(config) {
+    if (!Array.isArray(config)) {
+      throw new Error("Weather provider configuration must be an array");
+    }
+
+    this.entries = config.map((raw, index) => {
+      const entry = typeof raw === "string" ? { name: raw } : raw;
+      if (!entry.name) {
+        throw new Error(`Weather provider #${index + 1} has no name`);
+      }
+
+      if (entry.module) {
+        this.register(
+          entry.name,
+          require(path.resolve(process.cwd(), entry.module))
+        );
+      }
+
+      const ProviderClass = this.providerClasses[entry.name];
+      if (!ProviderClass) {
+        throw new Error(
+          `Unknown weather provider "${entry.name}" (add a "module" to load it)`
+        );
+      }
+
+      const provider = new ProviderClass({
+        store: this.store,
+        cache: this.cache,
+        ...entry.options,
+      });
+      if (!(provider instanceof WeatherProvider)) {
+        throw new Error(
+          `Weather provider "${entry.name}" must extend WeatherProvider`
+        );
+      }
+      // Custom providers may be registered under a different name
+      provider.name = entry.name;
+
+      return {
+        provider,
+        priority: entry.priority !== undefined ? entry.priority : index,
+        enabled: entry.enabled !== false,
+      };
+    });
+
+    this.entries.sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Get enabled, usable providers in priority order
+   * @returns {Array} Providers
+   */
+  getProviders() {
+    return this.entries
+      .filter((entry) => entry.enabled && entry.provider.isConfigured())
+      .map((entry) => entry.provider);
+  }
+
+  /**
+   * Get the highest-priority usable provider that serves arbitrary date ranges
+   * @returns {WeatherProvider|null} Provider, if any is configured
+   */
+  getDailySeriesProvider() {
+    return (
+      this.getProviders().find(
+        (provider) => provider.capabilities.dailySeries
+      ) || null
+    );
+  }
+
+  /**
+   * Look up a configured provider by name
+   * @param {string} name - Provider name
+   * @returns {WeatherProvider|null} Provider, if configured
+   */
+  get(name) {
+    const entry = this.entries.find((item) => item.provider.name === name);
+    return entry ? entry.provider : null;
+  }
+
+  /**
+   * Test connectivity of every usable provider
+   * @returns {Object} Provider name -> connected
+   */
+  async testConnections() {
+    const results = {};
+    for (const provider of this.getProviders()) {
+      console.log(`\n📡 Testing ${provider.name}...`);
+      results[provider.name] = await provider.testConnection();
+      console.log(
+        results[provider.name]
+          ? `✅ ${provider.name} connected`
+          : `❌ ${provider.name} failed`
+      );
+    }
+    return results;
+  }
+
+  /**
+   * Get provider configuration for monitoring endpoints
+   * @returns {Array} Providers with priority and capabilities
+   */
+  getStatus() {
+    return this.entries.map((entry) => ({
+      ...entry.provider.getInfo(),
+      priority: entry.priority,
+      enabled: entry.enabled,
+    }));
+  }
+}
+
+module.exports = ProviderRegistry;
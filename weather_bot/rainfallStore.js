@@ -0,0 +1,290 @@
+const fs = require("fs");
+const path = require("path");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RainfallStore {
+  /**
+   * File-backed daily weather series per provider and location. Providers
+   * only fetch days they do not have yet, and rainfall for any past window or
+   * date can be recomputed from what was actually used.
+   * @param {Object} options - Store configuration overrides
+   */
+  constructor(options = {}) {
+    this.storeFile =
+      options.storeFile ||
+      process.env.RAINFALL_STORE_FILE ||
+      path.join(__dirname, "data", "rainfall-store.json");
+    // Long enough for a full growing season plus the 30-day window
+    this.retentionDays =
+      options.retentionDays ||
+      parseInt(process.env.RAINFALL_STORE_RETENTION_DAYS) ||
+      400;
+
+    // source -> location -> date -> { rainfall, temperatureMax, fetchedAt }
+    this.series = {};
+    this.stats = { daysStored: 0, lastWriteAt: null };
+
+    this.load();
+  }
+
+  /**
+   * Key for a location, stable against floating point noise
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {string} Location key
+   */
+  locationKey(lat, lon) {
+    return `${Number(Number(lat).toFixed(6))},${Number(
+      Number(lon).toFixed(6)
+    )}`;
+  }
+
+  /**
+   * List the days from start to end, inclusive
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {Array} Days as YYYY-MM-DD
+   */
+  dateRange(startDate, endDate) {
+    const dates = [];
+    const end = Date.parse(`${endDate}T00:00:00Z`);
+    for (
+      let time = Date.parse(`${startDate}T00:00:00Z`);
+      time <= end;
+      time += DAY_MS
+    ) {
+      dates.push(new Date(time).toISOString().split("T")[0]);
+    }
+    return dates;
+  }
+
+  /**
+   * Get the providers that have stored data
+   * @returns {Array} Provider names
+   */
+  getSources() {
+    return Object.keys(this.series);
+  }
+
+  /**
+   * Get the stored series for a provider and location
+   * @param {string} source - Provider name
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Object} Date -> daily record (empty if nothing stored)
+   */
+  getSeries(source, lat, lon) {
+    const bySource = this.series[source] || {};
+    return bySource[this.locationKey(lat, lon)] || {};
+  }
+
+  /**
+   * Store daily values fetched from a provider. Days without rainfall are
+   * skipped so they are fetched again once published.
+   * @param {string} source - Provider name
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Array} days - Daily values as { date, rainfall, temperatureMax }
+   * @returns {number} Days stored
+   */
+  putDays(source, lat, lon, days) {
+    const key = this.locationKey(lat, lon);
+    this.series[source] = this.series[source] || {};
+    const series = (this.series[source][key] = this.series[source][key] || {});
+
+    const fetchedAt = Date.now();
+    let stored = 0;
+    for (const day of days) {
+      if (day.rainfall === null || !Number.isFinite(day.rainfall)) {
+        continue;
+      }
+      series[day.date] = {
+        rainfall: day.rainfall,
+        temperatureMax: Number.isFinite(day.temperatureMax)
+          ? day.temperatureMax
+          : null,
+        fetchedAt,
+      };
+      stored++;
+    }
+
+    if (stored > 0) {
+      this.prune(series);
+      this.stats.daysStored += stored;
+      this.stats.lastWriteAt = new Date(fetchedAt).toISOString();
+      this.save();
+    }
+    return stored;
+  }
+
+  /**
+   * Get the days in a range that are not stored yet
+   * @param {string} source - Provider name
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {Array} Missing days as YYYY-MM-DD
+   */
+  getMissingDates(source, lat, lon, startDate, endDate) {
+    const series = this.getSeries(source, lat, lon);
+    return this.dateRange(startDate, endDate).filter((date) => !series[date]);
+  }
+
+  /**
+   * Get stored days in a range, oldest first
+   * @param {string} source - Provider name
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {Array} Daily values as { date, rainfall, temperatureMax }
+   */
+  getDays(source, lat, lon, startDate, endDate) {
+    const series = this.getSeries(source, lat, lon);
+    return this.dateRange(startDate, endDate)
+      .filter((date) => series[date])
+      .map((date) => ({
+        date,
+        rainfall: series[date].rainfall,
+        temperatureMax: series[date].temperatureMax,
+      }));
+  }
+
+  /**
+   * Total rainfall between two dates (e.g. season to date)
+   * @param {string} source - Provider name
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {Object} total, coverage and the days that are missing
+   */
+  getRainfallBetween(source, lat, lon, startDate, endDate) {
+    const days = this.getDays(source, lat, lon, startDate, endDate);
+    const totalDays = this.dateRange(startDate, endDate).length;
+
+    return {
+      source,
+      periodStart: startDate,
+      periodEnd: endDate,
+      total:
+        Math.round(days.reduce((sum, day) => sum + day.rainfall, 0) * 100) /
+        100,
+      coverageDays: days.length,
+      totalDays,
+      complete: days.length === totalDays,
+      missingDates: this.getMissingDates(source, lat, lon, startDate, endDate),
+    };
+  }
+
+  /**
+   * Total rainfall for the `days` days ending on a date (24h = 1, 30d = 30)
+   * @param {string} source - Provider name
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} endDate - Last day of the window (YYYY-MM-DD)
+   * @param {number} days - Window length in days
+   * @returns {Object} total, coverage and the days that are missing
+   */
+  getRainfallWindow(source, lat, lon, endDate, days) {
+    const startTime = Date.parse(`${endDate}T00:00:00Z`) - (days - 1) * DAY_MS;
+    return this.getRainfallBetween(
+      source,
+      lat,
+      lon,
+      new Date(startTime).toISOString().split("T")[0],
+      endDate
+    );
+  }
+
+  /**
+   * Rainfall recorded on one day by every source that has it
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @returns {Object} Source -> { rainfall, temperatureMax, fetchedAt }
+   */
+  getRainfallOn(lat, lon, date) {
+    const bySource = {};
+    for (const source of this.getSources()) {
+      const record = this.getSeries(source, lat, lon)[date];
+      if (record) {
+        bySource[source] = record;
+      }
+    }
+    return bySource;
+  }
+
+  /**
+   * Drop days older than the retention period from a series
+   * @param {Object} series - Date -> daily record
+   */
+  prune(series) {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS)
+      .toISOString()
+      .split("T")[0];
+    for (const date of Object.keys(series)) {
+      if (date < cutoff) {
+        delete series[date];
+      }
+    }
+  }
+
+  /**
+   * Load the stored series from disk
+   */
+  load() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.storeFile, "utf8"));
+      this.series = state.series || {};
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("⚠️  Failed to load rainfall store:", error.message);
+      }
+      this.series = {};
+    }
+  }
+
+  /**
+   * Persist the stored series to disk
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.storeFile), { recursive: true });
+      fs.writeFileSync(
+        this.storeFile,
+        JSON.stringify({ series: this.series, updatedAt: new Date() })
+      );
+    } catch (error) {
+      console.error("⚠️  Failed to save rainfall store:", error.message);
+    }
+  }
+
+  /**
+   * Get store status for monitoring endpoints
+   * @returns {Object} Store status
+   */
+  getStatus() {
+    let locations = 0;
+    let days = 0;
+    for (const bySource of Object.values(this.series)) {
+      for (const series of Object.values(bySource)) {
+        locations++;
+        days += Object.keys(series).length;
+      }
+    }
+
+    return {
+      storeFile: this.storeFile,
+      retentionDays: this.retentionDays,
+      sources: this.getSources(),
+      locations,
+      days,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = RainfallStore;
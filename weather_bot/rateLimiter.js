@@ -0,0 +1,141 @@
+class RateLimiter {
+  /**
+   * Token bucket matching an upstream quota: `burst` requests may go out at
+   * once, refilled at `requestsPerMinute`. A Retry-After from the service
+   * pauses the bucket until the given time.
+   * @param {Object} options - Limiter configuration overrides
+   */
+  constructor(options = {}) {
+    // Unlimited when no quota is known
+    this.requestsPerMinute = options.requestsPerMinute || null;
+    this.burst =
+      options.burst ||
+      Math.max(1, Math.ceil((this.requestsPerMinute || 0) / 6)); // 10 seconds of quota
+    // Callers fail over instead of waiting longer than this for a token
+    this.maxWait =
+      options.maxWait !== undefined
+        ? options.maxWait
+        : parseInt(process.env.PROVIDER_RATE_LIMIT_MAX_WAIT_MS) || 30000;
+    this.now = options.now || (() => Date.now());
+    this.sleep =
+      options.sleep ||
+      ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+
+    this.tokens = this.burst;
+    this.refilledAt = this.now();
+    this.pausedUntil = null;
+    this.stats = { throttled: 0, rejected: 0, retryAfterPauses: 0 };
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = this.now();
+    if (this.requestsPerMinute) {
+      this.tokens = Math.min(
+        this.burst,
+        this.tokens + ((now - this.refilledAt) * this.requestsPerMinute) / 60000
+      );
+    }
+    this.refilledAt = now;
+  }
+
+  /**
+   * How long until a request may be sent
+   * @returns {number} Milliseconds (0 if a token is available now)
+   */
+  getWaitTime() {
+    const now = this.now();
+    if (this.pausedUntil && now < this.pausedUntil) {
+      return this.pausedUntil - now;
+    }
+    if (!this.requestsPerMinute) {
+      return 0;
+    }
+
+    this.refill();
+    if (this.tokens >= 1) {
+      return 0;
+    }
+    return Math.ceil(((1 - this.tokens) * 60000) / this.requestsPerMinute);
+  }
+
+  /**
+   * Take a token, waiting for one if it is due within `maxWait`
+   * @throws {Error} With code RATE_LIMITED if the wait would be longer
+   */
+  async acquire() {
+    let wait = this.getWaitTime();
+    if (wait > this.maxWait) {
+      this.stats.rejected++;
+      const error = new Error(
+        `Rate limited for another ${Math.ceil(wait / 1000)}s`
+      );
+      error.code = "RATE_LIMITED";
+      error.retryAfter = wait;
+      throw error;
+    }
+
+    while (wait > 0) {
+      this.stats.throttled++;
+      await this.sleep(wait);
+      wait = this.getWaitTime();
+    }
+
+    if (this.requestsPerMinute) {
+      this.tokens -= 1;
+    }
+  }
+
+  /**
+   * Stop sending until the time a Retry-After header asked for
+   * @param {number} duration - Milliseconds to wait
+   */
+  pause(duration) {
+    const until = this.now() + duration;
+    if (!this.pausedUntil || until > this.pausedUntil) {
+      this.pausedUntil = until;
+    }
+    this.tokens = 0;
+    this.stats.retryAfterPauses++;
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or an HTTP date)
+   * @param {string} value - Header value
+   * @param {number} now - Current time (milliseconds)
+   * @returns {number|null} Milliseconds to wait, null if missing or invalid
+   */
+  static parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    if (/^\d+$/.test(String(value).trim())) {
+      return parseInt(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+  }
+
+  /**
+   * Get limiter status for monitoring endpoints
+   * @returns {Object} Limiter status
+   */
+  getStatus() {
+    if (this.requestsPerMinute) {
+      this.refill();
+    }
+    const paused = Boolean(this.pausedUntil && this.now() < this.pausedUntil);
+
+    return {
+      requestsPerMinute: this.requestsPerMinute,
+      burst: this.burst,
+      tokens: this.requestsPerMinute ? Math.floor(this.tokens) : null,
+      pausedUntil: paused ? new Date(this.pausedUntil).toISOString() : null,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = RateLimiter;
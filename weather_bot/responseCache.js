@@ -0,0 +1,249 @@
+const fs = require("fs");
+const path = require("path");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long each kind of response stays valid
+const DATA_TYPES = {
+  CURRENT: "current", // current conditions
+  RECENT: "recent", // daily data that may still be published or revised
+  HISTORICAL: "historical", // past days that no longer change
+};
+
+class ResponseCache {
+  /**
+   * In-process LRU cache for provider responses, with an optional file copy
+   * so historical data survives restarts. Concurrent requests for the same
+   * key share one upstream call.
+   * @param {Object} options - Cache configuration overrides
+   */
+  constructor(options = {}) {
+    this.maxEntries =
+      options.maxEntries || parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+    // Disk copy is off unless a file is configured
+    this.cacheFile =
+      options.cacheFile !== undefined
+        ? options.cacheFile
+        : process.env.CACHE_FILE
+        ? path.resolve(process.env.CACHE_FILE)
+        : null;
+    this.ttls = {
+      [DATA_TYPES.CURRENT]:
+        (options.ttls && options.ttls.current) ||
+        parseInt(process.env.CACHE_TTL_CURRENT_MS) ||
+        10 * 60 * 1000, // 10 minutes
+      [DATA_TYPES.RECENT]:
+        (options.ttls && options.ttls.recent) ||
+        parseInt(process.env.CACHE_TTL_RECENT_MS) ||
+        60 * 60 * 1000, // 1 hour
+      [DATA_TYPES.HISTORICAL]:
+        (options.ttls && options.ttls.historical) ||
+        parseInt(process.env.CACHE_TTL_HISTORICAL_MS) ||
+        30 * DAY_MS,
+    };
+    this.now = options.now || (() => Date.now());
+
+    this.entries = new Map(); // key -> { value, type, expiresAt }, least recently used first
+    this.inflight = new Map(); // key -> pending upstream call
+    this.stats = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+
+    this.load();
+  }
+
+  /**
+   * Build a cache key from the provider, rounded coordinates and date range
+   * @param {string} source - Provider name
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {...string} parts - Date range or request kind
+   * @returns {string} Cache key
+   */
+  key(source, lat, lon, ...parts) {
+    // 4 decimals, the precision coordinates have on-chain
+    return [
+      source,
+      `${Number(lat).toFixed(4)},${Number(lon).toFixed(4)}`,
+      ...parts,
+    ].join(":");
+  }
+
+  /**
+   * Classify daily data by its last day: days older than the provider's
+   * publication delay are final, newer ones can still change
+   * @param {string} endDate - Last day in the response (YYYY-MM-DD)
+   * @param {number} lagDays - Provider publication delay in days
+   * @returns {string} Data type
+   */
+  dataTypeFor(endDate, lagDays = 0) {
+    const now = new Date(this.now());
+    const today = Date.UTC(
+      now.getUTCFullYear(),
+      now.getUTCMonth(),
+      now.getUTCDate()
+    );
+    return Date.parse(`${endDate}T00:00:00Z`) < today - lagDays * DAY_MS
+      ? DATA_TYPES.HISTORICAL
+      : DATA_TYPES.RECENT;
+  }
+
+  /**
+   * Get a cached value, refreshing its position in the LRU order
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value with the TTL of its data type
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {string} type - Data type (current, recent or historical)
+   */
+  set(key, value, type) {
+    if (!this.ttls[type]) {
+      throw new Error(`Unknown cache data type: ${type}`);
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      type,
+      expiresAt: this.now() + this.ttls[type],
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+
+    // Only final data is worth keeping across restarts
+    if (type === DATA_TYPES.HISTORICAL) {
+      this.save();
+    }
+  }
+
+  /**
+   * Return the cached value for a key, or fetch it once however many callers
+   * ask at the same time. Failures are not cached.
+   * @param {string} key - Cache key
+   * @param {string|Function} type - Data type, or a function of the fetched value returning it
+   * @param {Function} fetcher - Async function making the upstream call
+   * @returns {*} Cached or fetched value
+   */
+  async wrap(key, type, fetcher) {
+    const cached = this.get(key);
+    if (cached !== undefined) {
+      this.stats.hits++;
+      return cached;
+    }
+
+    if (this.inflight.has(key)) {
+      this.stats.coalesced++;
+      return this.inflight.get(key);
+    }
+
+    this.stats.misses++;
+    const pending = (async () => {
+      try {
+        const value = await fetcher();
+        this.set(key, value, typeof type === "function" ? type(value) : type);
+        return value;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+    this.inflight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Drop every cached entry
+   */
+  clear() {
+    this.entries.clear();
+    this.save();
+  }
+
+  /**
+   * Load unexpired historical entries from disk
+   */
+  load() {
+    if (!this.cacheFile) {
+      return;
+    }
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.cacheFile, "utf8"));
+      const now = this.now();
+      for (const [key, entry] of state.entries || []) {
+        if (entry.expiresAt > now) {
+          this.entries.set(key, entry);
+        }
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("⚠️  Failed to load response cache:", error.message);
+      }
+    }
+  }
+
+  /**
+   * Persist historical entries to disk
+   */
+  save() {
+    if (!this.cacheFile) {
+      return;
+    }
+
+    try {
+      const entries = Array.from(this.entries).filter(
+        ([, entry]) => entry.type === DATA_TYPES.HISTORICAL
+      );
+      fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+      fs.writeFileSync(
+        this.cacheFile,
+        JSON.stringify({ entries, updatedAt: new Date() })
+      );
+    } catch (error) {
+      console.error("⚠️  Failed to save response cache:", error.message);
+    }
+  }
+
+  /**
+   * Get cache status for monitoring endpoints
+   * @returns {Object} Cache status
+   */
+  getStatus() {
+    const byType = {};
+    for (const entry of this.entries.values()) {
+      byType[entry.type] = (byType[entry.type] || 0) + 1;
+    }
+
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      cacheFile: this.cacheFile,
+      ttls: this.ttls,
+      byType,
+      inflight: this.inflight.size,
+      ...this.stats,
+    };
+  }
+}
+
+ResponseCache.DATA_TYPES = DATA_TYPES;
+
+module.exports = ResponseCache;
@@ -0,0 +1,171 @@
+/**
+ * Retries for transient I/O errors, shared by the weather providers and the
+ * blockchain client.
+ */
+
+// Network-level error codes worth another attempt (Node, axios and ethers)
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED", // axios timeout
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "TIMEOUT", // ethers
+  "NETWORK_ERROR",
+];
+
+// Errors that will fail the same way however often they are retried
+const PERMANENT_CODES = [
+  "CALL_EXCEPTION", // contract revert
+  "INSUFFICIENT_FUNDS",
+  "NONCE_EXPIRED",
+  "REPLACEMENT_UNDERPRICED",
+  "INVALID_ARGUMENT",
+  "CIRCUIT_OPEN", // provider circuit breaker
+  "RATE_LIMITED", // provider rate limiter
+];
+
+const RETRYABLE_MESSAGES = [
+  /timeout/i,
+  /timed out/i,
+  /socket hang up/i,
+  /header not found/i, // RPC node behind the chain head
+  /ECONNRESET/,
+  /missing trie node/i,
+];
+
+/**
+ * Get the HTTP status of an axios or ethers error, if any
+ * @param {Error} error - Failed request
+ * @returns {number|null} HTTP status
+ */
+function getStatus(error) {
+  if (error.response && error.response.status) {
+    return error.response.status;
+  }
+  if (error.info && error.info.responseStatus) {
+    // ethers FetchRequest, e.g. "503 Service Unavailable"
+    return parseInt(error.info.responseStatus) || null;
+  }
+  return null;
+}
+
+/**
+ * Classify an error as transient (timeouts, 5xx, dropped connections, an RPC
+ * node behind the head) or permanent (4xx, contract reverts)
+ * @param {Error} error - Failed operation
+ * @returns {boolean} True if another attempt may succeed
+ */
+function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+  if (PERMANENT_CODES.includes(error.code)) {
+    return false;
+  }
+
+  const status = getStatus(error);
+  if (status !== null) {
+    // 429 is left to the provider rate limiter, which honours Retry-After
+    return status >= 500 || status === 408;
+  }
+
+  if (RETRYABLE_CODES.includes(error.code)) {
+    return true;
+  }
+  // ethers wraps JSON-RPC errors from the node in UNKNOWN_ERROR/SERVER_ERROR
+  const message = [
+    error.message,
+    error.error && error.error.message,
+    error.shortMessage,
+  ]
+    .filter(Boolean)
+    .join(" ");
+  return RETRYABLE_MESSAGES.some((pattern) => pattern.test(message));
+}
+
+/**
+ * Run an async operation, retrying transient failures with exponential
+ * backoff and full jitter until it succeeds, fails permanently, runs out of
+ * attempts or would pass the total deadline. The error thrown is the last
+ * one, with `attempts` listing every try.
+ * @param {Function} operation - Async function, called with the attempt number
+ * @param {Object} options - Retry settings
+ * @param {string} options.name - Label for log messages
+ * @param {number} options.maxAttempts - Attempts including the first
+ * @param {number} options.baseDelay - Delay before the first retry, before jitter (milliseconds)
+ * @param {number} options.maxDelay - Largest delay between attempts (milliseconds)
+ * @param {number} options.deadline - Total time allowed for all attempts (milliseconds)
+ * @param {Function} options.isRetryable - Error classifier
+ * @returns {*} Result of the operation
+ */
+async function retry(operation, options = {}) {
+  const name = options.name || "operation";
+  const maxAttempts =
+    options.maxAttempts || parseInt(process.env.RETRY_MAX_ATTEMPTS) || 4;
+  const baseDelay =
+    options.baseDelay !== undefined
+      ? options.baseDelay
+      : parseInt(process.env.RETRY_BASE_DELAY_MS) || 500;
+  const maxDelay =
+    options.maxDelay || parseInt(process.env.RETRY_MAX_DELAY_MS) || 10000;
+  const deadline =
+    options.deadline || parseInt(process.env.RETRY_DEADLINE_MS) || 30000;
+  const isRetryable = options.isRetryable || isRetryableError;
+  const now = options.now || (() => Date.now());
+  const random = options.random || Math.random;
+  const sleep =
+    options.sleep ||
+    ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+
+  const startedAt = now();
+  const attempts = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const attemptStartedAt = now();
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const retryable = isRetryable(error);
+      const record = {
+        attempt,
+        error: error.message,
+        code: error.code || null,
+        status: getStatus(error),
+        retryable,
+        durationMs: now() - attemptStartedAt,
+        delayMs: null,
+      };
+      attempts.push(record);
+
+      // Full jitter: anywhere between 0 and the exponential ceiling
+      const delay = Math.round(
+        random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1))
+      );
+      const outOfTime = now() + delay - startedAt >= deadline;
+
+      if (!retryable || attempt >= maxAttempts || outOfTime) {
+        error.attempts = attempts;
+        error.retryable = retryable;
+        if (attempts.length > 1) {
+          console.error(
+            `❌ ${name} failed after ${attempts.length} attempts: ${error.message}`
+          );
+        }
+        throw error;
+      }
+
+      record.delayMs = delay;
+      console.warn(
+        `🔁 ${name} failed (attempt ${attempt}/${maxAttempts}): ${error.message}, retrying in ${delay}ms`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  retry,
+  isRetryableError,
+};
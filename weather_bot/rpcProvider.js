@@ -0,0 +1,38 @@
+const { ethers } = require("ethers");
+const { retry } = require("./retry");
+
+// Broadcasts are left to the stuck transaction handling in Web3Client, so a
+// timed-out send is never repeated blindly
+const NON_RETRIED_METHODS = ["eth_sendRawTransaction", "eth_sendTransaction"];
+
+class RpcProvider extends ethers.JsonRpcProvider {
+  /**
+   * JSON-RPC provider that retries transient node errors (timeouts, 5xx,
+   * dropped connections, "header not found") on every read, so all contract
+   * calls, gas estimates and receipt polling share one retry policy
+   * @param {string} url - RPC URL
+   * @param {Object} retryOptions - Overrides for retry()
+   */
+  constructor(url, retryOptions = {}) {
+    super(url);
+    this.retryOptions = retryOptions;
+  }
+
+  /**
+   * Send a JSON-RPC request, retrying reads on transient errors
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - Method parameters
+   * @returns {*} Result
+   */
+  async send(method, params) {
+    if (NON_RETRIED_METHODS.includes(method)) {
+      return super.send(method, params);
+    }
+    return retry(() => super.send(method, params), {
+      name: `RPC ${method}`,
+      ...this.retryOptions,
+    });
+  }
+}
+
+module.exports = RpcProvider;
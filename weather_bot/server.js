@@ -1,12 +1,20 @@
 require("dotenv").config();
 const express = require("express");
 const WeatherOracleBot = require("./index");
+const OracleListener = require("./oracleListener");
+const PolicyScheduler = require("./policyScheduler");
+const PolicyKeeper = require("./policyKeeper");
+const PayoutWatcher = require("./payoutWatcher");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Initialize the weather oracle bot
 const bot = new WeatherOracleBot();
+const listener = new OracleListener(bot);
+const scheduler = new PolicyScheduler(bot);
+const keeper = new PolicyKeeper(bot);
+const watcher = new PayoutWatcher(bot);
 let botStatus = {
   initialized: false,
   lastUpdate: null,
@@ -25,10 +33,9 @@ async function initializeBot() {
     }
 
     // Test at least one weather API
-    const openMeteoConnected = await bot.openMeteoClient.testConnection();
-    const weatherApiConnected = await bot.weatherApiClient.testConnection();
+    const providerResults = await bot.providers.testConnections();
 
-    if (!openMeteoConnected && !weatherApiConnected) {
+    if (!Object.values(providerResults).some(Boolean)) {
       throw new Error("No weather APIs available");
     }
 
@@ -69,11 +76,41 @@ app.get("/status", (req, res) => {
     lastUpdate: botStatus.lastUpdate,
     error: botStatus.error,
     uptime: process.uptime(),
+    listener: listener.getStatus(),
+    scheduler: scheduler.getStatus(),
+    keeper: keeper.getStatus(),
+    watcher: watcher.getStatus(),
+    policies: bot.policyIndex.getStatus(),
+    jobQueue: bot.jobQueue.getStatus(),
+    nonce: bot.web3Client.getNonceStatus(),
+    batching: bot.batchingEnabled ? bot.batchUpdater.getStatus() : null,
+    aggregation: bot.aggregationEnabled ? bot.aggregator.getStatus() : null,
+    providers: bot.providers.getStatus(),
+    rainfallStore: bot.rainfallStore ? bot.rainfallStore.getStatus() : null,
+    responseCache: bot.responseCache ? bot.responseCache.getStatus() : null,
   });
 });
 
-// Weather data endpoint (for testing)
-app.get("/weather/:lat/:lon", async (req, res) => {
+// Job queue endpoints
+app.get("/jobs", (req, res) => {
+  res.json({
+    status: bot.jobQueue.getStatus(),
+    jobs: bot.jobQueue.jobs,
+    deadLetter: bot.jobQueue.deadLetter,
+    completed: bot.jobQueue.completed,
+  });
+});
+
+app.post("/jobs/:id/retry", (req, res) => {
+  const job = bot.jobQueue.retryDeadLetter(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Dead-lettered job not found" });
+  }
+  res.json(job);
+});
+
+// Queue a weather update (follow it with GET /jobs)
+app.get("/weather/:lat/:lon", (req, res) => {
   try {
     const { lat, lon } = req.params;
     const latitude = parseFloat(lat);
@@ -87,8 +124,73 @@ app.get("/weather/:lat/:lon", async (req, res) => {
       return res.status(503).json({ error: "Bot not initialized" });
     }
 
-    const result = await bot.updateWeatherOnChain(latitude, longitude);
-    res.json(result);
+    // Through the job queue like every other update, so it is retried and
+    // survives a restart
+    const job = bot.enqueueWeatherUpdate(latitude, longitude, {
+      source: "api",
+    });
+    res.status(202).json({
+      jobId: job.id,
+      state: job.state,
+      latitude: job.latitude,
+      longitude: job.longitude,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stored daily rainfall, e.g. to check what a payout was based on
+app.get("/rainfall/:lat/:lon", (req, res) => {
+  const latitude = parseFloat(req.params.lat);
+  const longitude = parseFloat(req.params.lon);
+  if (isNaN(latitude) || isNaN(longitude)) {
+    return res.status(400).json({ error: "Invalid coordinates" });
+  }
+
+  const { date, start, end } = req.query;
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+  if (!isDate(date) && !(isDate(start) && isDate(end) && start <= end)) {
+    return res
+      .status(400)
+      .json({ error: "Provide ?date=YYYY-MM-DD or ?start=...&end=..." });
+  }
+
+  try {
+    res.json(
+      bot.getStoredRainfall(latitude, longitude, {
+        date: isDate(date) ? date : null,
+        startDate: start,
+        endDate: end,
+      })
+    );
+  } catch (error) {
+    res.status(503).json({ error: error.message });
+  }
+});
+
+// Submit a policy's own coverage-period weather (optionally a crop stage,
+// e.g. ?startDay=30&endDay=60)
+app.post("/policies/:id/weather", async (req, res) => {
+  const policyId = parseInt(req.params.id);
+  const window = {};
+  for (const key of ["startDay", "endDay"]) {
+    if (req.query[key] !== undefined) {
+      window[key] = parseInt(req.query[key]);
+      if (isNaN(window[key]) || window[key] < 0) {
+        return res.status(400).json({ error: `Invalid ${key}` });
+      }
+    }
+  }
+  if (isNaN(policyId)) {
+    return res.status(400).json({ error: "Invalid policy ID" });
+  }
+  if (!botStatus.initialized) {
+    return res.status(503).json({ error: "Bot not initialized" });
+  }
+
+  try {
+    res.json(await bot.submitPolicyWeather(policyId, window));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -103,6 +205,9 @@ app.get("/", (req, res) => {
       health: "/health",
       status: "/status",
       weather: "/weather/:lat/:lon",
+      rainfall: "/rainfall/:lat/:lon?date=YYYY-MM-DD",
+      policyWeather: "POST /policies/:id/weather",
+      jobs: "/jobs",
     },
   });
 });
@@ -114,6 +219,60 @@ app.listen(PORT, async () => {
   // Initialize bot after server starts
   await initializeBot();
 
+  // Process queued weather updates, including any left over from a restart
+  if (botStatus.initialized) {
+    bot.startJobQueue();
+  }
+
+  // Serve on-chain weather requests (WeatherOracle.requestWeatherData)
+  if (botStatus.initialized && process.env.ENABLE_EVENT_LISTENER !== "false") {
+    try {
+      await listener.start();
+    } catch (error) {
+      console.error("❌ Failed to start oracle listener:", error.message);
+    }
+  }
+
+  // Keep weather fresh for every active policy (needs RADISHIELD_ADDRESS)
+  if (
+    botStatus.initialized &&
+    process.env.RADISHIELD_ADDRESS &&
+    process.env.ENABLE_SCHEDULER !== "false"
+  ) {
+    try {
+      await scheduler.start();
+    } catch (error) {
+      console.error("❌ Failed to start policy scheduler:", error.message);
+    }
+  }
+
+  // Settle policies as soon as new weather data meets their triggers
+  if (
+    botStatus.initialized &&
+    process.env.RADISHIELD_ADDRESS &&
+    process.env.ENABLE_KEEPER !== "false"
+  ) {
+    try {
+      await keeper.start();
+    } catch (error) {
+      console.error("❌ Failed to start policy keeper:", error.message);
+    }
+  }
+
+  // Dispute pending payouts our providers contradict (needs a RadiShield
+  // dispute window and this wallet set as owner or challenger)
+  if (
+    botStatus.initialized &&
+    process.env.RADISHIELD_ADDRESS &&
+    process.env.ENABLE_PAYOUT_WATCHER === "true"
+  ) {
+    try {
+      await watcher.start();
+    } catch (error) {
+      console.error("❌ Failed to start payout watcher:", error.message);
+    }
+  }
+
   // Set up periodic health checks (every 5 minutes)
   setInterval(async () => {
     try {
@@ -139,10 +298,20 @@ app.listen(PORT, async () => {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("🛑 SIGTERM received, shutting down gracefully");
+  listener.stop();
+  scheduler.stop();
+  keeper.stop();
+  watcher.stop();
+  bot.jobQueue.stop();
   process.exit(0);
 });
 
 process.on("SIGINT", () => {
   console.log("🛑 SIGINT received, shutting down gracefully");
+  listener.stop();
+  scheduler.stop();
+  keeper.stop();
+  watcher.stop();
+  bot.jobQueue.stop();
   process.exit(0);
 });
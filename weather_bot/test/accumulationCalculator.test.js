@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const AccumulationCalculator = require("../accumulationCalculator");
+
+const DAY = 24 * 60 * 60;
+const NOW = new Date("2026-10-19T09:00:00Z");
+const seconds = (iso) => Date.parse(iso) / 1000;
+
+// Policy bought mid-morning on 2026-09-01, covering 60 days
+const POLICY = {
+  id: 7,
+  startDate: seconds("2026-09-01T10:30:00Z"),
+  endDate: seconds("2026-09-01T10:30:00Z") + 60 * DAY,
+};
+const LOCATION = { latitude: -1.25, longitude: 36.75 };
+
+// Daily provider serving 2026-08-25..2026-10-14, 2mm a day, 28°C, except
+// a 40mm storm on 2026-09-20 and a 36°C day on 2026-10-01
+function createSeries(options = {}) {
+  const days = [];
+  for (
+    let time = Date.parse("2026-08-25T00:00:00Z");
+    time <= Date.parse("2026-10-14T00:00:00Z");
+    time += DAY * 1000
+  ) {
+    const date = new Date(time).toISOString().split("T")[0];
+    if ((options.gaps || []).includes(date)) {
+      continue;
+    }
+    days.push({
+      date,
+      rainfall: date === "2026-09-20" ? 40 : 2,
+      temperatureMax: date === "2026-10-01" ? 36 : 28,
+    });
+  }
+  return days;
+}
+
+function createCalculator(options = {}) {
+  const requests = [];
+  const provider = {
+    name: "open-meteo",
+    getDailySeries: async (lat, lon, startDate, endDate) => {
+      requests.push({ lat, lon, startDate, endDate });
+      return createSeries(options).filter(
+        (day) => day.date >= startDate && day.date <= endDate
+      );
+    },
+  };
+  const calculator = new AccumulationCalculator(
+    { getDailySeriesProvider: () => provider },
+    { now: () => options.now || NOW }
+  );
+  return { calculator, requests };
+}
+
+test("counts whole days from the first midnight of coverage to the latest published day", async () => {
+  const { calculator, requests } = createCalculator();
+  const result = await calculator.calculate(POLICY, LOCATION);
+
+  // The partial purchase day is left out; history ends 2026-10-14
+  assert.deepStrictEqual(requests, [
+    {
+      lat: -1.25,
+      lon: 36.75,
+      startDate: "2026-09-02",
+      endDate: "2026-10-18",
+    },
+  ]);
+  assert.strictEqual(result.firstDay, "2026-09-02");
+  assert.strictEqual(result.lastDay, "2026-10-14");
+  assert.strictEqual(result.days, 43);
+  assert.strictEqual(result.periodStart, seconds("2026-09-02T00:00:00Z"));
+  assert.strictEqual(result.periodEnd, seconds("2026-10-15T00:00:00Z"));
+  assert.strictEqual(result.totalRainfall, 42 * 2 + 40);
+  assert.strictEqual(result.maxRainfall24h, 40);
+  assert.strictEqual(result.maxTemperature, 36);
+  assert.strictEqual(result.source, "open-meteo");
+});
+
+test("never counts past the end of coverage", async () => {
+  const { calculator } = createCalculator({
+    now: new Date("2026-12-15T00:00:00Z"),
+  });
+  const short = {
+    ...POLICY,
+    endDate: seconds("2026-09-01T10:30:00Z") + 20 * DAY,
+  };
+
+  const result = await calculator.calculate(short, LOCATION);
+
+  // Coverage ends mid-morning on 2026-09-21, so 2026-09-20 is the last whole day
+  assert.strictEqual(result.lastDay, "2026-09-20");
+  assert.strictEqual(result.days, 19);
+  assert.strictEqual(result.totalRainfall, 18 * 2 + 40);
+});
+
+test("limits the period to a crop-stage window", async () => {
+  const { calculator } = createCalculator();
+  const result = await calculator.calculate(POLICY, LOCATION, {
+    startDay: 20,
+    endDay: 30,
+  });
+
+  assert.strictEqual(result.firstDay, "2026-09-22");
+  assert.strictEqual(result.lastDay, "2026-09-30");
+  assert.strictEqual(result.days, 9);
+  assert.strictEqual(result.maxRainfall24h, 2);
+});
+
+test("stops at the first missing day instead of counting it as dry", async () => {
+  const { calculator } = createCalculator({ gaps: ["2026-09-10"] });
+  const result = await calculator.calculate(POLICY, LOCATION);
+
+  assert.strictEqual(result.lastDay, "2026-09-09");
+  assert.strictEqual(result.days, 8);
+  assert.strictEqual(result.periodEnd, seconds("2026-09-10T00:00:00Z"));
+});
+
+test("rejects a policy without a complete day of published history", async () => {
+  const early = createCalculator({ now: new Date("2026-09-02T08:00:00Z") });
+  await assert.rejects(
+    early.calculator.calculate(POLICY, LOCATION),
+    /no complete day of coverage/
+  );
+
+  const gap = createCalculator({ gaps: ["2026-09-02"] });
+  await assert.rejects(
+    gap.calculator.calculate(POLICY, LOCATION),
+    /No published weather for policy 7 since 2026-09-02/
+  );
+});
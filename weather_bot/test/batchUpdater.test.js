@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const BatchUpdater = require("../batchUpdater");
+
+const weather = (rainfall24h) => ({
+  rainfall30d: 40,
+  rainfall24h,
+  temperature: 25,
+});
+
+// Client that records batch and single updates; `failBatch` reverts batches
+// and `reject` lists latitudes the contract rejects
+function createUpdater({ failBatch = false, reject = [], ...options } = {}) {
+  const batches = [];
+  const singles = [];
+  const web3Client = {
+    batchUpdateWeatherData: async (updates, { onSubmitted }) => {
+      batches.push(updates);
+      if (failBatch) {
+        throw new Error("execution reverted");
+      }
+      onSubmitted({ hash: "0xbatch" });
+      return {
+        results: updates.map((update) => ({
+          txHash: "0xbatch",
+          latitude: update.latitude,
+        })),
+      };
+    },
+    updateWeatherData: async (latitude, longitude, weatherData) => {
+      singles.push(latitude);
+      if (reject.includes(latitude)) {
+        throw new Error(`InvalidCoordinates(${latitude})`);
+      }
+      return { txHash: `0xsingle${latitude}`, latitude };
+    },
+  };
+
+  const updater = new BatchUpdater(web3Client, {
+    windowMs: 60000,
+    maxSize: 3,
+    ...options,
+  });
+  return { updater, batches, singles };
+}
+
+test("flushes as soon as the batch reaches its size cap", async () => {
+  const { updater, batches } = createUpdater();
+  const submitted = [];
+  const results = await Promise.all(
+    [1, 2, 3].map((latitude) =>
+      updater.submit(latitude, 36.8, weather(latitude), {
+        onSubmitted: (tx) => submitted.push(tx.hash),
+      })
+    )
+  );
+
+  // The 60 second window never had to pass
+  assert.strictEqual(batches.length, 1);
+  assert.deepStrictEqual(
+    batches[0].map((update) => update.latitude),
+    [1, 2, 3]
+  );
+  assert.deepStrictEqual(
+    results.map((result) => [result.latitude, result.batchSize]),
+    [
+      [1, 3],
+      [2, 3],
+      [3, 3],
+    ]
+  );
+  assert.deepStrictEqual(submitted, ["0xbatch", "0xbatch", "0xbatch"]);
+  assert.strictEqual(updater.timer, null);
+});
+
+test("merges updates for the same location into one entry", async () => {
+  const { updater, batches } = createUpdater({ windowMs: 5 });
+  const results = await Promise.all([
+    updater.submit(1, 36.8, weather(1)),
+    updater.submit(2, 36.8, weather(2)),
+    updater.submit(1, 36.8, weather(9)),
+  ]);
+
+  assert.strictEqual(batches.length, 1);
+  assert.deepStrictEqual(
+    batches[0].map((update) => update.weatherData.rainfall24h),
+    [9, 2]
+  );
+  assert.strictEqual(results[0], results[2]);
+});
+
+test("sends a lone update through the single-update path", async () => {
+  const { updater, batches, singles } = createUpdater({ windowMs: 5 });
+  const result = await updater.submit(1, 36.8, weather(1));
+
+  assert.deepStrictEqual(batches, []);
+  assert.deepStrictEqual(singles, [1]);
+  assert.strictEqual(result.batchSize, 1);
+});
+
+test("falls back to single updates when the batch reverts", async () => {
+  const { updater, singles } = createUpdater({ failBatch: true, reject: [2] });
+  const results = await Promise.allSettled(
+    [1, 2, 3].map((latitude) => updater.submit(latitude, 36.8, weather(1)))
+  );
+
+  // Only the location the contract rejects fails
+  assert.deepStrictEqual(singles, [1, 2, 3]);
+  assert.deepStrictEqual(
+    results.map((result) => result.status),
+    ["fulfilled", "rejected", "fulfilled"]
+  );
+  assert.match(results[1].reason.message, /InvalidCoordinates/);
+  assert.strictEqual(results[0].value.txHash, "0xsingle1");
+  assert.strictEqual(updater.getStatus().fallbacks, 1);
+  assert.strictEqual(updater.getStatus().lastError, "execution reverted");
+});
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ChirpsClient = require("../chirpsClient");
+const WeatherAggregator = require("../weatherAggregator");
+const fixture = require("./fixtures/chirps-daily.json");
+
+// Fixture covers 2026-09-14..2026-10-16
+const NOW = new Date("2026-10-19T09:00:00Z");
+const REQUEST_ID = "3f2c1a9e-6b7d-4e1a-9c55-0d8e2b7f4a10";
+
+function createClient({ progress = [[40], [100]], data = fixture } = {}) {
+  const requests = [];
+  const client = new ChirpsClient({
+    now: () => NOW,
+    pollInterval: 1,
+    httpClient: {
+      get: async (url) => {
+        const parsed = new URL(url);
+        requests.push(parsed);
+        if (parsed.pathname.endsWith("/submitDataRequest/")) {
+          return { data: [REQUEST_ID] };
+        }
+        if (parsed.pathname.endsWith("/getDataRequestProgress/")) {
+          return { data: progress.shift() };
+        }
+        return { data };
+      },
+    },
+  });
+  return { client, requests };
+}
+
+test("submits an area-average CHIRPS request and waits for it", async () => {
+  const { client, requests } = createClient();
+  await client.getWeatherData(-1.2921, 36.8219);
+
+  assert.deepStrictEqual(
+    requests.map((request) => request.pathname),
+    [
+      "/api/submitDataRequest/",
+      "/api/getDataRequestProgress/",
+      "/api/getDataRequestProgress/",
+      "/api/getDataFromRequest/",
+    ]
+  );
+
+  const params = requests[0].searchParams;
+  assert.strictEqual(params.get("datatype"), "0");
+  assert.strictEqual(params.get("operationtype"), "5");
+  assert.strictEqual(params.get("intervaltype"), "0");
+  assert.strictEqual(params.get("begintime"), "09/14/2026");
+  assert.strictEqual(params.get("endtime"), "10/19/2026");
+
+  const geometry = JSON.parse(params.get("geometry"));
+  assert.strictEqual(geometry.type, "Polygon");
+  assert.deepStrictEqual(geometry.coordinates[0][0], [36.7719, -1.2421]);
+
+  assert.strictEqual(requests[3].searchParams.get("id"), REQUEST_ID);
+});
+
+test("returns rainfall totals without temperature", async () => {
+  const { client } = createClient();
+  const data = await client.getWeatherData(-1.2921, 36.8219);
+
+  assert.strictEqual(data.source, "chirps");
+  assert.strictEqual(data.rainfall30d, 69.3);
+  assert.strictEqual(data.rainfall24h, 0.55);
+  assert.strictEqual(data.temperature, null);
+  assert.strictEqual(data.periodEnd, "2026-10-16");
+  assert.strictEqual(data.coverageDays, 30);
+  assert.deepStrictEqual(data.incompleteFields, ["temperature"]);
+});
+
+test("treats negative fill values as missing days", async () => {
+  const data = JSON.parse(JSON.stringify(fixture));
+  data.data[20].value.avg = -9999;
+  const { client } = createClient({ data });
+
+  const result = await client.getWeatherData(-1.2921, 36.8219);
+  assert.strictEqual(result.coverageDays, 29);
+  assert.ok(result.incompleteFields.includes("rainfall30d"));
+});
+
+test("fails when ClimateSERV reports a failed request", async () => {
+  const { client } = createClient({ progress: [[-1]] });
+
+  await assert.rejects(
+    client.getWeatherData(-1.2921, 36.8219),
+    /CHIRPS API failed: ClimateSERV request .* failed/
+  );
+});
+
+test("fails when the request is not ready in time", async () => {
+  const { client } = createClient({ progress: [[10], [20], [30]] });
+  client.maxPolls = 3;
+
+  await assert.rejects(
+    client.getWeatherData(-1.2921, 36.8219),
+    /not ready after 3 polls/
+  );
+});
+
+test("contributes rainfall but not temperature to aggregation", async () => {
+  const { client } = createClient();
+  const openMeteo = {
+    name: "open-meteo",
+    getWeatherData: async () => ({
+      rainfall30d: 66,
+      rainfall24h: 1,
+      temperature: 27.4,
+      timestamp: NOW.getTime(),
+      source: "open-meteo",
+    }),
+  };
+
+  const result = await new WeatherAggregator({ method: "median" }).aggregate(
+    -1.2921,
+    36.8219,
+    [openMeteo, client]
+  );
+
+  assert.deepStrictEqual(result.fields.rainfall30d.sources, [
+    "open-meteo",
+    "chirps",
+  ]);
+  assert.strictEqual(result.rainfall30d, 67.65);
+  assert.deepStrictEqual(result.fields.temperature.sources, ["open-meteo"]);
+  assert.strictEqual(result.temperature, 27.4);
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const CircuitBreaker = require("../circuitBreaker");
+
+function createBreaker(options = {}) {
+  let now = 0;
+  const breaker = new CircuitBreaker({
+    failureThreshold: 3,
+    resetTimeout: 1000,
+    now: () => now,
+    ...options,
+  });
+  return { breaker, advance: (ms) => (now += ms) };
+}
+
+test("opens after consecutive failures and rejects requests", () => {
+  const { breaker } = createBreaker();
+  breaker.recordFailure(new Error("timeout"));
+  breaker.recordSuccess();
+  breaker.recordFailure(new Error("timeout"));
+  breaker.recordFailure(new Error("timeout"));
+  assert.strictEqual(breaker.state, "closed");
+
+  breaker.recordFailure(new Error("timeout"));
+  assert.strictEqual(breaker.state, "open");
+  assert.strictEqual(breaker.isAvailable(), false);
+  assert.strictEqual(breaker.allowRequest(), false);
+
+  const status = breaker.getStatus();
+  assert.strictEqual(status.opened, 1);
+  assert.strictEqual(status.rejected, 1);
+  assert.strictEqual(status.lastError, "timeout");
+});
+
+test("lets one probe through after the reset timeout", () => {
+  const { breaker, advance } = createBreaker();
+  breaker.trip(null, new Error("HTTP 401"));
+  advance(1000);
+
+  assert.strictEqual(breaker.isAvailable(), true);
+  assert.strictEqual(breaker.allowRequest(), true);
+  assert.strictEqual(breaker.state, "half_open");
+  // Only one probe at a time
+  assert.strictEqual(breaker.allowRequest(), false);
+
+  breaker.recordSuccess();
+  assert.strictEqual(breaker.state, "closed");
+  assert.strictEqual(breaker.allowRequest(), true);
+});
+
+test("reopens when the probe fails", () => {
+  const { breaker, advance } = createBreaker();
+  breaker.trip(5000);
+  advance(5000);
+  assert.strictEqual(breaker.allowRequest(), true);
+
+  breaker.recordFailure(new Error("HTTP 503"));
+  assert.strictEqual(breaker.state, "open");
+  assert.strictEqual(breaker.openUntil, 5000 + 1000);
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JobQueue = require("../jobQueue");
+
+function createQueue(options = {}) {
+  const storeFile =
+    options.storeFile ||
+    path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "job-queue-")),
+      "queue.json"
+    );
+  return new JobQueue({
+    storeFile,
+    maxAttempts: 3,
+    baseRetryDelay: 1000,
+    maxRetryDelay: 3000,
+    ...options,
+  });
+}
+
+// Runs the job's attempt and fails it
+function failAttempt(queue, job, message = "RPC unavailable") {
+  queue.markFetching(job);
+  return queue.markFailed(job, new Error(message));
+}
+
+test("retries failed jobs with capped exponential backoff", () => {
+  const queue = createQueue();
+  assert.deepStrictEqual(
+    [1, 2, 3, 4].map((attempts) => queue.getRetryDelay(attempts)),
+    [1000, 2000, 3000, 3000]
+  );
+
+  const job = queue.enqueue(-1.3, 36.8);
+  const before = Date.now();
+  failAttempt(queue, job);
+
+  assert.strictEqual(job.state, JobQueue.STATES.PENDING);
+  assert.strictEqual(job.lastError, "RPC unavailable");
+  assert.ok(job.nextAttemptAt >= before + 1000);
+  assert.deepStrictEqual(queue.getDueJobs(), []);
+  assert.strictEqual(queue.getStatus().retried, 1);
+});
+
+test("dead-letters jobs after the last attempt and can requeue them", () => {
+  const queue = createQueue();
+  const job = queue.enqueue(-1.3, 36.8);
+  for (let attempt = 0; attempt < 3; attempt++) {
+    failAttempt(queue, job);
+  }
+
+  assert.strictEqual(job.state, JobQueue.STATES.FAILED);
+  assert.strictEqual(queue.jobs.length, 0);
+  assert.deepStrictEqual(
+    queue.deadLetter.map((failed) => failed.id),
+    [job.id]
+  );
+
+  const requeued = queue.retryDeadLetter(job.id);
+  assert.strictEqual(requeued.state, JobQueue.STATES.PENDING);
+  assert.strictEqual(requeued.attempts, 0);
+  assert.strictEqual(queue.deadLetter.length, 0);
+  assert.deepStrictEqual(queue.getDueJobs(), [requeued]);
+});
+
+test("keeps only the newest dead-lettered jobs", () => {
+  const queue = createQueue({ maxAttempts: 1, historyLimit: 2 });
+  const jobs = [1, 2, 3].map((index) => queue.enqueue(index, index));
+  for (const job of jobs) {
+    failAttempt(queue, job);
+  }
+
+  assert.deepStrictEqual(
+    queue.deadLetter.map((failed) => failed.id),
+    [jobs[2].id, jobs[1].id]
+  );
+  assert.strictEqual(queue.getStatus().deadLettered, 3);
+});
+
+test("recovers interrupted jobs after a restart", () => {
+  const queue = createQueue();
+  const fetching = queue.enqueue(-1.3, 36.8);
+  const submitted = queue.enqueue(-1.4, 36.9);
+  queue.markFetching(fetching);
+  queue.markFetching(submitted);
+  queue.markSubmitted(submitted, "0xabc");
+
+  const restarted = createQueue({ storeFile: queue.storeFile });
+  const byId = Object.fromEntries(restarted.jobs.map((job) => [job.id, job]));
+
+  // The fetch never reached the chain; the submission is checked against it
+  assert.strictEqual(byId[fetching.id].state, JobQueue.STATES.PENDING);
+  assert.strictEqual(byId[submitted.id].state, JobQueue.STATES.SUBMITTED);
+  assert.strictEqual(byId[submitted.id].txHash, "0xabc");
+  assert.strictEqual(restarted.getStatus().enqueued, 2);
+});
+
+test("reuses the active job for a location and keeps metadata from overriding it", () => {
+  const queue = createQueue();
+  const job = queue.enqueue(-1.3, 36.8, {
+    source: "listener",
+    id: "forged",
+    state: JobQueue.STATES.CONFIRMED,
+  });
+
+  assert.strictEqual(job.source, "listener");
+  assert.notStrictEqual(job.id, "forged");
+  assert.strictEqual(job.state, JobQueue.STATES.PENDING);
+  assert.strictEqual(queue.enqueue(-1.3, 36.8), job);
+  assert.strictEqual(queue.jobs.length, 1);
+});
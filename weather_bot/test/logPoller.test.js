@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const LogPoller = require("../logPoller");
+
+// Poller over a fake chain without events
+class RecordingPoller extends LogPoller {
+  constructor(web3Client, options) {
+    super(
+      web3Client,
+      { name: "Test poller", icon: "🧪", envPrefix: "TEST_POLLER" },
+      options
+    );
+  }
+
+  async fetchLogs() {
+    return [];
+  }
+
+  async handleLogs() {}
+}
+
+test("reads its configuration from variables with its own prefix", (t) => {
+  t.after(() => {
+    delete process.env.TEST_POLLER_POLL_INTERVAL_MS;
+    delete process.env.TEST_POLLER_MAX_BLOCK_RANGE;
+    delete process.env.TEST_POLLER_START_BLOCK;
+  });
+  process.env.TEST_POLLER_POLL_INTERVAL_MS = "5000";
+  process.env.TEST_POLLER_MAX_BLOCK_RANGE = "10";
+  process.env.TEST_POLLER_START_BLOCK = "0";
+
+  const poller = new RecordingPoller({});
+  assert.strictEqual(poller.pollInterval, 5000);
+  assert.strictEqual(poller.maxBlockRange, 10);
+  assert.strictEqual(poller.startBlock, 0);
+  assert.strictEqual(path.basename(poller.stateFile), "test_poller-state.json");
+});
+
+test("runs prepare before touching its state", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "log-poller-"));
+  const poller = new RecordingPoller(
+    { initialized: true, getBlockNumber: async () => 5 },
+    { stateFile: path.join(dir, "state.json") }
+  );
+  poller.prepare = async () => {
+    throw new Error(
+      "Missing required environment variable: RADISHIELD_ADDRESS"
+    );
+  };
+
+  await assert.rejects(poller.start(), /RADISHIELD_ADDRESS/);
+  assert.strictEqual(poller.running, false);
+  assert.strictEqual(fs.existsSync(poller.stateFile), false);
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const NasaPowerClient = require("../nasaPowerClient");
+const fixture = require("./fixtures/nasa-power-daily.json");
+
+// Fixture covers 2026-09-12..2026-10-19, published through 2026-10-15
+const NOW = new Date("2026-10-19T09:00:00Z");
+
+function createClient(data = fixture) {
+  const requests = [];
+  const client = new NasaPowerClient({
+    now: () => NOW,
+    httpClient: {
+      get: async (url) => {
+        requests.push(new URL(url));
+        return { data };
+      },
+    },
+  });
+  return { client, requests };
+}
+
+test("requests daily precipitation and maximum temperature for the point", async () => {
+  const { client, requests } = createClient();
+  await client.getWeatherData(-1.2921, 36.8219);
+
+  assert.strictEqual(requests.length, 1);
+  const params = requests[0].searchParams;
+  assert.strictEqual(params.get("parameters"), "PRECTOTCORR,T2M_MAX");
+  assert.strictEqual(params.get("community"), "AG");
+  assert.strictEqual(params.get("latitude"), "-1.2921");
+  assert.strictEqual(params.get("longitude"), "36.8219");
+  // 30 days plus the accepted publication delay
+  assert.strictEqual(params.get("start"), "20260912");
+  assert.strictEqual(params.get("end"), "20261019");
+  assert.strictEqual(params.get("format"), "JSON");
+});
+
+test("sums the 30 days ending at the latest published day", async () => {
+  const { client } = createClient();
+  const data = await client.getWeatherData(-1.2921, 36.8219);
+
+  assert.strictEqual(data.source, "nasa-power");
+  assert.strictEqual(data.rainfall30d, 63);
+  assert.strictEqual(data.rainfall24h, 4.5);
+  assert.strictEqual(data.temperature, 28.5);
+  assert.strictEqual(data.periodStart, "2026-09-16");
+  assert.strictEqual(data.periodEnd, "2026-10-15");
+  assert.strictEqual(data.coverageDays, 30);
+  assert.ok(Number.isInteger(data.timestamp));
+});
+
+test("accepts the publication delay for both rainfall windows", async () => {
+  const { client } = createClient();
+  const data = await client.getWeatherData(-1.2921, 36.8219);
+
+  // Latest published day is 4 days old, within maxLagDays
+  assert.deepStrictEqual(data.incompleteFields, []);
+});
+
+test("marks the 30-day total incomplete when days are missing", async () => {
+  const data = JSON.parse(JSON.stringify(fixture));
+  data.properties.parameter.PRECTOTCORR["20261001"] = -999;
+  const { client } = createClient(data);
+
+  const result = await client.getWeatherData(-1.2921, 36.8219);
+  assert.strictEqual(result.coverageDays, 29);
+  assert.ok(result.incompleteFields.includes("rainfall30d"));
+});
+
+test("marks rainfall incomplete when data lags too far behind", async () => {
+  const { client } = createClient();
+  client.now = () => new Date("2026-10-30T00:00:00Z");
+
+  const data = await client.processWeatherData(fixture);
+  assert.deepStrictEqual(data.incompleteFields, ["rainfall30d", "rainfall24h"]);
+});
+
+test("rejects responses without parameter data", async () => {
+  const { client } = createClient({ messages: ["Invalid request"] });
+
+  await assert.rejects(
+    client.getWeatherData(-1.2921, 36.8219),
+    /NASA POWER API failed: Invalid response/
+  );
+});
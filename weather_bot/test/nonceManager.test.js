@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const NonceManager = require("../nonceManager");
+
+const WALLET = "0x00000000000000000000000000000000000000aa";
+
+// Provider whose pending and mined transaction counts the test controls
+function createManager(counts = { pending: 3, latest: 3 }) {
+  const provider = {
+    getTransactionCount: async (address, blockTag) => counts[blockTag],
+  };
+  return { manager: new NonceManager(provider, WALLET), counts };
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("serializes concurrent sends onto consecutive nonces", async () => {
+  const { manager } = createManager();
+  const broadcasts = [];
+  let sending = 0;
+
+  const send = (delayMs) =>
+    manager.send(async (nonce) => {
+      sending++;
+      assert.strictEqual(sending, 1, "sends overlapped");
+      await delay(delayMs);
+      broadcasts.push(nonce);
+      sending--;
+      return { hash: `0x${nonce}` };
+    });
+
+  const sent = await Promise.all([send(10), send(0), send(5)]);
+  assert.deepStrictEqual(
+    sent.map((tx) => tx.hash),
+    ["0x3", "0x4", "0x5"]
+  );
+  assert.deepStrictEqual(broadcasts, [3, 4, 5]);
+  assert.strictEqual(manager.getStatus().nextNonce, 6);
+  assert.deepStrictEqual(
+    manager.getStatus().inFlight.map((tx) => tx.nonce),
+    [3, 4, 5]
+  );
+});
+
+test("resyncs and retries once after a nonce error", async () => {
+  const { manager, counts } = createManager();
+  await manager.sync();
+
+  // Another process used nonces 3 and 4 meanwhile
+  counts.pending = 5;
+  counts.latest = 5;
+  const attempts = [];
+  const tx = await manager.send(async (nonce) => {
+    attempts.push(nonce);
+    if (nonce < 5) {
+      const error = new Error("nonce too low");
+      error.code = "NONCE_EXPIRED";
+      throw error;
+    }
+    return { hash: "0xresent" };
+  });
+
+  assert.deepStrictEqual(attempts, [3, 5]);
+  assert.strictEqual(tx.hash, "0xresent");
+  assert.strictEqual(manager.nextNonce, 6);
+});
+
+test("resyncs without retrying other send errors", async () => {
+  const { manager, counts } = createManager();
+  await manager.sync();
+  counts.pending = 4;
+
+  await assert.rejects(
+    manager.send(async () => {
+      throw new Error("insufficient funds");
+    }),
+    /insufficient funds/
+  );
+  assert.strictEqual(manager.nextNonce, 4);
+
+  // The lock is released for the next send
+  const tx = await manager.send(async (nonce) => ({ hash: `0x${nonce}` }));
+  assert.strictEqual(tx.hash, "0x4");
+});
+
+test("forgets in-flight nonces that were mined", async () => {
+  const { manager, counts } = createManager();
+  await manager.send(async (nonce) => ({ hash: `0x${nonce}` }));
+  manager.track(3, "0xreplacement");
+  assert.deepStrictEqual(manager.getStatus().inFlight[0].hashes, [
+    "0x3",
+    "0xreplacement",
+  ]);
+
+  counts.pending = 4;
+  counts.latest = 4;
+  await manager.sync();
+  assert.deepStrictEqual(manager.getStatus().inFlight, []);
+});
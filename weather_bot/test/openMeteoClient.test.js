@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const OpenMeteoClient = require("../openMeteoClient");
+const RainfallStore = require("../rainfallStore");
+const ResponseCache = require("../responseCache");
+const fixture = require("./fixtures/open-meteo-archive.json");
+
+// Fixture covers 2026-09-12..2026-10-19, published through 2026-10-14
+const NOW = new Date("2026-10-19T09:00:00Z");
+
+// Serve the requested slice of the fixture, like the archive API
+function archiveResponse(url) {
+  const start = url.searchParams.get("start_date");
+  const end = url.searchParams.get("end_date");
+  const indexes = fixture.daily.time
+    .map((date, index) => (date >= start && date <= end ? index : -1))
+    .filter((index) => index !== -1);
+  const pick = (series) => indexes.map((index) => series[index]);
+
+  return {
+    ...fixture,
+    daily: {
+      time: pick(fixture.daily.time),
+      precipitation_sum: pick(fixture.daily.precipitation_sum),
+      temperature_2m_max: pick(fixture.daily.temperature_2m_max),
+    },
+  };
+}
+
+function createClient(options = {}) {
+  const requests = [];
+  const client = new OpenMeteoClient({
+    now: () => NOW,
+    httpClient: {
+      get: async (url) => {
+        const parsed = new URL(url);
+        requests.push(parsed);
+        return { data: archiveResponse(parsed) };
+      },
+    },
+    ...options,
+  });
+  return { client, requests };
+}
+
+function createStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rainfall-store-"));
+  return new RainfallStore({ storeFile: path.join(dir, "store.json") });
+}
+
+test("sums the 30 days ending at the latest published day", async () => {
+  const { client, requests } = createClient();
+  const data = await client.getWeatherData(-1.25, 36.875);
+
+  assert.strictEqual(requests[0].searchParams.get("start_date"), "2026-09-12");
+  assert.strictEqual(requests[0].searchParams.get("end_date"), "2026-10-19");
+  assert.strictEqual(data.rainfall30d, 64.5);
+  // The latest published day, not a fixed index that may be unpublished
+  assert.strictEqual(data.rainfall24h, 2.1);
+  assert.strictEqual(data.temperature, 26.2);
+  assert.strictEqual(data.periodEnd, "2026-10-14");
+  assert.deepStrictEqual(data.incompleteFields, []);
+});
+
+test("rebuilds a past reading from the whole days before it", async () => {
+  const { client, requests } = createClient();
+  const at = Date.parse("2026-10-12T12:00:00Z") / 1000;
+  const data = await client.getWeatherDataAt(-1.25, 36.875, at);
+
+  assert.strictEqual(requests[0].searchParams.get("end_date"), "2026-10-11");
+  assert.strictEqual(data.rainfall30d, 64.5);
+  assert.strictEqual(data.rainfall24h, 1.6);
+  assert.strictEqual(data.temperature, 27.4);
+  assert.strictEqual(data.periodEnd, "2026-10-11");
+  assert.strictEqual(data.timestamp, at * 1000);
+  assert.deepStrictEqual(data.incompleteFields, []);
+});
+
+test("fetches only the days missing from the store", async () => {
+  const store = createStore();
+  const { client, requests } = createClient({ store });
+
+  const first = await client.getWeatherData(-1.25, 36.875);
+  const second = await client.getWeatherData(-1.25, 36.875);
+
+  assert.strictEqual(requests.length, 2);
+  // Second refresh only asks for the days that were still unpublished
+  assert.strictEqual(requests[1].searchParams.get("start_date"), "2026-10-15");
+  assert.strictEqual(requests[1].searchParams.get("end_date"), "2026-10-19");
+
+  assert.strictEqual(second.rainfall30d, first.rainfall30d);
+  assert.strictEqual(second.rainfall24h, first.rainfall24h);
+  assert.strictEqual(second.temperature, first.temperature);
+});
+
+test("reproduces the same numbers from the store after a restart", async () => {
+  const store = createStore();
+  const { client } = createClient({ store });
+  const data = await client.getWeatherData(-1.25, 36.875);
+
+  const reloaded = new RainfallStore({ storeFile: store.storeFile });
+  const window = reloaded.getRainfallWindow(
+    "open-meteo",
+    -1.25,
+    36.875,
+    data.periodEnd,
+    30
+  );
+  assert.strictEqual(window.total, data.rainfall30d);
+  assert.strictEqual(window.complete, true);
+  assert.strictEqual(
+    reloaded.getRainfallOn(-1.25, 36.875, "2026-10-14")["open-meteo"].rainfall,
+    2.1
+  );
+});
+
+test("shares one archive request between concurrent readings for a cell", async () => {
+  let now = Date.parse("2026-10-19T09:00:00Z");
+  const cache = new ResponseCache({ cacheFile: null, now: () => now });
+  const { client, requests } = createClient({ cache });
+
+  await Promise.all([
+    client.getWeatherData(-1.25, 36.875),
+    client.getWeatherData(-1.25, 36.875),
+  ]);
+  assert.strictEqual(requests.length, 1);
+
+  // The range ends within the publication delay, so it is refreshed hourly
+  now += 61 * 60 * 1000;
+  await client.getWeatherData(-1.25, 36.875);
+  assert.strictEqual(requests.length, 2);
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const OracleListener = require("../oracleListener");
+
+// Listener over a fake chain whose WeatherDataRequested events are `requests`
+function createListener({ requests, latestBlock = 100, enqueue } = {}) {
+  const queued = [];
+  const ranges = [];
+  const web3Client = {
+    initialized: true,
+    getBlockNumber: async () => latestBlock,
+    getWeatherRequests: async (fromBlock, toBlock) => {
+      ranges.push([fromBlock, toBlock]);
+      return requests.filter(
+        (request) =>
+          request.blockNumber >= fromBlock && request.blockNumber <= toBlock
+      );
+    },
+  };
+  const bot = {
+    web3Client,
+    enqueueWeatherUpdate:
+      enqueue ||
+      ((latitude, longitude, metadata) =>
+        queued.push({ latitude, longitude, ...metadata })),
+  };
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "oracle-listener-"));
+  const listener = new OracleListener(bot, {
+    stateFile: path.join(dir, "state.json"),
+    maxBlockRange: 30,
+    startBlock: 41,
+  });
+  return { listener, queued, ranges };
+}
+
+const request = (blockNumber, latitude = -1.3, longitude = 36.8) => ({
+  latitude,
+  longitude,
+  requester: "0xfarmer",
+  blockNumber,
+  transactionHash: `0x${blockNumber}`,
+});
+
+test("backfills missed blocks in ranges and queues each location once", async () => {
+  const { listener, queued, ranges } = createListener({
+    requests: [request(45), request(46), request(80, 5.6, -0.2)],
+  });
+  await listener.start();
+  listener.stop();
+
+  assert.deepStrictEqual(ranges, [
+    [41, 70],
+    [71, 100],
+  ]);
+  assert.deepStrictEqual(
+    queued.map((job) => [job.latitude, job.requestTxHash]),
+    [
+      [-1.3, "0x46"],
+      [5.6, "0x80"],
+    ]
+  );
+  assert.strictEqual(listener.getStatus().lastProcessedBlock, 100);
+  assert.strictEqual(listener.getStatus().requestsSeen, 3);
+});
+
+test("does not mark a failed request as processed", async () => {
+  let failures = 1;
+  const queued = [];
+  const { listener } = createListener({
+    requests: [request(45), request(80, 5.6, -0.2)],
+    enqueue: (latitude) => {
+      if (latitude === 5.6 && failures-- > 0) {
+        throw new Error("disk full");
+      }
+      queued.push(latitude);
+    },
+  });
+  await listener.start();
+
+  // The range holding the failed request is scanned again on the next poll
+  assert.strictEqual(listener.getStatus().lastProcessedBlock, 70);
+  assert.strictEqual(listener.getStatus().lastError, "disk full");
+  assert.strictEqual(listener.loadState(), 70);
+
+  await listener.poll();
+  listener.stop();
+  assert.deepStrictEqual(queued, [-1.3, 5.6]);
+  assert.strictEqual(listener.getStatus().lastProcessedBlock, 100);
+  assert.strictEqual(listener.getStatus().lastError, null);
+});
+
+test("resumes from the saved block after a restart", async () => {
+  const first = createListener({ requests: [] });
+  await first.listener.start();
+  first.listener.stop();
+
+  const restarted = createListener({ requests: [], latestBlock: 110 });
+  restarted.listener.stateFile = first.listener.stateFile;
+  await restarted.listener.start();
+  restarted.listener.stop();
+
+  assert.deepStrictEqual(restarted.ranges, [[101, 110]]);
+});
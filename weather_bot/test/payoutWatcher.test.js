@@ -0,0 +1,228 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const PayoutWatcher = require("../payoutWatcher");
+
+const COVERAGE = 10n ** 18n;
+const NOW = Math.floor(Date.now() / 1000);
+const DAY = 24 * 60 * 60;
+// Started 45 days ago, so drought is covered
+const POLICY = { coverage: COVERAGE, startDate: NOW - 45 * DAY };
+const TRIGGERS = {
+  droughtThreshold: 5,
+  floodThreshold: 200,
+  heatwaveThreshold: 55,
+  heatwavePayoutRate: 75,
+};
+
+function createWatcher({
+  reading,
+  pending,
+  policyWeather = null,
+  startDate = POLICY.startDate,
+  canChallenge = true,
+  dailySeries = true,
+} = {}) {
+  const challenges = [];
+  const aggregated = [];
+  const web3Client = {
+    getPendingPayout: async () =>
+      pending === undefined
+        ? {
+            amount: COVERAGE,
+            triggerType: "severe_flood",
+            weatherTimestamp: NOW - 60,
+            settlesAt: NOW + 3600,
+            disputed: false,
+          }
+        : pending,
+    getPolicy: async (policyId) => ({
+      id: policyId,
+      coverage: COVERAGE,
+      startDate,
+      latitude: -1.2921,
+      longitude: 36.8219,
+    }),
+    getPolicyTriggers: async () => TRIGGERS,
+    getPolicyWeather: async () => policyWeather,
+    getGridCell: (latitude, longitude) => ({
+      centerLatitude: latitude,
+      centerLongitude: longitude,
+    }),
+    challengePayout: async (policyId, weatherData) => {
+      challenges.push({ policyId, weatherData });
+      return { txHash: "0xchallenge" };
+    },
+  };
+  const bot = {
+    web3Client,
+    providers: {
+      getProviders: () => [
+        { name: "open-meteo", capabilities: { dailySeries } },
+        { name: "weatherapi", capabilities: { dailySeries: false } },
+      ],
+    },
+    aggregator: {
+      aggregate: async (lat, lon, providers, timestamp) => {
+        aggregated.push({ providers, timestamp });
+        if (reading instanceof Error) {
+          throw reading;
+        }
+        return { ...reading, timestamp: timestamp * 1000 };
+      },
+    },
+  };
+
+  const watcher = new PayoutWatcher(bot, { stateFile: "/dev/null" });
+  watcher.canChallenge = canChallenge;
+  return { watcher, challenges, aggregated };
+}
+
+const trigger = { policyId: 7, triggerType: "severe_flood", amount: COVERAGE };
+
+test("supports payouts the reading meets within the margins", () => {
+  const { watcher } = createWatcher();
+  const support = (weatherData) =>
+    watcher.supportedPayout(
+      { rainfall30d: 80, rainfall24h: 4, temperature: 24, ...weatherData },
+      TRIGGERS,
+      POLICY,
+      NOW
+    );
+
+  assert.strictEqual(support({}), 0n);
+  assert.strictEqual(support({ rainfall30d: 9 }), COVERAGE);
+  assert.strictEqual(support({ rainfall24h: 199 }), COVERAGE);
+  assert.strictEqual(support({ temperature: 54 }), (COVERAGE * 75n) / 100n);
+});
+
+test("only supports drought once the policy has covered a full window", () => {
+  const { watcher } = createWatcher();
+  const drought = { rainfall30d: 1, rainfall24h: 0, temperature: 24 };
+
+  assert.strictEqual(
+    watcher.supportedPayout(
+      drought,
+      TRIGGERS,
+      POLICY,
+      POLICY.startDate + 30 * DAY
+    ),
+    COVERAGE
+  );
+  assert.strictEqual(
+    watcher.supportedPayout(
+      drought,
+      TRIGGERS,
+      POLICY,
+      POLICY.startDate + 29 * DAY
+    ),
+    0n
+  );
+});
+
+test("challenges a drought payout raised before the drought window", async () => {
+  const { watcher, challenges } = createWatcher({
+    reading: { rainfall30d: 1, rainfall24h: 0, temperature: 24 },
+    startDate: NOW - 10 * DAY,
+  });
+  await watcher.handleTrigger({ ...trigger, triggerType: "severe_drought" });
+
+  assert.strictEqual(challenges.length, 1);
+});
+
+test("challenges a payout the providers contradict", async () => {
+  const { watcher, challenges } = createWatcher({
+    reading: { rainfall30d: 80, rainfall24h: 4, temperature: 24 },
+  });
+  await watcher.handleTrigger(trigger);
+
+  assert.strictEqual(challenges.length, 1);
+  assert.strictEqual(challenges[0].policyId, 7);
+  assert.strictEqual(challenges[0].weatherData.rainfall24h, 4);
+  assert.strictEqual(watcher.getStatus().challenged, 1);
+});
+
+test("checks the weather as it was when the trigger was observed", async () => {
+  const { watcher, aggregated } = createWatcher({
+    reading: { rainfall30d: 260, rainfall24h: 199, temperature: 24 },
+  });
+  await watcher.handleTrigger(trigger);
+
+  assert.strictEqual(aggregated.length, 1);
+  assert.strictEqual(aggregated[0].timestamp, NOW - 60);
+  // Only providers with daily history can rebuild a past reading
+  assert.deepStrictEqual(
+    aggregated[0].providers.map((provider) => provider.name),
+    ["open-meteo"]
+  );
+});
+
+test("leaves payouts the providers confirm", async () => {
+  const { watcher, challenges } = createWatcher({
+    reading: { rainfall30d: 260, rainfall24h: 199, temperature: 24 },
+  });
+  await watcher.handleTrigger(trigger);
+
+  assert.strictEqual(challenges.length, 0);
+  assert.strictEqual(watcher.getStatus().confirmed, 1);
+});
+
+test("does not challenge a heatwave payout with a drought reading", async () => {
+  const { watcher, challenges } = createWatcher({
+    reading: { rainfall30d: 1, rainfall24h: 0, temperature: 30 },
+    pending: {
+      amount: (COVERAGE * 75n) / 100n,
+      weatherTimestamp: NOW - 60,
+      settlesAt: NOW + 3600,
+      disputed: false,
+    },
+  });
+  await watcher.handleTrigger({ ...trigger, triggerType: "extreme_heatwave" });
+
+  assert.strictEqual(challenges.length, 0);
+});
+
+test("skips payouts that are not pending or cannot be checked", async () => {
+  const paid = createWatcher({ pending: null });
+  await paid.watcher.handleTrigger(trigger);
+
+  const closed = createWatcher({
+    pending: { amount: COVERAGE, settlesAt: NOW - 1, disputed: false },
+  });
+  await closed.watcher.handleTrigger(trigger);
+
+  const noConsensus = createWatcher({
+    reading: new Error("Weather sources disagree on rainfall24h"),
+  });
+  await noConsensus.watcher.handleTrigger(trigger);
+
+  const unauthorized = createWatcher({
+    reading: { rainfall30d: 80, rainfall24h: 4, temperature: 24 },
+    canChallenge: false,
+  });
+  await unauthorized.watcher.handleTrigger(trigger);
+
+  const noHistory = createWatcher({
+    reading: { rainfall30d: 80, rainfall24h: 4, temperature: 24 },
+    dailySeries: false,
+  });
+  await noHistory.watcher.handleTrigger(trigger);
+
+  // Raised by weather submitted for the policy's period ending then
+  const policyWeather = createWatcher({
+    reading: { rainfall30d: 80, rainfall24h: 4, temperature: 24 },
+    policyWeather: { periodStart: NOW - 30 * DAY, periodEnd: NOW - 60 },
+  });
+  await policyWeather.watcher.handleTrigger(trigger);
+
+  for (const { watcher, challenges } of [
+    paid,
+    closed,
+    noConsensus,
+    unauthorized,
+    noHistory,
+    policyWeather,
+  ]) {
+    assert.strictEqual(challenges.length, 0);
+    assert.strictEqual(watcher.getStatus().skipped, 1);
+  }
+});
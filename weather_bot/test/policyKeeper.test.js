@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const PolicyKeeper = require("../policyKeeper");
+
+// Keeper whose dry runs return `payouts[policyId]` (an Error reverts) and
+// whose cells hold the policies listed in `cells`
+function createKeeper({
+  updates,
+  cells,
+  payouts,
+  failSubmit = [],
+  pending = [],
+}) {
+  const simulated = [];
+  const submitted = [];
+  const recorded = [];
+  const web3Client = {
+    initialized: true,
+    radiShieldContract: {},
+    getBlockNumber: async () => 100,
+    getWeatherUpdates: async (fromBlock, toBlock) =>
+      updates.filter(
+        (update) =>
+          update.blockNumber >= fromBlock && update.blockNumber <= toBlock
+      ),
+    simulateProcessWeatherData: async (policyId) => {
+      simulated.push(policyId);
+      if (payouts[policyId] instanceof Error) {
+        throw payouts[policyId];
+      }
+      return payouts[policyId];
+    },
+    processWeatherData: async (policyId) => {
+      submitted.push(policyId);
+      if (failSubmit.includes(policyId)) {
+        throw new Error("replacement fee too low");
+      }
+      return {
+        txHash: `0x${policyId}`,
+        payout: {
+          amount: payouts[policyId],
+          triggerType: "severe_drought",
+          pending: pending.includes(policyId),
+        },
+      };
+    },
+  };
+  const policyIndex = {
+    sync: async () => {},
+    getPoliciesInCell: (latitude, longitude) =>
+      cells[`${latitude},${longitude}`] || [],
+    recordPayout: (policyId, payout) =>
+      recorded.push([policyId, payout.pending]),
+  };
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "policy-keeper-"));
+  const keeper = new PolicyKeeper(
+    { web3Client, policyIndex },
+    { stateFile: path.join(dir, "state.json"), startBlock: 91 }
+  );
+  return { keeper, simulated, submitted, recorded };
+}
+
+const update = (blockNumber, latitude = -1.3, longitude = 36.8) => ({
+  latitude,
+  longitude,
+  blockNumber,
+});
+
+test("submits only the policies whose dry run pays out", async () => {
+  const { keeper, simulated, submitted, recorded } = createKeeper({
+    updates: [update(95)],
+    cells: { "-1.3,36.8": [1, 2, 3] },
+    payouts: { 1: 0n, 2: 500n, 3: new Error("PolicyNotActive") },
+  });
+  await keeper.start();
+  keeper.stop();
+
+  assert.deepStrictEqual(simulated, [1, 2, 3]);
+  assert.deepStrictEqual(submitted, [2]);
+  assert.deepStrictEqual(recorded, [[2, false]]);
+  assert.strictEqual(keeper.getStatus().simulations, 3);
+  assert.strictEqual(keeper.getStatus().payoutsSubmitted, 1);
+  assert.strictEqual(keeper.getStatus().lastProcessedBlock, 100);
+});
+
+test("checks each cell once per block range", async () => {
+  const { keeper, simulated } = createKeeper({
+    updates: [update(92), update(97), update(98, 5.6, -0.2)],
+    cells: { "-1.3,36.8": [1], "5.6,-0.2": [2] },
+    payouts: { 1: 0n, 2: 0n },
+  });
+  await keeper.start();
+  keeper.stop();
+
+  assert.deepStrictEqual(simulated, [1, 2]);
+  assert.strictEqual(keeper.getStatus().updatesSeen, 3);
+});
+
+test("keeps a policy whose submission fails", async () => {
+  const { keeper, submitted, recorded } = createKeeper({
+    updates: [update(95)],
+    cells: { "-1.3,36.8": [1, 2] },
+    payouts: { 1: 500n, 2: 500n },
+    failSubmit: [1],
+  });
+  await keeper.start();
+  keeper.stop();
+
+  // The next update for the cell retries it
+  assert.deepStrictEqual(submitted, [1, 2]);
+  assert.deepStrictEqual(recorded, [[2, false]]);
+  assert.strictEqual(keeper.getStatus().payoutsSubmitted, 1);
+});
+
+test("hands a pending payout to the index instead of retiring the policy", async () => {
+  const { keeper, recorded } = createKeeper({
+    updates: [update(95)],
+    cells: { "-1.3,36.8": [1] },
+    payouts: { 1: 500n },
+    pending: [1],
+  });
+  await keeper.start();
+  keeper.stop();
+
+  assert.deepStrictEqual(recorded, [[1, true]]);
+});
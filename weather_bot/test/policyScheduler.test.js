@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const PolicyScheduler = require("../policyScheduler");
+const PolicyIndex = require("../policyIndex");
+
+const HOUR = 3600;
+
+// Scheduler over one policy per cell, whose data is `ages[latitude]` seconds
+// old (null means no data); freshness follows WeatherOracle.isDataFresh
+function createScheduler(ages, options = {}) {
+  const queued = [];
+  const checkedAges = [];
+  const latitudes = Object.keys(ages).map(Number);
+  const pendingPayouts = {};
+
+  const web3Client = {
+    initialized: true,
+    radiShieldContract: {},
+    getTotalPolicies: async () => latitudes.length,
+    getPolicy: async (policyId) => ({
+      id: policyId,
+      latitude: latitudes[policyId - 1],
+      longitude: 36.8,
+      isActive: true,
+      claimed: false,
+    }),
+    isPolicyActive: async () => true,
+    getPendingPayout: async (policyId) => pendingPayouts[policyId] || null,
+    getGridCell: (latitude, longitude) => ({ latitude, longitude }),
+    isDataFresh: async (latitude, longitude, maxAge) => {
+      checkedAges.push(maxAge);
+      const age = ages[latitude];
+      return age !== null && age <= (maxAge === 0 ? 24 * HOUR : maxAge);
+    },
+  };
+  const bot = {
+    web3Client,
+    policyIndex: new PolicyIndex(web3Client),
+    enqueueWeatherUpdate: (latitude, longitude, metadata) =>
+      queued.push({ latitude, ...metadata }),
+  };
+
+  const scheduler = new PolicyScheduler(bot, {
+    maxDataAge: 24 * HOUR,
+    refreshMargin: 3 * HOUR,
+    autoProcess: false,
+    ...options,
+  });
+  return { scheduler, web3Client, pendingPayouts, queued, checkedAges };
+}
+
+test("refreshes cells inside the refresh margin before they go stale", async () => {
+  const { scheduler, queued, checkedAges } = createScheduler({
+    1: 10 * HOUR,
+    2: 22 * HOUR,
+    3: null,
+  });
+  await scheduler.tick();
+
+  assert.deepStrictEqual(checkedAges, [21 * HOUR, 21 * HOUR, 21 * HOUR]);
+  assert.deepStrictEqual(
+    queued.map((job) => [job.latitude, job.source, job.policyIds]),
+    [
+      [2, "scheduler", [2]],
+      [3, "scheduler", [3]],
+    ]
+  );
+  assert.strictEqual(scheduler.getStatus().refreshesQueued, 2);
+  assert.strictEqual(scheduler.getStatus().lastError, null);
+});
+
+test("refreshes every cell when the margin covers the whole max age", async () => {
+  const { scheduler, queued, checkedAges } = createScheduler(
+    { 1: 600, 2: 0 },
+    { maxDataAge: HOUR, refreshMargin: 2 * HOUR }
+  );
+  await scheduler.tick();
+
+  // A max age of 0 would fall back to the oracle's 24 hour default
+  assert.deepStrictEqual(checkedAges, [1, 1]);
+  assert.deepStrictEqual(
+    queued.map((job) => job.latitude),
+    [1]
+  );
+});
+
+test("holds a policy with a pending payout until its dispute is rejected", async () => {
+  const { scheduler, web3Client, pendingPayouts } = createScheduler(
+    { 1: HOUR },
+    { autoProcess: true }
+  );
+  const processed = [];
+  let timestamp = 1000;
+  web3Client.getWeatherData = async () => ({ timestamp: timestamp++ });
+  web3Client.processWeatherData = async (policyId) => {
+    processed.push(policyId);
+    pendingPayouts[policyId] = { amount: 500n };
+    return {
+      payout: { amount: "0.5", triggerType: "severe_drought", pending: true },
+    };
+  };
+
+  await scheduler.tick();
+  await scheduler.tick();
+
+  // A new reading does not re-evaluate the policy while its payout is pending
+  assert.deepStrictEqual(processed, [1]);
+  assert.strictEqual(scheduler.policyIndex.isPending(1), true);
+
+  // The dispute was upheld: the policy is payable again on the next run
+  delete pendingPayouts[1];
+  await scheduler.tick();
+  assert.deepStrictEqual(processed, [1, 1]);
+  assert.strictEqual(scheduler.policyIndex.policies.has(1), true);
+});
@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ProviderRegistry = require("../providerRegistry");
+
+const ENV = ["WEATHER_PROVIDERS", "WEATHER_PROVIDERS_FILE", "WEATHER_API_KEY"];
+
+// Build a registry from the given environment, restoring it afterwards
+function fromEnv(env) {
+  const saved = Object.fromEntries(
+    ENV.map((name) => [name, process.env[name]])
+  );
+  for (const name of ENV) {
+    if (env[name] !== undefined) {
+      process.env[name] = env[name];
+    } else {
+      delete process.env[name];
+    }
+  }
+
+  try {
+    return new ProviderRegistry();
+  } finally {
+    for (const name of ENV) {
+      if (saved[name] !== undefined) {
+        process.env[name] = saved[name];
+      } else {
+        delete process.env[name];
+      }
+    }
+  }
+}
+
+const names = (providers) => providers.map((provider) => provider.name);
+
+test("defaults to Open-Meteo with WeatherAPI as fallback", () => {
+  const registry = fromEnv({});
+
+  assert.deepStrictEqual(
+    registry.getStatus().map((entry) => entry.name),
+    ["open-meteo", "weatherapi"]
+  );
+  // WeatherAPI needs a key before it is used
+  assert.deepStrictEqual(names(registry.getProviders()), ["open-meteo"]);
+});
+
+test("parses a comma separated list of names in order", () => {
+  const registry = fromEnv({
+    WEATHER_PROVIDERS: " weatherapi,,open-meteo ",
+    WEATHER_API_KEY: "key",
+  });
+
+  assert.deepStrictEqual(names(registry.getProviders()), [
+    "weatherapi",
+    "open-meteo",
+  ]);
+});
+test("parses JSON entries with priorities, options and disabled providers", () => {
+  const registry = fromEnv({
+    WEATHER_PROVIDERS: JSON.stringify([
+      { name: "open-meteo", priority: 2, enabled: false },
+      { name: "weatherapi", priority: 1, options: { apiKey: "key" } },
+    ]),
+  });
+
+  assert.deepStrictEqual(names(registry.getProviders()), ["weatherapi"]);
+  assert.strictEqual(registry.get("weatherapi").apiKey, "key");
+  assert.deepStrictEqual(
+    registry.getStatus().map((entry) => [entry.name, entry.enabled]),
+    [
+      ["weatherapi", true],
+      ["open-meteo", false],
+    ]
+  );
+});
+test("loads custom providers from a configuration file", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "provider-registry-"));
+  const modulePath = path.join(dir, "kmd.js");
+  fs.writeFileSync(
+    modulePath,
+    `const WeatherProvider = require(${JSON.stringify(
+      require.resolve("../weatherProvider")
+    )});
+module.exports = class KmdClient extends WeatherProvider {
+  constructor(options) {
+    super("kmd-stations", {}, options);
+  }
+};
+`
+  );
+  const configFile = path.join(dir, "providers.json");
+  fs.writeFileSync(
+    configFile,
+    JSON.stringify([
+      "open-meteo",
+      {
+        name: "kmd",
+        priority: -1,
+        module: modulePath,
+        options: { region: "KE" },
+      },
+    ])
+  );
+
+  // The file wins over WEATHER_PROVIDERS
+  const registry = fromEnv({
+    WEATHER_PROVIDERS_FILE: configFile,
+    WEATHER_PROVIDERS: "weatherapi",
+  });
+
+  assert.deepStrictEqual(names(registry.getProviders()), ["kmd", "open-meteo"]);
+  assert.strictEqual(registry.get("kmd").options.region, "KE");
+});
+
+test("rejects invalid provider configuration", () => {
+  const configFile = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "provider-registry-")),
+    "providers.json"
+  );
+  fs.writeFileSync(configFile, JSON.stringify({ name: "open-meteo" }));
+  assert.throws(
+    () => fromEnv({ WEATHER_PROVIDERS_FILE: configFile }),
+    /must be an array/
+  );
+  assert.throws(
+    () => new ProviderRegistry({ providers: ["open-meteo", { priority: 1 }] }),
+    /Weather provider #2 has no name/
+  );
+  assert.throws(
+    () => new ProviderRegistry({ providers: ["kmd"] }),
+    /Unknown weather provider "kmd"/
+  );
+  assert.throws(
+    () => fromEnv({ WEATHER_PROVIDERS: "[open-meteo]" }),
+    SyntaxError
+  );
+});
@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RainfallStore = require("../rainfallStore");
+
+function createStore(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rainfall-store-"));
+  return new RainfallStore({
+    storeFile: path.join(dir, "store.json"),
+    ...options,
+  });
+}
+
+// 2mm a day through 2026-10-10, except 10mm on 2026-10-05
+function seed(store, source = "open-meteo") {
+  const days = [];
+  for (let day = 1; day <= 10; day++) {
+    const date = `2026-10-${String(day).padStart(2, "0")}`;
+    days.push({ date, rainfall: day === 5 ? 10 : 2, temperatureMax: 25 });
+  }
+  store.putDays(source, -1.25, 36.875, days);
+}
+
+test("computes windows of any length ending on a date", () => {
+  const store = createStore();
+  seed(store);
+
+  const day = store.getRainfallWindow(
+    "open-meteo",
+    -1.25,
+    36.875,
+    "2026-10-10",
+    1
+  );
+  assert.strictEqual(day.total, 2);
+  assert.strictEqual(day.periodStart, "2026-10-10");
+
+  const week = store.getRainfallWindow(
+    "open-meteo",
+    -1.25,
+    36.875,
+    "2026-10-10",
+    7
+  );
+  assert.strictEqual(week.total, 22);
+  assert.strictEqual(week.periodStart, "2026-10-04");
+  assert.strictEqual(week.complete, true);
+});
+
+test("reports missing days in a period", () => {
+  const store = createStore();
+  seed(store);
+
+  const season = store.getRainfallBetween(
+    "open-meteo",
+    -1.25,
+    36.875,
+    "2026-09-29",
+    "2026-10-12"
+  );
+  assert.strictEqual(season.total, 28);
+  assert.strictEqual(season.coverageDays, 10);
+  assert.strictEqual(season.totalDays, 14);
+  assert.strictEqual(season.complete, false);
+  assert.deepStrictEqual(season.missingDates, [
+    "2026-09-29",
+    "2026-09-30",
+    "2026-10-11",
+    "2026-10-12",
+  ]);
+});
+
+test("skips unpublished days so they are fetched again", () => {
+  const store = createStore();
+  const stored = store.putDays("open-meteo", -1.25, 36.875, [
+    { date: "2026-10-01", rainfall: 1.5, temperatureMax: 24 },
+    { date: "2026-10-02", rainfall: null, temperatureMax: null },
+  ]);
+
+  assert.strictEqual(stored, 1);
+  assert.deepStrictEqual(
+    store.getMissingDates(
+      "open-meteo",
+      -1.25,
+      36.875,
+      "2026-10-01",
+      "2026-10-02"
+    ),
+    ["2026-10-02"]
+  );
+});
+
+test("answers rainfall on a date for every source", () => {
+  const store = createStore();
+  seed(store, "open-meteo");
+  store.putDays("chirps", -1.25, 36.875, [
+    { date: "2026-10-05", rainfall: 8.4, temperatureMax: null },
+  ]);
+
+  const day = store.getRainfallOn(-1.25, 36.875, "2026-10-05");
+  assert.deepStrictEqual(Object.keys(day), ["open-meteo", "chirps"]);
+  assert.strictEqual(day["open-meteo"].rainfall, 10);
+  assert.strictEqual(day.chirps.rainfall, 8.4);
+  assert.strictEqual(day.chirps.temperatureMax, null);
+});
+
+test("keeps locations apart regardless of floating point noise", () => {
+  const store = createStore();
+  seed(store);
+
+  assert.strictEqual(
+    store.getDays(
+      "open-meteo",
+      -1.25 + 1e-12,
+      36.875,
+      "2026-10-01",
+      "2026-10-10"
+    ).length,
+    10
+  );
+  assert.strictEqual(
+    store.getDays("open-meteo", -1.26, 36.875, "2026-10-01", "2026-10-10")
+      .length,
+    0
+  );
+});
+
+test("drops days older than the retention period", () => {
+  const store = createStore({ retentionDays: 30 });
+  const old = new Date(Date.now() - 40 * 86400000).toISOString().split("T")[0];
+  const recent = new Date(Date.now() - 86400000).toISOString().split("T")[0];
+
+  store.putDays("open-meteo", -1.25, 36.875, [
+    { date: old, rainfall: 1, temperatureMax: 20 },
+    { date: recent, rainfall: 2, temperatureMax: 21 },
+  ]);
+
+  assert.deepStrictEqual(
+    Object.keys(store.getSeries("open-meteo", -1.25, 36.875)),
+    [recent]
+  );
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const RateLimiter = require("../rateLimiter");
+
+// Clock that only moves when the limiter sleeps
+function createLimiter(options = {}) {
+  let now = 0;
+  const sleeps = [];
+  const limiter = new RateLimiter({
+    now: () => now,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      now += ms;
+    },
+    ...options,
+  });
+  return { limiter, sleeps, advance: (ms) => (now += ms) };
+}
+
+test("allows a burst, then paces requests to the quota", async () => {
+  const { limiter, sleeps } = createLimiter({
+    requestsPerMinute: 60,
+    burst: 2,
+  });
+
+  await limiter.acquire();
+  await limiter.acquire();
+  assert.deepStrictEqual(sleeps, []);
+
+  await limiter.acquire();
+  assert.deepStrictEqual(sleeps, [1000]);
+  assert.strictEqual(limiter.getStatus().throttled, 1);
+});
+
+test("does not limit providers without a known quota", async () => {
+  const { limiter, sleeps } = createLimiter();
+  for (let i = 0; i < 100; i++) {
+    await limiter.acquire();
+  }
+  assert.deepStrictEqual(sleeps, []);
+});
+
+test("pauses for Retry-After and rejects instead of waiting too long", async () => {
+  const { limiter, advance } = createLimiter({
+    requestsPerMinute: 60,
+    maxWait: 5000,
+  });
+
+  limiter.pause(RateLimiter.parseRetryAfter("120", 0));
+  assert.ok(limiter.getStatus().pausedUntil);
+  await assert.rejects(limiter.acquire(), (error) => {
+    assert.strictEqual(error.code, "RATE_LIMITED");
+    assert.strictEqual(error.retryAfter, 120000);
+    return true;
+  });
+
+  advance(118000);
+  await limiter.acquire();
+  assert.strictEqual(limiter.getStatus().pausedUntil, null);
+});
+
+test("parses Retry-After seconds and HTTP dates", () => {
+  const now = Date.parse("2026-10-19T09:00:00Z");
+  assert.strictEqual(RateLimiter.parseRetryAfter("30", now), 30000);
+  assert.strictEqual(
+    RateLimiter.parseRetryAfter("Mon, 19 Oct 2026 09:01:00 GMT", now),
+    60000
+  );
+  assert.strictEqual(RateLimiter.parseRetryAfter(undefined, now), null);
+  assert.strictEqual(RateLimiter.parseRetryAfter("soon", now), null);
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ResponseCache = require("../responseCache");
+
+const MINUTE = 60 * 1000;
+
+function createCache(options = {}) {
+  let now = Date.parse("2026-10-19T09:00:00Z");
+  const cache = new ResponseCache({
+    cacheFile: null,
+    ttls: { current: 10 * MINUTE, recent: 60 * MINUTE, historical: 1e10 },
+    now: () => now,
+    ...options,
+  });
+  return { cache, advance: (ms) => (now += ms) };
+}
+
+test("keys by provider, rounded coordinates and date range", () => {
+  const { cache } = createCache();
+  assert.strictEqual(
+    cache.key("open-meteo", -1.25000001, 36.875, "2026-10-01", "2026-10-05"),
+    "open-meteo:-1.2500,36.8750:2026-10-01:2026-10-05"
+  );
+});
+
+test("classifies daily data by the provider's publication delay", () => {
+  const { cache } = createCache();
+  assert.strictEqual(cache.dataTypeFor("2026-10-11", 7), "historical");
+  assert.strictEqual(cache.dataTypeFor("2026-10-12", 7), "recent");
+  assert.strictEqual(cache.dataTypeFor("2026-10-18", 0), "historical");
+  assert.strictEqual(cache.dataTypeFor("2026-10-19", 0), "recent");
+});
+
+test("expires entries after the TTL of their data type", () => {
+  const { cache, advance } = createCache();
+  cache.set("current", 1, "current");
+  cache.set("recent", 2, "recent");
+  cache.set("historical", 3, "historical");
+
+  advance(11 * MINUTE);
+  assert.strictEqual(cache.get("current"), undefined);
+  assert.strictEqual(cache.get("recent"), 2);
+
+  advance(60 * MINUTE);
+  assert.strictEqual(cache.get("recent"), undefined);
+  assert.strictEqual(cache.get("historical"), 3);
+});
+
+test("evicts the least recently used entry", () => {
+  const { cache } = createCache({ maxEntries: 2 });
+  cache.set("a", 1, "recent");
+  cache.set("b", 2, "recent");
+  cache.get("a");
+  cache.set("c", 3, "recent");
+
+  assert.strictEqual(cache.get("a"), 1);
+  assert.strictEqual(cache.get("b"), undefined);
+  assert.strictEqual(cache.get("c"), 3);
+  assert.strictEqual(cache.getStatus().evictions, 1);
+});
+
+test("makes one upstream call for concurrent requests", async () => {
+  const { cache } = createCache();
+  let calls = 0;
+  const fetcher = async () => {
+    calls++;
+    await new Promise((resolve) => setImmediate(resolve));
+    return { rainfall: 2.1 };
+  };
+
+  const results = await Promise.all([
+    cache.wrap("cell", "recent", fetcher),
+    cache.wrap("cell", "recent", fetcher),
+    cache.wrap("cell", "recent", fetcher),
+  ]);
+  await cache.wrap("cell", "recent", fetcher);
+
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(results[2], { rainfall: 2.1 });
+  const status = cache.getStatus();
+  assert.strictEqual(status.misses, 1);
+  assert.strictEqual(status.coalesced, 2);
+  assert.strictEqual(status.hits, 1);
+});
+
+test("does not cache failures", async () => {
+  const { cache } = createCache();
+  let calls = 0;
+  const failing = async () => {
+    calls++;
+    throw new Error("upstream down");
+  };
+
+  await assert.rejects(cache.wrap("cell", "recent", failing), /upstream down/);
+  await assert.rejects(cache.wrap("cell", "recent", failing), /upstream down/);
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(cache.getStatus().inflight, 0);
+});
+
+test("keeps only historical entries on disk across restarts", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "response-cache-"));
+  const cacheFile = path.join(dir, "cache.json");
+  const { cache } = createCache({ cacheFile });
+
+  cache.set("old", [1, 2], "historical");
+  cache.set("today", [3], "recent");
+
+  const reloaded = createCache({ cacheFile }).cache;
+  assert.deepStrictEqual(reloaded.get("old"), [1, 2]);
+  assert.strictEqual(reloaded.get("today"), undefined);
+});
@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { retry, isRetryableError } = require("../retry");
+
+// Errors shaped like the ones axios, Node and ethers throw
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers: {} };
+  return error;
+}
+function codeError(code, message = code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Clock that only moves when retry sleeps
+function retryOptions(options = {}) {
+  let now = 0;
+  const sleeps = [];
+  return {
+    sleeps,
+    options: {
+      baseDelay: 100,
+      maxDelay: 1000,
+      maxAttempts: 5,
+      deadline: 10000,
+      random: () => 1, // upper end of the jitter range
+      now: () => now,
+      sleep: async (ms) => {
+        sleeps.push(ms);
+        now += ms;
+      },
+      ...options,
+    },
+  };
+}
+
+test("classifies transient and permanent errors", () => {
+  assert.strictEqual(isRetryableError(httpError(503)), true);
+  assert.strictEqual(isRetryableError(httpError(408)), true);
+  assert.strictEqual(isRetryableError(codeError("ECONNRESET")), true);
+  assert.strictEqual(isRetryableError(codeError("ECONNABORTED")), true);
+  assert.strictEqual(
+    isRetryableError(codeError("UNKNOWN_ERROR", "header not found")),
+    true
+  );
+  assert.strictEqual(
+    isRetryableError(
+      Object.assign(codeError("SERVER_ERROR", "server response 502"), {
+        info: { responseStatus: "502 Bad Gateway" },
+      })
+    ),
+    true
+  );
+
+  assert.strictEqual(isRetryableError(httpError(400)), false);
+  assert.strictEqual(isRetryableError(httpError(401)), false);
+  assert.strictEqual(isRetryableError(httpError(429)), false);
+  assert.strictEqual(
+    isRetryableError(codeError("CALL_EXCEPTION", "execution reverted")),
+    false
+  );
+  assert.strictEqual(isRetryableError(codeError("CIRCUIT_OPEN")), false);
+  assert.strictEqual(isRetryableError(new Error("Invalid response")), false);
+});
+
+test("retries transient errors with exponential backoff", async () => {
+  const { options, sleeps } = retryOptions();
+  let calls = 0;
+
+  const result = await retry(async (attempt) => {
+    calls++;
+    if (attempt < 4) {
+      throw codeError("ETIMEDOUT");
+    }
+    return "ok";
+  }, options);
+
+  assert.strictEqual(result, "ok");
+  assert.strictEqual(calls, 4);
+  assert.deepStrictEqual(sleeps, [100, 200, 400]);
+});
+
+test("jitters each delay below the backoff ceiling", async () => {
+  const { options, sleeps } = retryOptions({ random: () => 0.5 });
+  await assert.rejects(
+    retry(async () => {
+      throw httpError(502);
+    }, options)
+  );
+
+  // 50% of 100, 200, 400, 800
+  assert.deepStrictEqual(sleeps, [50, 100, 200, 400]);
+});
+
+test("does not retry permanent errors", async () => {
+  const { options, sleeps } = retryOptions();
+  let calls = 0;
+
+  await assert.rejects(
+    retry(async () => {
+      calls++;
+      throw httpError(404);
+    }, options),
+    (error) => {
+      assert.strictEqual(error.retryable, false);
+      assert.strictEqual(error.attempts.length, 1);
+      assert.strictEqual(error.attempts[0].status, 404);
+      return true;
+    }
+  );
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(sleeps, []);
+});
+
+test("stops at the deadline and keeps the attempt history", async () => {
+  const { options, sleeps } = retryOptions({
+    deadline: 500,
+    maxAttempts: 10,
+  });
+
+  await assert.rejects(
+    retry(async () => {
+      throw codeError("ECONNRESET", "socket hang up");
+    }, options),
+    (error) => {
+      // 100 + 200 fit in 500ms, a further 400 would not
+      assert.strictEqual(error.attempts.length, 3);
+      assert.deepStrictEqual(
+        error.attempts.map((attempt) => attempt.delayMs),
+        [100, 200, null]
+      );
+      assert.ok(
+        error.attempts.every(
+          (attempt) => attempt.code === "ECONNRESET" && attempt.retryable
+        )
+      );
+      return true;
+    }
+  );
+  assert.deepStrictEqual(sleeps, [100, 200]);
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const WeatherAggregator = require("../weatherAggregator");
+
+// Rejected readings are logged on every aggregation
+test.mock.method(console, "warn", () => {});
+
+// Provider returning `reading` (an Error fails the request)
+const provider = (name, reading) => ({
+  name,
+  getWeatherData: async () => {
+    if (reading instanceof Error) {
+      throw reading;
+    }
+    return { rainfall24h: 1, temperature: 25, timestamp: 1000, ...reading };
+  },
+});
+
+test("takes the median of the sources that agree and rejects outliers", async () => {
+  const aggregator = new WeatherAggregator({ method: "median" });
+  const result = await aggregator.aggregate(-1.3, 36.8, [
+    provider("open-meteo", { rainfall30d: 40, timestamp: 2000 }),
+    provider("nasa-power", { rainfall30d: 42, timestamp: 1500 }),
+    provider("chirps", { rainfall30d: 90 }),
+  ]);
+
+  assert.strictEqual(result.rainfall30d, 41);
+  assert.strictEqual(result.temperature, 25);
+  assert.deepStrictEqual(result.fields.rainfall30d.sources, [
+    "open-meteo",
+    "nasa-power",
+  ]);
+  assert.deepStrictEqual(result.fields.rainfall30d.rejected, [
+    { source: "chirps", value: 90 },
+  ]);
+  assert.strictEqual(result.agreementScore, 0.89);
+  assert.strictEqual(result.timestamp, 1000);
+});
+
+test("drops the extremes before averaging with the trimmed mean", async () => {
+  const values = [40, 41, 44, 45, 50];
+  const providers = values.map((rainfall30d, index) =>
+    provider(`source-${index}`, { rainfall30d })
+  );
+
+  const trimmed = new WeatherAggregator({
+    method: "trimmed_mean",
+    trimPercent: 20,
+  });
+  const median = new WeatherAggregator({ method: "median" });
+
+  // 40 and 50 are within tolerance but trimmed: (41 + 44 + 45) / 3
+  assert.strictEqual(
+    (await trimmed.aggregate(0, 0, providers)).rainfall30d,
+    43.33
+  );
+  assert.strictEqual((await median.aggregate(0, 0, providers)).rainfall30d, 44);
+});
+
+test("rejects readings without a strict majority of agreeing sources", async () => {
+  const aggregator = new WeatherAggregator();
+
+  await assert.rejects(
+    aggregator.aggregate(0, 0, [
+      provider("open-meteo", { rainfall30d: 10 }),
+      provider("nasa-power", { rainfall30d: 40 }),
+      provider("chirps", new Error("timeout")),
+    ]),
+    /Weather sources disagree on rainfall30d: open-meteo=10, nasa-power=40/
+  );
+});
+
+test("requires the minimum number of responding sources", async () => {
+  const aggregator = new WeatherAggregator({ minSources: 2 });
+  const providers = [
+    provider("open-meteo", { rainfall30d: 40 }),
+    provider("nasa-power", new Error("timeout")),
+  ];
+
+  await assert.rejects(
+    aggregator.aggregate(0, 0, providers),
+    /Only 1 of 2 weather sources responded \(need 2\)/
+  );
+  assert.deepStrictEqual(
+    (await new WeatherAggregator().aggregate(0, 0, providers)).failedSources,
+    ["nasa-power"]
+  );
+});
+
+test("leaves incomplete fields out of the consensus", async () => {
+  const aggregator = new WeatherAggregator();
+  const result = await aggregator.aggregate(0, 0, [
+    provider("open-meteo", { rainfall30d: 40 }),
+    provider("chirps", {
+      rainfall30d: 3,
+      temperature: null,
+      incompleteFields: ["rainfall30d"],
+    }),
+  ]);
+
+  assert.strictEqual(result.rainfall30d, 40);
+  assert.deepStrictEqual(result.fields.rainfall30d.sources, ["open-meteo"]);
+  assert.deepStrictEqual(result.fields.rainfall24h.sources, [
+    "open-meteo",
+    "chirps",
+  ]);
+  assert.deepStrictEqual(result.fields.temperature.sources, ["open-meteo"]);
+});
+
+test("refuses unknown aggregation methods", () => {
+  assert.throws(
+    () => new WeatherAggregator({ method: "mean" }),
+    /Unknown aggregation method "mean"/
+  );
+});
@@ -0,0 +1,211 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const WeatherApiClient = require("../weatherApiClient");
+const currentFixture = require("./fixtures/weatherapi-current.json");
+const historyFixture = require("./fixtures/weatherapi-history.json");
+
+const NOW = new Date("2026-10-19T09:00:00Z");
+
+// Daily rainfall by days before NOW: 2mm on even days, 1mm on odd days
+function rainfallOn(dateStr) {
+  const daysAgo = Math.round(
+    (Date.parse(`2026-10-19`) - Date.parse(dateStr)) / 86400000
+  );
+  return daysAgo % 2 === 0 ? 2 : 1;
+}
+
+function createClient(options = {}, { failDates = [] } = {}) {
+  const requests = [];
+  const client = new WeatherApiClient({
+    apiKey: "test-key",
+    now: () => new Date(NOW),
+    historyRequestDelay: 0,
+    // Quota pacing has its own tests
+    rateLimit: { requestsPerMinute: null },
+    httpClient: {
+      get: async (url) => {
+        const parsed = new URL(url);
+        requests.push(parsed);
+        if (parsed.pathname.endsWith("/current.json")) {
+          return { data: currentFixture };
+        }
+
+        const dateStr = parsed.searchParams.get("dt");
+        if (failDates.includes(dateStr)) {
+          throw new Error("Request failed with status code 400");
+        }
+        const data = JSON.parse(JSON.stringify(historyFixture));
+        data.forecast.forecastday[0].date = dateStr;
+        data.forecast.forecastday[0].day.totalprecip_mm = rainfallOn(dateStr);
+        return { data };
+      },
+    },
+    ...options,
+  });
+  return { client, requests };
+}
+
+const historyDates = (requests) =>
+  requests
+    .filter((request) => request.pathname.endsWith("/history.json"))
+    .map((request) => request.searchParams.get("dt"));
+
+test("marks 30-day rainfall unavailable on plans with short history", async () => {
+  const { client, requests } = createClient();
+  const data = await client.getWeatherData(-1.2921, 36.8219);
+
+  // Only yesterday is needed for the 24-hour total
+  assert.deepStrictEqual(historyDates(requests), ["2026-10-18"]);
+  assert.strictEqual(data.rainfall30d, null);
+  assert.strictEqual(data.rainfall24h, 1);
+  assert.strictEqual(data.temperature, 24.3);
+  assert.deepStrictEqual(data.incompleteFields, ["rainfall30d"]);
+  assert.match(data.note, /limited to 7 days/);
+});
+
+test("counts each of the last 30 days exactly once", async () => {
+  const { client, requests } = createClient({ maxHistoryDays: 30 });
+  const data = await client.getWeatherData(-1.2921, 36.8219);
+
+  const dates = historyDates(requests);
+  assert.strictEqual(dates.length, 30);
+  assert.strictEqual(new Set(dates).size, 30);
+  assert.strictEqual(dates[0], "2026-10-18");
+  assert.strictEqual(dates[29], "2026-09-19");
+
+  // 15 days of 1mm and 15 days of 2mm, yesterday (1mm) counted once
+  assert.strictEqual(data.rainfall30d, 45);
+  assert.strictEqual(data.rainfall24h, 1);
+  assert.strictEqual(data.periodStart, "2026-09-19");
+  assert.strictEqual(data.periodEnd, "2026-10-18");
+  assert.strictEqual(data.coverageDays, 30);
+  assert.deepStrictEqual(data.incompleteFields, []);
+  assert.strictEqual(data.note, undefined);
+});
+
+test("fetches history in chunks of historyConcurrency", async () => {
+  const { client } = createClient({
+    maxHistoryDays: 30,
+    historyConcurrency: 4,
+  });
+
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const getHistoryDay = client.getHistoryDay.bind(client);
+  client.getHistoryDay = async (...args) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setImmediate(resolve));
+    try {
+      return await getHistoryDay(...args);
+    } finally {
+      inFlight--;
+    }
+  };
+
+  await client.getWeatherData(-1.2921, 36.8219);
+  assert.strictEqual(maxInFlight, 4);
+});
+
+test("reports partial coverage instead of a short 30-day total", async () => {
+  const { client } = createClient(
+    { maxHistoryDays: 30 },
+    { failDates: ["2026-10-01", "2026-10-02"] }
+  );
+  const data = await client.getWeatherData(-1.2921, 36.8219);
+
+  assert.strictEqual(data.rainfall30d, null);
+  assert.strictEqual(data.coverageDays, 28);
+  assert.deepStrictEqual(data.incompleteFields, ["rainfall30d"]);
+  assert.match(data.note, /covers 28 of 30 days/);
+  // Yesterday was fetched, so the 24-hour total is still usable
+  assert.strictEqual(data.rainfall24h, 1);
+});
+
+test("fails when no history day can be fetched", async () => {
+  const { client } = createClient({}, { failDates: ["2026-10-18"] });
+
+  await assert.rejects(
+    client.getWeatherData(-1.2921, 36.8219),
+    /WeatherAPI failed: No historical weather data/
+  );
+});
+
+// HTTP error shaped like an axios error
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+test("opens the circuit on an invalid key and stops calling the API", async () => {
+  const requests = [];
+  const client = new WeatherApiClient({
+    apiKey: "bad-key",
+    httpClient: {
+      get: async (url) => {
+        requests.push(url);
+        throw httpError(401);
+      },
+    },
+  });
+
+  await assert.rejects(client.getCurrentWeather(-1.2921, 36.8219), /401/);
+  await assert.rejects(
+    client.getCurrentWeather(-1.2921, 36.8219),
+    (error) => error.code === "CIRCUIT_OPEN"
+  );
+
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(client.isAvailable(), false);
+  assert.strictEqual(client.getInfo().circuitBreaker.state, "open");
+});
+
+test("waits out Retry-After instead of retrying a throttled API", async () => {
+  const requests = [];
+  const client = new WeatherApiClient({
+    apiKey: "test-key",
+    httpClient: {
+      get: async (url) => {
+        requests.push(url);
+        throw httpError(429, { "retry-after": "120" });
+      },
+    },
+  });
+
+  await assert.rejects(client.getCurrentWeather(-1.2921, 36.8219), /429/);
+  await assert.rejects(
+    client.getCurrentWeather(-1.2921, 36.8219),
+    (error) => error.code === "RATE_LIMITED"
+  );
+
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(client.isAvailable(), false);
+  // Throttling is not an outage
+  assert.strictEqual(client.getInfo().circuitBreaker.state, "closed");
+  assert.ok(client.getInfo().rateLimit.pausedUntil);
+});
+
+test("retries a timed-out request before giving up on the provider", async () => {
+  let calls = 0;
+  const client = new WeatherApiClient({
+    apiKey: "test-key",
+    retry: { baseDelay: 0 },
+    httpClient: {
+      get: async () => {
+        calls++;
+        if (calls === 1) {
+          const error = new Error("timeout of 10000ms exceeded");
+          error.code = "ECONNABORTED";
+          throw error;
+        }
+        return { data: currentFixture };
+      },
+    },
+  });
+
+  const data = await client.getCurrentWeather(-1.2921, 36.8219);
+  assert.strictEqual(data.current.temp_c, currentFixture.current.temp_c);
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(client.getInfo().circuitBreaker.failures, 0);
+});
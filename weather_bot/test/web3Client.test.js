@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { ethers } = require("ethers");
+const Web3Client = require("../web3Client");
+const NonceManager = require("../nonceManager");
+
+const gwei = (value) => ethers.parseUnits(String(value), "gwei");
+const WALLET = "0x00000000000000000000000000000000000000aa";
+
+// Each send logs several lines; enough output can garble the test runner's
+// report stream, so keep the client quiet
+test.mock.method(console, "log", () => {});
+test.mock.method(console, "warn", () => {});
+
+// Client whose node mines the hashes listed in `mined` (all others stay pending)
+function createClient({ feeData, mined = [] } = {}) {
+  const sent = [];
+  const provider = {
+    getFeeData: async () =>
+      feeData || {
+        maxFeePerGas: gwei(40),
+        maxPriorityFeePerGas: gwei(2),
+        gasPrice: null,
+      },
+    getTransactionReceipt: async (hash) =>
+      mined.includes(hash) ? { hash, status: 1 } : null,
+  };
+
+  const client = new Web3Client({});
+  client.provider = provider;
+  client.wallet = {
+    address: WALLET,
+    sendTransaction: async (request) => {
+      sent.push(request);
+      return { hash: `0x${sent.length}`, nonce: request.nonce };
+    },
+  };
+  client.nonceManager = new NonceManager(provider, WALLET);
+  client.nonceManager.nextNonce = 7;
+  client.confirmationTimeout = 5;
+  client.receiptPollInterval = 1;
+  client.maxReplacements = 2;
+  client.feeBumpPercent = 25;
+  client.maxFeePerGasCeiling = gwei(100);
+
+  return { client, sent };
+}
+
+const request = {
+  to: "0x00000000000000000000000000000000000000bb",
+  data: "0x",
+};
+
+test("replaces a stuck transaction with bumped fees on the same nonce", async () => {
+  const { client, sent } = createClient({ mined: ["0x2"] });
+  const result = await client.sendTransaction(request);
+
+  assert.strictEqual(result.receipt.hash, "0x2");
+  assert.strictEqual(result.originalTxHash, "0x1");
+  assert.strictEqual(result.replacements, 1);
+  assert.deepStrictEqual(
+    sent.map((tx) => tx.nonce),
+    [7, 7]
+  );
+  assert.strictEqual(sent[1].maxFeePerGas, gwei(50));
+  assert.strictEqual(sent[1].maxPriorityFeePerGas, gwei(2.5));
+  assert.strictEqual(client.nonceManager.inFlight.size, 0);
+});
+
+test("caps bumped fees at the ceiling and stops once a bump is too small", () => {
+  const { client } = createClient();
+
+  assert.deepStrictEqual(
+    client.bumpFees({ maxFeePerGas: gwei(90), maxPriorityFeePerGas: gwei(90) }),
+    { maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(100) }
+  );
+  // 95 -> 100 gwei is less than the 10% nodes require for a replacement
+  assert.strictEqual(
+    client.bumpFees({ maxFeePerGas: gwei(95), maxPriorityFeePerGas: gwei(2) }),
+    null
+  );
+});
+
+test("caps the priority fee with the max fee on the first send", async () => {
+  const { client } = createClient({
+    feeData: {
+      maxFeePerGas: gwei(300),
+      maxPriorityFeePerGas: gwei(150),
+      gasPrice: null,
+    },
+  });
+
+  assert.deepStrictEqual(await client.getInitialFees(), {
+    maxFeePerGas: gwei(100),
+    maxPriorityFeePerGas: gwei(100),
+  });
+});
+
+test("cancels the nonce once replacements run out", async () => {
+  const { client, sent } = createClient({ mined: ["0x4"] });
+
+  await assert.rejects(client.sendTransaction(request), (error) => {
+    assert.match(error.message, /was cancelled by 0x4/);
+    assert.deepStrictEqual(error.txHashes, ["0x1", "0x2", "0x3"]);
+    assert.strictEqual(error.cancelTxHash, "0x4");
+    return true;
+  });
+
+  const cancel = sent[3];
+  assert.strictEqual(cancel.to, WALLET);
+  assert.strictEqual(cancel.value, 0n);
+  assert.strictEqual(cancel.nonce, 7);
+  assert.ok(cancel.maxFeePerGas > sent[2].maxFeePerGas);
+});
+
+test("gives up when the cancellation is stuck too", async () => {
+  const { client } = createClient();
+
+  await assert.rejects(client.sendTransaction(request), (error) => {
+    assert.strictEqual(error.nonce, 7);
+    assert.match(error.message, /Nonce 7 is still pending/);
+    assert.match(error.message, /0x1, 0x2, 0x3, 0x4/);
+    return true;
+  });
+  assert.strictEqual(client.nonceManager.inFlight.size, 0);
+});
@@ -0,0 +1,238 @@
+// Fields that are aggregated across sources, with the smallest disagreement
+// that is never treated as an outlier (sources round and sample differently)
+const FIELDS = {
+  rainfall30d: { absoluteTolerance: 5 }, // mm
+  rainfall24h: { absoluteTolerance: 2 }, // mm
+  temperature: { absoluteTolerance: 2 }, // °C
+};
+
+const METHODS = ["median", "trimmed_mean"];
+
+class WeatherAggregator {
+  /**
+   * Combines readings from several weather providers into one consensus value
+   * @param {Object} options - Aggregation configuration overrides
+   */
+  constructor(options = {}) {
+    this.method = options.method || process.env.AGGREGATION_METHOD || "median";
+    if (!METHODS.includes(this.method)) {
+      throw new Error(
+        `Unknown aggregation method "${this.method}" (expected ${METHODS.join(
+          " or "
+        )})`
+      );
+    }
+
+    // Values further than this from the median are rejected as outliers
+    this.tolerancePercent =
+      options.tolerancePercent !== undefined
+        ? options.tolerancePercent
+        : parseFloat(process.env.AGGREGATION_TOLERANCE_PERCENT) || 25;
+    // Share of values dropped from each end by the trimmed mean
+    this.trimPercent =
+      options.trimPercent !== undefined
+        ? options.trimPercent
+        : parseFloat(process.env.AGGREGATION_TRIM_PERCENT) || 20;
+    // Providers that must respond before anything is aggregated
+    this.minSources =
+      options.minSources || parseInt(process.env.AGGREGATION_MIN_SOURCES) || 1;
+  }
+
+  /**
+   * Query every provider in parallel and aggregate their readings
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Array} providers - WeatherProvider instances
+   * @param {number} timestamp - Optional past time (unix seconds) to rebuild the readings for from daily history
+   * @returns {Object} Aggregated weather data with agreement details
+   */
+  async aggregate(lat, lon, providers, timestamp) {
+    const settled = await Promise.allSettled(
+      providers.map((provider) =>
+        timestamp === undefined
+          ? provider.getWeatherData(lat, lon)
+          : provider.getWeatherDataAt(lat, lon, timestamp)
+      )
+    );
+
+    const readings = [];
+    const failures = [];
+    settled.forEach((outcome, index) => {
+      const name = providers[index].name;
+      if (outcome.status === "fulfilled") {
+        readings.push(this.normalize(name, outcome.value));
+      } else {
+        failures.push({ source: name, error: outcome.reason.message });
+      }
+    });
+
+    failures.forEach((failure) =>
+      console.warn(`⚠️  ${failure.source} failed: ${failure.error}`)
+    );
+
+    if (readings.length < this.minSources) {
+      throw new Error(
+        `Only ${readings.length} of ${providers.length} weather sources responded (need ${this.minSources})`
+      );
+    }
+
+    return this.combine(readings, failures);
+  }
+
+  /**
+   * Convert a provider reading into plain numbers, marking missing fields
+   * @param {string} source - Provider name
+   * @param {Object} weatherData - Provider reading
+   * @returns {Object} Normalized reading
+   */
+  normalize(source, weatherData) {
+    const incomplete = weatherData.incompleteFields || [];
+    const values = {};
+
+    for (const field of Object.keys(FIELDS)) {
+      const value = Number(weatherData[field]);
+      values[field] =
+        weatherData[field] === null ||
+        weatherData[field] === undefined ||
+        incomplete.includes(field) ||
+        !Number.isFinite(value)
+          ? null
+          : value;
+    }
+
+    return {
+      source,
+      values,
+      timestamp: Number(weatherData.timestamp) || Date.now(),
+    };
+  }
+
+  /**
+   * Build the consensus reading from normalized provider readings
+   * @param {Array} readings - Normalized readings
+   * @param {Array} failures - Providers that did not respond
+   * @returns {Object} Aggregated weather data
+   */
+  combine(readings, failures = []) {
+    const result = {};
+    const fields = {};
+    let kept = 0;
+    let total = 0;
+
+    for (const field of Object.keys(FIELDS)) {
+      const samples = readings
+        .filter((reading) => reading.values[field] !== null)
+        .map((reading) => ({
+          source: reading.source,
+          value: reading.values[field],
+        }));
+
+      if (samples.length === 0) {
+        throw new Error(`No weather source reported ${field}`);
+      }
+
+      const center = this.median(samples.map((sample) => sample.value));
+      const tolerance = Math.max(
+        FIELDS[field].absoluteTolerance,
+        (Math.abs(center) * this.tolerancePercent) / 100
+      );
+
+      const inliers = samples.filter(
+        (sample) => Math.abs(sample.value - center) <= tolerance
+      );
+      const outliers = samples.filter((sample) => !inliers.includes(sample));
+
+      // Without a strict majority there is no way to tell which source is wrong
+      if (inliers.length * 2 <= samples.length) {
+        throw new Error(
+          `Weather sources disagree on ${field}: ${samples
+            .map((sample) => `${sample.source}=${sample.value}`)
+            .join(", ")}`
+        );
+      }
+
+      outliers.forEach((outlier) =>
+        console.warn(
+          `⚠️  Rejected ${field} from ${outlier.source}: ${outlier.value} (consensus ${center} ± ${tolerance})`
+        )
+      );
+
+      const values = inliers.map((sample) => sample.value);
+      const value =
+        this.method === "trimmed_mean"
+          ? this.trimmedMean(values)
+          : this.median(values);
+
+      result[field] = Math.round(value * 100) / 100; // 2 decimals, like the providers
+      fields[field] = {
+        sources: inliers.map((sample) => sample.source),
+        rejected: outliers,
+        agreement: inliers.length / samples.length,
+      };
+      kept += inliers.length;
+      total += samples.length;
+    }
+
+    const contributing = readings.filter((reading) =>
+      Object.values(fields).some((field) =>
+        field.sources.includes(reading.source)
+      )
+    );
+
+    return {
+      ...result,
+      // The reading is only as recent as its oldest contributor
+      timestamp: Math.min(...contributing.map((reading) => reading.timestamp)),
+      source: "aggregate",
+      sources: contributing.map((reading) => reading.source),
+      failedSources: failures.map((failure) => failure.source),
+      agreementScore: Math.round((kept / total) * 100) / 100,
+      method: this.method,
+      fields,
+    };
+  }
+
+  /**
+   * Median of a list of numbers
+   * @param {Array} values - Numbers
+   * @returns {number} Median
+   */
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+      ? (sorted[middle - 1] + sorted[middle]) / 2
+      : sorted[middle];
+  }
+
+  /**
+   * Mean after dropping `trimPercent` of the values from each end
+   * @param {Array} values - Numbers
+   * @returns {number} Trimmed mean
+   */
+  trimmedMean(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    // Always keep at least the middle value
+    const trim = Math.min(
+      Math.floor((sorted.length * this.trimPercent) / 100),
+      Math.floor((sorted.length - 1) / 2)
+    );
+    const kept = sorted.slice(trim, sorted.length - trim);
+    return kept.reduce((sum, value) => sum + value, 0) / kept.length;
+  }
+
+  /**
+   * Get aggregation settings for monitoring endpoints
+   * @returns {Object} Aggregator configuration
+   */
+  getStatus() {
+    return {
+      method: this.method,
+      tolerancePercent: this.tolerancePercent,
+      trimPercent: this.trimPercent,
+      minSources: this.minSources,
+    };
+  }
+}
+
+module.exports = WeatherAggregator;
@@ -1,9 +1,43 @@
 const axios = require("axios");
+const WeatherProvider = require("./weatherProvider");
 
-class WeatherApiClient {
-  constructor() {
-    this.baseUrl = "http://api.weatherapi.com/v1";
-    this.apiKey = process.env.WEATHER_API_KEY;
+class WeatherApiClient extends WeatherProvider {
+  /**
+   * WeatherAPI.com current conditions and history (requires API key)
+   * @param {Object} options - Provider settings from the registry
+   */
+  constructor(options = {}) {
+    super(
+      "weatherapi",
+      {
+        // History available on the account's plan (7 days on the free tier)
+        maxHistoryDays:
+          options.maxHistoryDays ||
+          parseInt(process.env.WEATHERAPI_HISTORY_DAYS) ||
+          7,
+        // History ends with yesterday's complete day
+        maxLagDays: 1,
+        requiresApiKey: true,
+        // Per-minute cap; set it to your plan's rate (the free tier's 1M calls
+        // a month average about 23 a minute)
+        requestsPerMinute:
+          parseInt(process.env.WEATHERAPI_REQUESTS_PER_MINUTE) || 60,
+      },
+      options
+    );
+    this.baseUrl = options.baseUrl || "http://api.weatherapi.com/v1";
+    this.apiKey = options.apiKey || process.env.WEATHER_API_KEY;
+    // History is one request per day, so 30 days are fetched in small chunks
+    this.historyConcurrency =
+      options.historyConcurrency ||
+      parseInt(process.env.WEATHERAPI_HISTORY_CONCURRENCY) ||
+      5;
+    this.historyRequestDelay =
+      options.historyRequestDelay !== undefined
+        ? options.historyRequestDelay
+        : parseInt(process.env.WEATHERAPI_HISTORY_DELAY_MS) || 1000; // between chunks
+    this.httpClient = options.httpClient || axios;
+    this.now = options.now || (() => new Date());
 
     if (!this.apiKey) {
       console.warn("⚠️  WEATHER_API_KEY not found in environment variables");
@@ -24,10 +58,13 @@ class WeatherApiClient {
     try {
       console.log(`Fetching weather data from WeatherAPI: ${lat}, ${lon}`);
 
-      // Get current weather and 7-day history (free tier limitation)
+      // A plan that cannot reach 30 days back only needs yesterday for the
+      // 24-hour total; paging part of the window would just burn quota
+      const historyDays = this.hasFullHistory() ? 30 : 1;
+
       const [currentData, historyData] = await Promise.all([
         this.getCurrentWeather(lat, lon),
-        this.getHistoricalData(lat, lon, 7), // Limited to 7 days on free tier
+        this.getHistoricalData(lat, lon, historyDays),
       ]);
 
       return this.processWeatherData(currentData, historyData);
@@ -37,6 +74,17 @@ class WeatherApiClient {
     }
   }
 
+  /**
+   * Check whether the configured plan can cover the 30-day rainfall window
+   * @returns {boolean} True if 30 days of history are available
+   */
+  hasFullHistory() {
+    return (
+      this.capabilities.maxHistoryDays === null ||
+      this.capabilities.maxHistoryDays >= 30
+    );
+  }
+
   /**
    * Get current weather conditions
    * @param {number} lat - Latitude
@@ -44,41 +92,98 @@ class WeatherApiClient {
    * @returns {Object} Current weather data
    */
   async getCurrentWeather(lat, lon) {
-    const url = `${this.baseUrl}/current.json?key=${this.apiKey}&q=${lat},${lon}&aqi=no`;
+    return this.cached([lat, lon, "current"], "current", async () => {
+      const url = `${this.baseUrl}/current.json?key=${this.apiKey}&q=${lat},${lon}&aqi=no`;
 
-    const response = await axios.get(url, {
-      timeout: 10000,
-    });
+      const response = await this.httpGet(url, {
+        timeout: 10000,
+      });
 
-    if (!response.data || !response.data.current) {
-      throw new Error("Invalid current weather response from WeatherAPI");
-    }
+      if (!response.data || !response.data.current) {
+        throw new Error("Invalid current weather response from WeatherAPI");
+      }
 
-    return response.data;
+      return response.data;
+    });
   }
 
   /**
-   * Get historical weather data for the last N days
+   * Get historical weather data for the last N complete days. Days are
+   * requested `historyConcurrency` at a time with `historyRequestDelay`
+   * between chunks; days that fail are left out and show up as missing
+   * coverage instead of failing the whole reading.
    * @param {number} lat - Latitude
    * @param {number} lon - Longitude
-   * @param {number} days - Number of days to fetch (max 7 on free tier)
-   * @returns {Array} Historical weather data
+   * @param {number} days - Number of days to fetch, ending yesterday
+   * @returns {Array} Historical weather responses, most recent first
    */
   async getHistoricalData(lat, lon, days = 7) {
-    const historyPromises = [];
-
+    const dates = [];
     for (let i = 1; i <= days; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toISOString().split("T")[0];
+      const date = this.now();
+      date.setUTCDate(date.getUTCDate() - i);
+      dates.push(date.toISOString().split("T")[0]);
+    }
 
-      const url = `${this.baseUrl}/history.json?key=${this.apiKey}&q=${lat},${lon}&dt=${dateStr}`;
-      historyPromises.push(axios.get(url, { timeout: 10000 }));
+    const history = [];
+    const errors = [];
+    for (let i = 0; i < dates.length; i += this.historyConcurrency) {
+      if (i > 0 && this.historyRequestDelay > 0) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, this.historyRequestDelay)
+        );
+      }
+
+      const chunk = dates.slice(i, i + this.historyConcurrency);
+      const settled = await Promise.allSettled(
+        chunk.map((dateStr) => this.getHistoryDay(lat, lon, dateStr))
+      );
+
+      settled.forEach((outcome, index) => {
+        if (outcome.status === "fulfilled") {
+          history.push(outcome.value);
+        } else {
+          errors.push(`${chunk[index]}: ${outcome.reason.message}`);
+        }
+      });
+    }
+
+    if (history.length === 0) {
+      throw new Error(`No historical weather data: ${errors.join(", ")}`);
     }
+    if (errors.length > 0) {
+      console.warn(
+        `⚠️  WeatherAPI history missing ${errors.length} of ${
+          dates.length
+        } days: ${errors.join(", ")}`
+      );
+    }
+
+    return history;
+  }
+
+  /**
+   * Get the history response for a single day
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} dateStr - Day as YYYY-MM-DD
+   * @returns {Object} Historical weather response
+   */
+  async getHistoryDay(lat, lon, dateStr) {
+    // Days older than the history lag no longer change
+    const type = this.cache
+      ? this.cache.dataTypeFor(dateStr, this.capabilities.maxLagDays)
+      : null;
+
+    return this.cached([lat, lon, dateStr, dateStr], type, async () => {
+      const url = `${this.baseUrl}/history.json?key=${this.apiKey}&q=${lat},${lon}&dt=${dateStr}`;
+      const response = await this.httpGet(url, { timeout: 10000 });
 
-    const responses = await Promise.all(historyPromises);
-    return responses.map((response) => {
-      if (!response.data || !response.data.forecast) {
+      if (
+        !response.data ||
+        !response.data.forecast ||
+        !response.data.forecast.forecastday[0]
+      ) {
         throw new Error("Invalid historical weather response from WeatherAPI");
       }
       return response.data;
@@ -95,35 +200,39 @@ class WeatherApiClient {
     // Get current temperature
     const temperature = currentData.current.temp_c;
 
-    // Calculate 24-hour rainfall (yesterday's data)
-    let rainfall24h = 0;
-    if (historyData.length > 0 && historyData[0].forecast.forecastday[0]) {
-      rainfall24h =
-        historyData[0].forecast.forecastday[0].day.totalprecip_mm || 0;
-    }
-
-    // Calculate rainfall from available history (limited to 7 days on free tier)
-    let rainfall30d = rainfall24h; // Start with 24h data
-
-    historyData.forEach((dayData) => {
-      if (dayData.forecast.forecastday[0]) {
-        const dayRainfall =
-          dayData.forecast.forecastday[0].day.totalprecip_mm || 0;
-        rainfall30d += dayRainfall;
-      }
+    const days = historyData.map((dayData) => {
+      const forecastDay = dayData.forecast.forecastday[0];
+      return {
+        date: forecastDay.date,
+        value: forecastDay.day.totalprecip_mm,
+      };
     });
+    const rainfall = this.summarizeDailyRainfall(days, this.now());
 
-    // Note: WeatherAPI free tier only provides 7 days of history
-    // For 30-day data, we'd need a paid plan or use Open-Meteo as primary
+    const extra = {
+      incompleteFields: rainfall.incompleteFields,
+      periodStart: rainfall.periodStart,
+      periodEnd: rainfall.periodEnd,
+      coverageDays: rainfall.coverageDays,
+    };
 
-    const weatherData = {
-      rainfall30d: Math.round(rainfall30d * 100) / 100, // Limited to ~7 days
-      rainfall24h: Math.round(rainfall24h * 100) / 100,
-      temperature: Math.round(temperature * 100) / 100,
-      timestamp: Date.now(),
-      source: "weatherapi",
-      note: "30-day rainfall limited to 7 days on free tier",
+    // Never report a shorter sum as the 30-day total (or an older day as the
+    // last 24 hours): incomplete fields are unavailable, so fallback
+    // validation rejects the reading and aggregation leaves them out
+    const values = {
+      rainfall30d: rainfall.rainfall30d,
+      rainfall24h: rainfall.rainfall24h,
+      temperature,
     };
+    rainfall.incompleteFields.forEach((field) => (values[field] = null));
+
+    if (!this.hasFullHistory()) {
+      extra.note = `30-day rainfall unavailable: plan history is limited to ${this.capabilities.maxHistoryDays} days`;
+    } else if (values.rainfall30d === null) {
+      extra.note = `30-day rainfall unavailable: history covers ${rainfall.coverageDays} of 30 days`;
+    }
+
+    const weatherData = this.createReading(values, extra);
 
     console.log("Processed WeatherAPI data:", weatherData);
     return weatherData;
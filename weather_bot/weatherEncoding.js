@@ -0,0 +1,222 @@
+/**
+ * Fixed-point encoding shared by the bot and the contracts.
+ * Must match contract/contracts/libraries/WeatherUnits.sol.
+ */
+const RAINFALL_SCALE = 1000; // rainfall stored in 0.001 mm
+const TEMPERATURE_SCALE = 1000; // temperature stored in signed 0.001 °C
+const COORDINATE_SCALE = 10000; // coordinates stored in 0.0001 degrees
+
+// Bounds enforced by WeatherOracle (already scaled)
+const MAX_RAINFALL_30D = 10000 * RAINFALL_SCALE; // 10 meters in 30 days
+const MAX_RAINFALL_24H = 1000 * RAINFALL_SCALE; // 1 meter in 24 hours
+const MAX_TEMPERATURE = 100 * TEMPERATURE_SCALE; // 100°C
+const MIN_TEMPERATURE = -100 * TEMPERATURE_SCALE; // -100°C
+
+// EIP-712 signed observations, verified by WeatherOracle.submitSignedWeatherData
+const ATTESTATION_DOMAIN_NAME = "RadiShield WeatherOracle";
+const ATTESTATION_DOMAIN_VERSION = "1";
+const WEATHER_ATTESTATION_TYPES = {
+  WeatherAttestation: [
+    { name: "latitude", type: "int256" },
+    { name: "longitude", type: "int256" },
+    { name: "rainfall30d", type: "uint256" },
+    { name: "rainfall24h", type: "uint256" },
+    { name: "temperature", type: "int256" },
+    { name: "observedAt", type: "uint256" },
+    { name: "source", type: "string" },
+  ],
+};
+
+/**
+ * Scale a GPS coordinate for the contracts
+ * @param {number} value - Coordinate in degrees
+ * @returns {number} Coordinate in 0.0001 degrees
+ */
+function encodeCoordinate(value) {
+  return Math.round(value * COORDINATE_SCALE);
+}
+
+/**
+ * Convert a scaled contract coordinate back to degrees
+ * @param {number|bigint} value - Coordinate in 0.0001 degrees
+ * @returns {number} Coordinate in degrees
+ */
+function decodeCoordinate(value) {
+  return Number(value) / COORDINATE_SCALE;
+}
+
+/**
+ * Snap a scaled coordinate to the south-west corner of its grid cell.
+ * Mirrors WeatherOracle.snapToGrid (rounds towards negative infinity).
+ * @param {number} scaledValue - Coordinate in 0.0001 degrees
+ * @param {number} resolution - Grid cell size in 0.0001 degrees
+ * @returns {number} Cell corner in 0.0001 degrees
+ */
+function snapCoordinate(scaledValue, resolution = 1) {
+  return Math.floor(scaledValue / resolution) * resolution;
+}
+
+/**
+ * Encode validated weather data into the contract's WeatherData struct
+ * @param {Object} weatherData - Weather data in mm and °C
+ * @returns {Object} Contract weather data
+ */
+function encodeWeatherData(weatherData) {
+  const encoded = {
+    rainfall30d: Math.round(weatherData.rainfall30d * RAINFALL_SCALE),
+    rainfall24h: Math.round(weatherData.rainfall24h * RAINFALL_SCALE),
+    temperature: Math.round(weatherData.temperature * TEMPERATURE_SCALE),
+    timestamp: Math.floor(Date.now() / 1000), // Current timestamp
+    isValid: true,
+  };
+
+  if (encoded.rainfall30d < 0 || encoded.rainfall30d > MAX_RAINFALL_30D) {
+    throw new Error(
+      `30-day rainfall ${weatherData.rainfall30d}mm cannot be encoded`
+    );
+  }
+  if (encoded.rainfall24h < 0 || encoded.rainfall24h > MAX_RAINFALL_24H) {
+    throw new Error(
+      `24-hour rainfall ${weatherData.rainfall24h}mm cannot be encoded`
+    );
+  }
+  if (
+    encoded.temperature < MIN_TEMPERATURE ||
+    encoded.temperature > MAX_TEMPERATURE
+  ) {
+    throw new Error(
+      `Temperature ${weatherData.temperature}°C cannot be encoded`
+    );
+  }
+
+  return encoded;
+}
+
+/**
+ * Encode validated weather data into the contract's WeatherAttestation struct
+ * @param {number} scaledLatitude - Latitude in 0.0001 degrees
+ * @param {number} scaledLongitude - Longitude in 0.0001 degrees
+ * @param {Object} weatherData - Weather data in mm and °C, with timestamp (milliseconds) and source
+ * @returns {Object} Contract weather attestation
+ */
+function encodeWeatherAttestation(
+  scaledLatitude,
+  scaledLongitude,
+  weatherData
+) {
+  const encoded = encodeWeatherData(weatherData);
+  return {
+    latitude: scaledLatitude,
+    longitude: scaledLongitude,
+    rainfall30d: encoded.rainfall30d,
+    rainfall24h: encoded.rainfall24h,
+    temperature: encoded.temperature,
+    observedAt: Math.floor((weatherData.timestamp || Date.now()) / 1000),
+    source: weatherData.source || "unknown",
+  };
+}
+
+/**
+ * Build the EIP-712 domain of a WeatherOracle deployment
+ * @param {number|bigint} chainId - Chain ID
+ * @param {string} verifyingContract - WeatherOracle address
+ * @returns {Object} Typed data domain
+ */
+function getAttestationDomain(chainId, verifyingContract) {
+  return {
+    name: ATTESTATION_DOMAIN_NAME,
+    version: ATTESTATION_DOMAIN_VERSION,
+    chainId,
+    verifyingContract,
+  };
+}
+
+/**
+ * Decode a contract WeatherData struct into mm and °C
+ * @param {Object} data - Contract weather data
+ * @returns {Object} Weather data in mm and °C
+ */
+function decodeWeatherData(data) {
+  return {
+    rainfall30d: Number(data.rainfall30d) / RAINFALL_SCALE,
+    rainfall24h: Number(data.rainfall24h) / RAINFALL_SCALE,
+    temperature: Number(data.temperature) / TEMPERATURE_SCALE,
+    timestamp: Number(data.timestamp),
+    isValid: data.isValid,
+  };
+}
+
+/**
+ * Encode weather over a policy's period into RadiShield's PolicyWeather struct
+ * @param {Object} policyWeather - periodStart/periodEnd (unix seconds), totalRainfall and maxRainfall24h (mm), maxTemperature (°C)
+ * @returns {Object} Contract policy weather
+ */
+function encodePolicyWeather(policyWeather) {
+  const encoded = {
+    periodStart: policyWeather.periodStart,
+    periodEnd: policyWeather.periodEnd,
+    totalRainfall: Math.round(policyWeather.totalRainfall * RAINFALL_SCALE),
+    maxRainfall24h: Math.round(policyWeather.maxRainfall24h * RAINFALL_SCALE),
+    maxTemperature: Math.round(
+      policyWeather.maxTemperature * TEMPERATURE_SCALE
+    ),
+    timestamp: 0, // set by the contract
+  };
+
+  if (encoded.totalRainfall < 0) {
+    throw new Error(
+      `Total rainfall ${policyWeather.totalRainfall}mm cannot be encoded`
+    );
+  }
+  if (encoded.maxRainfall24h < 0 || encoded.maxRainfall24h > MAX_RAINFALL_24H) {
+    throw new Error(
+      `Daily rainfall ${policyWeather.maxRainfall24h}mm cannot be encoded`
+    );
+  }
+  if (
+    encoded.maxTemperature < MIN_TEMPERATURE ||
+    encoded.maxTemperature > MAX_TEMPERATURE
+  ) {
+    throw new Error(
+      `Temperature ${policyWeather.maxTemperature}°C cannot be encoded`
+    );
+  }
+
+  return encoded;
+}
+
+/**
+ * Decode a contract PolicyWeather struct into mm and °C
+ * @param {Object} data - Contract policy weather
+ * @returns {Object} Policy weather in mm and °C
+ */
+function decodePolicyWeather(data) {
+  return {
+    periodStart: Number(data.periodStart),
+    periodEnd: Number(data.periodEnd),
+    totalRainfall: Number(data.totalRainfall) / RAINFALL_SCALE,
+    maxRainfall24h: Number(data.maxRainfall24h) / RAINFALL_SCALE,
+    maxTemperature: Number(data.maxTemperature) / TEMPERATURE_SCALE,
+    timestamp: Number(data.timestamp),
+  };
+}
+
+module.exports = {
+  RAINFALL_SCALE,
+  TEMPERATURE_SCALE,
+  COORDINATE_SCALE,
+  MAX_RAINFALL_30D,
+  MAX_RAINFALL_24H,
+  MAX_TEMPERATURE,
+  MIN_TEMPERATURE,
+  WEATHER_ATTESTATION_TYPES,
+  encodeCoordinate,
+  decodeCoordinate,
+  snapCoordinate,
+  encodeWeatherData,
+  decodeWeatherData,
+  encodeWeatherAttestation,
+  getAttestationDomain,
+  encodePolicyWeather,
+  decodePolicyWeather,
+};
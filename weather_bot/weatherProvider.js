@@ -0,0 +1,372 @@
+/**
+ * Base class for weather data providers.
+ *
+ * Providers return readings as { rainfall30d, rainfall24h, temperature,
+ * timestamp, source } in mm and °C. Fields a provider cannot fully cover are
+ * listed in `incompleteFields` so aggregation can leave them out.
+ */
+const CircuitBreaker = require("./circuitBreaker");
+const RateLimiter = require("./rateLimiter");
+const { retry } = require("./retry");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WeatherProvider {
+  /**
+   * @param {string} name - Provider name used in configuration and results
+   * @param {Object} capabilities - What the provider can deliver
+   * @param {number|null} capabilities.maxHistoryDays - Days of daily history available (null for unlimited)
+   * @param {number} capabilities.maxLagDays - Publication delay of daily data that is still accepted
+   * @param {boolean} capabilities.requiresApiKey - Whether an API key is needed
+   * @param {boolean} capabilities.dailySeries - Whether getDailySeries can return arbitrary date ranges
+   * @param {number|null} capabilities.requestsPerMinute - Request quota (null for unlimited)
+   * @param {Object} options - Provider-specific settings from the registry
+   */
+  constructor(name, capabilities = {}, options = {}) {
+    this.name = name;
+    this.capabilities = {
+      maxHistoryDays: 30,
+      maxLagDays: 0,
+      requiresApiKey: false,
+      dailySeries: false,
+      requestsPerMinute: null,
+      ...capabilities,
+    };
+    // Quota of the account in use, e.g. { "requestsPerMinute": 30 } in WEATHER_PROVIDERS
+    if (options.requestsPerMinute) {
+      this.capabilities.requestsPerMinute = options.requestsPerMinute;
+    }
+    this.options = options;
+    this.apiKey = options.apiKey || null;
+    // Optional ResponseCache shared by all providers
+    this.cache = options.cache || null;
+
+    this.circuitBreaker = new CircuitBreaker(options.circuitBreaker);
+    this.rateLimiter = new RateLimiter({
+      requestsPerMinute: this.capabilities.requestsPerMinute,
+      ...options.rateLimit,
+    });
+  }
+
+  /**
+   * Fetch weather data for a location
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Object} Weather reading
+   */
+  async getWeatherData(lat, lon) {
+    throw new Error(`${this.name} does not implement getWeatherData`);
+  }
+
+  /**
+   * Fetch daily values for a date range (providers with the dailySeries capability)
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {Array} Published days as { date, rainfall, temperatureMax }, oldest first
+   */
+  async getDailySeries(lat, lon, startDate, endDate) {
+    throw new Error(`${this.name} does not provide daily history`);
+  }
+
+  /**
+   * Rebuild the reading this provider would have reported at a past time
+   * from daily history: 30 days ending at the latest day published by then
+   * (whole days before it only), that day's total as 24-hour rainfall and its
+   * maximum temperature
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} timestamp - Time of the reading (unix seconds)
+   * @returns {Object} Weather reading, timestamped at `timestamp`
+   */
+  async getWeatherDataAt(lat, lon, timestamp) {
+    if (!this.capabilities.dailySeries) {
+      throw new Error(`${this.name} does not provide daily history`);
+    }
+
+    const at = new Date(timestamp * 1000);
+    const endTime =
+      Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate()) - DAY_MS;
+    const startTime = endTime - (29 + this.capabilities.maxLagDays) * DAY_MS;
+    const toDate = (time) => new Date(time).toISOString().split("T")[0];
+
+    const days = await this.getDailySeries(
+      lat,
+      lon,
+      toDate(startTime),
+      toDate(endTime)
+    );
+    const rainfall = this.summarizeDailyRainfall(
+      days.map((day) => ({ date: day.date, value: day.rainfall })),
+      at
+    );
+
+    const latest = days.find((day) => day.date === rainfall.periodEnd);
+    const temperature =
+      latest.temperatureMax !== null && latest.temperatureMax !== undefined
+        ? latest.temperatureMax
+        : null;
+
+    return this.createReading(
+      {
+        rainfall30d: rainfall.rainfall30d,
+        rainfall24h: rainfall.rainfall24h,
+        temperature,
+      },
+      {
+        timestamp: timestamp * 1000,
+        incompleteFields:
+          temperature === null
+            ? [...rainfall.incompleteFields, "temperature"]
+            : rainfall.incompleteFields,
+        periodStart: rainfall.periodStart,
+        periodEnd: rainfall.periodEnd,
+        coverageDays: rainfall.coverageDays,
+      }
+    );
+  }
+
+  /**
+   * Make an upstream call through the response cache, if one is configured
+   * @param {Array} keyParts - Latitude, longitude and the date range or request kind
+   * @param {string|Function} type - Cache data type, or a function of the response returning it
+   * @param {Function} fetcher - Async function making the upstream call
+   * @returns {*} Cached or fetched response
+   */
+  cached(keyParts, type, fetcher) {
+    if (!this.cache) {
+      return fetcher();
+    }
+    return this.cache.wrap(
+      this.cache.key(this.name, ...keyParts),
+      type,
+      fetcher
+    );
+  }
+
+  /**
+   * Send an upstream request through the provider's circuit breaker and
+   * rate limiter
+   * @param {Function} send - Async function making the HTTP request
+   * @returns {*} Response
+   */
+  async request(send) {
+    if (!this.circuitBreaker.isAvailable()) {
+      this.circuitBreaker.stats.rejected++;
+      throw this.unavailableError();
+    }
+
+    await this.rateLimiter.acquire();
+    if (!this.circuitBreaker.allowRequest()) {
+      throw this.unavailableError();
+    }
+
+    try {
+      const response = await send();
+      this.circuitBreaker.recordSuccess();
+      return response;
+    } catch (error) {
+      this.recordRequestError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * GET a URL with the provider's HTTP client, through `request`, retrying
+   * timeouts, 5xx responses and dropped connections
+   * @param {string} url - URL
+   * @param {Object} config - HTTP client options (e.g. timeout)
+   * @returns {Object} HTTP response
+   */
+  httpGet(url, config) {
+    return retry(() => this.request(() => this.httpClient.get(url, config)), {
+      name: this.name,
+      ...this.options.retry,
+    });
+  }
+
+  /**
+   * Update the breaker and limiter from a failed request
+   * @param {Error} error - HTTP client error
+   */
+  recordRequestError(error) {
+    const response = error.response;
+    const status = response ? response.status : null;
+    const retryAfter = response
+      ? RateLimiter.parseRetryAfter(
+          response.headers && response.headers["retry-after"]
+        )
+      : null;
+
+    if (status === 429) {
+      // Throttled, not down: wait as long as asked (a minute if not told)
+      console.warn(`⏳ ${this.name} rate limited (HTTP 429)`);
+      this.rateLimiter.pause(retryAfter !== null ? retryAfter : 60 * 1000);
+      this.circuitBreaker.recordSuccess();
+    } else if (status === 401 || status === 403) {
+      // Invalid key or exhausted quota will not fix itself on retry
+      console.warn(
+        `🔌 ${this.name} circuit opened: HTTP ${status} (invalid API key or quota exceeded)`
+      );
+      this.circuitBreaker.trip(retryAfter, error);
+    } else if (status === null || status >= 500) {
+      if (retryAfter !== null) {
+        this.rateLimiter.pause(retryAfter);
+      }
+      const wasOpen = this.circuitBreaker.state === CircuitBreaker.STATES.OPEN;
+      this.circuitBreaker.recordFailure(error);
+      if (
+        !wasOpen &&
+        this.circuitBreaker.state === CircuitBreaker.STATES.OPEN
+      ) {
+        console.warn(
+          `🔌 ${this.name} circuit opened after ${this.circuitBreaker.failures} failures: ${error.message}`
+        );
+      }
+    } else {
+      // Other client errors mean the service itself is up
+      this.circuitBreaker.recordSuccess();
+    }
+  }
+
+  /**
+   * Build the error thrown while the circuit is open
+   * @returns {Error} Error with code CIRCUIT_OPEN
+   */
+  unavailableError() {
+    const error = new Error(
+      `${this.name} unavailable (circuit open until ${new Date(
+        this.circuitBreaker.openUntil
+      ).toISOString()})`
+    );
+    error.code = "CIRCUIT_OPEN";
+    return error;
+  }
+
+  /**
+   * Check whether the provider can be queried now, so callers fail over
+   * instead of waiting on a dead or throttled API
+   * @returns {boolean} True if the circuit allows requests and no long pause is pending
+   */
+  isAvailable() {
+    return (
+      this.circuitBreaker.isAvailable() &&
+      this.rateLimiter.getWaitTime() <= this.rateLimiter.maxWait
+    );
+  }
+
+  /**
+   * Test API connectivity
+   * @returns {boolean} True if API is accessible
+   */
+  async testConnection() {
+    try {
+      // Test with London coordinates
+      await this.getWeatherData(51.5074, -0.1278);
+      return true;
+    } catch (error) {
+      console.error(`${this.name} connection test failed:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether the provider has everything it needs to be queried
+   * @returns {boolean} True if usable
+   */
+  isConfigured() {
+    return !this.capabilities.requiresApiKey || Boolean(this.apiKey);
+  }
+
+  /**
+   * Build a reading in the shared provider format
+   * @param {Object} values - rainfall30d, rainfall24h and temperature (null if not measured)
+   * @param {Object} extra - Additional fields (e.g. note, incompleteFields)
+   * @returns {Object} Weather reading
+   */
+  createReading(values, extra = {}) {
+    const round = (value) =>
+      value === null ? null : Math.round(value * 100) / 100; // Round to 2 decimals
+
+    return {
+      rainfall30d: round(values.rainfall30d),
+      rainfall24h: round(values.rainfall24h),
+      temperature: round(values.temperature),
+      timestamp: Date.now(),
+      source: this.name,
+      ...extra,
+    };
+  }
+
+  /**
+   * Summarize a daily rainfall series into 30-day and 24-hour totals.
+   * Gridded products publish with a delay, so the 30-day window ends at the
+   * latest day with data; totals are marked incomplete rather than silently
+   * undercounting when days are missing.
+   * @param {Array} days - Daily values as { date: "YYYY-MM-DD", value } (null when missing)
+   * @param {Date} now - Current time
+   * @returns {Object} rainfall30d, rainfall24h, incompleteFields and coverage details
+   */
+  summarizeDailyRainfall(days, now = new Date()) {
+    const available = days
+      .filter((day) => day.value !== null && Number.isFinite(day.value))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (available.length === 0) {
+      throw new Error("No daily rainfall data available");
+    }
+
+    const periodEnd = available[available.length - 1].date;
+    const endTime = Date.parse(`${periodEnd}T00:00:00Z`);
+    const startTime = endTime - 29 * DAY_MS;
+    const window = available.filter((day) => {
+      const time = Date.parse(`${day.date}T00:00:00Z`);
+      return time >= startTime && time <= endTime;
+    });
+
+    const today = Date.UTC(
+      now.getUTCFullYear(),
+      now.getUTCMonth(),
+      now.getUTCDate()
+    );
+    const lagDays = Math.round((today - endTime) / DAY_MS);
+
+    // "24-hour" rainfall is the latest published day, like the 30-day window
+    const stale = lagDays > this.capabilities.maxLagDays;
+    const incompleteFields = [];
+    if (window.length < 30 || stale) {
+      incompleteFields.push("rainfall30d");
+    }
+    if (stale) {
+      incompleteFields.push("rainfall24h");
+    }
+
+    return {
+      rainfall30d: window.reduce((sum, day) => sum + day.value, 0),
+      rainfall24h: available[available.length - 1].value,
+      incompleteFields,
+      periodStart: new Date(startTime).toISOString().split("T")[0],
+      periodEnd,
+      coverageDays: window.length,
+      lagDays,
+    };
+  }
+
+  /**
+   * Describe the provider for monitoring endpoints
+   * @returns {Object} Provider name, capabilities and configuration state
+   */
+  getInfo() {
+    return {
+      name: this.name,
+      configured: this.isConfigured(),
+      available: this.isAvailable(),
+      ...this.capabilities,
+      circuitBreaker: this.circuitBreaker.getStatus(),
+      rateLimit: this.rateLimiter.getStatus(),
+    };
+  }
+}
+
+module.exports = WeatherProvider;
@@ -1,12 +1,77 @@
 const { ethers } = require("ethers");
+const NonceManager = require("./nonceManager");
+const RpcProvider = require("./rpcProvider");
+const {
+  encodeCoordinate,
+  decodeCoordinate,
+  snapCoordinate,
+  encodeWeatherData,
+  decodeWeatherData,
+  encodeWeatherAttestation,
+  getAttestationDomain,
+  WEATHER_ATTESTATION_TYPES,
+  encodePolicyWeather,
+  decodePolicyWeather,
+} = require("./weatherEncoding");
 require("dotenv").config();
 
+// Readings fetched per getWeatherHistory call when paging through a whole period
+const HISTORY_PAGE_SIZE = 32;
+
 class Web3Client {
-  constructor() {
+  /**
+   * Blockchain client for one oracle wallet
+   * @param {Object} options - Connection overrides (rpcUrl, provider, privateKey,
+   * attestationPrivateKey, weatherOracleAddress, radiShieldAddress), e.g. to run
+   * several oracle instances in one process
+   */
+  constructor(options = {}) {
+    this.options = {
+      rpcUrl: options.rpcUrl || process.env.RPC_URL,
+      provider: options.provider || null,
+      privateKey: options.privateKey || process.env.PRIVATE_KEY,
+      attestationPrivateKey:
+        options.attestationPrivateKey || process.env.ATTESTATION_PRIVATE_KEY,
+      weatherOracleAddress:
+        options.weatherOracleAddress || process.env.WEATHER_ORACLE_ADDRESS,
+      radiShieldAddress:
+        options.radiShieldAddress || process.env.RADISHIELD_ADDRESS,
+    };
     this.provider = null;
     this.wallet = null;
+    this.attester = null;
+    this.attestationDomain = null;
     this.weatherOracleContract = null;
+    this.radiShieldContract = null;
+    this.nonceManager = null;
+    this.gridResolution = 1;
     this.initialized = false;
+
+    // Sign weather as EIP-712 attestations instead of writing it as an oracle,
+    // so the gas-paying wallet does not need to be authorized
+    this.signedUpdates =
+      options.signedUpdates !== undefined
+        ? options.signedUpdates
+        : process.env.ENABLE_SIGNED_UPDATES === "true";
+
+    // Submit observations to WeatherOracle quorum rounds instead of writing
+    // weather directly (needed once the contract has a quorum set)
+    this.quorumParticipant =
+      options.quorumParticipant !== undefined
+        ? options.quorumParticipant
+        : process.env.QUORUM_PARTICIPANT === "true";
+    this.quorum = 0;
+
+    // Stuck transaction handling
+    this.confirmationTimeout =
+      parseInt(process.env.TX_CONFIRMATION_TIMEOUT_MS) || 120000; // 2 minutes
+    this.maxReplacements = parseInt(process.env.TX_MAX_REPLACEMENTS) || 3;
+    this.feeBumpPercent = parseInt(process.env.TX_FEE_BUMP_PERCENT) || 25;
+    this.maxFeePerGasCeiling = ethers.parseUnits(
+      process.env.TX_MAX_FEE_PER_GAS_GWEI || "500",
+      "gwei"
+    );
+    this.receiptPollInterval = 3000; // 3 seconds
   }
 
   /**
@@ -15,20 +80,21 @@ class Web3Client {
   async initialize() {
     try {
       // Validate required environment variables
-      const requiredEnvVars = [
-        "RPC_URL",
-        "PRIVATE_KEY",
-        "WEATHER_ORACLE_ADDRESS",
-      ];
+      const requiredEnvVars = {
+        RPC_URL: this.options.rpcUrl || this.options.provider,
+        PRIVATE_KEY: this.options.privateKey,
+        WEATHER_ORACLE_ADDRESS: this.options.weatherOracleAddress,
+      };
 
-      for (const envVar of requiredEnvVars) {
-        if (!process.env[envVar]) {
+      for (const [envVar, value] of Object.entries(requiredEnvVars)) {
+        if (!value) {
           throw new Error(`Missing required environment variable: ${envVar}`);
         }
       }
 
-      // Initialize provider
-      this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+      // Initialize provider (retries transient RPC errors on reads)
+      this.provider =
+        this.options.provider || new RpcProvider(this.options.rpcUrl);
 
       // Test provider connection
       const network = await this.provider.getNetwork();
@@ -37,7 +103,7 @@ class Web3Client {
       );
 
       // Initialize wallet
-      this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
+      this.wallet = new ethers.Wallet(this.options.privateKey, this.provider);
       console.log(`✅ Wallet initialized: ${this.wallet.address}`);
 
       // Check wallet balance
@@ -64,32 +130,119 @@ class Web3Client {
 
       // Initialize Weather Oracle contract
       const weatherOracleABI = [
-        "function updateWeatherData(int256 latitude, int256 longitude, tuple(uint256 rainfall30d, uint256 rainfall24h, uint256 temperature, uint256 timestamp, bool isValid) data) external",
-        "function getWeatherData(int256 latitude, int256 longitude) external view returns (tuple(uint256 rainfall30d, uint256 rainfall24h, uint256 temperature, uint256 timestamp, bool isValid))",
+        "function updateWeatherData(int256 latitude, int256 longitude, tuple(uint256 rainfall30d, uint256 rainfall24h, int256 temperature, uint256 timestamp, bool isValid) data) external",
+        "function batchUpdateWeatherData(int256[] latitudes, int256[] longitudes, tuple(uint256 rainfall30d, uint256 rainfall24h, int256 temperature, uint256 timestamp, bool isValid)[] weatherDataArray) external",
+        "function getWeatherData(int256 latitude, int256 longitude) external view returns (tuple(uint256 rainfall30d, uint256 rainfall24h, int256 temperature, uint256 timestamp, bool isValid))",
         "function isDataFresh(int256 latitude, int256 longitude, uint256 maxAge) external view returns (bool)",
         "function isAuthorizedOracle(address oracle) external view returns (bool)",
-        "event WeatherDataUpdated(int256 indexed latitude, int256 indexed longitude, uint256 rainfall30d, uint256 rainfall24h, uint256 temperature, uint256 timestamp)",
+        "function gridResolution() external view returns (uint256)",
+        "function getWeatherHistoryLength(int256 latitude, int256 longitude) external view returns (uint256)",
+        "function getWeatherHistory(int256 latitude, int256 longitude, uint256 offset, uint256 limit) external view returns (tuple(uint256 rainfall30d, uint256 rainfall24h, int256 temperature, uint256 timestamp, bool isValid)[])",
+        "event WeatherDataUpdated(int256 indexed latitude, int256 indexed longitude, uint256 rainfall30d, uint256 rainfall24h, int256 temperature, uint256 timestamp)",
+        "function submitSignedWeatherData(tuple(int256 latitude, int256 longitude, uint256 rainfall30d, uint256 rainfall24h, int256 temperature, uint256 observedAt, string source) attestation, bytes signature) external",
+        "function getProvenance(int256 latitude, int256 longitude) external view returns (tuple(address signer, uint256 observedAt, string source))",
+        "function submitObservation(int256 latitude, int256 longitude, uint256 roundId, tuple(uint256 rainfall30d, uint256 rainfall24h, int256 temperature, uint256 timestamp, bool isValid) data) external",
+        "function getQuorumRound(int256 latitude, int256 longitude) external view returns (uint256 roundId, uint256 startedAt, uint256 submissions)",
+        "function hasSubmittedObservation(int256 latitude, int256 longitude, uint256 roundId, address oracle) external view returns (bool)",
+        "function quorum() external view returns (uint256)",
+        "event WeatherDataRequested(int256 indexed latitude, int256 indexed longitude, address indexed requester)",
+        "event QuorumReached(int256 indexed latitude, int256 indexed longitude, uint256 indexed roundId, uint256 agreeing, uint256 submitted)",
+        "event QuorumFailed(int256 indexed latitude, int256 indexed longitude, uint256 indexed roundId, uint256 submitted)",
+        "event WeatherDataAttested(int256 indexed latitude, int256 indexed longitude, address indexed signer, address relayer, uint256 observedAt, string source)",
       ];
 
       this.weatherOracleContract = new ethers.Contract(
-        process.env.WEATHER_ORACLE_ADDRESS,
+        this.options.weatherOracleAddress,
         weatherOracleABI,
         this.wallet
       );
 
-      // Verify oracle authorization
+      // Attestations are signed with their own key when one is configured;
+      // it never needs a provider or a balance
+      this.attester = this.options.attestationPrivateKey
+        ? new ethers.Wallet(this.options.attestationPrivateKey)
+        : this.wallet;
+      this.attestationDomain = getAttestationDomain(
+        network.chainId,
+        this.options.weatherOracleAddress
+      );
+
+      // Verify oracle authorization (only the signer needs it for signed updates)
+      const oracleAddress = this.signedUpdates
+        ? this.attester.address
+        : this.wallet.address;
       const isAuthorized = await this.weatherOracleContract.isAuthorizedOracle(
-        this.wallet.address
+        oracleAddress
       );
       if (!isAuthorized) {
         throw new Error(
-          `Wallet ${this.wallet.address} is not authorized as an oracle. Please authorize this address in the WeatherOracle contract.`
+          `${
+            this.signedUpdates ? "Attestation signer" : "Wallet"
+          } ${oracleAddress} is not authorized as an oracle. Please authorize this address in the WeatherOracle contract.`
         );
       }
 
-      console.log(
-        `✅ Oracle authorization verified for: ${this.wallet.address}`
+      console.log(`✅ Oracle authorization verified for: ${oracleAddress}`);
+      if (this.attester !== this.wallet) {
+        console.log(`✍️  Attestation signer: ${this.attester.address}`);
+      }
+
+      // Weather data is keyed by grid cell, so updates are written per cell
+      this.gridResolution = Number(
+        await this.weatherOracleContract.gridResolution()
       );
+      console.log(`🗺️  Weather grid resolution: ${this.gridResolution}`);
+
+      // With a quorum set, the contract only accepts per-oracle observations
+      this.quorum = Number(await this.weatherOracleContract.quorum());
+      if (this.quorum > 0) {
+        console.log(`🗳️  Weather quorum: ${this.quorum} agreeing oracles`);
+        if (!this.quorumParticipant) {
+          console.warn(
+            "⚠️  WeatherOracle is in quorum mode: direct updates will be rejected. Set QUORUM_PARTICIPANT=true."
+          );
+        }
+      } else if (this.quorumParticipant) {
+        console.warn(
+          "⚠️  QUORUM_PARTICIPANT is set but WeatherOracle has no quorum: observations will be rejected."
+        );
+      }
+
+      // RadiShield is optional: it is only needed to read policies and
+      // process them (policy scheduler)
+      if (this.options.radiShieldAddress) {
+        const radiShieldABI = [
+          "function getTotalPolicies() external view returns (uint256)",
+          "function getPolicy(uint256 policyId) external view returns (tuple(uint256 id, address farmer, string cropType, uint256 coverage, uint256 premium, int256 latitude, int256 longitude, uint256 startDate, uint256 endDate, bool isActive, bool claimed))",
+          "function isPolicyActive(uint256 policyId) external view returns (bool)",
+          "function processWeatherData(uint256 policyId) external returns (uint256 payoutAmount)",
+          "function submitPolicyWeather(uint256 policyId, tuple(uint256 periodStart, uint256 periodEnd, uint256 totalRainfall, uint256 maxRainfall24h, int256 maxTemperature, uint256 timestamp) data) external returns (uint256 payoutAmount)",
+          "function getPolicyWeather(uint256 policyId) external view returns (tuple(uint256 periodStart, uint256 periodEnd, uint256 totalRainfall, uint256 maxRainfall24h, int256 maxTemperature, uint256 timestamp))",
+          "event PayoutTriggered(uint256 indexed policyId, string triggerType, uint256 payoutAmount)",
+          "function owner() external view returns (address)",
+          "function challenger() external view returns (address)",
+          "function disputeWindow() external view returns (uint256)",
+          "function getPolicyTriggers(uint256 policyId) external view returns (tuple(uint256 droughtThreshold, uint256 floodThreshold, int256 heatwaveThreshold, uint256 heatwavePayoutRate))",
+          "function getPendingPayout(uint256 policyId) external view returns (tuple(uint256 amount, string triggerType, uint256 triggeredAt, uint256 weatherTimestamp, uint256 settlesAt, bool disputed, address challenger, tuple(uint256 rainfall30d, uint256 rainfall24h, int256 temperature, uint256 timestamp, bool isValid) counterData))",
+          "function challengePayout(uint256 policyId, tuple(uint256 rainfall30d, uint256 rainfall24h, int256 temperature, uint256 timestamp, bool isValid) counterData) external",
+          "function settlePayout(uint256 policyId) external",
+          "event PayoutPending(uint256 indexed policyId, uint256 amount, uint256 settlesAt)",
+          "event PayoutChallenged(uint256 indexed policyId, address indexed challenger, uint256 rainfall30d, uint256 rainfall24h, int256 temperature)",
+        ];
+
+        this.radiShieldContract = new ethers.Contract(
+          this.options.radiShieldAddress,
+          radiShieldABI,
+          this.wallet
+        );
+        console.log(
+          `🛡️  RadiShield contract: ${this.options.radiShieldAddress}`
+        );
+      }
+
+      // All transactions from this wallet go through the nonce manager
+      this.nonceManager = new NonceManager(this.provider, this.wallet.address);
+      await this.nonceManager.sync();
 
       this.initialized = true;
       console.log("🚀 Web3Client initialized successfully");
@@ -104,29 +257,21 @@ class Web3Client {
    * @param {number} latitude - GPS latitude
    * @param {number} longitude - GPS longitude
    * @param {Object} weatherData - Weather data object
+   * @param {Object} options - Optional hooks (onSubmitted called with the sent transaction)
    * @returns {Object} Transaction result
    */
-  async updateWeatherData(latitude, longitude, weatherData) {
+  async updateWeatherData(latitude, longitude, weatherData, options = {}) {
     if (!this.initialized) {
       throw new Error("Web3Client not initialized. Call initialize() first.");
     }
 
     try {
-      // Scale coordinates by 10000 for Solidity compatibility
-      const scaledLat = Math.round(latitude * 10000);
-      const scaledLon = Math.round(longitude * 10000);
-
-      // Scale temperature by 100 for decimal precision in Solidity
-      const scaledTemp = Math.round(weatherData.temperature * 100);
+      // Scale coordinates for Solidity compatibility and snap to the grid cell
+      const { scaledLatitude: scaledLat, scaledLongitude: scaledLon } =
+        this.getGridCell(latitude, longitude);
 
       // Prepare weather data struct for contract
-      const contractWeatherData = {
-        rainfall30d: Math.round(weatherData.rainfall30d),
-        rainfall24h: Math.round(weatherData.rainfall24h),
-        temperature: scaledTemp,
-        timestamp: Math.floor(Date.now() / 1000), // Current timestamp
-        isValid: true,
-      };
+      const contractWeatherData = encodeWeatherData(weatherData);
 
       console.log(`📡 Updating weather data on blockchain...`);
       console.log(
@@ -145,30 +290,34 @@ class Web3Client {
       console.log(`⛽ Estimated gas: ${gasEstimate.toString()}`);
 
       // Send transaction with gas limit buffer
-      const tx = await this.weatherOracleContract.updateWeatherData(
-        scaledLat,
-        scaledLon,
-        contractWeatherData,
-        {
-          gasLimit: (gasEstimate * 120n) / 100n, // 20% buffer
-        }
-      );
-
-      console.log(`📤 Transaction sent: ${tx.hash}`);
-      console.log("⏳ Waiting for confirmation...");
+      const request =
+        await this.weatherOracleContract.updateWeatherData.populateTransaction(
+          scaledLat,
+          scaledLon,
+          contractWeatherData,
+          {
+            gasLimit: (gasEstimate * 120n) / 100n, // 20% buffer
+          }
+        );
 
-      // Wait for transaction confirmation
-      const receipt = await tx.wait();
+      const { receipt, originalTxHash, replacements } =
+        await this.sendTransaction(request, options);
 
       console.log(`✅ Transaction confirmed in block: ${receipt.blockNumber}`);
       console.log(`💰 Gas used: ${receipt.gasUsed.toString()}`);
 
       return {
         success: true,
-        txHash: tx.hash,
+        txHash: receipt.hash,
+        originalTxHash,
+        replacements,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
         coordinates: { latitude, longitude },
+        cell: {
+          latitude: decodeCoordinate(scaledLat),
+          longitude: decodeCoordinate(scaledLon),
+        },
         weatherData: contractWeatherData,
       };
     } catch (error) {
@@ -176,26 +325,702 @@ class Web3Client {
         "❌ Failed to update weather data on blockchain:",
         error.message
       );
+      throw this.parseUpdateError(error);
+    }
+  }
 
-      // Parse common error types
-      if (error.message.includes("insufficient funds")) {
-        throw new Error(
-          "Insufficient funds for transaction. Please add more native tokens (C2FLR/FLR/POL) to the wallet."
+  /**
+   * Sign weather data for a location as an EIP-712 attestation that any
+   * account can submit with submitSignedWeatherData
+   * @param {number} latitude - GPS latitude
+   * @param {number} longitude - GPS longitude
+   * @param {Object} weatherData - Validated weather data (timestamp and source are signed too)
+   * @returns {Object} Attestation, signature, signer and EIP-712 domain and types
+   */
+  async signWeatherAttestation(latitude, longitude, weatherData) {
+    if (!this.initialized) {
+      throw new Error("Web3Client not initialized. Call initialize() first.");
+    }
+
+    const { scaledLatitude, scaledLongitude } = this.getGridCell(
+      latitude,
+      longitude
+    );
+    const attestation = encodeWeatherAttestation(
+      scaledLatitude,
+      scaledLongitude,
+      weatherData
+    );
+    const signature = await this.attester.signTypedData(
+      this.attestationDomain,
+      WEATHER_ATTESTATION_TYPES,
+      attestation
+    );
+
+    return {
+      attestation,
+      signature,
+      signer: this.attester.address,
+      domain: {
+        ...this.attestationDomain,
+        chainId: Number(this.attestationDomain.chainId),
+      },
+      types: WEATHER_ATTESTATION_TYPES,
+    };
+  }
+
+  /**
+   * Relay a signed weather attestation from this wallet
+   * @param {Object} attestation - Contract weather attestation
+   * @param {string} signature - Signature from signWeatherAttestation
+   * @param {Object} options - Optional hooks (onSubmitted called with the sent transaction)
+   * @returns {Object} Transaction result
+   */
+  async submitSignedWeatherData(attestation, signature, options = {}) {
+    if (!this.initialized) {
+      throw new Error("Web3Client not initialized. Call initialize() first.");
+    }
+
+    try {
+      console.log(
+        `📡 Submitting signed weather data for ${attestation.latitude}, ${attestation.longitude} (observed ${attestation.observedAt}, ${attestation.source})`
+      );
+
+      const gasEstimate =
+        await this.weatherOracleContract.submitSignedWeatherData.estimateGas(
+          attestation,
+          signature
         );
-      } else if (error.message.includes("UnauthorizedOracle")) {
-        throw new Error(
-          "Oracle not authorized. Please authorize this address in the WeatherOracle contract."
+      const request =
+        await this.weatherOracleContract.submitSignedWeatherData.populateTransaction(
+          attestation,
+          signature,
+          {
+            gasLimit: (gasEstimate * 120n) / 100n, // 20% buffer
+          }
+        );
+
+      const { receipt, originalTxHash, replacements } =
+        await this.sendTransaction(request, options);
+
+      console.log(`✅ Transaction confirmed in block: ${receipt.blockNumber}`);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        originalTxHash,
+        replacements,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        cell: {
+          latitude: decodeCoordinate(attestation.latitude),
+          longitude: decodeCoordinate(attestation.longitude),
+        },
+        attestation,
+      };
+    } catch (error) {
+      console.error("❌ Failed to submit signed weather data:", error.message);
+      throw this.parseUpdateError(error);
+    }
+  }
+
+  /**
+   * Submit this oracle's observation to the open quorum round of a location's
+   * grid cell. The contract stores the median once enough oracles agree.
+   * @param {number} latitude - GPS latitude
+   * @param {number} longitude - GPS longitude
+   * @param {Object} weatherData - Weather data object
+   * @param {Object} options - Optional hooks (onSubmitted called with the sent transaction)
+   * @returns {Object} Transaction result with the round and whether it was finalized
+   */
+  async submitQuorumObservation(
+    latitude,
+    longitude,
+    weatherData,
+    options = {}
+  ) {
+    if (!this.initialized) {
+      throw new Error("Web3Client not initialized. Call initialize() first.");
+    }
+
+    try {
+      const { scaledLatitude: scaledLat, scaledLongitude: scaledLon } =
+        this.getGridCell(latitude, longitude);
+      const contractWeatherData = encodeWeatherData(weatherData);
+
+      const round = await this.weatherOracleContract.getQuorumRound(
+        scaledLat,
+        scaledLon
+      );
+      const roundId = Number(round.roundId);
+      const cell = {
+        latitude: decodeCoordinate(scaledLat),
+        longitude: decodeCoordinate(scaledLon),
+      };
+
+      // One observation per oracle and round; wait for the others
+      if (
+        await this.weatherOracleContract.hasSubmittedObservation(
+          scaledLat,
+          scaledLon,
+          roundId,
+          this.wallet.address
+        )
+      ) {
+        console.log(
+          `🗳️  Already submitted to round ${roundId} for ${cell.latitude}, ${cell.longitude} (${round.submissions} observations so far)`
+        );
+        return {
+          success: true,
+          submitted: false,
+          reason: "Already submitted for this round",
+          roundId,
+          cell,
+        };
+      }
+
+      console.log(
+        `🗳️  Submitting observation to round ${roundId} for ${cell.latitude}, ${cell.longitude}`
+      );
+
+      const gasEstimate =
+        await this.weatherOracleContract.submitObservation.estimateGas(
+          scaledLat,
+          scaledLon,
+          roundId,
+          contractWeatherData
+        );
+      const request =
+        await this.weatherOracleContract.submitObservation.populateTransaction(
+          scaledLat,
+          scaledLon,
+          roundId,
+          contractWeatherData,
+          {
+            gasLimit: (gasEstimate * 120n) / 100n, // 20% buffer
+          }
+        );
+
+      const { receipt, originalTxHash, replacements } =
+        await this.sendTransaction(request, options);
+
+      const outcome = this.parseQuorumEvents(receipt, roundId);
+      if (outcome.finalized) {
+        console.log(
+          `✅ Quorum reached for round ${roundId}: ${outcome.agreeing}/${outcome.submitted} observations agree`
+        );
+      } else if (outcome.failed) {
+        console.warn(
+          `⚠️  Quorum failed for round ${roundId}: ${outcome.submitted} observations disagree`
+        );
+      } else {
+        console.log(`✅ Observation recorded, waiting for more oracles`);
+      }
+
+      return {
+        success: true,
+        submitted: true,
+        txHash: receipt.hash,
+        originalTxHash,
+        replacements,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        roundId,
+        ...outcome,
+        cell,
+        weatherData: contractWeatherData,
+      };
+    } catch (error) {
+      console.error("❌ Failed to submit quorum observation:", error.message);
+      throw this.parseUpdateError(error);
+    }
+  }
+
+  /**
+   * Find out whether a submitted observation closed its quorum round
+   * @param {Object} receipt - Transaction receipt
+   * @param {number} roundId - Round the observation was submitted to
+   * @returns {Object} finalized/failed flags with agreeing and submitted counts
+   */
+  parseQuorumEvents(receipt, roundId) {
+    const contractAddress = this.weatherOracleContract.target.toLowerCase();
+    const outcome = { finalized: false, failed: false };
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contractAddress) {
+        continue;
+      }
+
+      // An expired earlier round may be reported in the same transaction
+      const parsed = this.weatherOracleContract.interface.parseLog(log);
+      if (
+        !parsed ||
+        !["QuorumReached", "QuorumFailed"].includes(parsed.name) ||
+        Number(parsed.args.roundId) !== roundId
+      ) {
+        continue;
+      }
+      if (parsed.name === "QuorumReached") {
+        outcome.finalized = true;
+        outcome.agreeing = Number(parsed.args.agreeing);
+        outcome.submitted = Number(parsed.args.submitted);
+      } else if (parsed.name === "QuorumFailed") {
+        outcome.failed = true;
+        outcome.submitted = Number(parsed.args.submitted);
+      }
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Update weather data for several locations in one transaction
+   * @param {Array} updates - Updates as { latitude, longitude, weatherData }
+   * @param {Object} options - Optional hooks (onSubmitted called with the sent transaction)
+   * @returns {Object} Transaction result with one entry per location in `results`
+   */
+  async batchUpdateWeatherData(updates, options = {}) {
+    if (!this.initialized) {
+      throw new Error("Web3Client not initialized. Call initialize() first.");
+    }
+
+    try {
+      const cells = updates.map((update) =>
+        this.getGridCell(update.latitude, update.longitude)
+      );
+      const latitudes = cells.map((cell) => cell.scaledLatitude);
+      const longitudes = cells.map((cell) => cell.scaledLongitude);
+      const weatherDataArray = updates.map((update) =>
+        encodeWeatherData(update.weatherData)
+      );
+
+      console.log(
+        `📡 Batch updating weather data for ${updates.length} locations...`
+      );
+
+      const gasEstimate =
+        await this.weatherOracleContract.batchUpdateWeatherData.estimateGas(
+          latitudes,
+          longitudes,
+          weatherDataArray
+        );
+
+      console.log(`⛽ Estimated gas: ${gasEstimate.toString()}`);
+
+      const request =
+        await this.weatherOracleContract.batchUpdateWeatherData.populateTransaction(
+          latitudes,
+          longitudes,
+          weatherDataArray,
+          {
+            gasLimit: (gasEstimate * 120n) / 100n, // 20% buffer
+          }
+        );
+
+      const { receipt, originalTxHash, replacements } =
+        await this.sendTransaction(request, options);
+
+      console.log(
+        `✅ Batch transaction confirmed in block: ${receipt.blockNumber}`
+      );
+      console.log(`💰 Gas used: ${receipt.gasUsed.toString()}`);
+
+      // Split the receipt back into per-location results using the emitted events
+      const events = this.parseWeatherUpdatedEvents(receipt);
+      const gasShare = receipt.gasUsed / BigInt(updates.length);
+
+      const results = updates.map((update, index) => {
+        const event = events.find(
+          (candidate) =>
+            candidate.latitude === BigInt(latitudes[index]) &&
+            candidate.longitude === BigInt(longitudes[index])
+        );
+
+        return {
+          success: Boolean(event),
+          txHash: receipt.hash,
+          originalTxHash,
+          replacements,
+          blockNumber: receipt.blockNumber,
+          gasUsed: gasShare.toString(),
+          logIndex: event ? event.logIndex : null,
+          coordinates: {
+            latitude: update.latitude,
+            longitude: update.longitude,
+          },
+          cell: {
+            latitude: cells[index].latitude,
+            longitude: cells[index].longitude,
+          },
+          weatherData: weatherDataArray[index],
+        };
+      });
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+        originalTxHash,
+        replacements,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        results,
+      };
+    } catch (error) {
+      console.error(
+        "❌ Failed to batch update weather data on blockchain:",
+        error.message
+      );
+      throw this.parseUpdateError(error);
+    }
+  }
+
+  /**
+   * Get the oracle grid cell containing a location
+   * @param {number} latitude - GPS latitude
+   * @param {number} longitude - GPS longitude
+   * @returns {Object} Cell corner (scaled and in degrees) and cell center in degrees
+   */
+  getGridCell(latitude, longitude) {
+    const resolution = this.gridResolution;
+    const scaledLatitude = snapCoordinate(
+      encodeCoordinate(latitude),
+      resolution
+    );
+    const scaledLongitude = snapCoordinate(
+      encodeCoordinate(longitude),
+      resolution
+    );
+
+    // With exact keys (resolution 1) the location is its own center
+    const centerOffset = resolution > 1 ? resolution / 2 : 0;
+
+    return {
+      scaledLatitude,
+      scaledLongitude,
+      latitude: decodeCoordinate(scaledLatitude),
+      longitude: decodeCoordinate(scaledLongitude),
+      centerLatitude: decodeCoordinate(scaledLatitude + centerOffset),
+      centerLongitude: decodeCoordinate(scaledLongitude + centerOffset),
+    };
+  }
+
+  /**
+   * Decode WeatherDataUpdated events from a transaction receipt
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Array} Decoded events with scaled coordinates
+   */
+  parseWeatherUpdatedEvents(receipt) {
+    const contractAddress = this.weatherOracleContract.target.toLowerCase();
+    const events = [];
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contractAddress) {
+        continue;
+      }
+
+      const parsed = this.weatherOracleContract.interface.parseLog(log);
+      if (parsed && parsed.name === "WeatherDataUpdated") {
+        events.push({
+          latitude: parsed.args.latitude,
+          longitude: parsed.args.longitude,
+          logIndex: log.index,
+        });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Map contract and wallet errors to readable messages
+   * @param {Error} error - Update error
+   * @returns {Error} Error to throw
+   */
+  parseUpdateError(error) {
+    if (error.message.includes("insufficient funds")) {
+      return new Error(
+        "Insufficient funds for transaction. Please add more native tokens (C2FLR/FLR/POL) to the wallet."
+      );
+    } else if (error.message.includes("UnauthorizedOracle")) {
+      return new Error(
+        "Oracle not authorized. Please authorize this address in the WeatherOracle contract."
+      );
+    } else if (error.message.includes("InvalidCoordinates")) {
+      return new Error("Invalid GPS coordinates provided.");
+    } else if (error.message.includes("InvalidWeatherData")) {
+      return new Error("Invalid weather data values provided.");
+    }
+
+    return error;
+  }
+
+  /**
+   * Send a transaction and wait for it to be mined, replacing it with bumped
+   * EIP-1559 fees each time the confirmation timeout passes. Once replacements
+   * run out (or fees hit the ceiling) the nonce is cancelled with a zero-value
+   * self-transfer, which is given one more confirmation timeout to be mined.
+   * @param {Object} request - Populated transaction request (to, data, gasLimit)
+   * @param {Object} options - Optional hooks (onSubmitted called for every broadcast)
+   * @returns {Object} Receipt, original hash and number of replacements
+   */
+  async sendTransaction(request, options = {}) {
+    let fees = await this.getInitialFees();
+
+    const tx = await this.nonceManager.send((nonce) =>
+      this.wallet.sendTransaction({ ...request, ...fees, nonce })
+    );
+    const nonce = tx.nonce;
+    const hashes = [tx.hash];
+
+    console.log(`📤 Transaction sent: ${tx.hash} (nonce ${nonce})`);
+    if (options.onSubmitted) {
+      options.onSubmitted(tx);
+    }
+
+    try {
+      for (let replacements = 0; ; replacements++) {
+        console.log("⏳ Waiting for confirmation...");
+        const receipt = await this.waitForAnyReceipt(
+          hashes,
+          this.confirmationTimeout
         );
-      } else if (error.message.includes("InvalidCoordinates")) {
-        throw new Error("Invalid GPS coordinates provided.");
-      } else if (error.message.includes("InvalidWeatherData")) {
-        throw new Error("Invalid weather data values provided.");
+        if (receipt) {
+          return this.checkReceipt(receipt, hashes[0], replacements);
+        }
+
+        const bumpedFees = this.bumpFees(fees);
+        if (replacements >= this.maxReplacements || !bumpedFees) {
+          const cancelTxHash = await this.cancelTransaction(nonce, fees);
+          const finalReceipt = await this.waitForAnyReceipt(
+            cancelTxHash ? [...hashes, cancelTxHash] : hashes,
+            this.confirmationTimeout
+          );
+
+          // Even the cancellation is stuck: give up instead of waiting forever
+          if (!finalReceipt) {
+            const error = new Error(
+              `Nonce ${nonce} is still pending after cancelling: none of ${[
+                ...hashes,
+                ...(cancelTxHash ? [cancelTxHash] : []),
+              ].join(", ")} was mined`
+            );
+            error.nonce = nonce;
+            error.txHashes = hashes;
+            error.cancelTxHash = cancelTxHash;
+            throw error;
+          }
+
+          // One of our transactions was mined before the cancellation
+          if (finalReceipt.hash !== cancelTxHash) {
+            return this.checkReceipt(finalReceipt, hashes[0], replacements);
+          }
+
+          const error = new Error(
+            `Transaction ${hashes[0]} was not confirmed after ${replacements} replacements and was cancelled by ${cancelTxHash}`
+          );
+          error.txHashes = hashes;
+          error.cancelTxHash = cancelTxHash;
+          throw error;
+        }
+
+        fees = bumpedFees;
+        console.warn(
+          `⚠️  Transaction ${
+            hashes[hashes.length - 1]
+          } not confirmed after ${Math.round(
+            this.confirmationTimeout / 1000
+          )}s, replacing with maxFeePerGas ${ethers.formatUnits(
+            fees.maxFeePerGas || fees.gasPrice,
+            "gwei"
+          )} gwei`
+        );
+
+        const replacement = await this.broadcastReplacement({
+          ...request,
+          ...fees,
+          nonce,
+        });
+        if (replacement) {
+          hashes.push(replacement.hash);
+          this.nonceManager.track(nonce, replacement.hash);
+          console.log(`🔁 Replacement sent: ${replacement.hash}`);
+          if (options.onSubmitted) {
+            options.onSubmitted(replacement);
+          }
+        }
       }
+    } finally {
+      this.nonceManager.complete(nonce);
+    }
+  }
+
+  /**
+   * Get starting fees for a transaction from the network
+   * @returns {Object} EIP-1559 fee fields (or gasPrice on legacy networks)
+   */
+  async getInitialFees() {
+    const feeData = await this.provider.getFeeData();
+
+    if (feeData.maxFeePerGas === null) {
+      return { gasPrice: feeData.gasPrice };
+    }
+
+    const maxFeePerGas =
+      feeData.maxFeePerGas > this.maxFeePerGasCeiling
+        ? this.maxFeePerGasCeiling
+        : feeData.maxFeePerGas;
+    return {
+      maxFeePerGas,
+      // The tip can never exceed the max fee, or the node rejects the transaction
+      maxPriorityFeePerGas:
+        feeData.maxPriorityFeePerGas > maxFeePerGas
+          ? maxFeePerGas
+          : feeData.maxPriorityFeePerGas,
+    };
+  }
+
+  /**
+   * Bump fees by the configured percentage, respecting the fee ceiling
+   * @param {Object} fees - Current fee fields
+   * @returns {Object|null} Bumped fees, or null if the ceiling prevents a valid replacement
+   */
+  bumpFees(fees) {
+    const bump = (value) => (value * BigInt(100 + this.feeBumpPercent)) / 100n;
+    // Nodes reject replacements that raise fees by less than 10%
+    const minimum = (value) => (value * 110n) / 100n;
+
+    if (fees.gasPrice !== undefined) {
+      const gasPrice = bump(fees.gasPrice);
+      const capped =
+        gasPrice > this.maxFeePerGasCeiling
+          ? this.maxFeePerGasCeiling
+          : gasPrice;
+      return capped >= minimum(fees.gasPrice) ? { gasPrice: capped } : null;
+    }
 
+    const maxFeePerGas = bump(fees.maxFeePerGas);
+    const cappedMaxFee =
+      maxFeePerGas > this.maxFeePerGasCeiling
+        ? this.maxFeePerGasCeiling
+        : maxFeePerGas;
+    if (cappedMaxFee < minimum(fees.maxFeePerGas)) {
+      return null;
+    }
+
+    const maxPriorityFeePerGas = bump(fees.maxPriorityFeePerGas);
+    return {
+      maxFeePerGas: cappedMaxFee,
+      maxPriorityFeePerGas:
+        maxPriorityFeePerGas > cappedMaxFee
+          ? cappedMaxFee
+          : maxPriorityFeePerGas,
+    };
+  }
+
+  /**
+   * Broadcast a replacement for an existing nonce
+   * @param {Object} request - Full transaction request including nonce and fees
+   * @returns {Object|null} Sent transaction, or null if the nonce was already mined
+   */
+  async broadcastReplacement(request) {
+    try {
+      return await this.wallet.sendTransaction(request);
+    } catch (error) {
+      // The transaction we are replacing got mined in the meantime
+      if (this.nonceManager.isNonceError(error)) {
+        return null;
+      }
       throw error;
     }
   }
 
+  /**
+   * Cancel a stuck nonce with a zero-value self-transfer. The cancellation
+   * always bumps the last fees so it can replace the pending transaction,
+   * even when that exceeds the replacement ceiling (it only costs 21000 gas).
+   * @param {number} nonce - Nonce to cancel
+   * @param {Object} fees - Fees of the last broadcast for this nonce
+   * @returns {string|null} Cancellation hash, or null if the nonce was already mined
+   */
+  async cancelTransaction(nonce, fees) {
+    const bump = (value) => (value * BigInt(100 + this.feeBumpPercent)) / 100n;
+    const cancelFees =
+      fees.gasPrice !== undefined
+        ? { gasPrice: bump(fees.gasPrice) }
+        : {
+            maxFeePerGas: bump(fees.maxFeePerGas),
+            maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas),
+          };
+
+    console.warn(`🚫 Cancelling stuck nonce ${nonce}...`);
+    const cancelTx = await this.broadcastReplacement({
+      to: this.wallet.address,
+      value: 0n,
+      gasLimit: 21000n,
+      nonce,
+      ...cancelFees,
+    });
+
+    if (!cancelTx) {
+      return null;
+    }
+
+    this.nonceManager.track(nonce, cancelTx.hash);
+    console.log(`🚫 Cancellation sent: ${cancelTx.hash}`);
+    return cancelTx.hash;
+  }
+
+  /**
+   * Wait until any of the given transactions is mined
+   * @param {Array} hashes - Transaction hashes sharing one nonce
+   * @param {number} timeout - Maximum wait in milliseconds
+   * @returns {Object|null} Receipt, or null on timeout
+   */
+  async waitForAnyReceipt(hashes, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      for (const hash of hashes) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt) {
+          return receipt;
+        }
+      }
+
+      if (Date.now() >= deadline) {
+        return null;
+      }
+
+      await new Promise((resolve) =>
+        setTimeout(
+          resolve,
+          Math.min(this.receiptPollInterval, deadline - Date.now())
+        )
+      );
+    }
+  }
+
+  /**
+   * Turn a mined receipt into a send result, failing on reverts
+   * @param {Object} receipt - Transaction receipt
+   * @param {string} originalTxHash - Hash of the first broadcast
+   * @param {number} replacements - Number of replacements sent
+   * @returns {Object} Receipt, original hash and number of replacements
+   */
+  checkReceipt(receipt, originalTxHash, replacements) {
+    if (receipt.status !== 1) {
+      throw new Error(`Transaction ${receipt.hash} reverted`);
+    }
+
+    if (receipt.hash !== originalTxHash) {
+      console.log(
+        `🔁 Transaction ${originalTxHash} was replaced by ${receipt.hash}`
+      );
+    }
+
+    return { receipt, originalTxHash, replacements };
+  }
+
   /**
    * Check if weather data is fresh for given coordinates
    * @param {number} latitude - GPS latitude
@@ -209,8 +1034,8 @@ class Web3Client {
     }
 
     try {
-      const scaledLat = Math.round(latitude * 10000);
-      const scaledLon = Math.round(longitude * 10000);
+      const scaledLat = encodeCoordinate(latitude);
+      const scaledLon = encodeCoordinate(longitude);
 
       const isFresh = await this.weatherOracleContract.isDataFresh(
         scaledLat,
@@ -237,21 +1062,15 @@ class Web3Client {
     }
 
     try {
-      const scaledLat = Math.round(latitude * 10000);
-      const scaledLon = Math.round(longitude * 10000);
+      const scaledLat = encodeCoordinate(latitude);
+      const scaledLon = encodeCoordinate(longitude);
 
       const data = await this.weatherOracleContract.getWeatherData(
         scaledLat,
         scaledLon
       );
 
-      return {
-        rainfall30d: Number(data.rainfall30d),
-        rainfall24h: Number(data.rainfall24h),
-        temperature: Number(data.temperature) / 100, // Unscale temperature
-        timestamp: Number(data.timestamp),
-        isValid: data.isValid,
-      };
+      return decodeWeatherData(data);
     } catch (error) {
       console.error(
         "❌ Failed to get weather data from blockchain:",
@@ -261,6 +1080,504 @@ class Web3Client {
     }
   }
 
+  /**
+   * Get one page of the readings WeatherOracle kept for a location, newest first
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @param {Object} options - offset (readings to skip), limit, and blockTag to read at
+   * @returns {Object} Readings in mm and °C, and how many are kept in total
+   */
+  async getWeatherHistory(latitude, longitude, options = {}) {
+    if (!this.initialized) {
+      throw new Error("Web3Client not initialized. Call initialize() first.");
+    }
+
+    const scaledLat = encodeCoordinate(latitude);
+    const scaledLon = encodeCoordinate(longitude);
+    const offset = options.offset || 0;
+    const limit = options.limit || HISTORY_PAGE_SIZE;
+    const overrides =
+      options.blockTag !== undefined ? { blockTag: options.blockTag } : {};
+
+    const [length, readings] = await Promise.all([
+      this.weatherOracleContract.getWeatherHistoryLength(
+        scaledLat,
+        scaledLon,
+        overrides
+      ),
+      this.weatherOracleContract.getWeatherHistory(
+        scaledLat,
+        scaledLon,
+        offset,
+        limit,
+        overrides
+      ),
+    ]);
+
+    return {
+      length: Number(length),
+      offset,
+      readings: readings.map((reading) => decodeWeatherData(reading)),
+    };
+  }
+
+  /**
+   * Get every kept reading for a location taken within a time range
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @param {number} from - Start of the range (unix seconds, inclusive)
+   * @param {number} to - End of the range (unix seconds, inclusive)
+   * @returns {Array} Readings in mm and °C, newest first
+   */
+  async getWeatherHistoryBetween(latitude, longitude, from, to) {
+    const readings = [];
+    // Offsets count from the newest reading, so a write between two pages
+    // would shift them: read every page at the same block
+    const blockTag = await this.getBlockNumber();
+
+    for (let offset = 0; ; offset += HISTORY_PAGE_SIZE) {
+      const page = await this.getWeatherHistory(latitude, longitude, {
+        offset,
+        limit: HISTORY_PAGE_SIZE,
+        blockTag,
+      });
+
+      for (const reading of page.readings) {
+        if (reading.timestamp < from) {
+          return readings;
+        }
+        if (reading.timestamp <= to) {
+          readings.push(reading);
+        }
+      }
+      if (offset + HISTORY_PAGE_SIZE >= page.length) {
+        return readings;
+      }
+    }
+  }
+
+  /**
+   * Get the readings kept for a policy's grid cell during its coverage
+   * @param {number} policyId - Policy ID
+   * @returns {Object} Coverage period and its readings, newest first
+   */
+  async getPolicyWeatherHistory(policyId) {
+    const policy = await this.getPolicy(policyId);
+    const readings = await this.getWeatherHistoryBetween(
+      policy.latitude,
+      policy.longitude,
+      policy.startDate,
+      policy.endDate
+    );
+
+    return {
+      policyId,
+      startDate: policy.startDate,
+      endDate: policy.endDate,
+      readings,
+    };
+  }
+
+  /**
+   * Look up the status of a previously sent transaction
+   * @param {string} txHash - Transaction hash
+   * @returns {Object} Status ("confirmed", "reverted", "pending" or "dropped") and block number
+   */
+  async getTransactionStatus(txHash) {
+    if (!this.initialized) {
+      throw new Error("Web3Client not initialized. Call initialize() first.");
+    }
+
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    if (receipt) {
+      return {
+        status: receipt.status === 1 ? "confirmed" : "reverted",
+        blockNumber: receipt.blockNumber,
+      };
+    }
+
+    // No receipt yet: the node either still has it in the mempool or dropped it
+    const tx = await this.provider.getTransaction(txHash);
+    return { status: tx ? "pending" : "dropped", blockNumber: null };
+  }
+
+  /**
+   * Get WeatherDataRequested events emitted in a block range
+   * @param {number} fromBlock - First block to scan (inclusive)
+   * @param {number} toBlock - Last block to scan (inclusive)
+   * @returns {Array} Weather requests with unscaled coordinates
+   */
+  async getWeatherRequests(fromBlock, toBlock) {
+    if (!this.initialized) {
+      throw new Error("Web3Client not initialized. Call initialize() first.");
+    }
+
+    const events = await this.weatherOracleContract.queryFilter(
+      this.weatherOracleContract.filters.WeatherDataRequested(),
+      fromBlock,
+      toBlock
+    );
+
+    return events.map((event) => ({
+      latitude: decodeCoordinate(event.args.latitude),
+      longitude: decodeCoordinate(event.args.longitude),
+      requester: event.args.requester,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.index,
+    }));
+  }
+
+  /**
+   * Get WeatherDataUpdated events emitted in a block range
+   * @param {number} fromBlock - First block to scan (inclusive)
+   * @param {number} toBlock - Last block to scan (inclusive)
+   * @returns {Array} Updated grid cells with unscaled coordinates
+   */
+  async getWeatherUpdates(fromBlock, toBlock) {
+    if (!this.initialized) {
+      throw new Error("Web3Client not initialized. Call initialize() first.");
+    }
+
+    const events = await this.weatherOracleContract.queryFilter(
+      this.weatherOracleContract.filters.WeatherDataUpdated(),
+      fromBlock,
+      toBlock
+    );
+
+    return events.map((event) => ({
+      latitude: decodeCoordinate(event.args.latitude),
+      longitude: decodeCoordinate(event.args.longitude),
+      weatherData: decodeWeatherData({
+        ...event.args.toObject(),
+        isValid: true,
+      }),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.index,
+    }));
+  }
+
+  /**
+   * Get the number of policies created in RadiShield
+   * @returns {number} Total policies (policy IDs start at 1)
+   */
+  async getTotalPolicies() {
+    this.requireRadiShield();
+    return Number(await this.radiShieldContract.getTotalPolicies());
+  }
+
+  /**
+   * Get a RadiShield policy with unscaled coordinates
+   * @param {number} policyId - Policy ID
+   * @returns {Object} Policy details
+   */
+  async getPolicy(policyId) {
+    this.requireRadiShield();
+    const policy = await this.radiShieldContract.getPolicy(policyId);
+
+    return {
+      id: Number(policy.id),
+      farmer: policy.farmer,
+      cropType: policy.cropType,
+      coverage: policy.coverage,
+      latitude: decodeCoordinate(policy.latitude),
+      longitude: decodeCoordinate(policy.longitude),
+      startDate: Number(policy.startDate),
+      endDate: Number(policy.endDate),
+      isActive: policy.isActive,
+      claimed: policy.claimed,
+    };
+  }
+
+  /**
+   * Check whether a policy is active, unclaimed and not expired
+   * @param {number} policyId - Policy ID
+   * @returns {boolean} True if the policy can still pay out
+   */
+  async isPolicyActive(policyId) {
+    this.requireRadiShield();
+    return this.radiShieldContract.isPolicyActive(policyId);
+  }
+
+  /**
+   * Evaluate a policy against the current on-chain weather data
+   * @param {number} policyId - Policy ID
+   * @param {Object} options - Optional hooks (onSubmitted called with the sent transaction)
+   * @returns {Object} Transaction result, with the payout if one was triggered
+   */
+  async processWeatherData(policyId, options = {}) {
+    this.requireRadiShield();
+
+    const gasEstimate =
+      await this.radiShieldContract.processWeatherData.estimateGas(policyId);
+    const request =
+      await this.radiShieldContract.processWeatherData.populateTransaction(
+        policyId,
+        {
+          gasLimit: (gasEstimate * 120n) / 100n, // 20% buffer
+        }
+      );
+
+    const { receipt, originalTxHash, replacements } =
+      await this.sendTransaction(request, options);
+
+    return {
+      success: true,
+      txHash: receipt.hash,
+      originalTxHash,
+      replacements,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      payout: this.parsePayout(receipt),
+    };
+  }
+
+  /**
+   * Submit weather computed over part of a policy's coverage
+   * @param {number} policyId - Policy ID
+   * @param {Object} policyWeather - Period (unix seconds) and weather in mm and °C
+   * @param {Object} options - Optional hooks (onSubmitted called with the sent transaction)
+   * @returns {Object} Transaction result, with the payout if one was triggered
+   */
+  async submitPolicyWeather(policyId, policyWeather, options = {}) {
+    this.requireRadiShield();
+
+    const encoded = encodePolicyWeather(policyWeather);
+    const gasEstimate =
+      await this.radiShieldContract.submitPolicyWeather.estimateGas(
+        policyId,
+        encoded
+      );
+    const request =
+      await this.radiShieldContract.submitPolicyWeather.populateTransaction(
+        policyId,
+        encoded,
+        {
+          gasLimit: (gasEstimate * 120n) / 100n, // 20% buffer
+        }
+      );
+
+    const { receipt, originalTxHash, replacements } =
+      await this.sendTransaction(request, options);
+
+    return {
+      success: true,
+      txHash: receipt.hash,
+      originalTxHash,
+      replacements,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      payout: this.parsePayout(receipt),
+    };
+  }
+
+  /**
+   * Get the last weather submitted for a policy
+   * @param {number} policyId - Policy ID
+   * @returns {Object|null} Policy weather in mm and °C, null if none submitted
+   */
+  async getPolicyWeather(policyId) {
+    this.requireRadiShield();
+    const data = await this.radiShieldContract.getPolicyWeather(policyId);
+    return data.timestamp === 0n ? null : decodePolicyWeather(data);
+  }
+
+  /**
+   * Find the PayoutTriggered event in a RadiShield transaction receipt
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Object|null} Trigger type, amount in ether and whether it waits on a dispute window, null if no payout
+   */
+  parsePayout(receipt) {
+    let payout = null;
+    let pending = false;
+    for (const log of receipt.logs) {
+      if (
+        log.address.toLowerCase() !==
+        this.radiShieldContract.target.toLowerCase()
+      ) {
+        continue;
+      }
+
+      const parsed = this.radiShieldContract.interface.parseLog(log);
+      if (parsed && parsed.name === "PayoutTriggered") {
+        payout = {
+          triggerType: parsed.args.triggerType,
+          amount: ethers.formatEther(parsed.args.payoutAmount),
+        };
+      } else if (parsed && parsed.name === "PayoutPending") {
+        pending = true;
+      }
+    }
+    return payout && { ...payout, pending };
+  }
+
+  /**
+   * Dry-run processWeatherData with eth_call to see whether it would pay out
+   * @param {number} policyId - Policy ID
+   * @returns {bigint} Payout amount in wei, 0n if no trigger is met
+   */
+  async simulateProcessWeatherData(policyId) {
+    this.requireRadiShield();
+    return this.radiShieldContract.processWeatherData.staticCall(policyId);
+  }
+
+  /**
+   * Get PayoutTriggered events emitted in a block range
+   * @param {number} fromBlock - First block to scan (inclusive)
+   * @param {number} toBlock - Last block to scan (inclusive)
+   * @returns {Array} Triggered payouts, amounts in wei
+   */
+  async getPayoutTriggers(fromBlock, toBlock) {
+    this.requireRadiShield();
+
+    const events = await this.radiShieldContract.queryFilter(
+      this.radiShieldContract.filters.PayoutTriggered(),
+      fromBlock,
+      toBlock
+    );
+
+    return events.map((event) => ({
+      policyId: Number(event.args.policyId),
+      triggerType: event.args.triggerType,
+      amount: event.args.payoutAmount,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.index,
+    }));
+  }
+
+  /**
+   * Get the payout a policy is waiting to settle (optimistic mode)
+   * @param {number} policyId - Policy ID
+   * @returns {Object|null} Pending payout (amount in wei, times in unix seconds), null if none
+   */
+  async getPendingPayout(policyId) {
+    this.requireRadiShield();
+    const pending = await this.radiShieldContract.getPendingPayout(policyId);
+    if (pending.amount === 0n) {
+      return null;
+    }
+
+    return {
+      amount: pending.amount,
+      triggerType: pending.triggerType,
+      triggeredAt: Number(pending.triggeredAt),
+      weatherTimestamp: Number(pending.weatherTimestamp),
+      settlesAt: Number(pending.settlesAt),
+      disputed: pending.disputed,
+      challenger: pending.disputed ? pending.challenger : null,
+      counterData: pending.disputed
+        ? decodeWeatherData(pending.counterData)
+        : null,
+    };
+  }
+
+  /**
+   * Get the triggers a policy was created with (its crop and region profile)
+   * @param {number} policyId - Policy ID
+   * @returns {Object} Thresholds in mm and °C, heatwave payout in percent of coverage
+   */
+  async getPolicyTriggers(policyId) {
+    this.requireRadiShield();
+    const triggers = await this.radiShieldContract.getPolicyTriggers(policyId);
+
+    return {
+      droughtThreshold: Number(triggers.droughtThreshold),
+      floodThreshold: Number(triggers.floodThreshold),
+      heatwaveThreshold: Number(triggers.heatwaveThreshold),
+      heatwavePayoutRate: Number(triggers.heatwavePayoutRate),
+    };
+  }
+
+  /**
+   * Check whether this wallet may dispute pending payouts
+   * @returns {boolean} True if the wallet is the RadiShield owner or challenger
+   */
+  async canChallengePayouts() {
+    this.requireRadiShield();
+    const [owner, challenger] = await Promise.all([
+      this.radiShieldContract.owner(),
+      this.radiShieldContract.challenger(),
+    ]);
+    const wallet = this.wallet.address.toLowerCase();
+    return (
+      owner.toLowerCase() === wallet || challenger.toLowerCase() === wallet
+    );
+  }
+
+  /**
+   * Dispute a pending payout with the weather this bot observed instead
+   * @param {number} policyId - Policy ID
+   * @param {Object} weatherData - Counter weather in mm and °C
+   * @param {Object} options - Optional hooks (onSubmitted called with the sent transaction)
+   * @returns {Object} Transaction result
+   */
+  async challengePayout(policyId, weatherData, options = {}) {
+    this.requireRadiShield();
+
+    const encoded = encodeWeatherData(weatherData);
+    const gasEstimate =
+      await this.radiShieldContract.challengePayout.estimateGas(
+        policyId,
+        encoded
+      );
+    const request =
+      await this.radiShieldContract.challengePayout.populateTransaction(
+        policyId,
+        encoded,
+        {
+          gasLimit: (gasEstimate * 120n) / 100n, // 20% buffer
+        }
+      );
+
+    const { receipt, originalTxHash, replacements } =
+      await this.sendTransaction(request, options);
+
+    return {
+      success: true,
+      txHash: receipt.hash,
+      originalTxHash,
+      replacements,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+    };
+  }
+
+  /**
+   * Throw unless the client is initialized with a RadiShield address
+   */
+  requireRadiShield() {
+    if (!this.initialized) {
+      throw new Error("Web3Client not initialized. Call initialize() first.");
+    }
+    if (!this.radiShieldContract) {
+      throw new Error(
+        "Missing required environment variable: RADISHIELD_ADDRESS"
+      );
+    }
+  }
+
+  /**
+   * Get the latest block number
+   * @returns {number} Latest block number
+   */
+  async getBlockNumber() {
+    if (!this.provider) {
+      throw new Error("Provider not initialized");
+    }
+
+    return this.provider.getBlockNumber();
+  }
+
+  /**
+   * Get nonce and in-flight transaction status
+   * @returns {Object|null} Nonce manager status
+   */
+  getNonceStatus() {
+    return this.nonceManager ? this.nonceManager.getStatus() : null;
+  }
+
   /**
    * Get wallet address
    * @returns {string} Wallet address